@@ -0,0 +1,355 @@
+/**
+ * Anime identity
+ *
+ * An anime row is identified by the site it was scraped from and that site's slug
+ * (anime.source + anime.source_slug), never by its title. Every title seen for a row is
+ * kept in anime_aliases, together with the source slug it was seen under, so a row is
+ * still recognised when:
+ *
+ *   - it predates source identity (title-only dumps): the first import whose title,
+ *     slug or a known alias matches it, exactly or fuzzily, adopts it
+ *   - it absorbed duplicates (`dedupe`): the merged rows' titles and source slugs
+ *     became its aliases
+ *
+ * cleanTitle() is the one place SEO decorations are stripped from site titles;
+ * titleKey() reduces a title further to what matching compares.
+ */
+
+const { dialectOf } = require('./db');
+
+const TITLE_MATCH_THRESHOLD = parseFloat(process.env.TITLE_MATCH_THRESHOLD || '0.9');
+
+// Words that only tell apart releases of the same show on these sites
+const KEY_STOP_WORDS = new Set([
+    'the', 'a', 'an', 'and', 'in', 'hindi', 'tamil', 'telugu', 'english',
+    'dub', 'dubbed', 'sub', 'subbed', 'official',
+]);
+
+// ─── Titles ────────────────────────────────────────────────────────────────────
+
+/**
+ * Site title without SEO decorations ("Watch Online X in Hindi Dubbed | All Season Episodes" -> "X").
+ */
+function cleanTitle(title) {
+    if (!title) return '';
+    return title
+        .replace(/\s*[-|]\s*(?:Watch|Free|Streaming|Anime|Online|ToonStream|Episode|Hindi Dubbed|All Season Episodes).*$/i, '')
+        .replace(/Watch\s+Online\s+/i, '')
+        .replace(/\s+in\s+Hindi\s+Dubbed.*$/i, '')
+        .replace(/\s+All\s+Season\s+Episodes.*$/i, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Matching key: lowercase ASCII words without punctuation, accents, articles and
+ * language/dub markers. "Naruto: Shippūden (Hindi Dub)" -> "naruto shippuden".
+ */
+function titleKey(title) {
+    return cleanTitle(title)
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .split(' ')
+        .filter(word => word && !KEY_STOP_WORDS.has(word))
+        .join(' ');
+}
+
+function bigrams(key) {
+    const text = key.replace(/ /g, '');
+    const counts = new Map();
+    for (let i = 0; i < text.length - 1; i++) {
+        const pair = text.slice(i, i + 2);
+        counts.set(pair, (counts.get(pair) || 0) + 1);
+    }
+    return counts;
+}
+
+/**
+ * Similarity of two titles from 0 to 1 (Dice coefficient over the letter pairs of
+ * their keys). Titles whose numbers differ ("Season 2" / "Season 3") never match.
+ */
+function titleSimilarity(a, b) {
+    const keyA = titleKey(a);
+    const keyB = titleKey(b);
+    if (!keyA || !keyB) return 0;
+    if (keyA === keyB) return 1;
+
+    const numbers = key => (key.match(/\d+/g) || []).join(' ');
+    if (numbers(keyA) !== numbers(keyB)) return 0;
+
+    const pairsA = bigrams(keyA);
+    const pairsB = bigrams(keyB);
+    let shared = 0;
+    let total = 0;
+    for (const [pair, n] of pairsA) {
+        shared += Math.min(n, pairsB.get(pair) || 0);
+        total += n;
+    }
+    for (const n of pairsB.values()) total += n;
+    return total ? (2 * shared) / total : 0;
+}
+
+// ─── Row Lookup ────────────────────────────────────────────────────────────────
+
+/**
+ * Picks the row without source identity that a scraped anime ({ slug, title, type })
+ * should adopt: same slug, same title key (title or alias), else the most similar title
+ * of the same type at or above `threshold`. `rows` are { id, title, slug, type, aliases }.
+ * Returns { row, matchedBy: 'slug' | 'title' | 'fuzzy', score } or null.
+ */
+function matchUnclaimedRow(rows, { slug, title, type }, { threshold = TITLE_MATCH_THRESHOLD } = {}) {
+    const key = titleKey(title);
+    const bySlug = rows.find(r => r.slug && r.slug === slug);
+    if (bySlug) return { row: bySlug, matchedBy: 'slug', score: 1 };
+
+    const byKey = key && rows.find(r => [r.title, ...(r.aliases || [])].some(t => titleKey(t) === key));
+    if (byKey) return { row: byKey, matchedBy: 'title', score: 1 };
+
+    let best = null;
+    for (const row of rows) {
+        if (row.type !== type) continue;
+        const score = Math.max(...[row.title, ...(row.aliases || [])].map(t => titleSimilarity(t, title)));
+        if (score >= threshold && (!best || score > best.score)) best = { row, matchedBy: 'fuzzy', score };
+    }
+    return best;
+}
+
+/**
+ * Finds the anime row of a scraped anime ({ source, slug, title, type }) inside a
+ * transaction: by source identity, then by a source alias left by a merge, then among
+ * rows that have no identity yet (see matchUnclaimedRow()).
+ * Resolves to { id, matchedBy, score } or null when the anime is new.
+ */
+async function findAnimeRow(conn, identity, options = {}) {
+    // SQLite locks the whole database for the transaction, not rows
+    const sqlite = dialectOf(conn) === 'sqlite';
+    const [own] = await conn.execute(
+        `SELECT id FROM anime WHERE source = ? AND source_slug = ? LIMIT 1${sqlite ? '' : ' FOR UPDATE'}`,
+        [identity.source, identity.slug]
+    );
+    if (own.length) return { id: own[0].id, matchedBy: 'source', score: 1 };
+
+    const [merged] = await conn.execute(
+        'SELECT anime_id FROM anime_aliases WHERE source = ? AND source_slug = ? LIMIT 1',
+        [identity.source, identity.slug]
+    );
+    if (merged.length) return { id: merged[0].anime_id, matchedBy: 'alias', score: 1 };
+
+    const [rows] = await conn.execute(`
+        SELECT a.id, a.title, a.source_slug, a.type,
+               ${sqlite ? 'GROUP_CONCAT(al.title, char(10))' : "GROUP_CONCAT(al.title SEPARATOR '\\n')"} AS aliases
+        FROM anime a
+        LEFT JOIN anime_aliases al ON al.anime_id = a.id
+        WHERE a.source IS NULL
+        GROUP BY a.id`);
+    const match = matchUnclaimedRow(rows.map(r => ({
+        id: r.id,
+        title: r.title,
+        slug: r.source_slug,
+        type: r.type,
+        aliases: r.aliases ? r.aliases.split('\n') : [],
+    })), identity, options);
+    return match ? { id: match.row.id, matchedBy: match.matchedBy, score: match.score } : null;
+}
+
+/**
+ * Remembers `title` as seen for `animeId` under source/slug (both optional).
+ */
+async function recordAlias(conn, animeId, { title, source = '', slug = '' }) {
+    const update = dialectOf(conn) === 'sqlite'
+        ? 'ON CONFLICT (anime_id, source, source_slug, title_key) DO UPDATE SET title = excluded.title, last_seen_at = CURRENT_TIMESTAMP'
+        : 'ON DUPLICATE KEY UPDATE title = VALUES(title), last_seen_at = CURRENT_TIMESTAMP';
+    await conn.execute(
+        `INSERT INTO anime_aliases (anime_id, title, title_key, source, source_slug) VALUES (?, ?, ?, ?, ?)
+         ${update}`,
+        [animeId, title, titleKey(title), source || '', slug || '']
+    );
+}
+
+// ─── Duplicates ────────────────────────────────────────────────────────────────
+
+/**
+ * Loads every anime with its episode count, aliases and alias identities, for dedupe.
+ */
+async function loadAnimeCatalog(db) {
+    const [rows] = await db.query(`
+        SELECT a.id, a.title, a.source, a.source_slug, a.type,
+               (SELECT COUNT(*) FROM episodes e WHERE e.anime_id = a.id) AS episodes
+        FROM anime a
+        ORDER BY a.id`);
+    const [aliases] = await db.query('SELECT anime_id, title, source, source_slug FROM anime_aliases');
+    const aliasesOf = new Map();
+    for (const alias of aliases) {
+        if (!aliasesOf.has(alias.anime_id)) aliasesOf.set(alias.anime_id, []);
+        aliasesOf.get(alias.anime_id).push(alias);
+    }
+
+    return rows.map(r => {
+        const own = aliasesOf.get(r.id) || [];
+        return {
+            id: r.id,
+            title: r.title,
+            source: r.source,
+            slug: r.source_slug,
+            type: r.type,
+            episodes: Number(r.episodes),
+            aliases: own.map(al => al.title),
+            identities: [
+                ...(r.source ? [`${r.source}/${r.source_slug}`] : []),
+                ...own.filter(al => al.source).map(al => `${al.source}/${al.source_slug}`),
+            ],
+        };
+    });
+}
+
+/**
+ * Two rows describe different shows when one site lists them under different slugs.
+ */
+function identitiesConflict(a, b) {
+    const sources = ids => new Map(ids.map(id => [id.split('/')[0], id]));
+    const fromA = sources(a.identities || []);
+    for (const [source, id] of sources(b.identities || [])) {
+        if (fromA.has(source) && fromA.get(source) !== id) return true;
+    }
+    return false;
+}
+
+/**
+ * Groups rows that describe the same show: equal title keys, or titles (and aliases) of
+ * the same type at least `threshold` similar, unless identitiesConflict(). The row
+ * kept is the one with the most episodes, then the one with a source identity, then the
+ * oldest. Returns [{ keep, merge: [rows], score }], `score` being the weakest link.
+ */
+function findDuplicates(rows, { threshold = TITLE_MATCH_THRESHOLD } = {}) {
+    const names = row => [row.title, ...(row.aliases || [])];
+    const parent = new Map(rows.map(r => [r.id, r.id]));
+    const root = id => (parent.get(id) === id ? id : root(parent.get(id)));
+    const scores = new Map();
+
+    // Only titles sharing their first key word are compared
+    const buckets = new Map();
+    for (const row of rows) {
+        for (const first of new Set(names(row).map(t => titleKey(t).split(' ')[0]).filter(Boolean))) {
+            if (!buckets.has(first)) buckets.set(first, []);
+            buckets.get(first).push(row);
+        }
+    }
+
+    for (const bucket of buckets.values()) {
+        for (let i = 0; i < bucket.length; i++) {
+            for (let j = i + 1; j < bucket.length; j++) {
+                const [a, b] = [bucket[i], bucket[j]];
+                if (a.id === b.id || a.type !== b.type || root(a.id) === root(b.id)) continue;
+
+                const score = Math.max(...names(a).flatMap(x => names(b).map(y => titleSimilarity(x, y))));
+                if (score < threshold) continue;
+
+                // Never join groups that would then hold two slugs of one site
+                const groupOf = id => rows.filter(r => root(r.id) === root(id));
+                const merged = { identities: groupOf(a.id).flatMap(r => r.identities || []) };
+                if (groupOf(b.id).some(r => identitiesConflict(merged, r))) continue;
+
+                const [ra, rb] = [root(a.id), root(b.id)];
+                parent.set(rb, ra);
+                scores.set(ra, Math.min(score, scores.get(ra) ?? 1, scores.get(rb) ?? 1));
+            }
+        }
+    }
+
+    const groups = new Map();
+    for (const row of rows) {
+        const id = root(row.id);
+        if (!groups.has(id)) groups.set(id, []);
+        groups.get(id).push(row);
+    }
+
+    return [...groups.entries()]
+        .filter(([, members]) => members.length > 1)
+        .map(([id, members]) => {
+            const [keep, ...merge] = [...members].sort((a, b) =>
+                (b.episodes - a.episodes) || (Boolean(b.source) - Boolean(a.source)) || (a.id - b.id));
+            return { keep, merge, score: scores.get(id) };
+        });
+}
+
+/**
+ * Statements ({ sql, params }) merging each duplicate group into its kept row. Seasons
+ * (and a movie's episode) the kept row lacks move over with their episodes, the rest
+ * is deleted with the merged row; titles and source slugs of merged rows become aliases,
+ * and a kept row without source identity takes over a merged row's.
+ * Written for MySQL, or SQLite with `dialect` 'sqlite'.
+ */
+function mergeStatements(groups, { dialect = 'mysql' } = {}) {
+    const sqlite = dialect === 'sqlite';
+    const statements = [];
+    for (const { keep, merge } of groups) {
+        let claimed = Boolean(keep.source);
+        for (const row of merge) {
+            statements.push(
+                {
+                    sql: `UPDATE seasons SET anime_id = ? WHERE anime_id = ? AND season_number NOT IN
+                          (SELECT season_number FROM (SELECT season_number FROM seasons WHERE anime_id = ?) AS kept)`,
+                    params: [keep.id, row.id, keep.id],
+                },
+                {
+                    sql: sqlite
+                        ? 'UPDATE episodes SET anime_id = ? WHERE anime_id = ? AND season_id IN (SELECT id FROM seasons WHERE anime_id = ?)'
+                        : 'UPDATE episodes e JOIN seasons s ON s.id = e.season_id SET e.anime_id = ? WHERE e.anime_id = ? AND s.anime_id = ?',
+                    params: [keep.id, row.id, keep.id],
+                },
+                {
+                    sql: `UPDATE episodes SET anime_id = ? WHERE anime_id = ? AND season_id IS NULL AND NOT EXISTS
+                          (SELECT 1 FROM (SELECT id FROM episodes WHERE anime_id = ? AND season_id IS NULL) AS kept)`,
+                    params: [keep.id, row.id, keep.id],
+                },
+                { sql: `UPDATE ${sqlite ? 'OR IGNORE' : 'IGNORE'} anime_aliases SET anime_id = ? WHERE anime_id = ?`, params: [keep.id, row.id] },
+                {
+                    sql: sqlite
+                        ? 'INSERT OR IGNORE INTO anime_aliases (anime_id, title, title_key, source, source_slug) VALUES (?, ?, ?, ?, ?)'
+                        : `INSERT INTO anime_aliases (anime_id, title, title_key, source, source_slug) VALUES (?, ?, ?, ?, ?)
+                          ON DUPLICATE KEY UPDATE last_seen_at = last_seen_at`,
+                    params: [keep.id, row.title, titleKey(row.title), row.source || '', row.slug || ''],
+                },
+                { sql: 'DELETE FROM anime WHERE id = ?', params: [row.id] }
+            );
+            // A kept row without identity takes over the first merged one's
+            if (!claimed && row.source) {
+                statements.push({ sql: 'UPDATE anime SET source = ?, source_slug = ? WHERE id = ?', params: [row.source, row.slug, keep.id] });
+                claimed = true;
+            }
+        }
+    }
+    return statements;
+}
+
+/**
+ * Human-readable list of the duplicate groups.
+ */
+function formatDuplicateReport(groups) {
+    if (groups.length === 0) return 'No duplicate anime found.';
+    const describe = row => `#${row.id} "${row.title}"${row.source ? ` [${row.source}/${row.slug}]` : ''}, ${row.episodes} episode(s)`;
+    const lines = [`${groups.length} duplicate group(s), ${groups.reduce((n, g) => n + g.merge.length, 0)} row(s) to merge:`];
+    for (const { keep, merge, score } of groups) {
+        lines.push(`  keep  ${describe(keep)}`);
+        merge.forEach(row => lines.push(`  merge ${describe(row)}`));
+        lines.push(`        similarity ${Math.round(score * 100)}%`);
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    TITLE_MATCH_THRESHOLD,
+    cleanTitle,
+    titleKey,
+    titleSimilarity,
+    matchUnclaimedRow,
+    findAnimeRow,
+    recordAlias,
+    loadAnimeCatalog,
+    findDuplicates,
+    mergeStatements,
+    formatDuplicateReport,
+};
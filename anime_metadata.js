@@ -0,0 +1,130 @@
+/**
+ * Anime metadata normalization
+ *
+ * Adapters read genres, year, audio languages, airing status and rating from whatever
+ * a page shows (tag links, meta lines, the title, the slug); these helpers turn that
+ * into the values stored in the catalog, so every source filters the same way:
+ *
+ *   genres     ["Action", "Adventure"]   title case, language and format tags left out
+ *   year       2007 | null
+ *   languages  ["Hindi", "Tamil"]        canonical audio language names, in LANGUAGES order
+ *   status     "ongoing" | "completed" | "upcoming" | null
+ *   rating     8.5 | null                 out of 10
+ */
+
+// Audio languages the sites dub into, with the spellings used in titles, tags and slugs
+const LANGUAGES = [
+    ['Hindi', ['hindi', 'hin']],
+    ['Tamil', ['tamil', 'tam']],
+    ['Telugu', ['telugu', 'tel']],
+    ['Malayalam', ['malayalam', 'mal']],
+    ['Kannada', ['kannada', 'kan']],
+    ['Bengali', ['bengali', 'bangla']],
+    ['Marathi', ['marathi']],
+    ['English', ['english', 'eng']],
+    ['Japanese', ['japanese', 'jap', 'jpn']],
+    ['Korean', ['korean']],
+    ['Chinese', ['chinese', 'mandarin']],
+];
+
+// Category tags that describe the catalog, not the story
+const NON_GENRE_TAGS = new Set([
+    'anime', 'cartoon', 'cartoons', 'movie', 'movies', 'series', 'tv', 'tv shows', 'dub', 'dubbed',
+    'multi audio', 'dual audio', 'latest', 'latest episodes', 'ongoing', 'completed', 'uncategorized',
+]);
+
+const LANGUAGE_TAG_WORDS = new Set(['dub', 'dubbed', 'sub', 'subbed', 'language', 'audio']);
+
+const STATUS_PATTERNS = [
+    ['upcoming', /\b(?:upcoming|not yet aired|coming soon|announced)\b/i],
+    // Before ongoing: "Finished Airing"
+    ['completed', /\b(?:completed?|finished(?: airing)?|ended|canceled|cancelled)\b/i],
+    ['ongoing', /\b(?:ongoing|airing|currently airing|returning series|in production)\b/i],
+];
+
+function words(text) {
+    return String(text || '').toLowerCase().split(/[^a-z]+/).filter(Boolean);
+}
+
+/**
+ * Canonical audio languages mentioned in any of `texts` (titles, tag names, slugs).
+ * Short codes (hin, tam, ...) only count in slugs, where they are common.
+ */
+function parseLanguages(texts, { slug = null } = {}) {
+    const found = new Set();
+    const scan = (text, allowCodes) => {
+        const seen = new Set(words(text));
+        for (const [name, spellings] of LANGUAGES) {
+            const candidates = allowCodes ? spellings : spellings.filter(s => s.length > 3);
+            if (candidates.some(s => seen.has(s))) found.add(name);
+        }
+    };
+    [].concat(texts || []).forEach(text => scan(text, false));
+    if (slug) scan(slug.replace(/-/g, ' '), true);
+    return LANGUAGES.map(([name]) => name).filter(name => found.has(name));
+}
+
+// "Hindi", "Hindi Dub", "Tamil Language" are languages, "Hindi Action" is not
+function isLanguageTag(name) {
+    const tagWords = words(name);
+    return parseLanguages([name]).length > 0
+        && tagWords.every(w => LANGUAGE_TAG_WORDS.has(w) || parseLanguages([w]).length > 0);
+}
+
+/**
+ * Genre tag names, title-cased and deduplicated, without language or format tags.
+ */
+function parseGenres(tags) {
+    const genres = new Map();
+    for (const tag of [].concat(tags || [])) {
+        const name = String(tag || '').replace(/\s+/g, ' ').trim();
+        const key = name.toLowerCase();
+        if (!name || name.length > 64 || NON_GENRE_TAGS.has(key)) continue;
+        if (isLanguageTag(name)) continue;
+        if (!genres.has(key)) genres.set(key, name.replace(/\b([a-z])/g, c => c.toUpperCase()));
+    }
+    return [...genres.values()];
+}
+
+/**
+ * First plausible release year (1900 up to next year) in `texts`, or null.
+ */
+function parseYear(texts) {
+    const latest = new Date().getUTCFullYear() + 1;
+    for (const text of [].concat(texts || [])) {
+        for (const match of String(text || '').matchAll(/\b(19\d{2}|20\d{2})\b/g)) {
+            const year = Number(match[1]);
+            if (year >= 1900 && year <= latest) return year;
+        }
+    }
+    return null;
+}
+
+/**
+ * Rating out of 10 from "8.5", "8.5/10", "85%" or "TMDB 7.9", rounded to one decimal.
+ */
+function parseRating(text) {
+    const match = String(text || '').replace(',', '.').match(/(\d+(?:\.\d+)?)\s*(%|\/\s*(?:10|100|5))?/);
+    if (!match) return null;
+    let rating = parseFloat(match[1]);
+    const scale = (match[2] || '').replace(/[\s/]/g, '');
+    if (scale === '%' || scale === '100' || (!scale && rating > 10)) rating /= 10;
+    else if (scale === '5') rating *= 2;
+    if (!(rating > 0) || rating > 10) return null;
+    return Math.round(rating * 10) / 10;
+}
+
+function parseStatus(text) {
+    if (!text) return null;
+    const hit = STATUS_PATTERNS.find(([, pattern]) => pattern.test(text));
+    return hit ? hit[0] : null;
+}
+
+module.exports = {
+    LANGUAGES,
+    parseLanguages,
+    parseGenres,
+    parseYear,
+    parseRating,
+    parseStatus,
+};
@@ -1,128 +1,94 @@
-const fs = require('fs');
-const { chromium } = require('playwright');
-
-const SITE_BASE = 'https://animedekho.app';
-
-async function runBulkScrape() {
-    console.log('--- Daily Auto-Scraper (V4: BULK MODE) Started ---');
-
-    // 1. Setup Browser
-    console.log('Step 1: Launching Stealth Browser...');
-    const browser = await chromium.launch({ headless: true });
-    const context = await browser.newContext({
-        userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36',
-    });
-    const page = await context.newPage();
-
-    // 2. Identify Slugs to Scrape
-    console.log('Step 2: Crawling categories for unique anime slugs...');
-    const categories = [
-        { name: 'Latest Additions', path: '/home/' },
-        { name: 'Action', path: '/category/action/' },
-        { name: 'Anime', path: '/category/anime/' },
-        { name: 'Hindi Dub', path: '/category/hindi-dub/' },
-    ];
-
-    const seenSlugs = new Set();
-    const finalSlugs = [];
-
-    for (const cat of categories) {
-        console.log(`   📂 Crawling category: ${cat.name}...`);
-        try {
-            await page.goto(`${SITE_BASE}${cat.path}`, { waitUntil: 'domcontentloaded', timeout: 60000 });
-            await page.waitForTimeout(6000);
-
-            const html = await page.content();
-            // Regex for /serie/slug/ and /movies/slug/
-            const matches = html.matchAll(/href="([^"]*\/(serie|movies)\/([^\/"]+)\/)"/gi);
-
-            for (const match of matches) {
-                const url = match[1];
-                const type = match[2];
-                const slug = match[3];
-
-                if (!seenSlugs.has(slug)) {
-                    seenSlugs.add(slug);
-                    finalSlugs.push({ slug, type, url: url.startsWith('http') ? url : `${SITE_BASE}${url}` });
-                }
-            }
-        } catch (e) {
-            console.error(`   ⚠️ Error crawling ${cat.name}: ${e.message}`);
-        }
-    }
-
-    console.log(`✅ Identified ${finalSlugs.length} unique anime to process.`);
+/**
+ * Daily auto-scraper (run by .github/workflows/daily_scrape.yml)
+ *
+ * Runs the same bulk export as `importer.js bulk-export --incremental`, but with the
+ * browser transport (see transports/): every page is loaded in the shared headless
+ * Chromium context, so pages that need a real browser still come through. The output is
+ * written to bulk_export_<date>.sql; series unchanged since the last run
+ * (scrape_state.json) are skipped.
+ *
+ * The LIMIT series of a run follow the scrape plan (see scrape_planner.js): series on
+ * the release schedule that aired today or yesterday first, then recently updated ones,
+ * new ones and a rotating slice of the back catalog. The schedule is refreshed every run
+ * and kept in schedule.json for days the site does not serve it. Only the first page of
+ * each category is crawled; the sitemap adds every series and movie the categories do
+ * not show.
+ *
+ * Every run ends with a health report checked against the rolling baseline in
+ * scrape_health.json (see scrape_health.js). When the counts collapse the process exits
+ * non-zero, so the workflow fails instead of committing an empty export.
+ */
 
-    // 3. Scrape Details for each
-    let consolidatedSQL = `-- Automated Bulk Export: ${new Date().toISOString()}\n`;
-    consolidatedSQL += `SET NAMES utf8mb4;\n\n`;
-
-    let successCount = 0;
-    // Limit to 100 per run to avoid GitHub timeout (6h)
-    const limit = 100;
-    const toProcess = finalSlugs.slice(0, limit);
-
-    console.log(`\nStep 3: Scraping details for ${toProcess.length} anime...`);
-
-    for (let i = 0; i < toProcess.length; i++) {
-        const item = toProcess[i];
-        console.log(`[${i + 1}/${toProcess.length}] Processing: ${item.slug}`);
-
-        try {
-            await page.goto(item.url, { waitUntil: 'domcontentloaded', timeout: 45000 });
-            await page.waitForTimeout(4000);
-
-            const html = await page.content();
-
-            // Extract Info
-            const ogTitleMatch = html.match(/<meta[^>]*property="og:title"[^>]*content="([^"]+)"/i);
-            const descMatch = html.match(/<meta[^>]*name="description"[^>]*content="([^"]+)"/i);
-            const posterMatch = html.match(/<meta[^>]*property="og:image"[^>]*content="([^"]+)"/i);
-
-            let title = ogTitleMatch ? ogTitleMatch[1].split('|')[0].trim() : item.slug;
-            // Clean title
-            title = title
-                .replace(/\s*[-|]\s*(?:Watch|Free|Streaming|Anime|Online|ToonStream|Episode|Hindi Dubbed|All Season Episodes).*$/i, '')
-                .replace(/Watch\s+Online\s+/i, '')
-                .replace(/\s+/g, ' ')
-                .trim();
+const fs = require('fs');
+const { StateStore, DEFAULT_STATE_FILE } = require('./state_store');
+const { configureTransport, closeTransport } = require('./http_client');
+const { createSource } = require('./sources');
+const { bulkExportAnime } = require('./importer');
+const { ScrapeHealth, HealthHistory, DEFAULT_HEALTH_FILE, reportHealth } = require('./scrape_health');
+const { ScheduleStore, DEFAULT_SCHEDULE_FILE, refreshSchedule } = require('./release_schedule');
 
-            const desc = descMatch ? descMatch[1].replace(/'/g, "''") : 'No description found.';
-            const poster = posterMatch ? posterMatch[1] : '';
-            const type = item.type === 'movies' ? 'movie' : 'series';
+// Only the first page of each category in the site navigation; the rest of the catalog
+// comes from the sitemap and rotates through the scrape plan's back catalog
+const CATEGORY_PAGES = 1;
 
-            consolidatedSQL += `-- Entry for ${title}\n`;
-            consolidatedSQL += `INSERT IGNORE INTO anime (title, description, poster_url, type) \n`;
-            consolidatedSQL += `SELECT '${title.replace(/'/g, "''")}', '${desc}', '${poster}', '${type}'\n`;
-            consolidatedSQL += `FROM (SELECT 1) AS tmp\n`;
-            consolidatedSQL += `WHERE NOT EXISTS (SELECT 1 FROM anime WHERE title = '${title.replace(/'/g, "''")}');\n\n`;
+// Limit to 100 per run to avoid GitHub timeout (6h)
+const LIMIT = 100;
+const SETTLE_MS = parseInt(process.env.BROWSER_SETTLE_MS || '4000');
 
-            successCount++;
-            console.log(`   ✨ Saved: ${title}`);
+async function runBulkScrape() {
+    console.log('--- Daily Auto-Scraper (V5: IMPORTER BACKEND) Started ---');
 
-        } catch (e) {
-            console.error(`   ❌ Error on ${item.slug}: ${e.message}`);
-            if (e.message.includes('closed')) {
-                console.log('   🔄 Re-creating page context...');
-                // Simplified recovery
-                break;
-            }
-        }
+    // Series whose episode markers did not change since the last run are skipped
+    const state = new StateStore(DEFAULT_STATE_FILE).load();
 
-        await new Promise(r => setTimeout(r, 2000));
-    }
+    // 1. Every page goes through the shared headless browser (launched on first use)
+    console.log('Step 1: Switching to the browser transport...');
+    await configureTransport({ mode: 'browser', browser: { settleMs: SETTLE_MS } });
 
-    // 4. Finalize
+    // 2. Export through the importer, streaming into today's file
     const dateStr = new Date().toISOString().split('T')[0];
     const fileName = `bulk_export_${dateStr}.sql`;
-    fs.writeFileSync(fileName, consolidatedSQL);
+    const fd = fs.openSync(fileName, 'w');
+    let diagnosis;
+
+    try {
+        console.log(`Step 2: Exporting up to ${LIMIT} anime into ${fileName}...`);
+        const importer = createSource('animedekho', { maxPages: CATEGORY_PAGES });
+        const { schedule, error } = await refreshSchedule(importer, new ScheduleStore(DEFAULT_SCHEDULE_FILE).load());
+        if (error) console.log(`Schedule not fetched (${error.message})${schedule ? `; using the one fetched ${schedule.fetchedAt}` : ''}`);
+
+        const health = new ScrapeHealth({ source: importer.id });
+        const totals = await bulkExportAnime(importer, LIMIT, {
+            state,
+            schedule,
+            sitemap: true,
+            health,
+            output: { write: text => fs.writeSync(fd, text) },
+        });
+
+        console.log(`\n--- Final Report ---`);
+        console.log(`Anime: ${totals.anime}`);
+        console.log(`Episodes: ${totals.episodes}`);
+        console.log(`Unchanged (skipped): ${totals.unchanged}`);
+        console.log(`Generated: ${fileName}`);
+        console.log(`--------------------\n`);
+
+        diagnosis = reportHealth(health, new HealthHistory(DEFAULT_HEALTH_FILE).load());
+    } finally {
+        fs.closeSync(fd);
+        await closeTransport();
+    }
 
-    console.log(`\n--- Final Report ---`);
-    console.log(`Total Scraped: ${successCount}/${toProcess.length}`);
-    console.log(`Generated: ${fileName}`);
-    console.log(`--------------------\n`);
+    if (!diagnosis.healthy) {
+        throw new Error(`Scrape collapsed: ${diagnosis.problems.join(' ')} ${diagnosis.cause}`);
+    }
+}
 
-    await browser.close();
+if (require.main === module) {
+    runBulkScrape().catch((e) => {
+        console.error(e);
+        process.exit(1);
+    });
 }
 
-runBulkScrape().catch(console.error);
+module.exports = { runBulkScrape };
@@ -0,0 +1,263 @@
+/**
+ * Catalog diff: what changed between two exports, or an export and the database
+ *
+ * Both sides are read into the same stored-catalog model: a dump by applying it to an
+ * empty in-memory SQLite catalog (see sql_dump.js), the database by reading its tables.
+ *
+ *   [{ title, source, slug, description, poster, type,
+ *      seasons: [{ number, title, episodes: [{ number, order, title, link, episodeId }] }],
+ *      movie: { title, link } | null }]
+ *
+ * Anime are matched by source and slug, and rows without identity (title-only dumps) by
+ * title key (see anime_identity.js). Episodes are matched by their source episode id, so
+ * an episode dropped mid-season leaves the ones after it alone. Rows from dumps written
+ * before episodes kept that id fall back to season and position in the season: `number`
+ * counts the stored episodes of a season in ep_order, as dumps keep no episode numbers.
+ * An episode whose link differs is re-linked. An empty description or poster on the newer
+ * side is no change, as applying that export keeps the stored one (see export_sql.js).
+ *
+ * An incremental bulk export only lists the series that changed; diffed with `partial`
+ * the anime missing from the newer side are counted as unlisted instead of removed.
+ */
+
+const { SqlitePool } = require('./db_sqlite');
+const { migrateUp } = require('./migrate');
+const { applyDump } = require('./sql_dump');
+const { titleKey } = require('./anime_identity');
+
+const DIFF_FORMATS = ['text', 'json'];
+
+// Footer line of an incremental bulk export that left unchanged series out
+const SKIPPED_FOOTER = /^-- Unchanged \(skipped\): ([1-9]\d*)$/m;
+
+// Fields of an anime compared by the diff
+const COMPARED_FIELDS = ['title', 'description', 'poster'];
+
+// ─── Stored Catalog ────────────────────────────────────────────────────────────
+
+/**
+ * Every anime stored in `db` (a pool or connection, see db.js), in the model above.
+ */
+async function readStoredCatalog(db) {
+    const [anime] = await db.query('SELECT id, title, source, source_slug, description, poster_url, type FROM anime ORDER BY id');
+    const [seasons] = await db.query('SELECT id, anime_id, season_number, title FROM seasons ORDER BY anime_id, season_number');
+    const [episodes] = await db.query('SELECT anime_id, season_id, title, dood_id, source_episode_id, ep_order FROM episodes ORDER BY anime_id, ep_order, id');
+
+    const byId = new Map(anime.map(a => [a.id, {
+        title: a.title,
+        source: a.source || null,
+        slug: a.source_slug || null,
+        description: a.description || '',
+        poster: a.poster_url || '',
+        type: a.type,
+        seasons: [],
+        movie: null,
+    }]));
+    const seasonById = new Map();
+    for (const s of seasons) {
+        const season = { number: Number(s.season_number), title: s.title, episodes: [] };
+        seasonById.set(s.id, season);
+        if (byId.has(s.anime_id)) byId.get(s.anime_id).seasons.push(season);
+    }
+    for (const e of episodes) {
+        const owner = byId.get(e.anime_id);
+        if (!owner) continue;
+        if (e.season_id == null) {
+            owner.movie = owner.movie || { title: e.title, link: e.dood_id };
+            continue;
+        }
+        const season = seasonById.get(e.season_id);
+        if (season) {
+            season.episodes.push({
+                number: season.episodes.length + 1, order: Number(e.ep_order), title: e.title, link: e.dood_id,
+                episodeId: e.source_episode_id || null,
+            });
+        }
+    }
+    return [...byId.values()];
+}
+
+/**
+ * The catalog a dump (SQL text of any dialect, see sql_dump.js) leaves in an empty database.
+ */
+async function readDumpCatalog(text, options = {}) {
+    const db = new SqlitePool(':memory:');
+    try {
+        await migrateUp(db, null, undefined, { quiet: true });
+        await applyDump(db, text, options);
+        return await readStoredCatalog(db);
+    } finally {
+        await db.end();
+    }
+}
+
+/**
+ * The number of series an incremental bulk export left out as unchanged, 0 for a full dump.
+ */
+function skippedSeries(text) {
+    const match = SKIPPED_FOOTER.exec(text);
+    return match ? Number(match[1]) : 0;
+}
+
+// ─── Diff ──────────────────────────────────────────────────────────────────────
+
+function identityOf(anime) {
+    return anime.source && anime.slug ? `${anime.source}/${anime.slug}` : null;
+}
+
+function episodeCount(anime) {
+    return anime.seasons.reduce((n, s) => n + s.episodes.length, 0) + (anime.movie ? 1 : 0);
+}
+
+/**
+ * Anime as listed in a diff: { title, source, slug, type, episodes }.
+ */
+function summarize(anime) {
+    return { title: anime.title, source: anime.source, slug: anime.slug, type: anime.type, episodes: episodeCount(anime) };
+}
+
+/**
+ * Pairs the anime of both sides: by identity, then the rest by title key.
+ * Returns { pairs: [[before, after]], removed, added }.
+ */
+function matchAnime(before, after) {
+    const pairs = [];
+    const unmatched = new Set(after);
+    const byIdentity = new Map(after.filter(identityOf).map(a => [identityOf(a), a]));
+    const rest = [];
+    for (const a of before) {
+        const match = identityOf(a) && byIdentity.get(identityOf(a));
+        if (match && unmatched.has(match)) {
+            pairs.push([a, match]);
+            unmatched.delete(match);
+        } else {
+            rest.push(a);
+        }
+    }
+
+    const removed = [];
+    for (const a of rest) {
+        const key = titleKey(a.title);
+        const match = [...unmatched].find(b => (!identityOf(a) || !identityOf(b)) && titleKey(b.title) === key);
+        if (match) {
+            pairs.push([a, match]);
+            unmatched.delete(match);
+        } else {
+            removed.push(a);
+        }
+    }
+    return { pairs, removed, added: [...unmatched] };
+}
+
+function seasonEpisodes(anime) {
+    return anime.seasons.flatMap(s => s.episodes);
+}
+
+/**
+ * Every episode of an anime by its key: the source episode id, "S<season>E<number>"
+ * when `byId` is off, or "movie".
+ */
+function episodesByKey(anime, byId) {
+    const episodes = new Map();
+    for (const season of anime.seasons) {
+        for (const ep of season.episodes) episodes.set(byId ? ep.episodeId : `S${season.number}E${ep.number}`, ep);
+    }
+    if (anime.movie) episodes.set('movie', anime.movie);
+    return episodes;
+}
+
+function diffEpisodes(before, after) {
+    // Ids only identify episodes when both sides kept them
+    const byId = [...seasonEpisodes(before), ...seasonEpisodes(after)].every(ep => ep.episodeId);
+    const old = episodesByKey(before, byId);
+    const current = episodesByKey(after, byId);
+    const changes = { added: [], removed: [], relinked: [] };
+    for (const [key, ep] of current) {
+        const was = old.get(key);
+        if (!was) changes.added.push({ key, title: ep.title, link: ep.link });
+        else if (was.link !== ep.link) changes.relinked.push({ key, title: ep.title, from: was.link, to: ep.link });
+    }
+    for (const [key, ep] of old) {
+        if (!current.has(key)) changes.removed.push({ key, title: ep.title, link: ep.link });
+    }
+    return changes;
+}
+
+/**
+ * What changed from catalog `before` to `after` (both readStoredCatalog() models):
+ * { added, removed: [summary], changed: [{ ...summary, fields: [{ field, from, to }],
+ * episodes: { added, removed, relinked } }], totals }. Unchanged anime are left out, and
+ * with `partial` so are the anime `after` does not list (counted in totals.anime.unlisted).
+ */
+function diffCatalogs(before, after, { partial = false } = {}) {
+    const matched = matchAnime(before, after);
+    const { pairs, added } = matched;
+    const removed = partial ? [] : matched.removed;
+    const unlisted = partial ? matched.removed.length : 0;
+    const changed = [];
+    for (const [was, now] of pairs) {
+        const fields = COMPARED_FIELDS
+            .filter(field => was[field] !== now[field] && (field === 'title' || now[field]))
+            .map(field => ({ field, from: was[field], to: now[field] }));
+        const episodes = diffEpisodes(was, now);
+        if (fields.length || episodes.added.length || episodes.removed.length || episodes.relinked.length) {
+            changed.push({ ...summarize(now), fields, episodes });
+        }
+    }
+
+    const sum = key => changed.reduce((n, c) => n + c.episodes[key].length, 0);
+    return {
+        added: added.map(summarize),
+        removed: removed.map(summarize),
+        changed,
+        totals: {
+            anime: { before: before.length, after: after.length, added: added.length, removed: removed.length, changed: changed.length, unlisted },
+            episodes: {
+                before: before.reduce((n, a) => n + episodeCount(a), 0),
+                after: after.reduce((n, a) => n + episodeCount(a), 0),
+                added: sum('added') + added.reduce((n, a) => n + episodeCount(a), 0),
+                removed: sum('removed') + removed.reduce((n, a) => n + episodeCount(a), 0),
+                relinked: sum('relinked'),
+            },
+        },
+    };
+}
+
+// ─── Report ────────────────────────────────────────────────────────────────────
+
+function describe(anime) {
+    return `${anime.title} [${anime.source ? `${anime.source}/${anime.slug}` : 'no source'}] ${anime.type}, ${anime.episodes} episode(s)`;
+}
+
+function clip(text, length = 80) {
+    const line = String(text).replace(/\s+/g, ' ');
+    return JSON.stringify(line.length > length ? `${line.slice(0, length - 1)}…` : line);
+}
+
+/**
+ * Plain-text diff: totals, then one block per added (+), removed (-) and changed (~) anime.
+ */
+function formatCatalogDiff(diff, { before = 'old', after = 'new' } = {}) {
+    const { anime, episodes } = diff.totals;
+    const lines = [
+        `Diff ${before} -> ${after}`,
+        `Anime: ${anime.before} -> ${anime.after} (${anime.added} added, ${anime.removed} removed, ${anime.changed} changed` +
+            `${anime.unlisted ? `, ${anime.unlisted} not listed` : ''})`,
+        `Episodes: ${episodes.before} -> ${episodes.after} (${episodes.added} new, ${episodes.removed} removed, ${episodes.relinked} re-linked)`,
+    ];
+    if (diff.added.length + diff.removed.length + diff.changed.length === 0) return lines.concat('', 'No changes.').join('\n') + '\n';
+
+    lines.push('');
+    diff.added.forEach(a => lines.push(`+ ${describe(a)}`));
+    diff.removed.forEach(a => lines.push(`- ${describe(a)}`));
+    for (const c of diff.changed) {
+        lines.push(`~ ${describe(c)}`);
+        c.fields.forEach(f => lines.push(`    ${f.field}: ${clip(f.from)} -> ${clip(f.to)}`));
+        c.episodes.added.forEach(e => lines.push(`    + ${e.key} ${clip(e.title, 60)} ${e.link}`));
+        c.episodes.removed.forEach(e => lines.push(`    - ${e.key} ${clip(e.title, 60)}`));
+        c.episodes.relinked.forEach(e => lines.push(`    ~ ${e.key} ${clip(e.title, 60)} ${e.from} -> ${e.to}`));
+    }
+    return lines.join('\n') + '\n';
+}
+
+module.exports = { readStoredCatalog, readDumpCatalog, skippedSeries, diffCatalogs, formatCatalogDiff, DIFF_FORMATS };
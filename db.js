@@ -0,0 +1,95 @@
+/**
+ * Database connection layer
+ *
+ * Builds a single shared pool for the configured target (.env is loaded via dotenv):
+ *   mysql           a mysql2 pool (default)
+ *   sqlite:<file>   a local catalog file, no server needed (see db_sqlite.js)
+ *
+ * The target is DB_TARGET or --db (configureDb()). MySQL is configured by:
+ *   DB_HOST, DB_PORT, DB_USER, DB_PASSWORD, DB_NAME, DB_CONNECTION_LIMIT
+ */
+
+require('dotenv').config({ quiet: true });
+const mysql = require('mysql2/promise');
+const { SqlitePool } = require('./db_sqlite');
+
+let target = parseDbTarget(process.env.DB_TARGET || 'mysql');
+let pool = null;
+
+/**
+ * Reads a target spec: { dialect: 'mysql' } or { dialect: 'sqlite', file }.
+ */
+function parseDbTarget(spec) {
+    if (spec === 'mysql') return { dialect: 'mysql', file: null };
+    const match = /^sqlite:(.+)$/.exec(spec);
+    if (match) return { dialect: 'sqlite', file: match[1] };
+    throw new Error(`Unknown database "${spec}". Use mysql or sqlite:<file>`);
+}
+
+/**
+ * Switches the target (a parseDbTarget() spec) before the pool is first used.
+ */
+function configureDb(spec) {
+    if (pool) throw new Error('The database pool is already open');
+    target = parseDbTarget(spec);
+    return target;
+}
+
+/**
+ * SQL dialect of a pool or connection (see sql_builder.js).
+ */
+function dialectOf(db) {
+    return db.dialect === 'sqlite' ? 'sqlite' : 'mysql';
+}
+
+/**
+ * Returns the shared pool, creating it on first use.
+ */
+function getPool() {
+    if (!pool && target.dialect === 'sqlite') pool = new SqlitePool(target.file);
+    if (!pool) {
+        pool = mysql.createPool({
+            host: process.env.DB_HOST || 'localhost',
+            port: parseInt(process.env.DB_PORT || '3306'),
+            user: process.env.DB_USER || 'root',
+            password: process.env.DB_PASSWORD || '',
+            database: process.env.DB_NAME || 'anime',
+            connectionLimit: parseInt(process.env.DB_CONNECTION_LIMIT || '5'),
+            waitForConnections: true,
+            charset: 'utf8mb4',
+        });
+    }
+    return pool;
+}
+
+/**
+ * Closes the shared pool so the process can exit cleanly.
+ */
+async function closePool() {
+    if (pool) {
+        const p = pool;
+        pool = null;
+        await p.end();
+    }
+}
+
+/**
+ * Runs `fn(conn)` inside a transaction on a dedicated connection of `pool`.
+ * Commits when `fn` resolves, rolls back and rethrows when it rejects.
+ */
+async function withTransaction(fn, pool = getPool()) {
+    const conn = await pool.getConnection();
+    try {
+        await conn.beginTransaction();
+        const result = await fn(conn);
+        await conn.commit();
+        return result;
+    } catch (e) {
+        await conn.rollback();
+        throw e;
+    } finally {
+        conn.release();
+    }
+}
+
+module.exports = { getPool, closePool, withTransaction, configureDb, parseDbTarget, dialectOf };
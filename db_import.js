@@ -0,0 +1,218 @@
+/**
+ * Direct database import
+ *
+ * Scrapes one anime through any source adapter and writes anime, season, episode
+ * and episode_sources (mirror) rows through the shared pool (see db.js): MySQL, or a
+ * local SQLite catalog. The anime row
+ * is found by source and slug (see anime_identity.js) and its title kept as an alias.
+ * Genres and dub languages go to anime_genres/anime_languages; like the SQL export,
+ * metadata the page did not show never overwrites what is stored.
+ */
+
+const { withTransaction, dialectOf } = require('./db');
+const { cleanTitle: cleanAnimeTitle, findAnimeRow, recordAlias } = require('./anime_identity');
+const { scheduler } = require('./http_client');
+const { mapConcurrent } = require('./request_scheduler');
+
+// ─── Import Stats ──────────────────────────────────────────────────────────────
+
+function createImportStats() {
+    const counter = () => ({ inserted: 0, updated: 0, deleted: 0 });
+    return { anime: counter(), seasons: counter(), episodes: counter(), sources: counter() };
+}
+
+function formatImportStats(stats) {
+    return Object.entries(stats)
+        .map(([table, c]) => `  ${(table + ':').padEnd(10)} ${c.inserted} inserted, ${c.updated} updated, ${c.deleted} deleted`)
+        .join('\n');
+}
+
+/**
+ * Mirrors that can be stored: no tutorials, no links back to the site's episode pages.
+ */
+function storableSources(source, sources) {
+    return sources
+        .filter(s => !source._isTutorialLink(s.url) && !s.url.includes('/epi/'))
+        .map((s, i) => ({ ...s, priority: i + 1 }));
+}
+
+async function insertSources(conn, episodeId, sources, stats) {
+    for (const s of sources) {
+        await conn.execute(
+            'INSERT INTO episode_sources (episode_id, url, provider, quality, priority) VALUES (?, ?, ?, ?, ?)',
+            [episodeId, s.url, s.provider, s.quality, s.priority]
+        );
+        stats.sources.inserted++;
+    }
+}
+
+/**
+ * Replaces the anime's rows in a tag table (anime_genres, anime_languages); an empty
+ * list leaves them alone.
+ */
+async function replaceTags(conn, table, column, animeId, values = []) {
+    if (values.length === 0) return;
+    await conn.execute(`DELETE FROM ${table} WHERE anime_id = ?`, [animeId]);
+    const insertIgnore = dialectOf(conn) === 'sqlite' ? 'INSERT OR IGNORE' : 'INSERT IGNORE';
+    for (const value of values) {
+        await conn.execute(`${insertIgnore} INTO ${table} (anime_id, ${column}) VALUES (?, ?)`, [animeId, value]);
+    }
+}
+
+// ─── Import ────────────────────────────────────────────────────────────────────
+
+/**
+ * Import anime directly to database.
+ * Everything is scraped through `source` first; the writes for one anime then run in a single
+ * transaction on `pool` (the shared pool by default).
+ * Returns { success, title, stats } where stats counts inserted/updated/deleted rows per table.
+ */
+async function importToDb(source, slugOrUrl, { pool } = {}) {
+    try {
+        const details = await source.getAnimeDetails(slugOrUrl);
+        if (!details.title) return { success: false, error: 'Title not found' };
+
+        const cleanTitle = cleanAnimeTitle(details.title);
+        const identity = { source: source.id, slug: details.slug, title: cleanTitle, type: details.type };
+        const metadata = [details.year ?? null, details.status ?? null, details.rating ?? null];
+
+        // 1. Scrape seasons, episodes and links before touching the database
+        let movieSources = [];
+        let movieEpisodeId = null;
+        const seasonPlans = [];
+
+        if (details.type === 'movie') {
+            const episodes = await source.getEpisodes(details.slug);
+            const ep = episodes[0];
+            if (ep) {
+                movieEpisodeId = ep.episodeId;
+                movieSources = storableSources(source, await source.getEpisodeSources(ep.episodeId));
+
+                if (movieSources.length === 0) {
+                    console.error(`  SKIPPED: No valid video link found for ${cleanTitle}`);
+                    return { success: false, error: 'No valid video link found' };
+                }
+            }
+        } else {
+            let globalEpCount = 1;
+            for (const season of details.seasons) {
+                const allEpisodes = await source.getEpisodes(season.slug);
+                const seasonEpisodes = allEpisodes.filter(e => e.season === season.seasonNumber);
+                const rows = [];
+
+                // Mirrors resolve in parallel within the fetch limits; ep_order follows the page order
+                const resolved = await mapConcurrent(seasonEpisodes, scheduler.maxConcurrency, ep => source.getEpisodeSources(ep.episodeId));
+                for (const [i, ep] of seasonEpisodes.entries()) {
+                    const sources = storableSources(source, resolved[i]);
+                    if (sources.length > 0) {
+                        const link = sources[0].url;
+                        rows.push({ title: ep.title || `Episode ${ep.number}`, link, sources, episodeId: ep.episodeId, order: globalEpCount });
+                        console.error(`  Resolved S${season.seasonNumber}E${ep.number}: ${link} (${sources.length} mirror(s))`);
+                    }
+                    globalEpCount++;
+                }
+                seasonPlans.push({ season, rows });
+            }
+        }
+
+        // 2. Write everything for this anime atomically
+        const stats = createImportStats();
+        await withTransaction(async (conn) => {
+            const match = await findAnimeRow(conn, identity);
+
+            let animeId;
+            if (!match) {
+                const [res] = await conn.execute(
+                    `INSERT INTO anime (title, source, source_slug, description, poster_url, type, release_year, status, rating)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [cleanTitle, source.id, details.slug, details.description, details.poster, details.type, ...metadata]
+                );
+                animeId = res.insertId;
+                stats.anime.inserted++;
+            } else {
+                animeId = match.id;
+                // Rows from title-only dumps take on this source's identity
+                if (match.matchedBy !== 'source' && match.matchedBy !== 'alias') {
+                    console.error(`  Adopting anime #${animeId} (matched by ${match.matchedBy}, ${Math.round(match.score * 100)}%)`);
+                    await conn.execute('UPDATE anime SET source = ?, source_slug = ? WHERE id = ?', [source.id, details.slug, animeId]);
+                }
+                const [res] = await conn.execute(
+                    `UPDATE anime SET title = ?, description = ?, poster_url = ?, type = ?,
+                     release_year = COALESCE(?, release_year), status = COALESCE(?, status), rating = COALESCE(?, rating) WHERE id = ?`,
+                    [cleanTitle, details.description, details.poster, details.type, ...metadata, animeId]
+                );
+                if (res.changedRows > 0) stats.anime.updated++;
+            }
+            await recordAlias(conn, animeId, identity);
+            await replaceTags(conn, 'anime_genres', 'genre', animeId, details.genres);
+            await replaceTags(conn, 'anime_languages', 'language', animeId, details.languages);
+
+            if (details.type === 'movie') {
+                if (movieSources.length === 0) return;
+
+                // Purge existing movie entry to force update (its mirrors cascade)
+                const [del] = await conn.execute(
+                    'DELETE FROM episodes WHERE anime_id = ? AND season_id IS NULL',
+                    [animeId]
+                );
+                stats.episodes.deleted += del.affectedRows;
+
+                const [res] = await conn.execute(
+                    `INSERT INTO episodes (anime_id, season_id, title, dood_id, source_episode_id, ep_order) 
+                     VALUES (?, NULL, 'Watch Full Movie', ?, ?, 1)`,
+                    [animeId, movieSources[0].url, movieEpisodeId]
+                );
+                stats.episodes.inserted++;
+                await insertSources(conn, res.insertId, movieSources, stats);
+                return;
+            }
+
+            for (const { season, rows } of seasonPlans) {
+                const [seasonRows] = await conn.execute(
+                    'SELECT id, title FROM seasons WHERE anime_id = ? AND season_number = ? LIMIT 1',
+                    [animeId, season.seasonNumber]
+                );
+
+                let seasonId;
+                if (seasonRows.length === 0) {
+                    const [res] = await conn.execute(
+                        'INSERT INTO seasons (anime_id, title, season_number) VALUES (?, ?, ?)',
+                        [animeId, season.title, season.seasonNumber]
+                    );
+                    seasonId = res.insertId;
+                    stats.seasons.inserted++;
+                } else {
+                    seasonId = seasonRows[0].id;
+                    if (seasonRows[0].title !== season.title) {
+                        await conn.execute('UPDATE seasons SET title = ? WHERE id = ?', [season.title, seasonId]);
+                        stats.seasons.updated++;
+                    }
+                }
+
+                // Purge existing episodes for Season to force update (their mirrors cascade)
+                const [del] = await conn.execute(
+                    'DELETE FROM episodes WHERE anime_id = ? AND season_id = ?',
+                    [animeId, seasonId]
+                );
+                stats.episodes.deleted += del.affectedRows;
+
+                for (const row of rows) {
+                    const [res] = await conn.execute(
+                        'INSERT INTO episodes (anime_id, season_id, title, dood_id, source_episode_id, ep_order) VALUES (?, ?, ?, ?, ?, ?)',
+                        [animeId, seasonId, row.title, row.link, row.episodeId, row.order]
+                    );
+                    stats.episodes.inserted++;
+                    await insertSources(conn, res.insertId, row.sources, stats);
+                }
+            }
+        }, pool);
+
+        return { success: true, title: details.title, stats };
+    } catch (e) {
+        console.error('Import error:', e);
+        return { success: false, error: e.message || String(e) };
+    }
+}
+
+
+module.exports = { importToDb, createImportStats, formatImportStats };
@@ -0,0 +1,183 @@
+/**
+ * SQLite connection layer
+ *
+ * A local catalog file for offline work (`--db sqlite:./catalog.db`, see db.js), run
+ * in-process through sql.js, so no server is needed. SqlitePool answers the part of the
+ * mysql2 promise API the importer uses, so importToDb(), migrations and check-links run
+ * against it unchanged:
+ *
+ *   query/execute(sql, params)  -> [rows, fields] for statements returning rows, otherwise
+ *                                  [{ insertId, affectedRows, changedRows }]
+ *   getConnection()             -> a connection that also has beginTransaction(),
+ *                                  commit(), rollback() and release()
+ *   end()
+ *
+ * The database is held in memory and written back to its file (atomically) after every
+ * commit and every write outside a transaction; ':memory:' is never written. There is a
+ * single connection: getConnection() waits until the previous one is released.
+ * SQLite cannot tell unchanged rows from updated ones, so changedRows is affectedRows.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const initSqlJs = require('sql.js');
+
+const MEMORY = ':memory:';
+
+let engine = null;
+
+function loadEngine() {
+    if (!engine) engine = initSqlJs();
+    return engine;
+}
+
+/**
+ * A parameter as sql.js binds it (mysql2 accepts undefined, booleans and dates).
+ */
+function toSqliteValue(value) {
+    if (value === undefined || value === null) return null;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (value instanceof Date) return value.toISOString().slice(0, 19).replace('T', ' ');
+    return value;
+}
+
+// ─── Connection ────────────────────────────────────────────────────────────────
+
+class SqliteConnection {
+
+    constructor(pool, release) {
+        this.pool = pool;
+        this.dialect = 'sqlite';
+        this._release = release;
+    }
+
+    query(sql, params) {
+        return this.pool.query(sql, params);
+    }
+
+    execute(sql, params) {
+        return this.pool.query(sql, params);
+    }
+
+    async beginTransaction() {
+        await this.pool.query('BEGIN');
+        this.pool.inTransaction = true;
+    }
+
+    async commit() {
+        await this.pool.query('COMMIT');
+        this.pool.inTransaction = false;
+        this.pool.save();
+    }
+
+    async rollback() {
+        if (!this.pool.inTransaction) return;
+        this.pool.inTransaction = false;
+        try {
+            await this.pool.query('ROLLBACK');
+        } catch (e) {
+            // SQLite already rolled back on its own
+            if (!/no transaction is active/.test(e.message)) throw e;
+        }
+    }
+
+    release() {
+        if (this._release) this._release();
+        this._release = null;
+    }
+}
+
+// ─── Pool ──────────────────────────────────────────────────────────────────────
+
+class SqlitePool {
+
+    /**
+     * @param {string} file  database file (created on first write) or ':memory:'
+     */
+    constructor(file) {
+        this.file = file === MEMORY ? null : path.resolve(file);
+        this.dialect = 'sqlite';
+        this.inTransaction = false;
+        this._db = null;
+        this._opening = null;
+        this._queue = Promise.resolve();
+    }
+
+    async _open() {
+        if (this._db) return this._db;
+        if (!this._opening) {
+            this._opening = loadEngine().then(SQL => {
+                const data = this.file && fs.existsSync(this.file) ? fs.readFileSync(this.file) : null;
+                this._db = new SQL.Database(data);
+                this._configure();
+                return this._db;
+            });
+        }
+        return this._opening;
+    }
+
+    /**
+     * Per-connection settings; sql.js reopens the database on every export().
+     */
+    _configure() {
+        this._db.run('PRAGMA foreign_keys = ON');
+    }
+
+    async query(sql, params = []) {
+        const db = await this._open();
+        const stmt = db.prepare(sql);
+        try {
+            stmt.bind(params.map(toSqliteValue));
+            const columns = stmt.getColumnNames();
+            if (columns.length > 0) {
+                const rows = [];
+                while (stmt.step()) rows.push(stmt.getAsObject());
+                return [rows, columns.map(name => ({ name }))];
+            }
+            stmt.step();
+        } finally {
+            stmt.free();
+        }
+
+        const affectedRows = db.getRowsModified();
+        const insertId = db.exec('SELECT last_insert_rowid()')[0].values[0][0];
+        if (!this.inTransaction && !/^\s*(BEGIN|COMMIT|ROLLBACK)\b/i.test(sql)) this.save();
+        return [{ insertId, affectedRows, changedRows: affectedRows }];
+    }
+
+    execute(sql, params) {
+        return this.query(sql, params);
+    }
+
+    async getConnection() {
+        await this._open();
+        const previous = this._queue;
+        let release;
+        this._queue = new Promise(resolve => { release = resolve; });
+        await previous;
+        return new SqliteConnection(this, release);
+    }
+
+    /**
+     * Writes the database to its file (write to a temporary file, then rename).
+     */
+    save() {
+        if (!this._db || !this.file) return;
+        const data = this._db.export();
+        this._configure();
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        const tmp = `${this.file}.tmp`;
+        fs.writeFileSync(tmp, data);
+        fs.renameSync(tmp, this.file);
+    }
+
+    async end() {
+        if (this._opening) await this._opening;
+        if (!this._db) return;
+        this._db.close();
+        this._db = null;
+        this._opening = null;
+    }
+}
+
+module.exports = { SqlitePool, SqliteConnection };
@@ -0,0 +1,90 @@
+/**
+ * Checkpoint journal for bulk exports
+ *
+ * An append-only NDJSON file. The first line describes the run, every further line
+ * records one finished series together with its export record (see export_model.js),
+ * from which its output is rendered again in whatever format the resumed run uses:
+ *
+ *   { "type": "run", "source", "startedAt", "anime": [{ "title", "slug" }] }
+ *   { "type": "series", "slug", "status", "episodes", "found", "anime", "finishedAt" }
+ *
+ * `status` is "exported", "skipped" or "unchanged"; `found` counts the episodes seen,
+ * `episodes` the playable ones (journals written before `found` existed lack it). Series that failed are not
+ * recorded, so a resumed run retries them. Each line is flushed to disk before the
+ * next series starts; a torn last line (crash mid-write) is ignored on load.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class ExportJournal {
+
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.run = null;
+        this.series = new Map();
+    }
+
+    /**
+     * Reads an existing journal. A missing file leaves the journal empty (nothing to resume).
+     * A torn last line is cut off so later appends start on a clean line.
+     */
+    load() {
+        if (!fs.existsSync(this.filePath)) return this;
+
+        const content = fs.readFileSync(this.filePath, 'utf8');
+        const lines = content.split('\n');
+        let validLength = 0;
+        for (const [i, line] of lines.entries()) {
+            if (line.trim()) {
+                let record;
+                try {
+                    record = JSON.parse(line);
+                } catch (e) {
+                    if (i === lines.length - 1) break;
+                    throw new Error(`Corrupt journal ${this.filePath} at line ${i + 1}`);
+                }
+                if (record.type === 'run') this.run = record;
+                else if (record.type === 'series') this.series.set(record.slug, record);
+            }
+            validLength += Buffer.byteLength(line) + 1;
+        }
+
+        const size = Buffer.byteLength(content);
+        if (validLength < size) fs.truncateSync(this.filePath, validLength);
+        return this;
+    }
+
+    /**
+     * Starts a new journal, replacing any previous file.
+     */
+    start(run) {
+        fs.mkdirSync(path.dirname(path.resolve(this.filePath)), { recursive: true });
+        fs.writeFileSync(this.filePath, '');
+        this.series.clear();
+        this.run = { type: 'run', ...run };
+        this._append(this.run);
+    }
+
+    getSeries(slug) {
+        return this.series.get(slug) || null;
+    }
+
+    record(slug, { status, episodes = 0, found = episodes, anime = null }) {
+        const entry = { type: 'series', slug, status, episodes, found, anime, finishedAt: new Date().toISOString() };
+        this.series.set(slug, entry);
+        this._append(entry);
+    }
+
+    _append(record) {
+        const fd = fs.openSync(this.filePath, 'a');
+        try {
+            fs.writeSync(fd, JSON.stringify(record) + '\n');
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+}
+
+module.exports = { ExportJournal };
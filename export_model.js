@@ -0,0 +1,172 @@
+/**
+ * Export model
+ *
+ * Every exporter first scrapes an anime into one plain record, then renders that
+ * record as SQL (export_sql.js), JSON or NDJSON. The record layout is described by
+ * anime_record.schema.json:
+ *
+ *   {
+ *     "schemaVersion": 3,
+ *     "source": "animedekho",
+ *     "slug", "title", "description", "poster",
+ *     "type": "series" | "movie",
+ *     "genres", "year", "languages", "status", "rating",
+ *     "seasons": [{ "number", "title", "episodes": [{ "number", "order", "title", "episodeId", "link", "sources" }] }],
+ *     "movie": { "title", "episodeId", "link", "sources" } | null
+ *   }
+ *
+ * Only episodes with a playable link are kept. `order` numbers them across all
+ * seasons, the same way ep_order does in the database. `sources` lists every playable
+ * mirror ({ url, provider, quality, priority }, see providers.js); `link` is the first.
+ * The catalog metadata is normalized by the adapter (see anime_metadata.js).
+ */
+
+const { scheduler } = require('./http_client');
+const { mapConcurrent } = require('./request_scheduler');
+const { cleanTitle } = require('./anime_identity');
+
+const EXPORT_SCHEMA_VERSION = 3;
+
+/**
+ * Resolves the mirrors of an episode, reusing the ones stored in `state` when available.
+ * Newly resolved mirrors are remembered for the next run, the best one also as its link.
+ */
+async function resolveEpisodeSources(importer, slug, episodeId, state = null) {
+    const cached = state ? state.getSources(slug, episodeId) : null;
+    if (cached) return cached;
+
+    const sources = await importer.getEpisodeSources(episodeId);
+    const kept = sources.filter(source => !importer._isTutorialLink(source.url));
+    if (state && kept.length) {
+        state.setSources(slug, episodeId, kept);
+        state.setLink(slug, episodeId, kept[0].url);
+    }
+    return sources;
+}
+
+/**
+ * Returns why `link` cannot be exported, or null when it is playable.
+ */
+function rejectLink(importer, link) {
+    if (!link) return 'No video link found';
+    if (importer._isTutorialLink(link)) return `Tutorial link only (${link})`;
+    if (link.includes('/epi/') && !link.includes('cdn') && !link.includes('embed') && !link.includes('video')) {
+        return `Invalid link (${link})`;
+    }
+    return null;
+}
+
+/**
+ * Keeps the exportable mirrors and renumbers their priorities from 1.
+ * Returns { sources, reason } where `reason` explains why none is left.
+ */
+function playableSources(importer, sources) {
+    const kept = sources
+        .filter(source => !rejectLink(importer, source.url))
+        .map((source, i) => ({ ...source, priority: i + 1 }));
+    return { sources: kept, reason: kept.length ? null : rejectLink(importer, sources.length ? sources[0].url : null) };
+}
+
+/**
+ * Scrapes `slug` into an export record, or resolves to null when no title could be found.
+ * Options:
+ *   state          StateStore whose known links are reused (and extended)
+ *   knownEpisodes  episode list already fetched for `slug`, to avoid fetching it again
+ *   tally          object whose `found` is increased by every episode a link was looked
+ *                  for, playable or not (see scrape_health.js)
+ */
+async function buildAnimeRecord(importer, slug, { state = null, knownEpisodes = null, tally = null } = {}) {
+    const details = await importer.getAnimeDetails(slug);
+    if (!details.title) return null;
+
+    const record = {
+        schemaVersion: EXPORT_SCHEMA_VERSION,
+        source: importer.id,
+        slug: details.slug || slug,
+        title: cleanTitle(details.title),
+        description: details.description || '',
+        poster: details.poster || '',
+        type: details.type === 'movie' ? 'movie' : 'series',
+        genres: details.genres || [],
+        year: details.year || null,
+        languages: details.languages || [],
+        status: details.status || null,
+        rating: details.rating || null,
+        seasons: [],
+        movie: null,
+    };
+
+    // Seasons usually share one page; fetch each distinct page once
+    const pages = new Map(knownEpisodes ? [[slug, knownEpisodes]] : []);
+    const episodesOf = async (pageSlug) => {
+        if (!pages.has(pageSlug)) pages.set(pageSlug, await importer.getEpisodes(pageSlug));
+        return pages.get(pageSlug);
+    };
+
+    if (record.type === 'movie') {
+        const ep = (await episodesOf(slug))[0];
+        if (tally && ep) tally.found++;
+        const { sources, reason } = playableSources(importer, ep ? await resolveEpisodeSources(importer, slug, ep.episodeId, state) : []);
+
+        if (reason) console.error(`  SKIPPED: ${reason} for ${record.title}`);
+        else record.movie = { title: 'Watch Full Movie', episodeId: ep.episodeId, link: sources[0].url, sources };
+        return record;
+    }
+
+    let order = 1;
+    for (const season of details.seasons) {
+        const episodes = (await episodesOf(season.slug)).filter(ep => ep.season === season.seasonNumber);
+        if (tally) tally.found += episodes.length;
+        const entry = { number: season.seasonNumber, title: season.title, episodes: [] };
+        record.seasons.push(entry);
+
+        if (episodes.length === 0) {
+            console.error(`  SKIPPED Season ${season.seasonNumber}: No episodes`);
+            continue;
+        }
+
+        // Resolve in parallel (bounded by the fetch scheduler); results stay in episode order
+        const resolved = await mapConcurrent(episodes, scheduler.maxConcurrency,
+            ep => resolveEpisodeSources(importer, slug, ep.episodeId, state));
+
+        for (const [i, ep] of episodes.entries()) {
+            const { sources, reason } = playableSources(importer, resolved[i]);
+            if (reason) {
+                console.error(`    SKIPPED S${season.seasonNumber}E${ep.number}: ${reason}`);
+                continue;
+            }
+
+            const link = sources[0].url;
+            const mirrors = sources.length > 1 ? ` (+${sources.length - 1} mirror(s))` : '';
+            console.error(`    -> S${season.seasonNumber}E${ep.number}: ${link}${mirrors}`);
+            entry.episodes.push({
+                number: ep.number,
+                order: order++,
+                title: ep.title || `Episode ${ep.number}`,
+                episodeId: ep.episodeId,
+                link,
+                sources,
+            });
+        }
+    }
+
+    return record;
+}
+
+/**
+ * Number of playable episodes in a record (a movie counts as one).
+ */
+function countEpisodes(record) {
+    if (!record) return 0;
+    if (record.type === 'movie') return record.movie ? 1 : 0;
+    return record.seasons.reduce((n, s) => n + s.episodes.length, 0);
+}
+
+module.exports = {
+    EXPORT_SCHEMA_VERSION,
+    cleanTitle,
+    resolveEpisodeSources,
+    rejectLink,
+    buildAnimeRecord,
+    countEpisodes,
+};
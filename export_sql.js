@@ -0,0 +1,137 @@
+/**
+ * SQL rendering of export records (see export_model.js)
+ *
+ * Statements are keyed by source and slug (see anime_identity.js) and safe to replay:
+ * the anime row is looked up into @anime_id (by identity, a merged row's alias, or for
+ * rows from title-only dumps by title or title key) and only inserted when missing, its
+ * title is remembered as an alias, seasons are only inserted when missing, and each
+ * exported season's episodes are purged and re-inserted. Every episode's mirrors follow
+ * it into episode_sources. The mirrors are purged before their episodes: bulk exports
+ * switch foreign key checks off, and with them the ON DELETE CASCADE.
+ *
+ * Catalog metadata only ever replaces what the record knows: an empty description or
+ * poster and a null year, status or rating keep the stored one, and genres/languages are
+ * only replaced when listed.
+ *
+ * Output is written for one of SQL_DIALECTS (MySQL by default, see sql_builder.js); the
+ * ids written as @anime_id, @season_id and @episode_id below are export_vars entries
+ * in PostgreSQL and SQLite.
+ */
+
+const { titleKey } = require('./anime_identity');
+const { sqlBuilder, raw, DEFAULT_DIALECT } = require('./sql_builder');
+
+/**
+ * INSERT for the mirrors of the episode whose id is in @episode_id.
+ */
+function renderSourcesSql(b, sources = []) {
+    if (sources.length === 0) return '';
+    const episodeId = b.ref('episode_id');
+    const rows = sources.map(s => b.sql`  (${episodeId}, ${s.url}, ${s.provider}, ${s.quality}, ${s.priority})`);
+    return b.insertIgnore('episode_sources', ['episode_id', 'url', 'provider', 'quality', 'priority'], `VALUES\n${rows.join(',\n')}`);
+}
+
+/**
+ * Replaces the rows of a tag table (anime_genres, anime_languages) for the anime in @anime_id.
+ */
+function renderTagsSql(b, table, column, values = []) {
+    if (values.length === 0) return '';
+    const animeId = b.ref('anime_id');
+    const rows = values.map(v => b.sql`(${animeId}, ${v})`);
+    return `DELETE FROM ${table} WHERE anime_id = ${animeId};\n` +
+        b.insertIgnore(table, ['anime_id', column], `VALUES ${rows.join(', ')}`);
+}
+
+// ─── Record → SQL ──────────────────────────────────────────────────────────────
+
+/**
+ * Renders one export record as statements for `dialect`. Seasons without playable
+ * episodes are left out, so a failed scrape never purges episodes that are already in
+ * the database.
+ */
+function renderAnimeSql(record, { dialect = DEFAULT_DIALECT } = {}) {
+    const b = sqlBuilder(dialect);
+    const { title, source, slug } = record;
+    const key = titleKey(record.title);
+    const year = record.year ?? null;
+    const status = record.status ?? null;
+    const rating = record.rating ?? null;
+    const animeId = b.ref('anime_id');
+    const seasonId = b.ref('season_id');
+    const byIdentity = b.sql`(SELECT id FROM anime WHERE source = ${source} AND source_slug = ${slug} LIMIT 1)`;
+    let sql = '';
+    const write = text => { sql += text; };
+
+    write(`\n-- === ${record.title.replace(/[\r\n]+/g, ' ')} ===\n`);
+    write(`-- Find the anime by source and slug, a merged row's alias, or (rows without identity) by title\n`);
+    write(b.setVar('anime_id', byIdentity));
+    write(b.setVar('anime_id', b.sql`COALESCE(${animeId}, (SELECT anime_id FROM anime_aliases WHERE source = ${source} AND source_slug = ${slug} LIMIT 1))`));
+    write(b.setVar('anime_id', b.sql`COALESCE(${animeId}, (SELECT a.id FROM anime a WHERE a.source IS NULL AND (a.source_slug = ${slug} OR a.title = ${title}
+  OR a.id IN (SELECT anime_id FROM anime_aliases WHERE title_key = ${key})) ORDER BY a.id LIMIT 1))`));
+    write(b.sql`UPDATE anime SET source = ${source}, source_slug = ${slug} WHERE id = ${animeId} AND source IS NULL;\n`);
+    write(b.sql`UPDATE anime SET title = ${title}, description = COALESCE(NULLIF(${record.description || ''}, ''), description), poster_url = COALESCE(NULLIF(${record.poster || ''}, ''), poster_url),
+  release_year = COALESCE(${year}, release_year), status = COALESCE(${status}, status), rating = COALESCE(${rating}, rating) WHERE id = ${animeId};\n`);
+    write(`INSERT INTO anime (title, source, source_slug, description, poster_url, type, release_year, status, rating)\n`);
+    write(b.sql`SELECT ${title}, ${source}, ${slug}, ${record.description || ''}, ${record.poster || ''}, ${record.type}, ${year}, ${status}, ${rating}\n`);
+    write(`FROM (SELECT 1) AS tmp\n`);
+    write(`WHERE ${animeId} IS NULL;\n`);
+    write(b.setVar('anime_id', b.sql`COALESCE(${animeId}, ${byIdentity})`));
+    write(b.upsert('anime_aliases', ['anime_id', 'title', 'title_key', 'source', 'source_slug'], b.sql`VALUES (${animeId}, ${title}, ${key}, ${source}, ${slug})`, {
+        conflict: ['anime_id', 'source', 'source_slug', 'title_key'],
+        update: { title: b.inserted('title'), last_seen_at: raw('CURRENT_TIMESTAMP') },
+    }));
+    write(renderTagsSql(b, 'anime_genres', 'genre', record.genres));
+    write(renderTagsSql(b, 'anime_languages', 'language', record.languages));
+
+    // source_episode_id lets check-links re-resolve a dead link without matching titles
+    const episodeColumns = ['anime_id', 'season_id', 'title', 'dood_id', 'source_episode_id', 'ep_order'];
+
+    if (record.type === 'movie') {
+        if (!record.movie) return sql;
+
+        write(`-- Purge existing movie entry to force update\n`);
+        write(`DELETE FROM episode_sources WHERE episode_id IN (SELECT id FROM episodes WHERE anime_id = ${animeId} AND season_id IS NULL);\n`);
+        write(`DELETE FROM episodes WHERE anime_id = ${animeId} AND season_id IS NULL;\n`);
+
+        write(b.insertIgnore('episodes', episodeColumns, b.sql`\nVALUES (${animeId}, NULL, ${record.movie.title}, ${record.movie.link}, ${record.movie.episodeId}, 1)`));
+        write(b.setVar('episode_id', raw(`(SELECT id FROM episodes WHERE anime_id = ${animeId} AND season_id IS NULL LIMIT 1)`)));
+        write(renderSourcesSql(b, record.movie.sources));
+        return sql;
+    }
+
+    for (const season of record.seasons) {
+        if (season.episodes.length === 0) continue;
+
+        write(`\n-- Season ${season.number}\n`);
+        write(`-- Ensure season exists without duplicates\n`);
+        write(`INSERT INTO seasons (anime_id, title, season_number)\n`);
+        write(b.sql`SELECT ${animeId}, ${season.title}, ${season.number}\n`);
+        write(`FROM (SELECT 1) AS tmp\n`);
+        write(b.sql`WHERE NOT EXISTS (SELECT 1 FROM seasons s WHERE s.anime_id = ${animeId} AND s.season_number = ${season.number});\n`);
+
+        // Get Season ID for deletion query
+        write(b.setVar('season_id', b.sql`(SELECT id FROM seasons WHERE anime_id = ${animeId} AND season_number = ${season.number} LIMIT 1)`));
+
+        // Purge episodes for this season to force update
+        write(`-- Purge existing episodes for Season ${season.number} to force update\n`);
+        write(`DELETE FROM episode_sources WHERE episode_id IN (SELECT id FROM episodes WHERE season_id = ${seasonId});\n`);
+        write(`DELETE FROM episodes WHERE season_id = ${seasonId};\n`);
+
+        for (const ep of season.episodes) {
+            write(b.insertIgnore('episodes', episodeColumns, b.sql`
+SELECT
+  ${animeId} AS anime_id,
+  ${seasonId} AS season_id,
+  ${ep.title} AS title,
+  ${ep.link} AS dood_id,
+  ${ep.episodeId} AS source_episode_id,
+  ${ep.order} AS ep_order`));
+            write(b.setVar('episode_id', b.sql`(SELECT id FROM episodes WHERE season_id = ${seasonId} AND ep_order = ${ep.order} LIMIT 1)`));
+            write(renderSourcesSql(b, ep.sources));
+        }
+    }
+
+    return sql;
+}
+
+module.exports = { renderAnimeSql };
@@ -0,0 +1,180 @@
+/**
+ * Small regex/HTML helpers shared by the source adapters.
+ */
+
+// ─── Regex Helper ──────────────────────────────────────────────────────────────
+
+function extractAllMatches(text, regex) {
+    const matches = [];
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+        matches.push(match);
+    }
+    return matches;
+}
+
+// ─── HTML Entities ─────────────────────────────────────────────────────────────
+
+/**
+ * Basic HTML entity decoder for common entities.
+ */
+function decodeHTMLEntities(str) {
+    if (!str) return '';
+    return str
+        .replace(/&#039;/g, "'")
+        .replace(/&quot;/g, '"')
+        .replace(/&amp;/g, '&')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&#8211;/g, '-')
+        .replace(/&#8212;/g, '--')
+        .replace(/&hellip;/g, '...')
+        .replace(/&nbsp;/g, ' ');
+}
+
+/**
+ * Escapes a string for literal use inside a RegExp.
+ */
+function escapeRegExp(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// ─── Script Data ───────────────────────────────────────────────────────────────
+
+const MAX_LITERAL_DEPTH = 64;
+const LITERAL_ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', v: '\v', 0: '\0' };
+
+/**
+ * Reads one JavaScript literal (array, object, string, number, true/false/null) starting
+ * at `start`, without evaluating anything: unquoted keys, single quotes, comments and
+ * trailing commas are accepted, identifiers and expressions are a SyntaxError.
+ * Returns { value, end }.
+ */
+function readJsLiteral(text, start = 0) {
+    let i = start;
+    const fail = (message) => { throw new SyntaxError(`${message} at position ${i}`); };
+
+    const skip = () => {
+        for (;;) {
+            while (i < text.length && /\s/.test(text[i])) i++;
+            if (text.startsWith('//', i)) i = text.includes('\n', i) ? text.indexOf('\n', i) : text.length;
+            else if (text.startsWith('/*', i)) i = text.includes('*/', i) ? text.indexOf('*/', i) + 2 : fail('Unterminated comment');
+            else return;
+        }
+    };
+
+    const string = () => {
+        const quote = text[i++];
+        let out = '';
+        while (i < text.length && text[i] !== quote) {
+            let c = text[i++];
+            if (quote === '`' && c === '$' && text[i] === '{') fail('Template expressions are not supported');
+            if (c === '\\') {
+                c = text[i++];
+                if (c === 'u' || c === 'x') {
+                    const hex = c === 'x' ? text.substr(i, 2)
+                        : text[i] === '{' ? text.slice(i + 1, text.indexOf('}', i)) : text.substr(i, 4);
+                    if (!/^[0-9a-f]+$/i.test(hex)) fail('Invalid escape');
+                    i += hex.length + (c === 'u' && text[i] === '{' ? 2 : 0);
+                    c = String.fromCodePoint(parseInt(hex, 16));
+                } else if (c === '\n') {
+                    c = '';
+                } else {
+                    c = LITERAL_ESCAPES[c] !== undefined ? LITERAL_ESCAPES[c] : c;
+                }
+            }
+            out += c;
+        }
+        if (i >= text.length) fail('Unterminated string');
+        i++;
+        return out;
+    };
+
+    const word = () => {
+        const match = /^[A-Za-z_$][\w$]*/.exec(text.slice(i, i + 256));
+        if (!match) fail(`Unexpected ${i < text.length ? `"${text[i]}"` : 'end of input'}`);
+        i += match[0].length;
+        return match[0];
+    };
+
+    const key = () => {
+        skip();
+        const c = text[i];
+        if (c === '"' || c === "'") return string();
+        const number = /^(?:\d+\.?\d*|\.\d+)/.exec(text.slice(i, i + 64));
+        if (number) {
+            i += number[0].length;
+            return String(Number(number[0]));
+        }
+        return word();
+    };
+
+    const value = (depth) => {
+        if (depth > MAX_LITERAL_DEPTH) fail('Literal nested too deeply');
+        skip();
+        const c = text[i];
+        if (c === '[' || c === '{') return collection(depth + 1);
+        if (c === '"' || c === "'" || c === '`') return string();
+        const number = /^[-+]?(?:0x[0-9a-f]+|(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?)/i.exec(text.slice(i, i + 64));
+        if (number) {
+            i += number[0].length;
+            return Number(number[0]);
+        }
+        const name = word();
+        if (name === 'true') return true;
+        if (name === 'false') return false;
+        if (name === 'null' || name === 'undefined') return null;
+        i -= name.length;
+        return fail(`Unexpected identifier "${name}"`);
+    };
+
+    const collection = (depth) => {
+        const isArray = text[i++] === '[';
+        const close = isArray ? ']' : '}';
+        const out = isArray ? [] : {};
+        for (;;) {
+            skip();
+            if (text[i] === close) {
+                i++;
+                return out;
+            }
+            if (isArray) {
+                out.push(value(depth));
+            } else {
+                const name = key();
+                skip();
+                if (text[i] !== ':') fail('Expected ":"');
+                i++;
+                // Never through the setter: a "__proto__" key is plain data
+                Object.defineProperty(out, name, { value: value(depth), enumerable: true, writable: true, configurable: true });
+            }
+            skip();
+            if (text[i] === ',') i++;
+            else if (text[i] !== close) fail(`Expected "," or "${close}"`);
+        }
+    };
+
+    const result = value(0);
+    return { value: result, end: i };
+}
+
+/**
+ * Parses `text` as a single JavaScript literal (see readJsLiteral).
+ */
+function parseJsLiteral(text) {
+    const { value, end } = readJsLiteral(text);
+    if (/\S/.test(text.slice(end).replace(/^\s*;/, ''))) throw new SyntaxError(`Unexpected input after the literal at position ${end}`);
+    return value;
+}
+
+/**
+ * The literal assigned to `var|let|const <name> =` in an inline script, or undefined
+ * when the page has no such assignment.
+ */
+function readScriptVariable(html, name) {
+    const match = new RegExp(`\\b(?:const|let|var)\\s+${escapeRegExp(name)}\\s*=\\s*`).exec(html);
+    if (!match) return undefined;
+    return readJsLiteral(html, match.index + match[0].length).value;
+}
+
+module.exports = { extractAllMatches, decodeHTMLEntities, escapeRegExp, parseJsLiteral, readScriptVariable };
@@ -0,0 +1,111 @@
+/**
+ * On-disk HTTP cache used by fetchHTML.
+ *
+ * Layout under the cache directory:
+ *   entries/<sha256(url)>.json   { url, etag, lastModified, fetchedAt, bodyHash }
+ *   bodies/<sha256(body)>        response body (content-addressed, shared between URLs)
+ *
+ * Entries younger than the TTL are served without touching the network. Older entries
+ * are revalidated with If-None-Match / If-Modified-Since; a 304 reuses the stored body.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_CACHE_DIR = process.env.HTTP_CACHE_DIR || '.http_cache';
+const DEFAULT_TTL_SECONDS = parseInt(process.env.HTTP_CACHE_TTL || '3600');
+
+const sha256 = text => crypto.createHash('sha256').update(text).digest('hex');
+
+class HttpCache {
+
+    constructor({ dir = DEFAULT_CACHE_DIR, ttlSeconds = DEFAULT_TTL_SECONDS } = {}) {
+        this.dir = dir;
+        this.ttlSeconds = ttlSeconds;
+    }
+
+    _entryPath(url) {
+        return path.join(this.dir, 'entries', `${sha256(url)}.json`);
+    }
+
+    _bodyPath(bodyHash) {
+        return path.join(this.dir, 'bodies', bodyHash);
+    }
+
+    /**
+     * Returns the cached entry (with its body) for `url`, or null.
+     * Entries whose body file went missing are treated as absent.
+     */
+    get(url) {
+        try {
+            const entry = JSON.parse(fs.readFileSync(this._entryPath(url), 'utf8'));
+            entry.body = fs.readFileSync(this._bodyPath(entry.bodyHash), 'utf8');
+            return entry;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    isFresh(entry) {
+        return Date.now() - entry.fetchedAt < this.ttlSeconds * 1000;
+    }
+
+    /**
+     * Validator headers for revalidating a stale entry.
+     */
+    conditionalHeaders(entry) {
+        const headers = {};
+        if (entry.etag) headers['If-None-Match'] = entry.etag;
+        if (entry.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+        return headers;
+    }
+
+    /**
+     * Stores a 200 response. `headers` are the (lower-cased) response headers.
+     */
+    set(url, { headers = {}, body }) {
+        const bodyHash = sha256(body);
+        const bodyPath = this._bodyPath(bodyHash);
+        if (!fs.existsSync(bodyPath)) this._writeAtomic(bodyPath, body);
+
+        this._writeEntry(url, {
+            url,
+            etag: headers.etag || null,
+            lastModified: headers['last-modified'] || null,
+            fetchedAt: Date.now(),
+            bodyHash,
+        });
+    }
+
+    /**
+     * Marks a revalidated (304) entry as fresh again.
+     */
+    touch(url, entry) {
+        const { body, ...meta } = entry;
+        this._writeEntry(url, { ...meta, fetchedAt: Date.now() });
+    }
+
+    /**
+     * Removes every cached entry and body. Returns the number of entries removed.
+     */
+    clear() {
+        const entriesDir = path.join(this.dir, 'entries');
+        const count = fs.existsSync(entriesDir) ? fs.readdirSync(entriesDir).length : 0;
+        fs.rmSync(this.dir, { recursive: true, force: true });
+        return count;
+    }
+
+    _writeEntry(url, meta) {
+        this._writeAtomic(this._entryPath(url), JSON.stringify(meta));
+    }
+
+    _writeAtomic(file, content) {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const tmp = `${file}.${process.pid}.tmp`;
+        fs.writeFileSync(tmp, content);
+        fs.renameSync(tmp, file);
+    }
+}
+
+module.exports = { HttpCache, DEFAULT_CACHE_DIR, DEFAULT_TTL_SECONDS };
@@ -0,0 +1,131 @@
+/**
+ * HTTP client shared by all source adapters.
+ *
+ * All requests go through one RequestScheduler (see request_scheduler.js). Its limits
+ * come from FETCH_CONCURRENCY / FETCH_RATE / FETCH_BURST or configureFetch().
+ *
+ * Responses are kept in an on-disk HttpCache (see http_cache.js) unless disabled with
+ * HTTP_CACHE=0 or configureCache({ enabled: false }).
+ *
+ * Pages are fetched through a transport (see transports/): plain HTTP that escalates to a
+ * shared headless browser when a site serves a challenge page. The mode comes from
+ * FETCH_TRANSPORT (auto | http | browser) or configureTransport(); cookies are shared
+ * between both and persisted in FETCH_COOKIE_FILE when set.
+ */
+
+const { RequestScheduler } = require('./request_scheduler');
+const { HttpCache } = require('./http_cache');
+const { createTransport, CookieJar, HttpError, ChallengeError } = require('./transports');
+
+const scheduler = new RequestScheduler({
+    maxConcurrency: parseInt(process.env.FETCH_CONCURRENCY || '4'),
+    ratePerSecond: parseFloat(process.env.FETCH_RATE || '3'),
+    burst: parseFloat(process.env.FETCH_BURST || process.env.FETCH_RATE || '3'),
+});
+
+let cache = process.env.HTTP_CACHE === '0' ? null : new HttpCache();
+
+const throttle = url => scheduler.throttle(url);
+let cookieJar = new CookieJar(process.env.FETCH_COOKIE_FILE || null).load();
+let transport = createTransport({ mode: process.env.FETCH_TRANSPORT || 'auto', cookieJar, throttle });
+const fetchErrorListeners = new Set();
+
+/**
+ * Adjusts the shared scheduler: { maxConcurrency, ratePerSecond, burst }.
+ */
+function configureFetch(options) {
+    return scheduler.configure(options);
+}
+
+/**
+ * Enables/disables the disk cache or changes its location/TTL: { enabled, dir, ttlSeconds }.
+ * Returns the active HttpCache, or null when disabled.
+ */
+function configureCache({ enabled = true, ...options } = {}) {
+    cache = enabled ? new HttpCache({ ...(cache ? { dir: cache.dir, ttlSeconds: cache.ttlSeconds } : {}), ...options }) : null;
+    return cache;
+}
+
+function getCache() {
+    return cache;
+}
+
+/**
+ * Replaces the shared transport: { mode, cookieFile, browser: { maxPages, settleMs, ... } }.
+ * The previous transport is closed (its browser, if any, shut down).
+ * Returns the new FetchTransport.
+ */
+async function configureTransport({ mode = transport.mode, cookieFile, browser = {} } = {}) {
+    await transport.close();
+    if (cookieFile !== undefined) cookieJar = new CookieJar(cookieFile).load();
+    transport = createTransport({ mode, cookieJar, throttle, browser });
+    return transport;
+}
+
+/**
+ * Installs a custom transport (any object with request(url, options) and close()).
+ * Returns the previous one, which is left open.
+ */
+function setTransport(custom) {
+    const previous = transport;
+    transport = custom;
+    return previous;
+}
+
+/**
+ * Closes the browser (if one was launched) and saves the cookie jar.
+ * Long-running commands must call this before exiting.
+ */
+async function closeTransport() {
+    await transport.close();
+    cookieJar.save();
+}
+
+/**
+ * Calls `listener(error, url)` for every failed fetchHTML(), including failures the
+ * caller swallows (see scrape_health.js). Returns a function that removes the listener.
+ */
+function onFetchError(listener) {
+    fetchErrorListeners.add(listener);
+    return () => fetchErrorListeners.delete(listener);
+}
+
+// ─── HTTP Helper ───────────────────────────────────────────────────────────────
+
+/**
+ * Fetches a page as text, within the shared concurrency and per-host rate limits.
+ * Fresh cache hits skip the network; stale ones are revalidated with a conditional request.
+ * `useCache: false` always fetches and leaves the cache untouched (liveness checks).
+ */
+async function fetchHTML(url, retries = 3, delay = 1000, { useCache = true } = {}) {
+    const store = useCache ? cache : null;
+    const cached = store ? store.get(url) : null;
+    if (cached && store.isFresh(cached)) return cached.body;
+
+    return scheduler.run(async () => {
+        const res = await transport.request(url, { headers: cached ? store.conditionalHeaders(cached) : {}, retries, delay });
+        if (res.status === 304 && cached) {
+            store.touch(url, cached);
+            return cached.body;
+        }
+        if (store) store.set(url, res);
+        return res.body;
+    }).catch(e => {
+        fetchErrorListeners.forEach(listener => listener(e, url));
+        throw e;
+    });
+}
+
+module.exports = {
+    fetchHTML,
+    configureFetch,
+    configureCache,
+    getCache,
+    configureTransport,
+    setTransport,
+    closeTransport,
+    onFetchError,
+    scheduler,
+    HttpError,
+    ChallengeError,
+};
@@ -1,845 +1,76 @@
 /**
- * AnimeDekho.app Importer (HTML Scraper version)
+ * Anime catalog importer / SQL exporter
  *
- * animedekho.app is a server-rendered HTML site with a different structure than animerulz.cc.
- * Key differences:
- * - Anime pages at /serie/slug/
- * - Episodes listed as S1-E1, S2-E33 inline on the page
- * - Episode watch pages at /epi/slug-seasonxepisode/
+ * Scrapes anime, seasons, episodes and playable links through a source adapter
+ * (see sources/) and either writes them to a database (MySQL, or a local SQLite catalog
+ * with --db sqlite:<file>) or emits SQL on stdout.
+ * The site is chosen with --source (default: animedekho).
  *
  * Usage:
  *   node animedekho_importer.js search "Naruto"
  *   node animedekho_importer.js db-export "Naruto" > output.sql
  *   node animedekho_importer.js bulk-export 50 > all_anime.sql
+ *   node animedekho_importer.js bulk-export 50 --source toonstream > toonstream.sql
+ *   node animedekho_importer.js catalog > catalog.txt
+ *   node animedekho_importer.js apply bulk_export_2026-08-22.sql --db sqlite:./catalog.db
+ *   node animedekho_importer.js diff bulk_export_2026-08-21.sql bulk_export_2026-08-22.sql
  */
 
-const https = require('https');
-const http = require('http');
 const fs = require('fs');
-
-const SITE_BASE = 'https://animedekho.app';
-
-const sleep = ms => new Promise(res => setTimeout(res, ms));
-
-// ─── HTTP Helper ───────────────────────────────────────────────────────────────
-
-function fetchHTML(url, retries = 3, delay = 1000) {
-    return new Promise((resolve, reject) => {
-        const attemptFetch = (n) => {
-            const mod = url.startsWith('https') ? https : http;
-            const req = mod.get(url, {
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-                    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-                    'Accept-Language': 'en-US,en;q=0.5',
-                    'Cookie': 'toronites_server=vidstream'
-                },
-                timeout: 30000,
-            }, (res) => {
-                // Follow redirects
-                if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-                    const redirectUrl = res.headers.location.startsWith('http')
-                        ? res.headers.location
-                        : new URL(res.headers.location, url).toString();
-                    fetchHTML(redirectUrl, retries, delay).then(resolve).catch(reject);
-                    return;
-                }
-
-                if (res.statusCode >= 400) {
-                    if (n > 0 && (res.statusCode === 429 || res.statusCode >= 500)) {
-                        console.error(`  HTTP ${res.statusCode} for ${url}. Retrying in ${delay}ms... (${n} left)`);
-                        setTimeout(() => attemptFetch(n - 1), delay);
-                        return;
-                    }
-                    reject(new Error(`HTTP ${res.statusCode}`));
-                    return;
-                }
-
-                let data = '';
-                res.setEncoding('utf8');
-                res.on('data', chunk => data += chunk);
-                res.on('end', () => resolve(data));
-            });
-
-            req.on('error', (err) => {
-                if (n > 0) {
-                    console.error(`  Error fetching ${url}: ${err.message}. Retrying in ${delay}ms... (${n} left)`);
-                    setTimeout(() => attemptFetch(n - 1), delay * 1.5); // Exponential backoff
-                } else {
-                    reject(err);
-                }
-            });
-
-            req.on('timeout', () => {
-                req.destroy();
-                if (n > 0) {
-                    console.error(`  Timeout fetching ${url}. Retrying in ${delay}ms... (${n} left)`);
-                    setTimeout(() => attemptFetch(n - 1), delay * 1.5);
-                } else {
-                    reject(new Error('Request timeout'));
-                }
-            });
-        };
-
-        attemptFetch(retries);
-    });
-}
-
-// ─── Regex Helper ──────────────────────────────────────────────────────────────
-
-function extractAllMatches(text, regex) {
-    const matches = [];
-    let match;
-    while ((match = regex.exec(text)) !== null) {
-        matches.push(match);
+const { parseArgs } = require('util');
+const { getPool, closePool, withTransaction, configureDb, dialectOf } = require('./db');
+const { migrateUp, migrateDown, migrationStatus } = require('./migrate');
+const { StateStore, DEFAULT_STATE_FILE } = require('./state_store');
+const { ExportJournal } = require('./export_journal');
+const { formatImportStats } = require('./db_import');
+const { HttpError, configureFetch, configureCache, getCache, configureTransport, closeTransport, onFetchError, scheduler } = require('./http_client');
+const { HttpCache } = require('./http_cache');
+const { EXPORT_SCHEMA_VERSION, buildAnimeRecord, countEpisodes } = require('./export_model');
+const { renderAnimeSql } = require('./export_sql');
+const { sqlBuilder, SQL_DIALECTS, DEFAULT_DIALECT } = require('./sql_builder');
+const { checkLinks, formatLinkReport, summarizeLinkCheck, renderLinkPatchSql, applyLinkPatch, loadStoredEpisodes } = require('./link_checker');
+const { AnimeDekhoImporter, createSource, listSources, DEFAULT_SOURCE } = require('./sources');
+const { loadProviderPlugins } = require('./providers');
+const { formatProfileTrace, PAGE_TYPES } = require('./selector_profile');
+const { ScrapeHealth, HealthHistory, reportHealth } = require('./scrape_health');
+const { loadAnimeCatalog, findDuplicates, mergeStatements, formatDuplicateReport } = require('./anime_identity');
+const { ScheduleStore, DEFAULT_SCHEDULE_FILE, SCHEDULE_FORMATS, refreshSchedule, renderScheduleIcs } = require('./release_schedule');
+const { planScrape, formatPlan } = require('./scrape_planner');
+const { CATALOG_FORMATS, collectCatalog, formatCatalog } = require('./site_catalog');
+const { applyDump } = require('./sql_dump');
+const { DIFF_FORMATS, readStoredCatalog, readDumpCatalog, skippedSeries, diffCatalogs, formatCatalogDiff } = require('./catalog_diff');
+
+// ─── Output Formats ────────────────────────────────────────────────────────────
+
+const EXPORT_FORMATS = ['sql', 'json', 'ndjson'];
+
+function assertFormat(format) {
+    if (!EXPORT_FORMATS.includes(format)) {
+        throw new Error(`Unknown format "${format}". Available: ${EXPORT_FORMATS.join(', ')}`);
     }
-    return matches;
 }
 
-// ─── SQL Escape ────────────────────────────────────────────────────────────────
-
-function sqlEscape(str) {
-    if (!str) return '';
-    return str.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n').replace(/\r/g, '');
-}
+// ─── Database ──────────────────────────────────────────────────────────────────
 
 /**
- * Basic HTML entity decoder for common entities.
+ * The shared pool, for commands that write to it. A SQLite catalog is created or brought
+ * up to date on the way; MySQL is only ever migrated with `migrate up`.
  */
-function decodeHTMLEntities(str) {
-    if (!str) return '';
-    return str
-        .replace(/&#039;/g, "'")
-        .replace(/&quot;/g, '"')
-        .replace(/&amp;/g, '&')
-        .replace(/&lt;/g, '<')
-        .replace(/&gt;/g, '>')
-        .replace(/&#8211;/g, '-')
-        .replace(/&#8212;/g, '--')
-        .replace(/&hellip;/g, '...')
-        .replace(/&nbsp;/g, ' ');
-}
-
-// ─── Importer Class ────────────────────────────────────────────────────────────
-
-class AnimeDekhoImporter {
-
-    /**
-     * Search for anime using the site's search functionality.
-     */
-    async search(query) {
-        const results = [];
-        const seenSlugs = new Set();
-
-        try {
-            // Use the official search URL provided by the user
-            const searchUrl = `${SITE_BASE}/?s=${encodeURIComponent(query)}`;
-            const html = await fetchHTML(searchUrl);
-
-            // Pattern for search results: look for article blocks
-            const articleRegex = /<article[^>]*>([\s\S]*?)<\/article>/gi;
-            const articles = extractAllMatches(html, articleRegex);
-
-            for (const match of articles) {
-                const block = match[1];
-                const linkMatch = block.match(/href="https:\/\/animedekho\.app\/serie\/([^\/]+)\/"/i);
-
-                if (linkMatch) {
-                    const slug = linkMatch[1].replace(/\/+$/, '');
-                    if (slug && !seenSlugs.has(slug)) {
-                        // Title is usually in h2.entry-title or h3.post-title
-                        const titleMatch = block.match(/<(?:h2|h3)[^>]*>(.*?)<\/(?:h2|h3)>/i);
-                        let title = titleMatch ? decodeHTMLEntities(titleMatch[1].replace(/<[^>]+>/g, '').trim()) : '';
-
-                        if (!title) {
-                            title = decodeHTMLEntities(slug.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase()));
-                        }
-
-                        seenSlugs.add(slug);
-                        results.push({
-                            title: title,
-                            url: `${SITE_BASE}/serie/${slug}/`,
-                            slug: slug,
-                            type: (title && title.toLowerCase().includes('movie')) || (slug && slug.includes('movie')) ? 'movie' : 'series',
-                        });
-                    }
-                }
-            }
-
-            // Fallback: If no results found with specific search pattern, try original list parsing
-            if (results.length === 0) {
-                results.push(...this._parseAnimeList(html));
-            }
-
-        } catch (e) {
-            console.error(`Search error: ${e.message}`);
-        }
-
-        // If still no results, fallback to homepage scraping (original behavior)
-        if (results.length === 0) {
-            try {
-                const homeHtml = await fetchHTML(`${SITE_BASE}/home/`);
-                results.push(...this._parseAnimeList(homeHtml));
-            } catch (e) {
-                console.error(`Home fallback error: ${e.message}`);
-            }
-        }
-
-        // Filter results by query match (partial)
-        const lowerQuery = query.toLowerCase();
-        const filtered = results.filter(r =>
-            (r.title && r.title.toLowerCase().includes(lowerQuery)) ||
-            (r.slug && r.slug.toLowerCase().includes(lowerQuery)) ||
-            (r.title && lowerQuery.split(' ').every(word => r.title.toLowerCase().includes(word)))
-        );
-
-        // Remove duplicates by slug
-        const finalResults = [];
-        const finalSeen = new Set();
-        for (const r of filtered) {
-            if (!finalSeen.has(r.slug)) {
-                finalSeen.add(r.slug);
-                finalResults.push(r);
-            }
-        }
-        return finalResults;
-    }
-
-    /**
-     * Get the estimated schedule from the homepage.
-     */
-
-    /**
-     * Get the estimated schedule from the homepage.
-     */
-    async getSchedule() {
-        try {
-            const html = await fetchHTML(`${SITE_BASE}/home/`);
-
-            // Extract the scheduleData array from the script tag
-            const match = html.match(/const scheduleData = (\[[\s\S]*?\]);/);
-
-            if (!match) return JSON.stringify({ error: "Schedule data script not found." });
-
-            const rawData = match[1];
-            return rawData.trim();
-        } catch (e) {
-            return JSON.stringify({ error: `Error fetching schedule: ${e.message}` });
-        }
-    }
-
-    /**
-     * Helper to clean anime titles by removing common SEO suffixes/prefixes.
-     */
-    _cleanTitle(title) {
-        if (!title) return '';
-        return title
-            .replace(/\s*[-|]\s*(?:Watch|Free|Streaming|Anime|Online|ToonStream|Episode|Hindi Dubbed|All Season Episodes).*$/i, '')
-            .replace(/Watch\s+Online\s+/i, '')
-            .replace(/\s+in\s+Hindi\s+Dubbed.*$/i, '')
-            .replace(/\s+All\s+Season\s+Episodes.*$/i, '')
-            .replace(/\s+/g, ' ')
-            .trim();
-    }
-
-    _parseAnimeList(html) {
-        const results = [];
-        const seenSlugs = new Set();
-
-        // Pattern 1: h2 headers with Watch Now links (Markdown-ish style found in some pages)
-        const animeRegex = /<h[23][^>]*>([^<]+)<\/h[23]>\s*\[[^\]]*\]\((https:\/\/animedekho\.app\/serie\/([^\/]+)\/)\)/gi;
-        const matches = extractAllMatches(html, animeRegex);
-
-        for (const match of matches) {
-            const rawTitle = match[1].trim();
-            const title = this._cleanTitle(rawTitle);
-            const url = match[2];
-            const slug = match[3].replace(/\/+$/, '');
-
-            if (slug && title && !seenSlugs.has(slug)) {
-                const isMovie = title.toLowerCase().includes('movie') ||
-                    slug.includes('movie') ||
-                    /\bfilm\b/i.test(title);
-
-                seenSlugs.add(slug);
-                results.push({
-                    title: title,
-                    url: url,
-                    slug: slug,
-                    type: isMovie ? 'movie' : 'series',
-                });
-            }
-        }
-
-        // Pattern 2: Serie links with titles inside (Standard HTML links)
-        const serieRegex = /href="(https:\/\/animedekho\.app\/serie\/([^\/]+)\/)"[^>]*>([^<]+)<\/a>/gi;
-        const serieMatches = extractAllMatches(html, serieRegex);
-
-        for (const match of serieMatches) {
-            const url = match[1];
-            const slug = match[2].replace(/\/+$/, '');
-            const rawTitle = match[3].trim();
-            const title = this._cleanTitle(rawTitle);
-
-            if (slug && title && !seenSlugs.has(slug) && title.length > 2 && !title.includes('Watch Series') && !title.includes('Series')) {
-                const isMovie = title.toLowerCase().includes('movie') ||
-                    slug.includes('movie') ||
-                    /\bfilm\b/i.test(title);
-
-                seenSlugs.add(slug);
-                results.push({
-                    title: title,
-                    url: url,
-                    slug: slug,
-                    type: isMovie ? 'movie' : 'series',
-                });
-            }
-        }
-
-        // Pattern 3: Watch Series buttons - look for the title in the nearest H2/H3
-        // Structure usually: <h2 ...>Title</h2> ... <a ...>Watch Series</a>
-        const blocks = html.split(/<h[23]/i);
-        for (let i = 1; i < blocks.length; i++) {
-            const block = blocks[i];
-            const titleMatch = block.match(/>([^<]+)<\/h[23]>/i);
-            const linkMatch = block.match(/href="(https:\/\/animedekho\.app\/serie\/([^\/]+)\/)"[^>]*>Watch Series<\/a>/i);
-
-            if (titleMatch && linkMatch) {
-                const rawTitle = titleMatch[1].trim();
-                const title = this._cleanTitle(rawTitle);
-                const url = linkMatch[1];
-                const slug = linkMatch[2].replace(/\/+$/, '');
-
-                if (slug && !seenSlugs.has(slug)) {
-                    seenSlugs.add(slug);
-                    results.push({
-                        title: title,
-                        url: url,
-                        slug: slug,
-                        type: title.toLowerCase().includes('movie') || slug.includes('movie') ? 'movie' : 'series',
-                    });
-                }
-            }
-        }
-
-        return results;
-    }
-
-
-    /**
-     * Get anime details by scraping the anime page HTML.
-     */
-    async getAnimeDetails(slugOrUrl) {
-        let slug = slugOrUrl;
-        if (slugOrUrl.startsWith('http')) {
-            slug = slugOrUrl.replace(/^https?:\/\/[^/]+\/serie\//, '').replace(/\/$/, '');
-        }
-
-        const url = `${SITE_BASE}/serie/${slug}/`;
-        const html = await fetchHTML(url);
-
-        // Extract title
-        let title = '';
-        const ogTitleMatch = html.match(/<meta[^>]*property="og:title"[^>]*content="([^"]+)"/i);
-        if (ogTitleMatch) {
-            title = decodeHTMLEntities(ogTitleMatch[1])
-                .replace(/\s*[-|]\s*(?:Watch|Free|Streaming|Anime|Online|ToonStream|Episode|Hindi Dubbed|All Season Episodes).*$/i, '')
-                .replace(/Watch\s+Online\s+/i, '')
-                .replace(/\s+in\s+Hindi\s+Dubbed.*$/i, '')
-                .replace(/\s+All\s+Season\s+Episodes.*$/i, '')
-                .replace(/\s+/g, ' ')
-                .trim();
-        }
-
-        // Extract description
-        let description = '';
-        const descPatterns = [
-            /<meta[^>]*name="description"[^>]*content="([^"]+)"/i,
-            /<meta[^>]*property="og:description"[^>]*content="([^"]+)"/i,
-        ];
-        for (const pattern of descPatterns) {
-            const descMatch = html.match(pattern);
-            if (descMatch) {
-                description = decodeHTMLEntities(descMatch[1])
-                    .replace(/<[^>]+>/g, ' ')
-                    .replace(/&nbsp;/g, ' ')
-                    .replace(/&[a-z]+;/gi, '')
-                    .replace(/\s+/g, ' ')
-                    .trim();
-                break;
-            }
-        }
-
-        // Extract poster
-        let poster = '';
-        const posterPatterns = [
-            // Standard poster in aside/post-thumbnail
-            /<aside[^>]*>[\s\S]*?<div class="post-thumbnail"[^>]*>[\s\S]*?<img [^>]*src="([^"]+)"/i,
-            // Any figure with an image
-            /<figure[^>]*>[\s\S]*?<img [^>]*src="([^"]+)"/i,
-            // Open Graph image
-            /<meta[^>]*property="og:image"[^>]*content="([^"]+)"/i,
-            // Fallback to any TMDB image link
-            /https:\/\/image\.tmdb\.org\/t\/p\/w\d+\/[^"'\s<>]+/i
-        ];
-        for (const pattern of posterPatterns) {
-            const match = html.match(pattern);
-            if (match) {
-                poster = match[1] || match[0];
-                // Prefer high-quality TMDB images
-                if (poster.includes('image.tmdb.org')) {
-                    poster = poster.replace(/\/w\d+\//, '/w500/');
-                }
-                break;
-            }
-        }
-
-        // Determine type
-        const isMovie = title.toLowerCase().includes('movie') ||
-            slug.includes('movie') ||
-            /\bfilm\b/i.test(title);
-        const type = isMovie ? 'movie' : 'series';
-
-        // Build season list from episode markers (S1-E1, S2-E33, etc.)
-        let seasonList = [];
-        const seasonRegex = /S(\d+)-E\d+/gi;
-        const seasonMatches = extractAllMatches(html, seasonRegex);
-
-        for (const match of seasonMatches) {
-            const seasonNum = parseInt(match[1]);
-            if (!isNaN(seasonNum) && seasonNum > 0 && !seasonList.find(s => s.seasonNumber === seasonNum)) {
-                seasonList.push({
-                    seasonNumber: seasonNum,
-                    slug: slug,
-                    title: `Season ${seasonNum}`,
-                });
-            }
-        }
-
-        seasonList.sort((a, b) => a.seasonNumber - b.seasonNumber);
-
-        if (seasonList.length === 0) {
-            seasonList.push({ seasonNumber: 1, slug: slug, title: 'Season 1' });
-        }
-
-        return {
-            title: title,
-            description: description,
-            poster: poster,
-            type: type,
-            totalEpisodes: 0,
-            totalSeasons: seasonList.length,
-            seasons: seasonList,
-            slug: slug,
-        };
-    }
-
-    /**
-     * Get episodes by parsing S#-E# markers from the anime page.
-     * Returns episodes in format: {episodeId, number, title, season}
-     */
-    async getEpisodes(slug) {
-        const episodes = [];
-        const url = `${SITE_BASE}/serie/${slug}/`;
-
-        try {
-            const html = await fetchHTML(url);
-
-            // 1. Robust Scraping: Find all list items in seasons-lst
-            const liRegex = /<li>([\s\S]*?)<\/li>/gi;
-            const liMatches = extractAllMatches(html, liRegex);
-
-            for (const match of liMatches) {
-                const block = match[1];
-
-                // Matches patterns like <span>S1-E1</span> Episode Title
-                const titleMatch = block.match(/<span>S(\d+)-E(\d+)<\/span>\s*([^<]+)/i);
-                // Matches /epi/ links
-                const linkMatch = block.match(/href="([^"]*\/epi\/[^"]+)\/"/i) || block.match(/href="([^"]*\/epi\/[^"]+)"/i);
-
-                if (titleMatch && linkMatch) {
-                    const seasonNum = parseInt(titleMatch[1]);
-                    const episodeNum = parseInt(titleMatch[2]);
-                    const epTitle = titleMatch[3].trim();
-                    let epSlug = linkMatch[1].replace(/^https?:\/\/animedekho\.app\/epi\//, '').replace(/\/$/, '');
-
-                    if (!isNaN(seasonNum) && !isNaN(episodeNum)) {
-                        const key = `${seasonNum}x${episodeNum}`;
-                        if (!episodes.find(e => `${e.season}x${e.number}` === key)) {
-                            episodes.push({
-                                episodeId: epSlug,
-                                number: episodeNum,
-                                title: epTitle || `Episode ${episodeNum}`,
-                                season: seasonNum,
-                                isFiller: false,
-                            });
-                        }
-                    }
-                }
-            }
-
-            // 2. Fallback: If no links found via the structured list, try loose regex patterns
-            if (episodes.length === 0) {
-                const episodeRegex = /S(\d+)-E(\d+)\s+([^<[\n]+)/gi;
-                const epMatches = extractAllMatches(html, episodeRegex);
-                for (const m of epMatches) {
-                    const s = parseInt(m[1]);
-                    const e = parseInt(m[2]);
-                    const t = m[3].trim().replace(/<[^>]+>/g, '').trim();
-                    if (!isNaN(s) && !isNaN(e)) {
-                        episodes.push({
-                            episodeId: `${slug}-${s}x${e}`,
-                            number: e,
-                            title: t,
-                            season: s,
-                            isFiller: false
-                        });
-                    }
-                }
-            }
-
-            return episodes.sort((a, b) => {
-                if (a.season !== b.season) return a.season - b.season;
-                return a.number - b.number;
-            });
-
-        } catch (e) {
-            console.error(`Error getting episodes for ${slug}: ${e.message}`);
-            return [];
-        }
-    }
-
-    /**
-     * Get video link for an episode by scraping the episode page.
-     * Systematic multi-server fallback: tries ALL servers until a direct video link is found.
-     */
-    async getEpisodeLink(episodeId) {
-        try {
-            const watchUrl = `${SITE_BASE}/epi/${episodeId}/`;
-            const html = await fetchHTML(watchUrl);
-
-            // 1. Extract ALL potential server sources
-            const serverSources = [];
-
-            // From data-src (Priority)
-            const dataSrcRegex = /data-src=["']([a-zA-Z0-9+/=]+)["']/gi;
-            const dataSrcMatches = extractAllMatches(html, dataSrcRegex);
-            for (const match of dataSrcMatches) {
-                try {
-                    const decoded = Buffer.from(match[1], 'base64').toString('utf8');
-                    if (decoded.startsWith('http') && !serverSources.includes(decoded)) {
-                        serverSources.push(decoded);
-                    }
-                } catch (e) { }
-            }
-
-            // From dl2.php pattern
-            const dl2Regex = /https?:\/\/animedekho\.app\/download\/dl2\.php\?url=([a-zA-Z0-9+/=]+)/gi;
-            const dl2Matches = extractAllMatches(html, dl2Regex);
-            for (const match of dl2Matches) {
-                try {
-                    const decoded = Buffer.from(match[1], 'base64').toString('utf8');
-                    if (decoded.startsWith('http') && !serverSources.includes(decoded)) {
-                        serverSources.push(decoded);
-                    }
-                } catch (e) { }
-            }
-
-            // From raw iframes on page
-            const iframeRegex = /<iframe[^>]*src="([^"]+)"/gi;
-            const iframeMatches = extractAllMatches(html, iframeRegex);
-            for (const match of iframeMatches) {
-                let src = match[1];
-                if (src.startsWith('/')) src = SITE_BASE + src;
-                if (!serverSources.includes(src)) serverSources.push(src);
-            }
-
-            // 2. Resolve sources one by one
-            let fallbackInternalLink = null;
-
-            for (const source of serverSources) {
-                if (this._isTutorialLink(source)) continue;
-
-                // If already a known-good direct provider, return it
-                if (this._isDirectVideoLink(source)) return source;
-
-                // Try to resolve internal animedekho.app/embed links
-                if (source.includes('animedekho.app/embed') || source.includes('animedekho.app/redirect')) {
-                    const resolved = await this._resolveSource(source);
-                    if (resolved) {
-                        if (this._isDirectVideoLink(resolved)) {
-                            return resolved; // Found a working direct link via this server!
-                        } else if (!fallbackInternalLink && !this._isTutorialLink(resolved)) {
-                            // Keep the first non-tutorial internal link as a last-resort fallback
-                            fallbackInternalLink = resolved;
-                        }
-                    }
-                } else if (!this._isTutorialLink(source)) {
-                    // It's some other external link, return it if nothing else found
-                    if (!fallbackInternalLink) fallbackInternalLink = source;
-                }
-            }
-
-            return fallbackInternalLink;
-
-        } catch (e) {
-            console.error(`  Error in getEpisodeLink for ${episodeId}: ${e.message}`);
-            return null;
-        }
-    }
-
-    /**
-     * Resolves an internal embed URL to its actual video provider link.
-     */
-    async _resolveSource(sourceUrl) {
-        try {
-            const embedHtml = await fetchHTML(sourceUrl);
-            const iframeRegex = /<iframe[^>]*src="([^"]+)"/gi;
-            const allIframes = extractAllMatches(embedHtml, iframeRegex);
-
-            for (const match of allIframes) {
-                const src = match[1];
-                let fullSrc = src.startsWith('//') ? 'https:' + src : src;
-
-                if (fullSrc.startsWith('/')) {
-                    try {
-                        const origin = new URL(sourceUrl).origin;
-                        fullSrc = origin + fullSrc;
-                    } catch (e) {
-                        fullSrc = SITE_BASE + fullSrc;
-                    }
-                }
-
-                if (this._isTutorialLink(fullSrc)) continue;
-                if (this._isDirectVideoLink(fullSrc)) return fullSrc;
-            }
-
-            // Fallback: Check for video links in scripts
-            const scriptRegex = /https?:\/\/[^/]+(?:as-cdn21\.top|play\.zephyrflick\.top|vidstreaming|dood|stream|vidmoly|gdmirrorbot|short\.icu|hubcloud|pixeldraw|streamwish)[^"'\\s<>]+/gi;
-            const scriptMatches = embedHtml.match(scriptRegex);
-            if (scriptMatches) {
-                for (const link of scriptMatches) {
-                    if (!this._isTutorialLink(link)) return link;
-                }
-            }
-
-            return null;
-        } catch (e) {
-            return null;
-        }
-    }
-
-    /**
-     * Checks if a URL is a direct video provider link.
-     */
-    _isDirectVideoLink(url) {
-        if (!url) return false;
-        const providers = [
-            'as-cdn21.top',
-            'play.zephyrflick.top',
-            'vidstreaming',
-            'dood',
-            'stream',
-            'vidmoly',
-            'gdmirrorbot',
-            'short.icu',
-            'hubcloud',
-            'pixeldrain',
-            'streamwish'
-        ];
-        return providers.some(p => url.toLowerCase().includes(p.toLowerCase()));
-    }
-
-    /**
-     * Helper to detect tutorial or ad-skip tutorial links
-     */
-    _isTutorialLink(url) {
-        if (!url) return false;
-        const tutorialPatterns = [
-            'youtube.com/embed/53ga7MRcQGg',
-            'youtube.com/embed/JLD8SyY3o6Q',
-            'youtube.com/embed/NNrCwPAj1IY',
-            'youtube.com/embed/xV5Wm7qixyQ',
-            'youtube.com/embed/KOWcj7XKnfQ', // Main "How to Watch" tutorial
-            //'vimeo.com', // Removed as some animes use Vimeo for episodes
-            '1122154449', // Specific Vimeo placeholder/trailer appearing on multiple pages
-            'youtube.com/embed/watch',
-            'how to watch',
-            'tutorial',
-            'skip-ad'
-        ];
-
-        const isTutorial = tutorialPatterns.some(p => url.toLowerCase().includes(p.toLowerCase()));
-
-        // Additional check: on AnimeDekho, YouTube embeds are almost always tutorials
-        if (!isTutorial && (url.includes('youtube.com/embed/') || url.includes('youtu.be/'))) {
-            return true;
-        }
-
-        return isTutorial;
-    }
-
-    /**
-     * Get all anime from the site by scraping homepage and category pages.
-     */
-    /**
-     * Import anime directly to database
-     */
-    async importToDb(slugOrUrl) {
-        try {
-            const details = await this.getAnimeDetails(slugOrUrl);
-            if (!details.title) return { success: false, error: 'Title not found' };
-
-            const db = await getPool();
-
-            // Clean up titles by removing common prefix/suffix words
-            const cleanTitle = details.title.replace(/\s*[-|]\s*(?:Watch|Free|Streaming|Anime|Online|ToonStream|Episode|Hindi Dubbed|All Season Episodes).*$/i, '').replace(/\s+/g, ' ').trim();
-
-            // 1. Insert Anime
-            await db.execute(
-                'INSERT IGNORE INTO anime (title, description, poster_url, type) VALUES (?, ?, ?, ?)',
-                [cleanTitle, details.description, details.poster, details.type]
-            );
-
-            // Get the ID (whether newly inserted or existing)
-            const [animeRows] = await db.execute('SELECT id FROM anime WHERE title = ?', [cleanTitle]);
-            const animeId = animeRows[0].id;
-
-            if (details.type === 'movie') {
-                const episodes = await this.getEpisodes(details.slug);
-                const ep = episodes[0];
-                if (ep) {
-                    const link = await this.getEpisodeLink(ep.episodeId);
-
-                    if (!link || this._isTutorialLink(link)) {
-                        console.error(`  SKIPPED: No valid video link found for ${cleanTitle}`);
-                        return { success: false, error: 'No valid video link found' };
-                    }
-
-                    // Purge existing movie entry to force update
-                    await db.execute(
-                        'DELETE FROM episodes WHERE anime_id = ? AND season_id IS NULL',
-                        [animeId]
-                    );
-
-                    await db.execute(
-                        `INSERT INTO episodes (anime_id, season_id, title, dood_id, ep_order) 
-                         VALUES (?, NULL, 'Watch Full Movie', ?, 1)`,
-                        [animeId, link]
-                    );
-                }
-            } else {
-                let globalEpCount = 1;
-                for (const season of details.seasons) {
-                    // 2. Insert Season
-                    await db.execute(
-                        'INSERT IGNORE INTO seasons (anime_id, title, season_number) VALUES (?, ?, ?)',
-                        [animeId, season.title, season.seasonNumber]
-                    );
-
-                    const [seasonRows] = await db.execute(
-                        'SELECT id FROM seasons WHERE anime_id = ? AND season_number = ?',
-                        [animeId, season.seasonNumber]
-                    );
-                    const seasonId = seasonRows[0].id;
-
-                    // 3. Purge existing episodes for Season to force update
-                    await db.execute(
-                        'DELETE FROM episodes WHERE anime_id = ? AND season_id = ?',
-                        [animeId, seasonId]
-                    );
-
-                    const allEpisodes = await this.getEpisodes(season.slug);
-                    const seasonEpisodes = allEpisodes.filter(e => e.season === season.seasonNumber);
-
-                    for (const ep of seasonEpisodes) {
-                        const link = await this.getEpisodeLink(ep.episodeId);
-                        if (link && !link.includes('/epi/')) {
-                            await db.execute(
-                                'INSERT INTO episodes (anime_id, season_id, title, dood_id, ep_order) VALUES (?, ?, ?, ?, ?)',
-                                [animeId, seasonId, ep.title || `Episode ${ep.number}`, link, globalEpCount]
-                            );
-                            console.error(`  Added S${season.seasonNumber}E${ep.number}: ${link}`);
-                        }
-                        globalEpCount++;
-                        await sleep(200);
-                    }
-                }
-            }
-            return { success: true, title: details.title };
-        } catch (e) {
-            console.error('Import error:', e);
-            return { success: false, error: e.message || String(e) };
-        }
-    }
-
-    /**
-     * Get all anime from the site by scraping homepage and category pages.
-     */
-    async getAllAnime() {
-        const allAnime = [];
-        const seenSlugs = new Set();
-
-        const categories = [
-            { name: 'Home', path: '/home/', paginated: false },
-            { name: 'Anime', path: '/category/anime/', paginated: true },
-            { name: 'Hindi Dub', path: '/category/hindi-dub/', paginated: true },
-            { name: 'Tamil', path: '/category/tamil/', paginated: true },
-            { name: 'Action', path: '/category/action/', paginated: true },
-        ];
-
-        for (const cat of categories) {
-            console.error(`--- Scraping Category: ${cat.name} ---`);
-            let page = 1;
-            let hasMore = true;
-            let catTotal = 0;
-
-            while (hasMore) {
-                try {
-                    const pagePath = (page === 1) ? cat.path : `${cat.path}page/${page}/`;
-                    const html = await fetchHTML(`${SITE_BASE}${pagePath}`);
-                    const results = this._parseAnimeList(html);
-
-                    if (results.length === 0) {
-                        hasMore = false;
-                        continue;
-                    }
-
-                    let newInPage = 0;
-                    for (const anime of results) {
-                        if (!seenSlugs.has(anime.slug)) {
-                            seenSlugs.add(anime.slug);
-                            allAnime.push(anime);
-                            newInPage++;
-                            catTotal++;
-                        }
-                    }
-
-                    console.error(`  Page ${page}: Found ${results.length} anime (${newInPage} new)`);
-
-                    // Stop if no NEW animes found on this page (safety) or if category isn't paginated
-                    if (newInPage === 0 || !cat.paginated || page >= 50) {
-                        hasMore = false;
-                    } else {
-                        page++;
-                        await sleep(300);
-                    }
-                } catch (e) {
-                    console.error(`  Error on ${cat.name} Page ${page}: ${e.message}`);
-                    hasMore = false;
-                }
-            }
-            console.error(`Scraped ${cat.name} totally: ${catTotal} new anime added`);
-        }
-
-        console.error(`\nTotal unique anime found: ${allAnime.length}`);
-        return allAnime;
-    }
+async function openDbForWrites() {
+    const db = getPool();
+    if (dialectOf(db) === 'sqlite') await migrateUp(db);
+    return db;
 }
 
 // ─── Export Function ───────────────────────────────────────────────────────────
 
-async function exportAnime(importer, queryOrSlug) {
+/**
+ * Export one anime on stdout as SQL (default, for `dialect`, see sql_builder.js), a
+ * pretty-printed JSON record or one NDJSON line.
+ */
+async function exportAnime(importer, queryOrSlug, { format = 'sql', dialect = DEFAULT_DIALECT } = {}) {
+    assertFormat(format);
+    const b = sqlBuilder(dialect);
     let slug = queryOrSlug;
 
     if (!queryOrSlug.startsWith('http') && !queryOrSlug.includes('-') && queryOrSlug.includes(' ')) {
@@ -853,290 +84,357 @@ async function exportAnime(importer, queryOrSlug) {
         slug = seriesResult.slug;
         console.error(`Found: ${seriesResult.title} (${slug})`);
     } else if (queryOrSlug.startsWith('http')) {
-        slug = queryOrSlug.replace(/^https?:\/\/[^/]+\/serie\//, '').replace(/\/$/, '');
+        slug = importer.slugFromUrl(queryOrSlug);
     }
 
     console.error('Fetching anime details...');
-    const details = await importer.getAnimeDetails(slug);
+    const record = await buildAnimeRecord(importer, slug);
 
-    if (!details.title) {
+    if (!record) {
         console.error('ERROR: Could not extract anime title.');
         return;
     }
 
-    const type = details.type;
-    const cleanTitle = details.title.replace(/\s*[-|]\s*(?:Watch|Free|Streaming|Anime|Online|ToonStream|Episode|Hindi Dubbed|All Season Episodes).*$/i, '').replace(/\s+/g, ' ').trim();
-
-    console.error(`Title: ${cleanTitle}`);
-    console.error(`Type: ${type}`);
-    console.error(`Seasons: ${details.seasons.length}`);
-    console.error(`Poster: ${details.poster}`);
-
-    process.stdout.write(`-- START ${cleanTitle} --\n`);
-    process.stdout.write(`SET NAMES utf8mb4;\n`);
-    process.stdout.write(`SET CHARACTER SET utf8mb4;\n\n`);
-    process.stdout.write(`-- Ensure anime exists without duplicates (using WHERE NOT EXISTS for safety)\n`);
-    process.stdout.write(`INSERT INTO anime (title, description, poster_url, type)\n`);
-    process.stdout.write(`SELECT '${sqlEscape(cleanTitle)}', '${sqlEscape(details.description)}', '${sqlEscape(details.poster)}', '${type}'\n`);
-    process.stdout.write(`FROM (SELECT 1) AS tmp\n`);
-    process.stdout.write(`WHERE NOT EXISTS (SELECT 1 FROM anime WHERE title = '${sqlEscape(cleanTitle)}');\n\n`);
-
-    if (type === 'movie') {
-        console.error('Fetching movie episodes...');
-        const episodes = await importer.getEpisodes(slug);
-        const ep = episodes[0];
-        const link = ep ? await importer.getEpisodeLink(ep.episodeId) : null;
-
-        if (!link) {
-            console.error('  SKIPPED: No video link found for movie.');
-            return;
-        }
-
-        if (importer._isTutorialLink(link)) {
-            console.error(`  SKIPPED: Movie is tutorial link only (${link})`);
-            return;
-        }
-
-        console.error(`  Movie link: ${link}`);
+    console.error(`Title: ${record.title}`);
+    console.error(`Type: ${record.type}`);
+    console.error(`Seasons: ${record.seasons.length}`);
+    console.error(`Poster: ${record.poster}`);
 
-        process.stdout.write(`-- Purge existing movie entry to force update\n`);
-        process.stdout.write(`DELETE FROM episodes WHERE anime_id = (SELECT id FROM anime WHERE title = '${sqlEscape(cleanTitle)}' LIMIT 1) AND season_id IS NULL;\n`);
-
-        process.stdout.write(`-- Insert movie episode if not exists:\n`);
-        process.stdout.write(`INSERT IGNORE INTO episodes (anime_id, season_id, title, dood_id, ep_order)\n`);
-        process.stdout.write(`SELECT a.id, NULL, 'Watch Full Movie', '${sqlEscape(link)}', 1\n`);
-        process.stdout.write(`FROM anime a WHERE a.title = '${sqlEscape(cleanTitle)}';\n`);
+    if (format === 'json') {
+        process.stdout.write(JSON.stringify(record, null, 2) + '\n');
+    } else if (format === 'ndjson') {
+        process.stdout.write(JSON.stringify(record) + '\n');
     } else {
-        let globalEpNumber = 1;
-
-        for (const season of details.seasons) {
-            console.error(`Fetching Season ${season.seasonNumber} episodes...`);
-            const allEpisodes = await importer.getEpisodes(season.slug);
-            const episodes = allEpisodes.filter(ep => ep.season === season.seasonNumber);
-            console.error(`  Found ${episodes.length} episodes`);
+        process.stdout.write(`-- START ${record.title} --\n`);
+        process.stdout.write(b.session());
+        process.stdout.write(renderAnimeSql(record, { dialect }));
+        process.stdout.write(`-- END ${record.title} --\n\n`);
+    }
 
-            if (episodes.length === 0) {
-                console.error(`  SKIPPED: No episodes found for Season ${season.seasonNumber}`);
-                continue;
-            }
+    console.error(`Done: ${record.title} (${countEpisodes(record)} episodes)`);
+}
 
-            let validEpisodes = [];
-            for (const ep of episodes) {
-                await sleep(500);
-                const link = await importer.getEpisodeLink(ep.episodeId);
+// ─── Bulk Export Function ──────────────────────────────────────────────────────
 
-                if (!link) {
-                    console.error(`    SKIPPED S${season.seasonNumber}E${ep.number}: No video link found`);
-                    continue;
-                }
+/**
+ * Scrapes one catalog entry of a bulk export.
+ * Resolves to { status, anime, episodes, found, knownEpisodes } where `anime` is the
+ * export record (null when nothing is emitted), `episodes` its playable episodes out of
+ * `found`, and status is "exported", "skipped" or "unchanged" (incremental run, nothing new).
+ */
+async function exportSeriesRecord(importer, anime, state) {
+    // Incremental mode: one page fetch tells us whether anything changed
+    let knownEpisodes = null;
+    if (state) {
+        knownEpisodes = await importer.getEpisodes(anime.slug);
+        if (!state.hasChanged(anime.slug, knownEpisodes)) {
+            console.error(`  UNCHANGED: ${knownEpisodes.length} episodes, skipping`);
+            return { status: 'unchanged', anime: null, episodes: 0, found: knownEpisodes.length, knownEpisodes };
+        }
+    }
 
-                if (importer._isTutorialLink(link)) {
-                    console.error(`    SKIPPED S${season.seasonNumber}E${ep.number}: Tutorial link only (${link})`);
-                    continue;
-                }
+    const tally = { found: 0 };
+    const record = await buildAnimeRecord(importer, anime.slug, { state, knownEpisodes, tally });
+    if (!record) {
+        console.error(`  SKIPPED: Could not extract title`);
+        return { status: 'skipped', anime: null, episodes: 0, found: 0, knownEpisodes };
+    }
 
-                if (link && link.includes('/epi/') && !link.includes('cdn') && !link.includes('embed') && !link.includes('video')) {
-                    console.error(`    SKIPPED S${season.seasonNumber}E${ep.number}: Invalid link (${link})`);
-                    continue;
-                }
+    // A movie without a playable link is still emitted (anime row only) but not committed
+    const status = record.type === 'movie' && !record.movie ? 'skipped' : 'exported';
+    return { status, anime: record, episodes: countEpisodes(record), found: tally.found, knownEpisodes };
+}
 
-                console.error(`    -> S${season.seasonNumber}E${ep.number}: ${link}`);
-                validEpisodes.push({ ...ep, link });
-            }
+/**
+ * Writes the parts of a bulk export in one of EXPORT_FORMATS:
+ *   sql     header, one chunk per anime, footer with totals (comment lines), for `dialect`
+ *   json    { schemaVersion, source, generatedAt, anime: [records], totals }
+ *   ndjson  one record per line, nothing else
+ */
+function createBulkWriter(format, importer, output = process.stdout, dialect = DEFAULT_DIALECT) {
+    const b = sqlBuilder(dialect);
+    const out = text => output.write(text);
+    let count = 0;
+
+    return {
+        header({ total, generatedAt, resumedAt }) {
+            if (format === 'json') {
+                out(`{"schemaVersion":${EXPORT_SCHEMA_VERSION},"source":${JSON.stringify(importer.id)},"generatedAt":${JSON.stringify(generatedAt)},"anime":[\n`);
+            } else if (format === 'sql') {
+                out(`-- BULK ANIME EXPORT FROM ${importer.name.toUpperCase()}\n`);
+                out(`-- Generated: ${generatedAt}\n`);
+                if (resumedAt) out(`-- Resumed: ${resumedAt}\n`);
+                if (dialect !== 'mysql') out(`-- Dialect: ${dialect}\n`);
+                out(`-- Total Anime: ${total}\n\n`);
+                out(b.session());
+                out(`${b.foreignKeyChecks(false)}\n`);
+            }
+        },
+
+        record(anime) {
+            if (!anime) return;
+            if (format === 'json') out(`${count++ ? ',\n' : ''}${JSON.stringify(anime)}`);
+            else if (format === 'ndjson') out(JSON.stringify(anime) + '\n');
+            else out(renderAnimeSql(anime, { dialect }));
+        },
+
+        footer(totals) {
+            if (format === 'json') {
+                out(`\n],"totals":${JSON.stringify(totals)}}\n`);
+            } else if (format === 'sql') {
+                out(`\n${b.foreignKeyChecks(true)}`);
+                out(`-- BULK EXPORT COMPLETE --\n`);
+                out(`-- Total Anime: ${totals.anime}\n`);
+                out(`-- Total Episodes: ${totals.episodes}\n`);
+                if (totals.unchanged !== undefined) out(`-- Unchanged (skipped): ${totals.unchanged}\n`);
+                if (totals.resumed !== undefined) out(`-- Resumed from journal: ${totals.resumed}\n`);
+            }
+        },
+    };
+}
 
-            if (validEpisodes.length === 0) {
-                console.error(`  SKIPPED Season ${season.seasonNumber}: No valid video links`);
-                continue;
-            }
+/**
+ * Export many anime as one stream (SQL by default, see createBulkWriter) on stdout,
+ * or on `options.output` (anything with a write(text) method).
+ * With `options.state` (a loaded StateStore) the run is incremental: series whose
+ * episode markers are unchanged since the last run are skipped, and links already
+ * resolved for known episodes are reused instead of being fetched again.
+ *
+ * With `options.journal` (an ExportJournal) every finished series is checkpointed.
+ * If the journal already holds a run, that run's catalog is reused, journaled series
+ * are replayed from their recorded export records, and only the rest is scraped, so
+ * the output is the complete file with totals covering every run.
+ *
+ * With `options.health` (a ScrapeHealth) the run is counted for the health report:
+ * category pages, series, episodes, links and every failed fetch (see scrape_health.js).
+ *
+ * SQL output is written for `options.dialect` (mysql, postgres or sqlite, see sql_builder.js).
+ *
+ * The series are taken in the order of the scrape plan (see scrape_planner.js): airing
+ * on `options.schedule` first, then recently changed, new and back-catalog series
+ * (history from `options.state`), cut to `maxAnime` (0 = all). With `options.sitemap`
+ * the series and movies only the source's sitemap lists are planned too.
+ */
+async function bulkExportAnime(importer, maxAnime = 50, options = {}) {
+    const state = options.state || null;
+    const journal = options.journal || null;
+    const health = options.health || null;
+    const format = options.format || 'sql';
+    const dialect = options.dialect || DEFAULT_DIALECT;
+    const resuming = Boolean(journal && journal.run);
+    assertFormat(format);
+    sqlBuilder(dialect);
 
-            process.stdout.write(`\n-- Season ${season.seasonNumber}\n`);
-            process.stdout.write(`-- Ensure season exists without duplicates\n`);
-            process.stdout.write(`INSERT INTO seasons (anime_id, title, season_number)\n`);
-            process.stdout.write(`SELECT id, '${sqlEscape(season.title)}', ${season.seasonNumber}\n`);
-            process.stdout.write(`FROM anime a WHERE a.title = '${sqlEscape(cleanTitle)}'\n`);
-            process.stdout.write(`AND NOT EXISTS (SELECT 1 FROM seasons s WHERE s.anime_id = a.id AND s.season_number = ${season.seasonNumber});\n\n`);
-
-            // Get Season ID for deletion query
-            process.stdout.write(`SET @season_id = (SELECT id FROM seasons WHERE anime_id = (SELECT id FROM anime WHERE title = '${sqlEscape(cleanTitle)}' LIMIT 1) AND season_number = ${season.seasonNumber} LIMIT 1);\n`);
-
-            // Purge episodes for this season to force update
-            process.stdout.write(`-- Purge existing episodes for Season ${season.seasonNumber} to force update\n`);
-            process.stdout.write(`DELETE FROM episodes WHERE season_id = @season_id;\n`);
-
-            for (let i = 0; i < validEpisodes.length; i++) {
-                const ep = validEpisodes[i];
-                process.stdout.write(`INSERT IGNORE INTO episodes (anime_id, season_id, title, dood_id, ep_order)\n`);
-                process.stdout.write(`SELECT\n`);
-                process.stdout.write(`  a.id AS anime_id,\n`);
-                process.stdout.write(`  @season_id AS season_id,\n`);
-                process.stdout.write(`  '${sqlEscape(ep.title)}' AS title,\n`);
-                process.stdout.write(`  '${sqlEscape(ep.link)}' AS dood_id,\n`);
-                process.stdout.write(`  ${globalEpNumber} AS ep_order\n`);
-                process.stdout.write(`FROM anime a\n`);
-                process.stdout.write(`WHERE a.title = '${sqlEscape(cleanTitle)}';\n`);
-
-                globalEpNumber++;
-            }
-        }
+    console.error('=== BULK EXPORT MODE ===');
+    const stopWatching = health ? onFetchError((e, url) => health.fetchError(e, url)) : () => {};
+    try {
+        return await runBulkExport(importer, maxAnime, {
+            state, journal, health, schedule: options.schedule || null, sitemap: Boolean(options.sitemap), format, dialect, resuming, output: options.output,
+        });
+    } finally {
+        stopWatching();
     }
-
-    process.stdout.write(`-- END ${cleanTitle} --\n\n`);
-    console.error(`Done: ${cleanTitle}`);
 }
 
-// ─── Bulk Export Function ──────────────────────────────────────────────────────
+/**
+ * Sitemap entries of `importer` the category crawl did not list (see site_catalog.js);
+ * none when the sitemap cannot be read.
+ */
+async function sitemapOnlyAnime(importer, listed) {
+    const slugs = new Set(listed.map(a => a.slug));
+    try {
+        return (await importer.getSitemapCatalog()).filter(a => !slugs.has(a.slug));
+    } catch (e) {
+        console.error(`Sitemap not read: ${e.message}`);
+        return [];
+    }
+}
 
-async function bulkExportAnime(importer, maxAnime = 50) {
-    console.error('=== BULK EXPORT MODE ===');
-    console.error('Fetching all available anime from animedekho.app...\n');
+/**
+ * The export itself (see bulkExportAnime()), run while failed fetches are being counted.
+ */
+async function runBulkExport(importer, maxAnime, { state, journal, health, schedule, sitemap, format, dialect, resuming, output }) {
+    let toExport;
+    if (resuming) {
+        if (journal.run.source !== importer.id) {
+            throw new Error(`Journal ${journal.filePath} belongs to source "${journal.run.source}", not "${importer.id}"`);
+        }
+        toExport = journal.run.anime;
+        if (health) health.discovered = toExport.length;
+        console.error(`Resuming from ${journal.filePath}: ${journal.series.size}/${toExport.length} anime already done\n`);
+    } else {
+        console.error(`Fetching all available anime from ${importer.name}...\n`);
+
+        const allAnime = await importer.getAllAnime(health ? { onPage: page => health.categoryPage(page) } : {});
+        console.error(`Found ${allAnime.length} unique anime\n`);
+        if (health) health.discovered = allAnime.length;
+        if (sitemap) {
+            const unlisted = await sitemapOnlyAnime(importer, allAnime);
+            console.error(`Sitemap: ${unlisted.length} more anime not listed in any category\n`);
+            allAnime.push(...unlisted);
+        }
 
-    const allAnime = await importer.getAllAnime();
-    console.error(`Found ${allAnime.length} unique anime\n`);
+        const plan = planScrape(allAnime, { schedule, state, limit: maxAnime });
+        toExport = plan.items;
+        console.error(formatPlan(plan, allAnime.length));
+        console.error(`Will export ${toExport.length} anime ${maxAnime === 0 ? '(all)' : `(limited to ${maxAnime})`}\n`);
 
-    const toExport = maxAnime === 0 ? allAnime : allAnime.slice(0, maxAnime);
-    console.error(`Will export ${toExport.length} anime ${maxAnime === 0 ? '(all)' : `(limited to ${maxAnime})`}\n`);
+        if (journal) {
+            journal.start({
+                source: importer.id,
+                startedAt: new Date().toISOString(),
+                anime: toExport.map(a => ({ title: a.title, slug: a.slug })),
+            });
+        }
+    }
 
-    process.stdout.write(`-- BULK ANIME EXPORT FROM ANIMEDEKHO.APP\n`);
-    process.stdout.write(`-- Generated: ${new Date().toISOString()}\n`);
-    process.stdout.write(`-- Total Anime: ${toExport.length}\n\n`);
-    process.stdout.write(`SET NAMES utf8mb4;\n`);
-    process.stdout.write(`SET CHARACTER SET utf8mb4;\n`);
-    process.stdout.write(`SET FOREIGN_KEY_CHECKS = 0;\n\n`);
+    const writer = createBulkWriter(format, importer, output, dialect);
+    writer.header({
+        total: toExport.length,
+        generatedAt: resuming ? journal.run.startedAt : new Date().toISOString(),
+        resumedAt: resuming ? new Date().toISOString() : null,
+    });
 
     let animeCount = 0;
     let totalEpisodes = 0;
+    let unchangedCount = 0;
+    let resumedCount = 0;
 
     for (const anime of toExport) {
-        try {
-            console.error(`[${++animeCount}/${toExport.length}] Exporting: ${anime.title}`);
+        console.error(`[${++animeCount}/${toExport.length}] Exporting: ${anime.title}`);
+
+        const done = journal ? journal.getSeries(anime.slug) : null;
+        if (done) {
+            console.error(`  RESUMED: ${done.status}, ${done.episodes} episodes from journal`);
+            writer.record(done.anime);
+            if (health) health.seriesResult(anime.slug, done);
+            totalEpisodes += done.episodes;
+            if (done.status === 'unchanged') unchangedCount++;
+            resumedCount++;
+            continue;
+        }
 
-            const details = await importer.getAnimeDetails(anime.slug);
-            if (!details.title) {
-                console.error(`  SKIPPED: Could not extract title`);
+        try {
+            const result = await exportSeriesRecord(importer, anime, state);
+
+            // Journal before touching the state, so a crash in between replays instead of losing the record
+            if (journal) journal.record(anime.slug, result);
+            writer.record(result.anime);
+            if (health) health.seriesResult(anime.slug, result);
+            totalEpisodes += result.episodes;
+
+            if (result.status === 'unchanged') unchangedCount++;
+            if (result.status !== 'exported') {
+                if (state) {
+                    state.markChecked(anime.slug, anime.title);
+                    state.save();
+                }
                 continue;
             }
 
-            const cleanTitle = details.title.replace(/\s*[-|]\s*(?:Watch|Free|Streaming|Anime|Online|ToonStream|Episode|Hindi Dubbed|All Season Episodes).*$/i, '').replace(/\s+/g, ' ').trim();
-
-            process.stdout.write(`\n-- === ${cleanTitle} ===\n`);
-            process.stdout.write(`-- Ensure anime exists without duplicates (using WHERE NOT EXISTS for safety)\n`);
-            process.stdout.write(`INSERT INTO anime (title, description, poster_url, type)\n`);
-            process.stdout.write(`SELECT '${sqlEscape(cleanTitle)}', '${sqlEscape(details.description)}', '${sqlEscape(details.poster)}', '${details.type}'\n`);
-            process.stdout.write(`FROM (SELECT 1) AS tmp\n`);
-            process.stdout.write(`WHERE NOT EXISTS (SELECT 1 FROM anime WHERE title = '${sqlEscape(cleanTitle)}');\n`);
-
-            if (details.type === 'movie') {
-                const episodes = await importer.getEpisodes(anime.slug);
-                const ep = episodes[0];
-                const link = ep ? await importer.getEpisodeLink(ep.episodeId) : null;
-
-                if (!link) {
-                    console.error(`  SKIPPED: No video link found for ${cleanTitle}`);
-                    continue;
-                }
-
-                if (importer._isTutorialLink(link)) {
-                    console.error(`  SKIPPED: Tutorial link found for ${cleanTitle}`);
-                    continue;
-                }
-
-                process.stdout.write(`-- Purge existing movie entry to force update\n`);
-                process.stdout.write(`DELETE FROM episodes WHERE anime_id = (SELECT id FROM anime WHERE title = '${sqlEscape(cleanTitle)}' LIMIT 1) AND season_id IS NULL;\n`);
-
-                process.stdout.write(`INSERT IGNORE INTO episodes (anime_id, season_id, title, dood_id, ep_order)\n`);
-                process.stdout.write(`SELECT a.id, NULL, 'Watch Full Movie', '${sqlEscape(link)}', 1\n`);
-                process.stdout.write(`FROM anime a WHERE a.title = '${sqlEscape(cleanTitle)}';\n`);
-                totalEpisodes++;
-            } else {
-                let globalEpNumber = 1;
-
-                for (const season of details.seasons) {
-                    process.stdout.write(`\n-- Season ${season.seasonNumber}\n`);
-                    process.stdout.write(`-- Ensure season exists without duplicates\n`);
-                    process.stdout.write(`INSERT INTO seasons (anime_id, title, season_number)\n`);
-                    process.stdout.write(`SELECT id, '${sqlEscape(season.title)}', ${season.seasonNumber}\n`);
-                    process.stdout.write(`FROM anime a WHERE a.title = '${sqlEscape(cleanTitle)}'\n`);
-                    process.stdout.write(`AND NOT EXISTS (SELECT 1 FROM seasons s WHERE s.anime_id = a.id AND s.season_number = ${season.seasonNumber});\n`);
-
-                    // Get Season ID for deletion query
-                    process.stdout.write(`SET @season_id = (SELECT id FROM seasons WHERE anime_id = (SELECT id FROM anime WHERE title = '${sqlEscape(cleanTitle)}' LIMIT 1) AND season_number = ${season.seasonNumber} LIMIT 1);\n`);
-
-                    const allEpisodes = await importer.getEpisodes(season.slug);
-                    const episodes = allEpisodes.filter(ep => ep.season === season.seasonNumber);
-
-                    if (episodes.length === 0) {
-                        console.error(`  SKIPPED Season ${season.seasonNumber}: No episodes`);
-                        continue;
-                    }
-
-                    // Purge episodes for this season to force update
-                    process.stdout.write(`-- Purge existing episodes for Season ${season.seasonNumber} to force update\n`);
-                    process.stdout.write(`DELETE FROM episodes WHERE season_id = @season_id;\n`);
-
-                    for (const ep of episodes) {
-                        await sleep(300);
-                        const link = await importer.getEpisodeLink(ep.episodeId);
-
-                        if (!link) {
-                            console.error(`    SKIPPED S${season.seasonNumber}E${ep.number}: No video link found`);
-                            continue;
-                        }
-
-                        if (importer._isTutorialLink(link)) {
-                            console.error(`    SKIPPED S${season.seasonNumber}E${ep.number}: Tutorial link only (${link})`);
-                            continue;
-                        }
-
-                        if (link && link.includes('/epi/') && !link.includes('cdn') && !link.includes('embed') && !link.includes('video')) {
-                            console.error(`    SKIPPED S${season.seasonNumber}E${ep.number}: Invalid link (${link})`);
-                            continue;
-                        }
-
-                        const epTitle = ep.title || `Episode ${ep.number}`;
-
-                        // Output to stderr so user sees progress
-                        console.error(`    -> S${season.seasonNumber}E${ep.number}: ${link}`);
-
-                        process.stdout.write(`INSERT IGNORE INTO episodes (anime_id, season_id, title, dood_id, ep_order)\n`);
-                        process.stdout.write(`SELECT\n`);
-                        process.stdout.write(`  a.id AS anime_id,\n`);
-                        process.stdout.write(`  @season_id AS season_id,\n`);
-                        process.stdout.write(`  '${sqlEscape(epTitle)}' AS title,\n`);
-                        process.stdout.write(`  '${sqlEscape(link)}' AS dood_id,\n`);
-                        process.stdout.write(`  ${globalEpNumber} AS ep_order\n`);
-                        process.stdout.write(`FROM anime a\n`);
-                        process.stdout.write(`WHERE a.title = '${sqlEscape(cleanTitle)}';\n`);
-
-                        globalEpNumber++;
-                        totalEpisodes++;
-                    }
-                }
+            if (state) {
+                state.commitSeries(anime.slug, result.knownEpisodes, result.anime ? result.anime.title : anime.title);
+                state.save();
             }
 
             console.error(`  ✓ Exported`);
-            await sleep(1000);
 
         } catch (e) {
             console.error(`  ✗ Error: ${e.message}`);
+            if (health) health.seriesError(anime.slug, e);
+            // Counted as checked, so a failing series does not head the back catalog on every run
+            if (state) {
+                state.markChecked(anime.slug, anime.title);
+                state.save();
+            }
         }
     }
 
-    process.stdout.write(`\nSET FOREIGN_KEY_CHECKS = 1;\n`);
-    process.stdout.write(`-- BULK EXPORT COMPLETE --\n`);
-    process.stdout.write(`-- Total Anime: ${animeCount}\n`);
-    process.stdout.write(`-- Total Episodes: ${totalEpisodes}\n`);
+    const totals = { anime: animeCount, episodes: totalEpisodes };
+    if (state) totals.unchanged = unchangedCount;
+    if (resuming) totals.resumed = resumedCount;
+    writer.footer(totals);
 
     console.error(`\n=== BULK EXPORT COMPLETE ===`);
     console.error(`Anime: ${animeCount}`);
     console.error(`Episodes: ${totalEpisodes}`);
+    if (state) console.error(`Unchanged: ${unchangedCount}`);
+    if (resuming) console.error(`Resumed: ${resumedCount}`);
+    return totals;
 }
 
 if (require.main === module) {
-    const importer = new AnimeDekhoImporter();
-    const args = process.argv.slice(2);
+    const { positionals: args, values: flags } = parseArgs({
+        args: process.argv.slice(2),
+        options: {
+            source: { type: 'string' },
+            concurrency: { type: 'string' },
+            rate: { type: 'string' },
+            'no-cache': { type: 'boolean' },
+            'cache-ttl': { type: 'string' },
+            incremental: { type: 'boolean' },
+            state: { type: 'string' },
+            journal: { type: 'string' },
+            resume: { type: 'string' },
+            format: { type: 'string' },
+            dialect: { type: 'string' },
+            db: { type: 'string' },
+            transport: { type: 'string' },
+            cookies: { type: 'string' },
+            'max-pages': { type: 'string' },
+            anime: { type: 'string' },
+            apply: { type: 'boolean' },
+            partial: { type: 'boolean' },
+            report: { type: 'string' },
+            providers: { type: 'string' },
+            profile: { type: 'string' },
+            page: { type: 'string' },
+            health: { type: 'string' },
+            threshold: { type: 'string' },
+            'schedule-file': { type: 'string' },
+            'no-schedule': { type: 'boolean' },
+            'no-sitemap': { type: 'boolean' },
+            sitemap: { type: 'boolean' },
+        },
+        allowPositionals: true,
+        strict: false,
+    });
     const command = args[0] || 'help';
+    if (flags.concurrency !== undefined || flags.rate !== undefined) {
+        const rate = flags.rate !== undefined ? parseFloat(flags.rate) : scheduler.ratePerSecond;
+        configureFetch({
+            maxConcurrency: flags.concurrency !== undefined ? parseInt(flags.concurrency) : scheduler.maxConcurrency,
+            ratePerSecond: rate,
+            burst: rate,
+        });
+    }
+
+    if (flags['no-cache']) {
+        configureCache({ enabled: false });
+    } else if (flags['cache-ttl'] !== undefined) {
+        configureCache({ ttlSeconds: parseInt(flags['cache-ttl']) });
+    }
+
+    const sourceId = flags.source || DEFAULT_SOURCE;
+    let importer;
+    try {
+        if (flags.providers !== undefined) loadProviderPlugins(flags.providers);
+        if (flags.db !== undefined) configureDb(flags.db);
+        importer = createSource(sourceId, { profile: flags.profile });
+    } catch (e) {
+        console.error(e.message);
+        process.exit(1);
+    }
 
     (async () => {
+        if (flags.transport !== undefined || flags.cookies !== undefined || flags['max-pages'] !== undefined) {
+            await configureTransport({
+                mode: flags.transport,
+                cookieFile: flags.cookies,
+                browser: flags['max-pages'] !== undefined ? { maxPages: parseInt(flags['max-pages']) } : {},
+            });
+        }
+
         switch (command) {
             case 'search': {
                 const query = args.slice(1).join(' ');
@@ -1153,26 +451,237 @@ if (require.main === module) {
             case 'db-import': {
                 const query = args.slice(1).join(' ');
                 if (!query) { console.log('Usage: node animedekho_importer.js db-import <title or slug>'); break; }
+                await openDbForWrites();
                 const result = await importer.importToDb(query);
                 if (result.success) {
                     console.log(`Successfully imported: ${result.title}`);
+                    console.log(formatImportStats(result.stats));
                 } else {
                     console.log(`Failed: ${result.error}`);
                 }
-                process.exit(0);
+                await closePool();
+                await closeTransport();
+                process.exit(result.success ? 0 : 1);
                 break;
             }
 
             case 'db-export': {
                 const query = args.slice(1).join(' ');
                 if (!query) { console.log('Usage: node animedekho_importer.js db-export <title or slug>'); break; }
-                await exportAnime(importer, query);
+                await exportAnime(importer, query, { format: flags.format, dialect: flags.dialect });
                 break;
             }
 
             case 'bulk-export': {
                 const limit = args[1] !== undefined ? parseInt(args[1]) : 50;
-                await bulkExportAnime(importer, limit);
+                // Each source keeps its own state file unless one is given explicitly
+                const defaultStateFile = sourceId === DEFAULT_SOURCE
+                    ? DEFAULT_STATE_FILE
+                    : DEFAULT_STATE_FILE.replace(/\.json$/, `.${sourceId}.json`);
+                const state = (flags.incremental || flags.state)
+                    ? new StateStore(flags.state || defaultStateFile).load()
+                    : null;
+                // --resume continues an existing journal (or starts it), --journal always starts over
+                let journal = null;
+                if (flags.resume) journal = new ExportJournal(flags.resume).load();
+                else if (flags.journal) journal = new ExportJournal(flags.journal);
+                const health = flags.health ? new ScrapeHealth({ source: importer.id }) : null;
+                // Airing series go first (a resumed run keeps its recorded list)
+                let schedule = null;
+                if (!flags['no-schedule'] && !(journal && journal.run)) {
+                    const store = new ScheduleStore(flags['schedule-file'] || DEFAULT_SCHEDULE_FILE).load();
+                    const refreshed = await refreshSchedule(importer, store);
+                    if (refreshed.error) console.error(`Schedule not fetched (${refreshed.error.message})${refreshed.schedule ? `; using the one fetched ${refreshed.schedule.fetchedAt}` : ''}`);
+                    schedule = refreshed.schedule;
+                }
+                await bulkExportAnime(importer, limit, { state, journal, health, schedule, sitemap: flags.sitemap, format: flags.format, dialect: flags.dialect });
+                if (health) {
+                    // A collapsed run fails the command, so automation never ships an empty dump
+                    const diagnosis = reportHealth(health, new HealthHistory(flags.health).load());
+                    if (!diagnosis.healthy) process.exitCode = 1;
+                }
+                break;
+            }
+
+            case 'check-links': {
+                const limit = args[1] !== undefined ? parseInt(args[1]) : 0;
+                let results;
+                try {
+                    const episodes = await loadStoredEpisodes(getPool(), { source: importer.id, anime: flags.anime, limit });
+                    console.error(`Checking ${episodes.length} stored link(s)...`);
+                    results = await checkLinks(importer, episodes);
+
+                    console.error(`\n${formatLinkReport(results)}`);
+                    if (flags.report) {
+                        fs.writeFileSync(flags.report, JSON.stringify({
+                            checkedAt: new Date().toISOString(),
+                            summary: summarizeLinkCheck(results),
+                            links: results,
+                        }, null, 2));
+                        console.error(`Report written to ${flags.report}`);
+                    }
+
+                    // The patch goes to stdout unless it is applied directly
+                    if (flags.apply) {
+                        const changed = await applyLinkPatch(results);
+                        console.error(`Updated ${changed} episode(s).`);
+                    } else {
+                        process.stdout.write(renderLinkPatchSql(results, { dialect: flags.dialect }));
+                    }
+                } finally {
+                    await closePool();
+                }
+                break;
+            }
+
+            case 'dedupe': {
+                // The merge statements are only written for MySQL and SQLite (UPDATE ... JOIN, UPDATE IGNORE)
+                const dialect = flags.apply ? dialectOf(getPool()) : flags.dialect || dialectOf(getPool());
+                if (dialect !== 'mysql' && dialect !== 'sqlite') {
+                    console.error('dedupe patches can only be written for MySQL or SQLite (--dialect mysql|sqlite).');
+                    process.exitCode = 1;
+                    await closePool();
+                    break;
+                }
+                const threshold = flags.threshold !== undefined ? parseFloat(flags.threshold) : undefined;
+                try {
+                    const groups = findDuplicates(await loadAnimeCatalog(getPool()), { threshold });
+                    console.error(formatDuplicateReport(groups));
+                    if (groups.length === 0) break;
+
+                    // Like check-links, the merge goes to stdout unless it is applied directly
+                    const statements = mergeStatements(groups, { dialect });
+                    if (flags.apply) {
+                        await withTransaction(async (conn) => {
+                            for (const { sql, params } of statements) await conn.execute(sql, params);
+                        });
+                        console.error(`Merged ${groups.reduce((n, g) => n + g.merge.length, 0)} row(s).`);
+                    } else {
+                        let sql = `-- DEDUPE PATCH\n-- Generated: ${new Date().toISOString()}\n-- Duplicate groups: ${groups.length}\n\n`;
+                        const b = sqlBuilder(dialect);
+                        sql += `${b.session({ vars: false })}${dialect === 'sqlite' ? 'BEGIN' : 'START TRANSACTION'};\n`;
+                        for (const statement of statements) sql += b.inline(statement);
+                        process.stdout.write(sql + 'COMMIT;\n');
+                    }
+                } finally {
+                    await closePool();
+                }
+                break;
+            }
+
+            case 'providers': {
+                importer.providers.list().forEach(p => console.log(`${p.name.padEnd(20)} ${p.kind}${p.fallback ? ' (fallback)' : ''}`));
+                break;
+            }
+
+            case 'validate-profile': {
+                const url = args[1];
+                if (!url) { console.log('Usage: node animedekho_importer.js validate-profile <url> [--page list|series|episode]'); break; }
+                if (flags.page !== undefined && !PAGE_TYPES.includes(flags.page)) {
+                    console.error(`Unknown page type "${flags.page}". Available: ${PAGE_TYPES.join(', ')}`);
+                    process.exitCode = 1;
+                    break;
+                }
+                const { page, result } = await importer.inspectPage(url, flags.page);
+                const report = formatProfileTrace(importer.profile, page, result);
+                console.log(report.text);
+                // A selector that matches nothing means the profile needs updating
+                if (!report.ok) process.exitCode = 1;
+                break;
+            }
+
+            case 'cache': {
+                const action = args[1];
+                if (action !== 'clear') { console.log('Usage: node animedekho_importer.js cache clear'); break; }
+                // Clear even when --no-cache disabled the active cache for this run
+                const cache = getCache() || new HttpCache();
+                const removed = cache.clear();
+                console.log(`Cleared ${removed} cached page(s) from ${cache.dir}`);
+                break;
+            }
+
+            case 'apply': {
+                const file = args[1];
+                if (!file) { console.log('Usage: node animedekho_importer.js apply <dump.sql> [--db sqlite:<file>]'); break; }
+                if (flags.dialect !== undefined && !SQL_DIALECTS.includes(flags.dialect)) {
+                    console.error(`Unknown SQL dialect "${flags.dialect}". Available: ${SQL_DIALECTS.join(', ')}`);
+                    process.exitCode = 1;
+                    break;
+                }
+                try {
+                    const db = await openDbForWrites();
+                    const result = await applyDump(db, fs.readFileSync(file, 'utf8'), flags.dialect ? { dialect: flags.dialect } : {});
+                    console.log(`Applied ${result.statements} statement(s) from ${file} (${result.dialect}, ${result.skipped} skipped), ${result.rows} row(s) changed.`);
+                    const [[counts]] = await db.query(`SELECT
+                        (SELECT COUNT(*) FROM anime) AS anime,
+                        (SELECT COUNT(*) FROM seasons) AS seasons,
+                        (SELECT COUNT(*) FROM episodes) AS episodes`);
+                    console.log(`Database now holds ${counts.anime} anime, ${counts.seasons} season(s), ${counts.episodes} episode(s).`);
+                } catch (e) {
+                    console.error(`Apply failed, nothing was written: ${e.message}`);
+                    process.exitCode = 1;
+                } finally {
+                    await closePool();
+                }
+                break;
+            }
+
+            case 'diff': {
+                const [before, after] = args.slice(1, 3);
+                if (!after) { console.log('Usage: node animedekho_importer.js diff <old.sql|db> <new.sql|db> [--format text|json] [--partial]'); break; }
+                const format = flags.format || 'text';
+                if (!DIFF_FORMATS.includes(format)) {
+                    console.error(`Unknown diff format "${format}". Available: ${DIFF_FORMATS.join(', ')}`);
+                    process.exitCode = 1;
+                    break;
+                }
+                // "db" stands for the configured database (--db)
+                const read = (side) => {
+                    if (side === 'db') return readStoredCatalog(getPool());
+                    const text = fs.readFileSync(side, 'utf8');
+                    const skipped = side === after ? skippedSeries(text) : 0;
+                    if (skipped && !flags.partial) {
+                        console.error(`${side} is an incremental export that left out ${skipped} unchanged series; they are listed as removed. Pass --partial to ignore them.`);
+                    }
+                    return readDumpCatalog(text);
+                };
+                try {
+                    const diff = diffCatalogs(await read(before), await read(after), { partial: flags.partial });
+                    if (format === 'json') {
+                        console.log(JSON.stringify({ before, after, ...diff }, null, 2));
+                    } else {
+                        process.stdout.write(formatCatalogDiff(diff, { before, after }));
+                    }
+                } catch (e) {
+                    console.error(`Diff failed: ${e.message}`);
+                    process.exitCode = 1;
+                } finally {
+                    await closePool();
+                }
+                break;
+            }
+
+            case 'migrate': {
+                const action = args[1] || 'status';
+                const db = getPool();
+                try {
+                    if (action === 'up') {
+                        const target = args[2] !== undefined ? parseInt(args[2]) : null;
+                        const applied = await migrateUp(db, target);
+                        console.log(applied.length ? `Applied ${applied.length} migration(s).` : 'Database is up to date.');
+                    } else if (action === 'down') {
+                        const steps = args[2] !== undefined ? parseInt(args[2]) : 1;
+                        const reverted = await migrateDown(db, steps);
+                        console.log(reverted.length ? `Reverted ${reverted.length} migration(s).` : 'Nothing to revert.');
+                    } else if (action === 'status') {
+                        const status = await migrationStatus(db);
+                        status.forEach(m => console.log(`[${m.applied ? 'x' : ' '}] ${String(m.version).padStart(3, '0')} ${m.name}${m.appliedAt ? ` (applied ${new Date(m.appliedAt).toISOString()})` : ''}`));
+                    } else {
+                        console.log('Usage: node animedekho_importer.js migrate <up [version]|down [steps]|status>');
+                    }
+                } finally {
+                    await closePool();
+                }
                 break;
             }
 
@@ -1198,37 +707,156 @@ if (require.main === module) {
             }
 
             case 'schedule': {
-                const schedule = await importer.getSchedule();
-                console.log(schedule);
-                process.exit(0);
+                const format = flags.format || 'json';
+                if (!SCHEDULE_FORMATS.includes(format)) {
+                    console.error(`Unknown schedule format "${format}". Available: ${SCHEDULE_FORMATS.join(', ')}`);
+                    process.exitCode = 1;
+                    break;
+                }
+
+                // A fresh schedule replaces the stored one; when the site is down the stored one is used
+                const { schedule, error } = await refreshSchedule(importer, new ScheduleStore(flags['schedule-file'] || DEFAULT_SCHEDULE_FILE).load());
+                if (!schedule) {
+                    console.error(`Schedule not available: ${error.message}`);
+                    process.exitCode = 1;
+                    break;
+                }
+                if (error) console.error(`Could not fetch the schedule (${error.message}); using the one fetched ${schedule.fetchedAt}.`);
+
+                if (format === 'ics') {
+                    process.stdout.write(renderScheduleIcs(schedule.entries, {
+                        source: importer.id,
+                        name: `${importer.name} release schedule`,
+                        seriesUrl: importer.seriesUrl ? slug => importer.seriesUrl(slug) : null,
+                    }));
+                } else {
+                    console.log(JSON.stringify(schedule, null, 2));
+                }
                 break;
             }
 
-            case 'schedule': {
-                const schedule = await importer.getSchedule();
-                console.log(schedule);
-                process.exit(0);
+            case 'catalog': {
+                const format = flags.format || 'text';
+                if (!CATALOG_FORMATS.includes(format)) {
+                    console.error(`Unknown catalog format "${format}". Available: ${CATALOG_FORMATS.join(', ')}`);
+                    process.exitCode = 1;
+                    break;
+                }
+                const catalog = await collectCatalog(importer, { sitemap: !flags['no-sitemap'] });
+                if (format === 'json') {
+                    console.log(JSON.stringify(catalog, null, 2));
+                } else {
+                    process.stdout.write(formatCatalog(catalog));
+                }
                 break;
             }
 
             default:
                 console.log(`
-AnimeDekho.app Importer (HTML Scraper version)
-==============================================
+Anime Importer (HTML Scraper version)
+=====================================
 Commands:
   search <query>             Search for anime by title
+  db-import <title|slug>     Import a single anime straight into the database (MySQL, see .env,
+                             or a SQLite catalog with --db, created on first use)
+  migrate <up|down|status>   Create or roll back the anime/seasons/episodes schema
+  apply <dump.sql>           Load an SQL export (any bulk_export_*.sql, db-export output or patch)
+                             into the database in one transaction; MySQL dumps are translated
+                             for SQLite
+    --dialect <name>         Dialect the dump was written for (default: read from the dump)
+  diff <old> <new>           What changed between two SQL exports, or an export and the database
+                             ("db"): added/removed anime, changed titles, descriptions and
+                             posters, new, removed and re-linked episodes
+    --format <fmt>           text or json (default: text)
+    --partial                <new> only lists some anime (an --incremental or limited
+                             bulk-export): anime missing from it are not reported as
+                             removed. Without it, an incremental <new> is warned about
+  cache clear                Delete the on-disk HTTP cache
+  providers                  List the video provider plugins in lookup order
+  validate-profile <url>     Show what every selector of the profile matches on a page
+    --page <type>            list, series or episode (default: guessed from the URL)
   debug-episodes <slug>      List all episodes with IDs
-  db-export <title|slug>     Export a single anime to SQL
-  bulk-export [limit]        Export all available anime (default: 50, use 0 for all)
+  db-export <title|slug>     Export a single anime (SQL, JSON or NDJSON, see --format)
+  bulk-export [limit]        Export all available anime (default: 50, use 0 for all): airing
+                             series first, then recently changed, new and least recently
+                             checked ones (see scrape_planner.js)
+    --incremental            Only export series whose episodes changed since the last run
+    --state <file>           State file for --incremental (default: scrape_state.json)
+    --journal <file>         Checkpoint every finished anime (and its record) to a new journal
+    --resume <file>          Continue the run recorded in a journal and emit the complete file
+    --health <file>          Print a health report, compare it with the rolling baseline kept in
+                             <file> and exit 1 when the counts collapse (see scrape_health.js)
+    --schedule-file <file>   Release schedule kept between runs (default: schedule.json)
+    --no-schedule            Plan without fetching the release schedule
+    --sitemap                Also plan the series and movies only the sitemap lists
+  check-links [limit]        Probe stored episode links, re-resolve dead/tutorial ones and
+                             print a patch for the affected episodes and their mirrors
+                             (default: all anime of --source, and those without a source)
+    --anime <title|slug>     Only check this anime
+    --apply                  Write the patch to the database instead of printing it
+    --report <file>          Also write the full report as JSON
+  dedupe                     Find anime stored twice under near-identical titles and print a
+                             merge patch (episodes and aliases move to the kept row)
+    --threshold <0-1>        Title similarity needed to merge (default: 0.9, env TITLE_MATCH_THRESHOLD)
+    --apply                  Merge in the database instead of printing the patch
+    --dialect <name>         mysql or sqlite (default: that of the database)
+  catalog                    Full inventory: every category in the site navigation (all pages)
+                             plus every series and movie in the sitemap, with counts per category
+    --format <fmt>           text or json (default: text)
+    --no-sitemap             Only list what the categories show
+  schedule                   Weekly release schedule with times in UTC, kept between runs
+    --format <fmt>           json or ics (a weekly recurring event per series, default: json)
+    --schedule-file <file>   Where the last fetched schedule is kept (default: schedule.json,
+                             env SCHEDULE_FILE); used when the site cannot be reached
+
+Options:
+  --db <target>              Database of db-import, migrate, apply, diff, check-links and dedupe: mysql
+                             or sqlite:<file> (default: mysql, env DB_TARGET)
+  --source <id>              Site to scrape: ${listSources().join(', ')} (default: ${DEFAULT_SOURCE})
+  --format <fmt>             db-export/bulk-export output: ${EXPORT_FORMATS.join(', ')} (default: sql)
+                             JSON records follow anime_record.schema.json
+  --dialect <name>           SQL written by db-export, bulk-export and check-links:
+                             ${SQL_DIALECTS.join(', ')} (default: ${DEFAULT_DIALECT}, env SQL_DIALECT)
+  --concurrency <n>          Max requests in flight (default: 4, env FETCH_CONCURRENCY)
+  --rate <n>                 Max requests per second per host, 0 = unlimited (default: 3, env FETCH_RATE)
+  --no-cache                 Bypass the on-disk HTTP cache (env HTTP_CACHE=0)
+  --cache-ttl <seconds>      Serve cached pages younger than this without revalidating (default: 3600)
+  --transport <mode>         auto (HTTP, headless browser once a site serves a challenge page),
+                             http or browser (default: auto, env FETCH_TRANSPORT)
+  --max-pages <n>            Browser pages open at once (default: 2, env BROWSER_MAX_PAGES)
+  --cookies <file>           Load and save cookies shared by HTTP and browser (env FETCH_COOKIE_FILE)
+  --providers <dir>          Load extra provider plugins, overriding built-ins of the same name
+                             (env PROVIDER_PLUGINS_DIR, see providers/registry.js)
+  --profile <name|file>      Selector profile for reading pages (default: animedekho,
+                             env SELECTOR_PROFILE, see selector_profile.js)
 
 Examples:
   node animedekho_importer.js search "Naruto"
   node animedekho_importer.js debug-episodes "naruto-shippuden-hindi-tamil-telugu"
   node animedekho_importer.js db-export "Naruto Shippuden" > naruto.sql
   node animedekho_importer.js bulk-export 0 > all_anime.sql
+  node animedekho_importer.js bulk-export 0 --incremental > delta.sql
+  node animedekho_importer.js bulk-export 0 --format ndjson > all_anime.ndjson
+  node animedekho_importer.js bulk-export 0 --dialect postgres > all_anime.pg.sql
+  node animedekho_importer.js bulk-export 0 --resume bulk.journal > all_anime.sql
+  node animedekho_importer.js bulk-export 100 --health scrape_health.json > all_anime.sql
+  node animedekho_importer.js check-links --report links.json > link_patch.sql
+  node animedekho_importer.js dedupe --threshold 0.85 > dedupe_patch.sql
+  node animedekho_importer.js db-import "Naruto Shippuden" --db sqlite:./catalog.db
+  node animedekho_importer.js apply bulk_export_2026-08-22.sql --db sqlite:./catalog.db
+  node animedekho_importer.js diff bulk_export_2026-08-21.sql bulk_export_2026-08-22.sql
+  node animedekho_importer.js diff db delta.sql --partial
+  node animedekho_importer.js diff db all_anime.sql --format json > changes.json
+  node animedekho_importer.js schedule --format ics > schedule.ics
+  node animedekho_importer.js catalog --format json > catalog.json
+  node animedekho_importer.js validate-profile https://animedekho.app/serie/naruto-shippuden-hindi-tamil-telugu/
 `);
         }
-    })().catch(e => console.error('Fatal error:', e));
+        await closeTransport();
+    })().catch(async (e) => {
+        console.error('Fatal error:', e);
+        await closeTransport();
+    });
 }
 
-module.exports = { AnimeDekhoImporter, exportAnime, bulkExportAnime };
+module.exports = { AnimeDekhoImporter, HttpError, createSource, exportAnime, bulkExportAnime };
@@ -0,0 +1,271 @@
+/**
+ * Link health checker
+ *
+ * Probes stored episode links (episodes.dood_id) with provider-aware rules, classifies
+ * each one and re-resolves dead or tutorial links through the source adapter's
+ * getEpisodeLink(). The result is a report plus a patch that only touches the
+ * affected episodes, either as SQL text or applied in one transaction.
+ *
+ * Statuses:
+ *   alive     provider page loaded and shows no "file gone" marker
+ *   dead      404/410, unknown host, or the provider says the file is gone
+ *   tutorial  placeholder / how-to video instead of the episode
+ *   unknown   could not tell (timeouts, 5xx, 403, challenge pages); left untouched
+ */
+
+const { fetchHTML, scheduler } = require('./http_client');
+const { HttpError, ChallengeError } = require('./transports');
+const { mapConcurrent } = require('./request_scheduler');
+const { sqlBuilder, DEFAULT_DIALECT } = require('./sql_builder');
+const { withTransaction, getPool, dialectOf } = require('./db');
+
+// ─── Liveness Rules ────────────────────────────────────────────────────────────
+
+// Provider-specific markers come from each plugin's `liveness` (see providers/registry.js);
+// these apply to every provider: pages that render fine (HTTP 200) but say the file is gone
+const GENERIC_DEAD = [/<title>[^<]*(?:404|Not Found|File Not Found|Deleted)[^<]*<\/title>/i];
+
+// ─── Classification ────────────────────────────────────────────────────────────
+
+/**
+ * Maps a probe failure onto a status: only answers that prove the file is gone count as dead.
+ */
+function classifyError(e) {
+    if (e instanceof HttpError) {
+        if (e.statusCode === 404 || e.statusCode === 410) return { status: 'dead', reason: `HTTP ${e.statusCode}` };
+        return { status: 'unknown', reason: `HTTP ${e.statusCode}` };
+    }
+    if (e instanceof ChallengeError) return { status: 'unknown', reason: e.message };
+    if (e && e.code === 'ENOTFOUND') return { status: 'dead', reason: 'host not found' };
+    return { status: 'unknown', reason: (e && (e.code || e.message)) || String(e) };
+}
+
+/**
+ * Probes one link. Resolves to { status, reason, provider }.
+ */
+async function classifyLink(importer, url) {
+    if (!url) return { status: 'dead', reason: 'empty link', provider: null };
+    if (importer._isTutorialLink(url)) return { status: 'tutorial', reason: 'tutorial placeholder', provider: null };
+
+    const plugin = importer.providers.find(url);
+    const provider = importer.providers.providerOf(url);
+    const rule = plugin && plugin.liveness;
+    const probeUrl = rule && rule.probeUrl ? rule.probeUrl(url) : url;
+
+    let body;
+    try {
+        body = await fetchHTML(probeUrl, 1, 1000, { useCache: false });
+    } catch (e) {
+        return { ...classifyError(e), provider };
+    }
+
+    const marker = [...(rule ? rule.dead : []), ...GENERIC_DEAD].find(pattern => pattern.test(body));
+    if (marker) return { status: 'dead', reason: `page says file is gone (${marker.source})`, provider };
+    return { status: 'alive', reason: null, provider };
+}
+
+// ─── Re-resolution ─────────────────────────────────────────────────────────────
+
+/**
+ * Finds the source episode id of a stored row: the stored one, otherwise the episode
+ * with the same season and title on the series page (the first one for movies).
+ */
+async function findSourceEpisodeId(importer, row, listings) {
+    if (row.sourceEpisodeId) return row.sourceEpisodeId;
+    if (!row.sourceSlug) return null;
+
+    // One series page fetch per slug, shared by all its rows
+    if (!listings.has(row.sourceSlug)) listings.set(row.sourceSlug, importer.getEpisodes(row.sourceSlug));
+    const episodes = await listings.get(row.sourceSlug);
+
+    const match = row.seasonNumber == null
+        ? episodes[0]
+        : episodes.find(ep => ep.season === row.seasonNumber && (ep.title || `Episode ${ep.number}`) === row.title);
+    return match ? match.episodeId : null;
+}
+
+/**
+ * Checks every row and re-resolves the dead and tutorial ones to the best mirror of the
+ * episode that probes alive.
+ * Rows: { id, animeTitle, sourceSlug, seasonNumber, title, link, sourceEpisodeId }.
+ * Resolves to the rows extended with { status, reason, provider, replacement,
+ * replacementProvider, sourceEpisodeId }.
+ */
+async function checkLinks(importer, rows, { reresolve = true } = {}) {
+    const listings = new Map();
+
+    return mapConcurrent(rows, scheduler.maxConcurrency, async (row, i) => {
+        const check = await classifyLink(importer, row.link);
+        const result = { ...row, ...check, replacement: null };
+
+        if (reresolve && (check.status === 'dead' || check.status === 'tutorial')) {
+            const episodeId = await findSourceEpisodeId(importer, row, listings);
+            if (!episodeId) {
+                result.reason += '; no source episode to re-resolve';
+            } else {
+                result.sourceEpisodeId = episodeId;
+                // The site may still list the dead link first: the first other mirror that probes alive wins
+                for (const { url } of await importer.getEpisodeSources(episodeId)) {
+                    if (url === row.link) continue;
+                    const probe = await classifyLink(importer, url);
+                    if (probe.status !== 'alive') continue;
+                    result.replacement = url;
+                    result.replacementProvider = probe.provider;
+                    break;
+                }
+                if (!result.replacement) result.reason += '; re-resolution found no live link';
+            }
+        }
+
+        const label = result.replacement ? `${check.status} -> replaced` : check.status;
+        console.error(`  [${i + 1}/${rows.length}] ${row.animeTitle} / ${row.title}: ${label}${check.reason ? ` (${check.reason})` : ''}`);
+        return result;
+    });
+}
+
+// ─── Report & Patch ────────────────────────────────────────────────────────────
+
+function summarizeLinkCheck(results) {
+    const summary = { checked: results.length, alive: 0, dead: 0, tutorial: 0, unknown: 0, replaced: 0 };
+    for (const r of results) {
+        summary[r.status]++;
+        if (r.replacement) summary.replaced++;
+    }
+    return summary;
+}
+
+function formatLinkReport(results) {
+    const summary = summarizeLinkCheck(results);
+    const lines = [
+        `Checked ${summary.checked} link(s): ${summary.alive} alive, ${summary.dead} dead, ` +
+        `${summary.tutorial} tutorial, ${summary.unknown} unknown; ${summary.replaced} replaced`,
+    ];
+    for (const r of results.filter(r => r.status !== 'alive')) {
+        const where = r.seasonNumber == null ? 'movie' : `S${r.seasonNumber}`;
+        lines.push(`  #${r.id} ${r.animeTitle} ${where} "${r.title}" [${r.provider || 'other'}] ${r.status}: ${r.reason}`);
+        lines.push(`      old: ${r.link}`);
+        if (r.replacement) lines.push(`      new: ${r.replacement}`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Parameterised statements for `dialect` touching the affected episodes only: dead and
+ * tutorial links are replaced when a live link was found, otherwise just marked. Alive
+ * and unknown rows are left alone.
+ *
+ * A replacement also takes the old link's place in episode_sources (its priority, 1 for
+ * the link in episodes.dood_id), dropping any other copy of it; episodes whose mirrors
+ * never listed the old link get it as mirror 1 when that is free.
+ */
+function linkPatchStatements(results, { dialect = DEFAULT_DIALECT } = {}) {
+    const b = sqlBuilder(dialect);
+    const statements = [];
+    for (const r of results) {
+        if (r.status !== 'dead' && r.status !== 'tutorial') continue;
+        if (r.replacement) {
+            const provider = r.replacementProvider || null;
+            statements.push({
+                sql: "UPDATE episodes SET dood_id = ?, source_episode_id = ?, link_status = 'alive', link_checked_at = CURRENT_TIMESTAMP WHERE id = ?",
+                params: [r.replacement, r.sourceEpisodeId, r.id],
+            }, {
+                sql: 'DELETE FROM episode_sources WHERE episode_id = ? AND url = ?',
+                params: [r.id, r.replacement],
+            }, {
+                sql: 'UPDATE episode_sources SET url = ?, provider = ?, quality = NULL WHERE episode_id = ? AND url = ?',
+                params: [r.replacement, provider, r.id, r.link],
+            }, {
+                sql: b.insertIgnore('episode_sources', ['episode_id', 'url', 'provider', 'quality', 'priority'], 'VALUES (?, ?, ?, NULL, 1)').replace(/;\n$/, ''),
+                params: [r.id, r.replacement, provider],
+            });
+        } else {
+            statements.push({
+                sql: 'UPDATE episodes SET link_status = ?, link_checked_at = CURRENT_TIMESTAMP WHERE id = ?',
+                params: [r.status, r.id],
+            });
+        }
+    }
+    return statements;
+}
+
+/**
+ * The patch as SQL text for `dialect` (see sql_builder.js), in one transaction like
+ * applyLinkPatch(), so episodes and their mirrors never disagree after a failed replay.
+ */
+function renderLinkPatchSql(results, { dialect = DEFAULT_DIALECT } = {}) {
+    const b = sqlBuilder(dialect);
+    const statements = linkPatchStatements(results, { dialect });
+    const episodes = statements.filter(s => s.sql.startsWith('UPDATE episodes ')).length;
+    let sql = `-- LINK CHECK PATCH\n-- Generated: ${new Date().toISOString()}\n-- Affected episodes: ${episodes}\n\n`;
+    sql += `${b.session({ vars: false })}${dialect === 'sqlite' ? 'BEGIN' : 'START TRANSACTION'};\n`;
+    for (const statement of statements) sql += b.inline(statement);
+    return sql + 'COMMIT;\n';
+}
+
+/**
+ * Applies the patch in one transaction on `pool` (the shared pool by default).
+ * Resolves to the number of episodes changed.
+ */
+async function applyLinkPatch(results, pool = getPool()) {
+    const statements = linkPatchStatements(results, { dialect: dialectOf(pool) });
+    let changed = 0;
+    await withTransaction(async (conn) => {
+        for (const { sql, params } of statements) {
+            const [res] = await conn.execute(sql, params);
+            if (sql.startsWith('UPDATE episodes ')) changed += res.affectedRows;
+        }
+    }, pool);
+    return changed;
+}
+
+// ─── Stored Episodes ───────────────────────────────────────────────────────────
+
+/**
+ * Loads stored episodes in catalog order. `source` keeps the anime of one source adapter
+ * (its id), so slugs are only ever re-resolved on the site they came from; anime without
+ * a source (title-only dumps) are loaded too, as they can still be probed.
+ * `anime` filters by title or source slug.
+ */
+async function loadStoredEpisodes(db, { source = null, anime = null, limit = 0 } = {}) {
+    const params = [];
+    const where = [];
+    let sql = `
+        SELECT e.id, e.title, e.dood_id, e.source_episode_id, s.season_number,
+               a.title AS anime_title, a.source_slug
+        FROM episodes e
+        JOIN anime a ON a.id = e.anime_id
+        LEFT JOIN seasons s ON s.id = e.season_id`;
+    if (source) {
+        where.push('(a.source = ? OR a.source IS NULL)');
+        params.push(source);
+    }
+    if (anime) {
+        where.push('(a.title = ? OR a.source_slug = ?)');
+        params.push(anime, anime);
+    }
+    if (where.length) sql += ` WHERE ${where.join(' AND ')}`;
+    sql += ' ORDER BY a.id, e.ep_order';
+    if (limit > 0) sql += ` LIMIT ${parseInt(limit)}`;
+
+    const [rows] = await db.query(sql, params);
+    return rows.map(r => ({
+        id: r.id,
+        animeTitle: r.anime_title,
+        sourceSlug: r.source_slug,
+        seasonNumber: r.season_number == null ? null : Number(r.season_number),
+        title: r.title,
+        link: r.dood_id,
+        sourceEpisodeId: r.source_episode_id,
+    }));
+}
+
+module.exports = {
+    classifyLink,
+    checkLinks,
+    summarizeLinkCheck,
+    formatLinkReport,
+    linkPatchStatements,
+    renderLinkPatchSql,
+    applyLinkPatch,
+    loadStoredEpisodes,
+};
@@ -0,0 +1,138 @@
+/**
+ * Versioned schema migrations
+ *
+ * Each file in ./migrations is named <version>_<name>.js and exports
+ * { description, up(db), down(db), sqlite: { up(db), down(db) } }, the MySQL steps and
+ * the same schema change for SQLite catalogs (see db_sqlite.js). Applied versions are
+ * recorded in the schema_migrations table so `migrate up` only runs what is pending.
+ *
+ * Usage (through the importer CLI):
+ *   node importer.js migrate status
+ *   node importer.js migrate up [targetVersion]
+ *   node importer.js migrate down [steps]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { dialectOf } = require('./db');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATIONS_TABLE = 'schema_migrations';
+
+/**
+ * Loads all migration modules, sorted by version.
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    return fs.readdirSync(dir)
+        .map(file => {
+            const match = file.match(/^(\d+)_([\w-]+)\.js$/);
+            if (!match) return null;
+            const mod = require(path.join(dir, file));
+            return {
+                version: parseInt(match[1], 10),
+                name: match[2],
+                description: mod.description || match[2],
+                up: mod.up,
+                down: mod.down,
+                sqlite: mod.sqlite || null,
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.version - b.version);
+}
+
+/**
+ * The { up, down } steps of migration `m` for the database `db`.
+ */
+function stepsFor(m, db) {
+    if (dialectOf(db) === 'mysql') return m;
+    if (!m.sqlite) throw new Error(`Migration ${m.version} ${m.name} has no SQLite steps`);
+    return m.sqlite;
+}
+
+async function ensureMigrationsTable(db) {
+    if (dialectOf(db) === 'sqlite') {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+                version INTEGER NOT NULL PRIMARY KEY,
+                name VARCHAR(255) NOT NULL,
+                applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        return;
+    }
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+            version INT UNSIGNED NOT NULL,
+            name VARCHAR(255) NOT NULL,
+            applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (version)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+}
+
+/**
+ * Returns a Map of version -> applied_at for every recorded migration.
+ */
+async function getAppliedVersions(db) {
+    await ensureMigrationsTable(db);
+    const [rows] = await db.query(`SELECT version, applied_at FROM ${MIGRATIONS_TABLE} ORDER BY version`);
+    return new Map(rows.map(r => [Number(r.version), r.applied_at]));
+}
+
+/**
+ * Applies pending migrations in order, up to and including `targetVersion` if given.
+ * Returns the list of applied migrations; `quiet` leaves them unlisted on stderr.
+ */
+async function migrateUp(db, targetVersion = null, migrations = loadMigrations(), { quiet = false } = {}) {
+    const applied = await getAppliedVersions(db);
+    const done = [];
+
+    for (const m of migrations) {
+        if (applied.has(m.version)) continue;
+        if (targetVersion !== null && m.version > targetVersion) break;
+
+        if (!quiet) console.error(`  ↑ ${m.version} ${m.name}: ${m.description}`);
+        // MySQL commits DDL implicitly, so each migration is recorded right after it succeeds
+        await stepsFor(m, db).up(db);
+        await db.query(`INSERT INTO ${MIGRATIONS_TABLE} (version, name) VALUES (?, ?)`, [m.version, m.name]);
+        done.push(m);
+    }
+    return done;
+}
+
+/**
+ * Reverts the most recently applied `steps` migrations.
+ * Returns the list of reverted migrations.
+ */
+async function migrateDown(db, steps = 1, migrations = loadMigrations()) {
+    const applied = await getAppliedVersions(db);
+    const toRevert = migrations
+        .filter(m => applied.has(m.version))
+        .reverse()
+        .slice(0, steps);
+
+    for (const m of toRevert) {
+        console.error(`  ↓ ${m.version} ${m.name}: ${m.description}`);
+        await stepsFor(m, db).down(db);
+        await db.query(`DELETE FROM ${MIGRATIONS_TABLE} WHERE version = ?`, [m.version]);
+    }
+    return toRevert;
+}
+
+/**
+ * Lists every known migration with its applied state.
+ */
+async function migrationStatus(db, migrations = loadMigrations()) {
+    const applied = await getAppliedVersions(db);
+    return migrations.map(m => ({
+        version: m.version,
+        name: m.name,
+        description: m.description,
+        applied: applied.has(m.version),
+        appliedAt: applied.get(m.version) || null,
+    }));
+}
+
+module.exports = { loadMigrations, migrateUp, migrateDown, migrationStatus, MIGRATIONS_TABLE };
@@ -0,0 +1,123 @@
+/**
+ * Core catalog tables used by importToDb, exportAnime and bulkExportAnime.
+ *
+ * - anime:    one row per series/movie, looked up by title
+ * - seasons:  one row per (anime, season_number)
+ * - episodes: playable links; movies use season_id = NULL
+ */
+
+module.exports = {
+    description: 'Create anime, seasons and episodes tables',
+
+    async up(db) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS anime (
+                id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+                title VARCHAR(255) NOT NULL,
+                description TEXT NULL,
+                poster_url VARCHAR(1024) NULL,
+                type ENUM('series', 'movie') NOT NULL DEFAULT 'series',
+                created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                PRIMARY KEY (id),
+                UNIQUE KEY uq_anime_title (title),
+                KEY idx_anime_type (type)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS seasons (
+                id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+                anime_id INT UNSIGNED NOT NULL,
+                title VARCHAR(255) NOT NULL,
+                season_number INT UNSIGNED NOT NULL,
+                PRIMARY KEY (id),
+                UNIQUE KEY uq_seasons_anime_number (anime_id, season_number),
+                CONSTRAINT fk_seasons_anime FOREIGN KEY (anime_id)
+                    REFERENCES anime (id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS episodes (
+                id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+                anime_id INT UNSIGNED NOT NULL,
+                season_id INT UNSIGNED NULL,
+                title VARCHAR(512) NOT NULL,
+                dood_id VARCHAR(2048) NOT NULL,
+                ep_order INT UNSIGNED NOT NULL,
+                created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (id),
+                UNIQUE KEY uq_episodes_order (anime_id, season_id, ep_order),
+                KEY idx_episodes_season (season_id, ep_order),
+                CONSTRAINT fk_episodes_anime FOREIGN KEY (anime_id)
+                    REFERENCES anime (id) ON DELETE CASCADE,
+                CONSTRAINT fk_episodes_season FOREIGN KEY (season_id)
+                    REFERENCES seasons (id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+    },
+
+    async down(db) {
+        await db.query('DROP TABLE IF EXISTS episodes');
+        await db.query('DROP TABLE IF EXISTS seasons');
+        await db.query('DROP TABLE IF EXISTS anime');
+    },
+
+    // No ENUM, AUTO_INCREMENT or inline keys; keys are indexes with the MySQL names
+    sqlite: {
+        async up(db) {
+            await db.query(`
+                CREATE TABLE IF NOT EXISTS anime (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    title VARCHAR(255) NOT NULL COLLATE NOCASE,
+                    description TEXT NULL,
+                    poster_url VARCHAR(1024) NULL,
+                    type VARCHAR(16) NOT NULL DEFAULT 'series' CHECK (type IN ('series', 'movie')),
+                    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            await db.query('CREATE UNIQUE INDEX IF NOT EXISTS uq_anime_title ON anime (title)');
+            await db.query('CREATE INDEX IF NOT EXISTS idx_anime_type ON anime (type)');
+            // ON UPDATE CURRENT_TIMESTAMP
+            await db.query(`
+                CREATE TRIGGER IF NOT EXISTS trg_anime_updated_at AFTER UPDATE ON anime
+                FOR EACH ROW WHEN NEW.updated_at = OLD.updated_at
+                BEGIN
+                    UPDATE anime SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+                END
+            `);
+
+            await db.query(`
+                CREATE TABLE IF NOT EXISTS seasons (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    anime_id INTEGER NOT NULL REFERENCES anime (id) ON DELETE CASCADE,
+                    title VARCHAR(255) NOT NULL,
+                    season_number INTEGER NOT NULL
+                )
+            `);
+            await db.query('CREATE UNIQUE INDEX IF NOT EXISTS uq_seasons_anime_number ON seasons (anime_id, season_number)');
+
+            await db.query(`
+                CREATE TABLE IF NOT EXISTS episodes (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    anime_id INTEGER NOT NULL REFERENCES anime (id) ON DELETE CASCADE,
+                    season_id INTEGER NULL REFERENCES seasons (id) ON DELETE CASCADE,
+                    title VARCHAR(512) NOT NULL,
+                    dood_id VARCHAR(2048) NOT NULL,
+                    ep_order INTEGER NOT NULL,
+                    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            await db.query('CREATE UNIQUE INDEX IF NOT EXISTS uq_episodes_order ON episodes (anime_id, season_id, ep_order)');
+            await db.query('CREATE INDEX IF NOT EXISTS idx_episodes_season ON episodes (season_id, ep_order)');
+        },
+
+        async down(db) {
+            await db.query('DROP TABLE IF EXISTS episodes');
+            await db.query('DROP TABLE IF EXISTS seasons');
+            await db.query('DROP TABLE IF EXISTS anime');
+        },
+    },
+};
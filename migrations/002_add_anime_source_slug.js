@@ -0,0 +1,36 @@
+/**
+ * Remember which site slug each anime row was scraped from.
+ * Nullable so rows loaded from older title-only dumps remain valid.
+ */
+
+module.exports = {
+    description: 'Add anime.source_slug',
+
+    async up(db) {
+        await db.query(`
+            ALTER TABLE anime
+                ADD COLUMN source_slug VARCHAR(255) NULL AFTER title,
+                ADD UNIQUE KEY uq_anime_source_slug (source_slug)
+        `);
+    },
+
+    async down(db) {
+        await db.query(`
+            ALTER TABLE anime
+                DROP INDEX uq_anime_source_slug,
+                DROP COLUMN source_slug
+        `);
+    },
+
+    sqlite: {
+        async up(db) {
+            await db.query('ALTER TABLE anime ADD COLUMN source_slug VARCHAR(255) NULL');
+            await db.query('CREATE UNIQUE INDEX uq_anime_source_slug ON anime (source_slug)');
+        },
+
+        async down(db) {
+            await db.query('DROP INDEX uq_anime_source_slug');
+            await db.query('ALTER TABLE anime DROP COLUMN source_slug');
+        },
+    },
+};
@@ -0,0 +1,49 @@
+/**
+ * Link health bookkeeping for `check-links`.
+ *
+ * - source_episode_id: episode id on the source site, so a dead link can be re-resolved
+ * - link_status:       alive | dead | tutorial | unknown, as of link_checked_at
+ *
+ * All nullable: rows loaded from older dumps have never been checked.
+ */
+
+module.exports = {
+    description: 'Add episodes.source_episode_id, link_status and link_checked_at',
+
+    async up(db) {
+        await db.query(`
+            ALTER TABLE episodes
+                ADD COLUMN source_episode_id VARCHAR(255) NULL AFTER dood_id,
+                ADD COLUMN link_status ENUM('alive', 'dead', 'tutorial', 'unknown') NULL AFTER source_episode_id,
+                ADD COLUMN link_checked_at DATETIME NULL AFTER link_status,
+                ADD KEY idx_episodes_link_status (link_status)
+        `);
+    },
+
+    async down(db) {
+        await db.query(`
+            ALTER TABLE episodes
+                DROP INDEX idx_episodes_link_status,
+                DROP COLUMN link_checked_at,
+                DROP COLUMN link_status,
+                DROP COLUMN source_episode_id
+        `);
+    },
+
+    sqlite: {
+        async up(db) {
+            await db.query('ALTER TABLE episodes ADD COLUMN source_episode_id VARCHAR(255) NULL');
+            await db.query(`ALTER TABLE episodes ADD COLUMN link_status VARCHAR(16) NULL
+                CHECK (link_status IN ('alive', 'dead', 'tutorial', 'unknown'))`);
+            await db.query('ALTER TABLE episodes ADD COLUMN link_checked_at DATETIME NULL');
+            await db.query('CREATE INDEX idx_episodes_link_status ON episodes (link_status)');
+        },
+
+        async down(db) {
+            await db.query('DROP INDEX idx_episodes_link_status');
+            await db.query('ALTER TABLE episodes DROP COLUMN link_checked_at');
+            await db.query('ALTER TABLE episodes DROP COLUMN link_status');
+            await db.query('ALTER TABLE episodes DROP COLUMN source_episode_id');
+        },
+    },
+};
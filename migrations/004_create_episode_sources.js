@@ -0,0 +1,53 @@
+/**
+ * Every mirror of an episode, so players can fail over when one provider is down.
+ *
+ * - episode_sources: one row per (episode, priority); priority 1 is the mirror also
+ *   stored in episodes.dood_id. Rows go away with their episode.
+ */
+
+module.exports = {
+    description: 'Create episode_sources table',
+
+    async up(db) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS episode_sources (
+                id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+                episode_id INT UNSIGNED NOT NULL,
+                url VARCHAR(2048) NOT NULL,
+                provider VARCHAR(255) NULL,
+                quality VARCHAR(16) NULL,
+                priority INT UNSIGNED NOT NULL,
+                PRIMARY KEY (id),
+                UNIQUE KEY uq_episode_sources_priority (episode_id, priority),
+                KEY idx_episode_sources_provider (provider),
+                CONSTRAINT fk_episode_sources_episode FOREIGN KEY (episode_id)
+                    REFERENCES episodes (id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+    },
+
+    async down(db) {
+        await db.query('DROP TABLE IF EXISTS episode_sources');
+    },
+
+    sqlite: {
+        async up(db) {
+            await db.query(`
+                CREATE TABLE IF NOT EXISTS episode_sources (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    episode_id INTEGER NOT NULL REFERENCES episodes (id) ON DELETE CASCADE,
+                    url VARCHAR(2048) NOT NULL,
+                    provider VARCHAR(255) NULL,
+                    quality VARCHAR(16) NULL,
+                    priority INTEGER NOT NULL
+                )
+            `);
+            await db.query('CREATE UNIQUE INDEX IF NOT EXISTS uq_episode_sources_priority ON episode_sources (episode_id, priority)');
+            await db.query('CREATE INDEX IF NOT EXISTS idx_episode_sources_provider ON episode_sources (provider)');
+        },
+
+        async down(db) {
+            await db.query('DROP TABLE IF EXISTS episode_sources');
+        },
+    },
+};
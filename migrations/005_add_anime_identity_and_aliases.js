@@ -0,0 +1,136 @@
+/**
+ * Identify anime by source site and slug instead of by title (see anime_identity.js).
+ *
+ * - anime.source:  adapter id; (source, source_slug) replaces the unique title, so two
+ *                  shows may share a title. NULL on rows from title-only dumps until an
+ *                  import adopts them.
+ * - anime_aliases: every title seen for a row, with the source slug it was seen under
+ *                  ('' when unknown). Seeded with the current titles.
+ */
+
+// Frozen copy of cleanTitle() and titleKey() from anime_identity.js as they were when
+// this migration was written: a migration must seed the same keys whenever it runs,
+// whatever the live matching code has become since.
+
+const KEY_STOP_WORDS = new Set([
+    'the', 'a', 'an', 'and', 'in', 'hindi', 'tamil', 'telugu', 'english',
+    'dub', 'dubbed', 'sub', 'subbed', 'official',
+]);
+
+function titleKey(title) {
+    return (title || '')
+        .replace(/\s*[-|]\s*(?:Watch|Free|Streaming|Anime|Online|ToonStream|Episode|Hindi Dubbed|All Season Episodes).*$/i, '')
+        .replace(/Watch\s+Online\s+/i, '')
+        .replace(/\s+in\s+Hindi\s+Dubbed.*$/i, '')
+        .replace(/\s+All\s+Season\s+Episodes.*$/i, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .split(' ')
+        .filter(word => word && !KEY_STOP_WORDS.has(word))
+        .join(' ');
+}
+
+/**
+ * Every current title as an alias without source ('INSERT IGNORE' or 'INSERT OR IGNORE').
+ * Keys are computed here, so seed row by row.
+ */
+async function seedAliases(db, insertIgnore) {
+    const [rows] = await db.query('SELECT id, title FROM anime');
+    for (const row of rows) {
+        await db.query(
+            `${insertIgnore} INTO anime_aliases (anime_id, title, title_key) VALUES (?, ?, ?)`,
+            [row.id, row.title, titleKey(row.title)]
+        );
+    }
+}
+
+module.exports = {
+    description: 'Add anime.source and anime_aliases',
+
+    async up(db) {
+        await db.query(`
+            ALTER TABLE anime
+                ADD COLUMN source VARCHAR(64) NULL AFTER title,
+                DROP INDEX uq_anime_title,
+                DROP INDEX uq_anime_source_slug,
+                ADD KEY idx_anime_title (title),
+                ADD UNIQUE KEY uq_anime_source_slug (source, source_slug)
+        `);
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS anime_aliases (
+                id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+                anime_id INT UNSIGNED NOT NULL,
+                title VARCHAR(255) NOT NULL,
+                title_key VARCHAR(255) NOT NULL,
+                source VARCHAR(64) NOT NULL DEFAULT '',
+                source_slug VARCHAR(255) NOT NULL DEFAULT '',
+                first_seen_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                last_seen_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (id),
+                UNIQUE KEY uq_anime_aliases (anime_id, source, source_slug, title_key),
+                KEY idx_anime_aliases_key (title_key),
+                KEY idx_anime_aliases_source_slug (source, source_slug),
+                CONSTRAINT fk_anime_aliases_anime FOREIGN KEY (anime_id)
+                    REFERENCES anime (id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+
+        await seedAliases(db, 'INSERT IGNORE');
+    },
+
+    // Fails while two anime share a title or a slug; run `dedupe --apply` first
+    async down(db) {
+        await db.query('DROP TABLE IF EXISTS anime_aliases');
+        await db.query(`
+            ALTER TABLE anime
+                DROP INDEX uq_anime_source_slug,
+                DROP INDEX idx_anime_title,
+                DROP COLUMN source,
+                ADD UNIQUE KEY uq_anime_title (title),
+                ADD UNIQUE KEY uq_anime_source_slug (source_slug)
+        `);
+    },
+
+    sqlite: {
+        async up(db) {
+            await db.query('ALTER TABLE anime ADD COLUMN source VARCHAR(64) NULL');
+            await db.query('DROP INDEX uq_anime_title');
+            await db.query('DROP INDEX uq_anime_source_slug');
+            await db.query('CREATE INDEX idx_anime_title ON anime (title)');
+            await db.query('CREATE UNIQUE INDEX uq_anime_source_slug ON anime (source, source_slug)');
+
+            await db.query(`
+                CREATE TABLE IF NOT EXISTS anime_aliases (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    anime_id INTEGER NOT NULL REFERENCES anime (id) ON DELETE CASCADE,
+                    title VARCHAR(255) NOT NULL,
+                    title_key VARCHAR(255) NOT NULL,
+                    source VARCHAR(64) NOT NULL DEFAULT '',
+                    source_slug VARCHAR(255) NOT NULL DEFAULT '',
+                    first_seen_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                    last_seen_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            await db.query('CREATE UNIQUE INDEX IF NOT EXISTS uq_anime_aliases ON anime_aliases (anime_id, source, source_slug, title_key)');
+            await db.query('CREATE INDEX IF NOT EXISTS idx_anime_aliases_key ON anime_aliases (title_key)');
+            await db.query('CREATE INDEX IF NOT EXISTS idx_anime_aliases_source_slug ON anime_aliases (source, source_slug)');
+
+            await seedAliases(db, 'INSERT OR IGNORE');
+        },
+
+        async down(db) {
+            await db.query('DROP TABLE IF EXISTS anime_aliases');
+            await db.query('DROP INDEX uq_anime_source_slug');
+            await db.query('DROP INDEX idx_anime_title');
+            await db.query('ALTER TABLE anime DROP COLUMN source');
+            await db.query('CREATE UNIQUE INDEX uq_anime_title ON anime (title)');
+            await db.query('CREATE UNIQUE INDEX uq_anime_source_slug ON anime (source_slug)');
+        },
+    },
+};
@@ -0,0 +1,89 @@
+/**
+ * Catalog metadata, so the site can filter by genre and dub language.
+ *
+ * - anime.release_year / status / rating: NULL when the page does not show them;
+ *   status is ongoing | completed | upcoming, rating is out of 10
+ * - anime_genres, anime_languages: one row per genre / audio language (normalized names,
+ *   see anime_metadata.js), replaced on every import. Rows go away with their anime.
+ */
+
+module.exports = {
+    description: 'Add anime release_year, status, rating and anime_genres/anime_languages tables',
+
+    async up(db) {
+        await db.query(`
+            ALTER TABLE anime
+                ADD COLUMN release_year SMALLINT UNSIGNED NULL AFTER type,
+                ADD COLUMN status ENUM('ongoing', 'completed', 'upcoming') NULL AFTER release_year,
+                ADD COLUMN rating DECIMAL(3,1) NULL AFTER status,
+                ADD KEY idx_anime_release_year (release_year)
+        `);
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS anime_genres (
+                anime_id INT UNSIGNED NOT NULL,
+                genre VARCHAR(64) NOT NULL,
+                PRIMARY KEY (anime_id, genre),
+                KEY idx_anime_genres_genre (genre),
+                CONSTRAINT fk_anime_genres_anime FOREIGN KEY (anime_id)
+                    REFERENCES anime (id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS anime_languages (
+                anime_id INT UNSIGNED NOT NULL,
+                language VARCHAR(32) NOT NULL,
+                PRIMARY KEY (anime_id, language),
+                KEY idx_anime_languages_language (language),
+                CONSTRAINT fk_anime_languages_anime FOREIGN KEY (anime_id)
+                    REFERENCES anime (id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+    },
+
+    async down(db) {
+        await db.query('DROP TABLE IF EXISTS anime_languages');
+        await db.query('DROP TABLE IF EXISTS anime_genres');
+        await db.query(`
+            ALTER TABLE anime
+                DROP INDEX idx_anime_release_year,
+                DROP COLUMN rating,
+                DROP COLUMN status,
+                DROP COLUMN release_year
+        `);
+    },
+
+    sqlite: {
+        async up(db) {
+            await db.query('ALTER TABLE anime ADD COLUMN release_year SMALLINT NULL');
+            await db.query(`ALTER TABLE anime ADD COLUMN status VARCHAR(16) NULL
+                CHECK (status IN ('ongoing', 'completed', 'upcoming'))`);
+            await db.query('ALTER TABLE anime ADD COLUMN rating DECIMAL(3,1) NULL');
+            await db.query('CREATE INDEX idx_anime_release_year ON anime (release_year)');
+            await db.query(`
+                CREATE TABLE IF NOT EXISTS anime_genres (
+                    anime_id INTEGER NOT NULL REFERENCES anime (id) ON DELETE CASCADE,
+                    genre VARCHAR(64) NOT NULL,
+                    PRIMARY KEY (anime_id, genre)
+                )
+            `);
+            await db.query('CREATE INDEX IF NOT EXISTS idx_anime_genres_genre ON anime_genres (genre)');
+            await db.query(`
+                CREATE TABLE IF NOT EXISTS anime_languages (
+                    anime_id INTEGER NOT NULL REFERENCES anime (id) ON DELETE CASCADE,
+                    language VARCHAR(32) NOT NULL,
+                    PRIMARY KEY (anime_id, language)
+                )
+            `);
+            await db.query('CREATE INDEX IF NOT EXISTS idx_anime_languages_language ON anime_languages (language)');
+        },
+
+        async down(db) {
+            await db.query('DROP TABLE IF EXISTS anime_languages');
+            await db.query('DROP TABLE IF EXISTS anime_genres');
+            await db.query('DROP INDEX idx_anime_release_year');
+            await db.query('ALTER TABLE anime DROP COLUMN rating');
+            await db.query('ALTER TABLE anime DROP COLUMN status');
+            await db.query('ALTER TABLE anime DROP COLUMN release_year');
+        },
+    },
+};
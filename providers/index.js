@@ -0,0 +1,83 @@
+/**
+ * Video providers
+ *
+ * Everything known about video hosts lives in provider plugins (see registry.js):
+ * the built-ins in providers/plugins/, plus any directory named by
+ * PROVIDER_PLUGINS_DIR or loaded with loadProviderPlugins() (`--providers <dir>`).
+ * Source adapters classify and resolve links through this shared registry.
+ *
+ * Mirrors of one episode are what episode_sources stores:
+ *
+ *   { url, provider, quality, priority }
+ *
+ * `provider` is the plugin name or the bare host name, `quality` a hint taken from
+ * the server label or URL (e.g. "1080p", "HD") or null, and `priority` starts at 1
+ * for the mirror players should try first.
+ */
+
+const path = require('path');
+const { ProviderRegistry, PROVIDER_KINDS, absoluteUrl } = require('./registry');
+
+const BUILTIN_PLUGINS_DIR = path.join(__dirname, 'plugins');
+
+const providerRegistry = new ProviderRegistry().loadDir(BUILTIN_PLUGINS_DIR);
+if (process.env.PROVIDER_PLUGINS_DIR) providerRegistry.loadDir(process.env.PROVIDER_PLUGINS_DIR);
+
+/**
+ * Loads extra plugins into the shared registry; they override built-ins of the same name.
+ */
+function loadProviderPlugins(dir) {
+    return providerRegistry.loadDir(dir);
+}
+
+/**
+ * Provider name for `url` according to the shared registry.
+ */
+function providerOf(url) {
+    return providerRegistry.providerOf(url);
+}
+
+/**
+ * Quality hint from any of `texts` (server label, URL): "1080p", "720p", "4K", "HD", "SD"...
+ */
+function qualityHint(...texts) {
+    for (const text of texts) {
+        if (!text) continue;
+        const resolution = text.match(/\b(2160|1440|1080|720|480|360|240)p\b/i);
+        if (resolution) return `${resolution[1]}p`;
+        const label = text.match(/\b(4K|FHD|HD|SD)\b/);
+        if (label) return label[1];
+    }
+    return null;
+}
+
+// ─── Ranking ───────────────────────────────────────────────────────────────────
+
+/**
+ * Turns resolved candidates ({ url, label, direct }) into mirrors. Duplicate URLs are
+ * dropped; direct provider links rank before other external links, and page order is
+ * kept within each group.
+ */
+function rankMirrors(candidates, registry = providerRegistry) {
+    const seen = new Set();
+    const unique = candidates.filter(c => c.url && !seen.has(c.url) && seen.add(c.url));
+
+    return [...unique.filter(c => c.direct), ...unique.filter(c => !c.direct)].map((c, i) => ({
+        url: c.url,
+        provider: registry.providerOf(c.url),
+        quality: qualityHint(c.label, c.url),
+        priority: i + 1,
+    }));
+}
+
+module.exports = {
+    ProviderRegistry,
+    PROVIDER_KINDS,
+    BUILTIN_PLUGINS_DIR,
+    providerRegistry,
+    loadProviderPlugins,
+    providerOf,
+    qualityHint,
+    rankMirrors,
+    absoluteUrl,
+};
@@ -0,0 +1,5 @@
+module.exports = {
+    name: 'as-cdn21',
+    kind: 'direct',
+    match: /^https?:\/\/[^/]*as-cdn21\.top/i,
+};
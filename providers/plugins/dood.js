@@ -0,0 +1,8 @@
+module.exports = {
+    name: 'dood',
+    kind: 'direct',
+    match: /^https?:\/\/[^/]*(?:dood|d0+d|ds2play)/i,
+    liveness: {
+        dead: [/Video not found/i, /File was deleted/i, /<title>\s*Not Found/i],
+    },
+};
@@ -0,0 +1,8 @@
+module.exports = {
+    name: 'gdmirrorbot',
+    kind: 'direct',
+    match: /^https?:\/\/[^/]*gdmirrorbot/i,
+    liveness: {
+        dead: [/File Not Found/i, /This file does not exist/i],
+    },
+};
@@ -0,0 +1,8 @@
+module.exports = {
+    name: 'hubcloud',
+    kind: 'direct',
+    match: /^https?:\/\/[^/]*hubcloud/i,
+    liveness: {
+        dead: [/File Not Found/i, /file has been deleted/i],
+    },
+};
@@ -0,0 +1,13 @@
+module.exports = {
+    name: 'pixeldrain',
+    kind: 'direct',
+    match: /^https?:\/\/[^/]*pixeldrain/i,
+    liveness: {
+        // The file page is a JS app; the info API answers 404 once a file is gone
+        probeUrl: (url) => {
+            const match = url.match(/\/(?:u|l|api\/file)\/([A-Za-z0-9]+)/);
+            return match ? `${new URL(url).origin}/api/file/${match[1]}/info` : url;
+        },
+        dead: [/"success"\s*:\s*false/],
+    },
+};
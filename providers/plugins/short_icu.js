@@ -0,0 +1,8 @@
+module.exports = {
+    name: 'short.icu',
+    kind: 'direct',
+    match: /^https?:\/\/[^/]*short\.icu/i,
+    liveness: {
+        dead: [/Link not found/i, /Invalid link/i],
+    },
+};
@@ -0,0 +1,7 @@
+// Catch-all for the many "*stream*" hosts; specific plugins are matched first
+module.exports = {
+    name: 'stream',
+    kind: 'direct',
+    fallback: true,
+    match: /stream/i,
+};
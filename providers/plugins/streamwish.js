@@ -0,0 +1,8 @@
+module.exports = {
+    name: 'streamwish',
+    kind: 'direct',
+    match: /^https?:\/\/[^/]*(?:streamwish|wishfast|strwish)/i,
+    liveness: {
+        dead: [/File is no longer available/i, /File Not Found/i, /This video has been removed/i],
+    },
+};
@@ -0,0 +1,27 @@
+/**
+ * "How to watch" tutorials, ad-skip guides and trailers that sites put in place of
+ * (or in front of) the real episode.
+ */
+
+const PATTERNS = [
+    'youtube.com/embed/53ga7MRcQGg',
+    'youtube.com/embed/JLD8SyY3o6Q',
+    'youtube.com/embed/NNrCwPAj1IY',
+    'youtube.com/embed/xV5Wm7qixyQ',
+    'youtube.com/embed/KOWcj7XKnfQ', // Main "How to Watch" tutorial
+    '1122154449', // Specific Vimeo placeholder/trailer appearing on multiple pages
+    'youtube.com/embed/watch',
+    'how to watch',
+    'tutorial',
+    'skip-ad',
+].map(p => p.toLowerCase());
+
+module.exports = {
+    name: 'tutorials',
+    kind: 'junk',
+    match: (url) => {
+        const lower = url.toLowerCase();
+        // YouTube embeds on these sites are almost always tutorials
+        return PATTERNS.some(p => lower.includes(p)) || lower.includes('youtube.com/embed/') || lower.includes('youtu.be/');
+    },
+};
@@ -0,0 +1,8 @@
+module.exports = {
+    name: 'vidmoly',
+    kind: 'direct',
+    match: /^https?:\/\/[^/]*vidmoly/i,
+    liveness: {
+        dead: [/File was deleted/i, /Video not found/i, /notice\.php/i],
+    },
+};
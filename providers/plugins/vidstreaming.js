@@ -0,0 +1,6 @@
+// Served from many hosts; recognised by the path as well
+module.exports = {
+    name: 'vidstreaming',
+    kind: 'direct',
+    match: /vidstreaming/i,
+};
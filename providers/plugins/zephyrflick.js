@@ -0,0 +1,5 @@
+module.exports = {
+    name: 'zephyrflick',
+    kind: 'direct',
+    match: /^https?:\/\/[^/]*play\.zephyrflick\.top/i,
+};
@@ -0,0 +1,173 @@
+/**
+ * Provider registry
+ *
+ * Every video host is a plugin:
+ *
+ *   {
+ *     name: 'dood',
+ *     kind: 'direct' | 'embed' | 'junk',
+ *     match: /regex tested against the full URL/ or (url) => boolean,
+ *     extract: (html, pageUrl, registry) => playable URL or null,   optional, embed only
+ *     liveness: { dead: [RegExp], probeUrl: (url) => url },          optional, see link_checker.js
+ *     fallback: true,                                                optional, matched last
+ *   }
+ *
+ *   direct  the URL itself is playable (stored as an episode link)
+ *   embed   a page that has to be fetched; `extract` (or the generic extractor) finds
+ *           the playable URL in it
+ *   junk    tutorials and placeholders, never stored
+ *
+ * Lookup order: junk plugins always win, then plugins in precedence order (the most
+ * recently registered first, so a config directory can override a built-in host),
+ * then `fallback` plugins. Registering a name again replaces the earlier plugin.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PROVIDER_KINDS = ['direct', 'embed', 'junk'];
+
+/**
+ * Absolute URLs in page source, stopping at quotes, whitespace, tags and escapes.
+ */
+const URL_IN_PAGE = /https?:\/\/[^"'\s<>\\]+/gi;
+
+class ProviderRegistry {
+
+    /**
+     * `parent` registries are consulted after this one's own plugins, and read live,
+     * so plugins loaded into a shared registry later still apply.
+     */
+    constructor({ plugins = [], parent = null } = {}) {
+        this.parent = parent;
+        this.plugins = [];
+        plugins.forEach(plugin => this.register(plugin));
+    }
+
+    register(plugin) {
+        const label = plugin && plugin.name ? `Provider plugin "${plugin.name}"` : 'Provider plugin';
+        if (!plugin || typeof plugin.name !== 'string' || !plugin.name) throw new Error(`${label}: name is required`);
+        if (!PROVIDER_KINDS.includes(plugin.kind)) {
+            throw new Error(`${label}: kind must be one of ${PROVIDER_KINDS.join(', ')}`);
+        }
+        if (!(plugin.match instanceof RegExp) && typeof plugin.match !== 'function') {
+            throw new Error(`${label}: match must be a RegExp or a function`);
+        }
+        if (plugin.extract !== undefined && typeof plugin.extract !== 'function') {
+            throw new Error(`${label}: extract must be a function`);
+        }
+
+        this.plugins = [plugin, ...this.plugins.filter(p => p.name !== plugin.name)];
+        return this;
+    }
+
+    /**
+     * Registers every .js file in `dir` (in name order). A file exports one plugin or an array.
+     */
+    loadDir(dir) {
+        const files = fs.readdirSync(dir).filter(file => file.endsWith('.js')).sort();
+        for (const file of files) {
+            const exported = require(path.resolve(dir, file));
+            for (const plugin of [].concat(exported)) {
+                try {
+                    this.register(plugin);
+                } catch (e) {
+                    throw new Error(`${path.join(dir, file)}: ${e.message}`);
+                }
+            }
+        }
+        return this;
+    }
+
+    /**
+     * A child registry: `plugins` take precedence, everything else comes from this one.
+     */
+    extend(plugins = []) {
+        return new ProviderRegistry({ plugins, parent: this });
+    }
+
+    /**
+     * All plugins in lookup precedence (own first, then the parent's).
+     */
+    list() {
+        const own = this.plugins;
+        const inherited = this.parent ? this.parent.list().filter(p => !own.some(o => o.name === p.name)) : [];
+        return [...own, ...inherited];
+    }
+
+    /**
+     * The plugin handling `url`, or null for unknown hosts and non-URLs.
+     */
+    find(url) {
+        if (!url) return null;
+        const matches = plugin => (plugin.match instanceof RegExp ? plugin.match.test(url) : plugin.match(url));
+        const plugins = this.list();
+
+        return plugins.find(p => p.kind === 'junk' && matches(p))
+            || plugins.find(p => p.kind !== 'junk' && !p.fallback && matches(p))
+            || plugins.find(p => p.kind !== 'junk' && p.fallback && matches(p))
+            || null;
+    }
+
+    /**
+     * 'direct', 'embed', 'junk', or null for URLs no plugin knows.
+     */
+    classify(url) {
+        const plugin = this.find(url);
+        return plugin ? plugin.kind : null;
+    }
+
+    /**
+     * Provider name for `url`: the plugin name, otherwise its host without "www.".
+     * Null for anything that is not a URL.
+     */
+    providerOf(url) {
+        let host;
+        try {
+            host = new URL(url).hostname;
+        } catch (e) {
+            return null;
+        }
+        const plugin = this.find(url);
+        return plugin && plugin.kind !== 'junk' ? plugin.name : host.replace(/^www\./, '');
+    }
+
+    /**
+     * Turns a fetched embed page into a playable URL, with the page plugin's own
+     * extractor when it has one, otherwise with findPlayable().
+     */
+    extract(html, pageUrl) {
+        const plugin = this.find(pageUrl);
+        if (plugin && plugin.extract) return plugin.extract(html, pageUrl, this) || null;
+        return this.findPlayable(html, pageUrl);
+    }
+
+    /**
+     * Generic extractor: the first iframe pointing at a direct host, otherwise the first
+     * direct-host URL anywhere in the page (player configs in scripts). Junk is skipped.
+     */
+    findPlayable(html, pageUrl) {
+        for (const match of html.matchAll(/<iframe[^>]*src="([^"]+)"/gi)) {
+            const src = absoluteUrl(match[1], pageUrl);
+            if (src && this.classify(src) === 'direct') return src;
+        }
+        for (const [url] of html.matchAll(URL_IN_PAGE)) {
+            if (this.classify(url) === 'direct') return url;
+        }
+        return null;
+    }
+}
+
+/**
+ * Resolves protocol-relative and root-relative links against the page they appear on.
+ */
+function absoluteUrl(src, pageUrl) {
+    if (src.startsWith('//')) return 'https:' + src;
+    try {
+        return new URL(src, pageUrl).href;
+    } catch (e) {
+        return null;
+    }
+}
+
+module.exports = { ProviderRegistry, PROVIDER_KINDS, absoluteUrl };
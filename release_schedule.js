@@ -0,0 +1,339 @@
+/**
+ * Release schedule
+ *
+ * Sources publish a weekly "new episode" schedule in the site's own time zone (for
+ * animedekho, the scheduleData literal on the home page, in IST). Entries are parsed
+ * into typed records and normalized to UTC:
+ *
+ *   {
+ *     "series": "One Piece", "slug": "one-piece",
+ *     "weekday": "Friday", "time": "15:30", "timezone": "UTC",
+ *     "local": { "weekday": "Friday", "time": "21:00", "timezone": "Asia/Kolkata" }
+ *   }
+ *
+ * The UTC weekday and time use the zone's offset at the next airing, so they follow
+ * daylight saving changes of the site's zone from run to run.
+ *
+ * The last schedule fetched per source is kept between runs (ScheduleStore), so
+ * `schedule` can still answer from it when the site is down:
+ *
+ *   { "version": 1, "sources": { "<source>": { "fetchedAt", "timezone", "entries": [...] } } }
+ *
+ * renderScheduleIcs() turns entries into weekly recurring events for calendar apps.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SCHEDULE_VERSION = 1;
+const DEFAULT_SCHEDULE_FILE = process.env.SCHEDULE_FILE || 'schedule.json';
+const SCHEDULE_FORMATS = ['json', 'ics'];
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const ICS_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const MINUTES_PER_WEEK = 7 * 24 * 60;
+
+// Abbreviations sites put next to times; fixed offsets (+05:30, UTC-4) are read as such
+const ZONE_ABBREVIATIONS = {
+    UTC: 'UTC', GMT: 'UTC', Z: 'UTC',
+    IST: 'Asia/Kolkata', JST: 'Asia/Tokyo', KST: 'Asia/Seoul', PKT: 'Asia/Karachi',
+    EST: 'America/New_York', EDT: 'America/New_York', PST: 'America/Los_Angeles', PDT: 'America/Los_Angeles',
+};
+
+/**
+ * The schedule of a source could not be read (no schedule on the page, or none supported).
+ */
+class ScheduleError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ScheduleError';
+    }
+}
+
+// ─── Time Zones ────────────────────────────────────────────────────────────────
+
+/**
+ * Canonical zone for `name`: an IANA name, "UTC", or a fixed offset as "+05:30".
+ * Returns null for anything unknown.
+ */
+function resolveTimeZone(name) {
+    const text = String(name || '').trim();
+    if (!text) return null;
+    if (ZONE_ABBREVIATIONS[text.toUpperCase()]) return ZONE_ABBREVIATIONS[text.toUpperCase()];
+
+    const offset = /^(?:UTC|GMT)?\s*([+-])(\d{1,2})(?::?(\d{2}))?$/i.exec(text);
+    if (offset) {
+        const minutes = Number(offset[2]) * 60 + Number(offset[3] || 0);
+        if (minutes === 0) return 'UTC';
+        if (minutes > 14 * 60) return null;
+        return `${offset[1]}${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    }
+
+    // Kept as written: ICU versions disagree on canonical names (Asia/Kolkata vs Asia/Calcutta)
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: text });
+        return text;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Minutes `zone` (as returned by resolveTimeZone) is ahead of UTC at `date`.
+ */
+function zoneOffsetMinutes(zone, date) {
+    const fixed = /^([+-])(\d{2}):(\d{2})$/.exec(zone);
+    if (fixed) return (fixed[1] === '-' ? -1 : 1) * (Number(fixed[2]) * 60 + Number(fixed[3]));
+    if (zone === 'UTC') return 0;
+
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: zone, hourCycle: 'h23',
+        year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric',
+    }).formatToParts(date).forEach(p => { parts[p.type] = Number(p.value); });
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+    return Math.round((asUtc - Math.floor(date.getTime() / 60000) * 60000) / 60000);
+}
+
+// ─── Parsing ───────────────────────────────────────────────────────────────────
+
+function parseWeekday(value) {
+    if (typeof value === 'number' && value >= 0 && value <= 7) return value % 7;
+    const text = String(value || '').trim().toLowerCase().replace(/\.$/, '');
+    if (text.length < 3) return null;
+    const index = WEEKDAYS.findIndex(day => day.toLowerCase().startsWith(text));
+    return index === -1 ? null : index;
+}
+
+/**
+ * Minutes after midnight for "18:30", "6:30 PM", "6pm" or "18.30", plus any zone written
+ * after the time ("21:00 IST"). Returns null when there is no valid time.
+ */
+function parseTime(value) {
+    const match = /^(\d{1,2})(?:[:.](\d{2}))?\s*([ap]\.?m\.?)?\s*(.*)$/i.exec(String(value || '').trim());
+    if (!match) return null;
+    let hours = Number(match[1]);
+    const minutes = Number(match[2] || 0);
+    const meridiem = match[3] ? match[3][0].toLowerCase() : null;
+    if (!match[2] && !meridiem) return null;
+    if (meridiem) {
+        if (hours < 1 || hours > 12) return null;
+        hours = (hours % 12) + (meridiem === 'p' ? 12 : 0);
+    }
+    if (hours > 23 || minutes > 59) return null;
+    return { minutes: hours * 60 + minutes, zone: match[4] ? resolveTimeZone(match[4]) : null };
+}
+
+function formatTime(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * UTC weekday (0 = Sunday) and minutes of the next airing after `now` of a slot given
+ * in `zone`, using the zone's offset at that airing.
+ */
+function toUtcSlot(weekday, minutes, zone, now) {
+    const offsetNow = zoneOffsetMinutes(zone, now);
+    const localNow = new Date(Math.floor(now.getTime() / 60000) * 60000 + offsetNow * 60000);
+    const localNowOfWeek = localNow.getUTCDay() * 1440 + localNow.getUTCHours() * 60 + localNow.getUTCMinutes();
+    const ahead = ((weekday * 1440 + minutes - localNowOfWeek) % MINUTES_PER_WEEK + MINUTES_PER_WEEK) % MINUTES_PER_WEEK;
+
+    const localAiring = localNow.getTime() + ahead * 60000;
+    const offset = zoneOffsetMinutes(zone, new Date(localAiring - offsetNow * 60000));
+    const airing = new Date(localAiring - offset * 60000);
+    return { weekday: airing.getUTCDay(), minutes: airing.getUTCHours() * 60 + airing.getUTCMinutes() };
+}
+
+/**
+ * One raw schedule item ({ day, time, title, slug, timezone } or close variants) as a
+ * typed entry, or null when it has no series, weekday or time.
+ */
+function normalizeScheduleEntry(raw, { timezone = 'UTC', now = new Date() } = {}) {
+    if (!raw || typeof raw !== 'object') return null;
+    const series = String(raw.title || raw.series || raw.name || '').replace(/\s+/g, ' ').trim();
+    const weekday = parseWeekday(raw.day ?? raw.weekday);
+    const time = parseTime(raw.time);
+    if (!series || weekday === null || !time) return null;
+
+    const zone = resolveTimeZone(raw.timezone || raw.tz) || time.zone || resolveTimeZone(timezone) || 'UTC';
+    const slug = String(raw.slug || (raw.url ? String(raw.url).replace(/\/+$/, '').split('/').pop() : '')).trim() || null;
+    const utc = toUtcSlot(weekday, time.minutes, zone, now);
+    return {
+        series,
+        slug,
+        weekday: WEEKDAYS[utc.weekday],
+        time: formatTime(utc.minutes),
+        timezone: 'UTC',
+        local: { weekday: WEEKDAYS[weekday], time: formatTime(time.minutes), timezone: zone },
+    };
+}
+
+/**
+ * Typed entries for a parsed schedule array, sorted by UTC weekday and time:
+ * { entries, skipped } where `skipped` counts items that were not usable.
+ */
+function normalizeSchedule(items, options = {}) {
+    if (!Array.isArray(items)) throw new ScheduleError('Schedule data is not a list');
+    const entries = items.map(item => normalizeScheduleEntry(item, options)).filter(Boolean);
+    entries.sort((a, b) => (WEEKDAYS.indexOf(a.weekday) - WEEKDAYS.indexOf(b.weekday))
+        || a.time.localeCompare(b.time) || a.series.localeCompare(b.series));
+    return { entries, skipped: items.length - entries.length };
+}
+
+/**
+ * Next UTC airing of `entry` at or after `from`.
+ */
+function nextAiring(entry, from = new Date()) {
+    const [hours, minutes] = entry.time.split(':').map(Number);
+    const start = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate(), hours, minutes));
+    let days = (WEEKDAYS.indexOf(entry.weekday) - from.getUTCDay() + 7) % 7;
+    if (days === 0 && start < from) days = 7;
+    return new Date(start.getTime() + days * 86400000);
+}
+
+/**
+ * Latest UTC airing of `entry` at or before `at`.
+ */
+function lastAiring(entry, at = new Date()) {
+    const next = nextAiring(entry, at);
+    return next > at ? new Date(next.getTime() - 7 * 86400000) : next;
+}
+
+// ─── Store ─────────────────────────────────────────────────────────────────────
+
+class ScheduleStore {
+
+    constructor(filePath = DEFAULT_SCHEDULE_FILE) {
+        this.filePath = filePath;
+        this.data = { version: SCHEDULE_VERSION, sources: {} };
+    }
+
+    /**
+     * Loads the schedule file if present. A missing file means no schedule was fetched yet.
+     */
+    load() {
+        if (!fs.existsSync(this.filePath)) return this;
+        const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        if (parsed.version !== SCHEDULE_VERSION) {
+            throw new Error(`Unsupported schedule file version ${parsed.version} in ${this.filePath}`);
+        }
+        this.data = parsed;
+        return this;
+    }
+
+    /**
+     * Writes the schedules atomically (temp file + rename).
+     */
+    save() {
+        fs.mkdirSync(path.dirname(path.resolve(this.filePath)), { recursive: true });
+        const tmp = `${this.filePath}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(this.data, null, 2));
+        fs.renameSync(tmp, this.filePath);
+    }
+
+    /**
+     * The stored schedule of `source` ({ fetchedAt, timezone, entries }), or null.
+     */
+    get(source) {
+        return this.data.sources[source] || null;
+    }
+
+    set(source, schedule) {
+        this.data.sources[source] = schedule;
+        return this;
+    }
+}
+
+/**
+ * Fetches the schedule of `source` into `store` (saved), falling back to the stored one
+ * when the fetch fails. Resolves to { schedule, error } where `schedule` is null when
+ * neither is available and `error` is the failed fetch, if any.
+ */
+async function refreshSchedule(source, store) {
+    try {
+        const schedule = await source.getSchedule();
+        store.set(source.id, schedule).save();
+        return { schedule, error: null };
+    } catch (e) {
+        return { schedule: store.get(source.id), error: e };
+    }
+}
+
+// ─── ICS ───────────────────────────────────────────────────────────────────────
+
+function icsText(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+function icsDate(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Folds a content line at 75 octets as RFC 5545 requires (continuations start with a space).
+ */
+function foldLine(line) {
+    const out = [];
+    let current = '';
+    let size = 0;
+    for (const char of line) {
+        const bytes = Buffer.byteLength(char);
+        if (size + bytes > (out.length ? 74 : 75)) {
+            out.push(current);
+            current = '';
+            size = 0;
+        }
+        current += char;
+        size += bytes;
+    }
+    out.push(current);
+    return out.join('\r\n ');
+}
+
+/**
+ * An iCalendar feed with one weekly event per entry, starting at its next airing.
+ * `seriesUrl(slug)` adds a link to each event.
+ */
+function renderScheduleIcs(entries, { source = 'schedule', name = `${source} release schedule`, now = new Date(), durationMinutes = 30, seriesUrl = null } = {}) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//automated-scraper//release schedule//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${icsText(name)}`,
+    ];
+    for (const entry of entries) {
+        const weekday = WEEKDAYS.indexOf(entry.weekday);
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${icsText(`${source}-${entry.slug || entry.series}-${ICS_WEEKDAYS[weekday]}-${entry.time.replace(':', '')}`.toLowerCase().replace(/[^a-z0-9-]+/g, '-'))}@automated-scraper`,
+            `DTSTAMP:${icsDate(now)}`,
+            `DTSTART:${icsDate(nextAiring(entry, now))}`,
+            `DURATION:PT${durationMinutes}M`,
+            `RRULE:FREQ=WEEKLY;BYDAY=${ICS_WEEKDAYS[weekday]}`,
+            `SUMMARY:${icsText(entry.series)}`,
+            `DESCRIPTION:${icsText(`New episode (${entry.local.weekday} ${entry.local.time} ${entry.local.timezone})`)}`
+        );
+        if (seriesUrl && entry.slug) lines.push(`URL:${seriesUrl(entry.slug)}`);
+        lines.push('END:VEVENT');
+    }
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    ScheduleError,
+    ScheduleStore,
+    DEFAULT_SCHEDULE_FILE,
+    SCHEDULE_FORMATS,
+    WEEKDAYS,
+    resolveTimeZone,
+    zoneOffsetMinutes,
+    normalizeScheduleEntry,
+    normalizeSchedule,
+    nextAiring,
+    lastAiring,
+    refreshSchedule,
+    renderScheduleIcs,
+};
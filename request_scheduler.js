@@ -0,0 +1,124 @@
+/**
+ * Request scheduler
+ *
+ * Every fetchHTML call runs through one shared scheduler that enforces:
+ * - a global cap on in-flight requests (maxConcurrency)
+ * - a per-host token bucket (ratePerSecond tokens/s, up to `burst` banked)
+ *
+ * A ratePerSecond of 0 disables rate limiting (used for local fixtures).
+ */
+
+const sleep = ms => new Promise(res => setTimeout(res, ms));
+
+// ─── Token Bucket ──────────────────────────────────────────────────────────────
+
+class TokenBucket {
+
+    constructor(ratePerSecond, burst) {
+        this.rate = ratePerSecond;
+        this.capacity = Math.max(1, burst);
+        this.tokens = this.capacity;
+        this.last = Date.now();
+        // Takers are served strictly in arrival order
+        this.queue = Promise.resolve();
+    }
+
+    _refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + ((now - this.last) / 1000) * this.rate);
+        this.last = now;
+    }
+
+    /**
+     * Resolves once a token is available and consumed.
+     */
+    take() {
+        if (!(this.rate > 0)) return Promise.resolve();
+
+        const next = this.queue.then(async () => {
+            this._refill();
+            if (this.tokens < 1) {
+                await sleep(Math.ceil(((1 - this.tokens) / this.rate) * 1000));
+                this._refill();
+            }
+            this.tokens = Math.max(0, this.tokens - 1);
+        });
+        this.queue = next;
+        return next;
+    }
+}
+
+// ─── Scheduler ─────────────────────────────────────────────────────────────────
+
+class RequestScheduler {
+
+    constructor({ maxConcurrency = 4, ratePerSecond = 3, burst = ratePerSecond } = {}) {
+        this.configure({ maxConcurrency, ratePerSecond, burst });
+        this.active = 0;
+        this.waiting = [];
+    }
+
+    /**
+     * Updates the limits. Existing host buckets are discarded so new rates apply immediately.
+     */
+    configure({ maxConcurrency = this.maxConcurrency, ratePerSecond = this.ratePerSecond, burst = ratePerSecond } = {}) {
+        this.maxConcurrency = Math.max(1, maxConcurrency);
+        this.ratePerSecond = ratePerSecond;
+        this.burst = burst;
+        this.buckets = new Map();
+        return this;
+    }
+
+    /**
+     * Waits for the rate limit of `url`'s host. Call once per HTTP attempt.
+     */
+    throttle(url) {
+        const host = new URL(url).host;
+        if (!this.buckets.has(host)) {
+            this.buckets.set(host, new TokenBucket(this.ratePerSecond, this.burst));
+        }
+        return this.buckets.get(host).take();
+    }
+
+    /**
+     * Runs `task` once a concurrency slot is free. Slots are handed out in FIFO order.
+     */
+    async run(task) {
+        if (this.active >= this.maxConcurrency) {
+            await new Promise(resolve => this.waiting.push(resolve));
+        } else {
+            this.active++;
+        }
+
+        try {
+            return await task();
+        } finally {
+            const next = this.waiting.shift();
+            // Hand the slot straight to the next waiter, otherwise free it
+            if (next) next();
+            else this.active--;
+        }
+    }
+}
+
+/**
+ * Maps `items` through async `fn` with at most `concurrency` calls in flight.
+ * Results keep the order of `items` regardless of completion order.
+ */
+async function mapConcurrent(items, concurrency, fn) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const worker = async () => {
+        while (nextIndex < items.length) {
+            const i = nextIndex++;
+            results[i] = await fn(items[i], i);
+        }
+    };
+
+    const workers = Array.from({ length: Math.min(Math.max(1, concurrency), items.length) }, worker);
+    await Promise.all(workers);
+    return results;
+}
+
+module.exports = { RequestScheduler, TokenBucket, mapConcurrent };
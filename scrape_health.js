@@ -0,0 +1,353 @@
+/**
+ * Scrape health report and drift alarms
+ *
+ * A run that finds nothing still writes a valid (header-only) dump, so a broken scrape
+ * used to look like a quiet day. A bulk export given a ScrapeHealth counts what it saw:
+ *
+ *   categories  per category: list pages read, slugs found, new slugs, failed pages
+ *   discovered  unique series in the catalog
+ *   series      attempted, parsed (title found, unchanged ones included), unchanged
+ *   episodes    found on the series pages
+ *   links       episodes that needed a link, and those that got a playable one
+ *   errors      { kind: count }: failed fetches (http_<status>, http_5xx, challenge,
+ *               timeout, network, other, see onFetchError()) and failed series
+ *               (no_title, no_link, export_error)
+ *
+ * diagnose() compares a run with the rolling baseline kept by HealthHistory (the median
+ * of the last healthy runs of the same source) and calls it collapsed when nothing was
+ * found at all or a count fell below HEALTH_MIN_RATIO (default 0.5) of its baseline.
+ * Collapsed runs are recorded but never become part of the baseline.
+ *
+ * History file layout (JSON):
+ *   {
+ *     "version": 1,
+ *     "runs": [{ "source", "startedAt", "finishedAt", "metrics", "categories", "errors",
+ *                "samples", "healthy", "problems" }]
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { HttpError, ChallengeError } = require('./http_client');
+
+const HEALTH_VERSION = 1;
+const DEFAULT_HEALTH_FILE = process.env.SCRAPE_HEALTH_FILE || 'scrape_health.json';
+const DEFAULT_MIN_RATIO = parseFloat(process.env.HEALTH_MIN_RATIO || '0.5');
+const BASELINE_RUNS = 7;
+const MAX_RUNS = 30;
+const MAX_SAMPLES = 3;
+
+// Metrics compared with the baseline: absolute counts and per-attempt rates
+const COMPARED_METRICS = [
+    ['discovered', 'Series discovered'],
+    ['episodesFound', 'Episodes found'],
+    ['parseRate', 'Series parsed'],
+    ['linkRate', 'Links resolved'],
+];
+
+/**
+ * Error kind for a failed fetch.
+ */
+function classifyError(error) {
+    if (error instanceof HttpError) return error.statusCode >= 500 ? 'http_5xx' : `http_${error.statusCode}`;
+    if (error instanceof ChallengeError) return 'challenge';
+    if (/timeout/i.test(error.message) || error.name === 'TimeoutError') return 'timeout';
+    if (error.code) return 'network';
+    return 'other';
+}
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// ─── Run Counters ──────────────────────────────────────────────────────────────
+
+class ScrapeHealth {
+
+    constructor({ source, startedAt = new Date().toISOString() } = {}) {
+        this.source = source;
+        this.startedAt = startedAt;
+        this.finishedAt = null;
+        this.categories = {};
+        this.discovered = 0;
+        this.series = { attempted: 0, parsed: 0, unchanged: 0 };
+        this.episodes = 0;
+        this.links = { attempted: 0, resolved: 0 };
+        this.errors = {};
+        this.samples = {};
+    }
+
+    /**
+     * One list page read while building the catalog (getAllAnime()'s onPage callback).
+     */
+    categoryPage({ category, found = 0, added = 0, error = null }) {
+        const entry = this.categories[category] || (this.categories[category] = { pages: 0, found: 0, added: 0, failed: 0 });
+        if (error) {
+            entry.failed++;
+        } else {
+            entry.pages++;
+            entry.found += found;
+            entry.added += added;
+        }
+    }
+
+    /**
+     * One exported series: an exportSeriesRecord() result, or a journal replay of one.
+     */
+    seriesResult(slug, { status, anime = null, episodes = 0, found = episodes }) {
+        this.series.attempted++;
+        this.episodes += found;
+
+        if (status === 'unchanged') {
+            this.series.parsed++;
+            this.series.unchanged++;
+            return;
+        }
+        if (!anime) {
+            this.error('no_title', slug);
+            return;
+        }
+
+        this.series.parsed++;
+        this.links.attempted += found;
+        this.links.resolved += episodes;
+        if (found > episodes) this.error('no_link', `${slug}: ${found - episodes} of ${found} episode(s)`, found - episodes);
+    }
+
+    seriesError(slug, error) {
+        this.series.attempted++;
+        this.error('export_error', `${slug}: ${error.message}`);
+    }
+
+    /**
+     * A failed fetch (see onFetchError() in http_client.js).
+     */
+    fetchError(error, url) {
+        this.error(classifyError(error), `${url}: ${error.message}`);
+    }
+
+    error(kind, sample, count = 1) {
+        this.errors[kind] = (this.errors[kind] || 0) + count;
+        const samples = this.samples[kind] || (this.samples[kind] = []);
+        if (sample && samples.length < MAX_SAMPLES) samples.push(sample);
+    }
+
+    finish() {
+        this.finishedAt = new Date().toISOString();
+        return this;
+    }
+
+    metrics() {
+        return {
+            discovered: this.discovered,
+            seriesAttempted: this.series.attempted,
+            seriesParsed: this.series.parsed,
+            seriesUnchanged: this.series.unchanged,
+            episodesFound: this.episodes,
+            linksAttempted: this.links.attempted,
+            linksResolved: this.links.resolved,
+            parseRate: this.series.attempted ? this.series.parsed / this.series.attempted : null,
+            linkRate: this.links.attempted ? this.links.resolved / this.links.attempted : null,
+        };
+    }
+
+    toJSON() {
+        return {
+            source: this.source,
+            startedAt: this.startedAt,
+            finishedAt: this.finishedAt,
+            metrics: this.metrics(),
+            categories: this.categories,
+            errors: this.errors,
+            samples: this.samples,
+        };
+    }
+}
+
+// ─── Rolling Baseline ──────────────────────────────────────────────────────────
+
+class HealthHistory {
+
+    constructor(filePath = DEFAULT_HEALTH_FILE) {
+        this.filePath = filePath;
+        this.data = { version: HEALTH_VERSION, runs: [] };
+    }
+
+    /**
+     * Loads the history file if present. A missing file means there is no baseline yet.
+     */
+    load() {
+        if (!fs.existsSync(this.filePath)) return this;
+        const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        if (parsed.version !== HEALTH_VERSION) {
+            throw new Error(`Unsupported health file version ${parsed.version} in ${this.filePath}`);
+        }
+        this.data = parsed;
+        return this;
+    }
+
+    /**
+     * Writes the history atomically (temp file + rename).
+     */
+    save() {
+        fs.mkdirSync(path.dirname(path.resolve(this.filePath)), { recursive: true });
+        const tmp = `${this.filePath}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(this.data, null, 2));
+        fs.renameSync(tmp, this.filePath);
+    }
+
+    /**
+     * Median metrics (and slugs found per category) of the last `runs` healthy runs of
+     * `source`: { runs, metrics, categories }, or null before the first healthy run.
+     */
+    baseline(source, { runs = BASELINE_RUNS } = {}) {
+        const recent = this.data.runs.filter(r => r.source === source && r.healthy).slice(-runs);
+        if (recent.length === 0) return null;
+
+        const metrics = {};
+        for (const [name] of COMPARED_METRICS) {
+            metrics[name] = median(recent.map(r => r.metrics[name]).filter(v => v !== null && v !== undefined));
+        }
+        const categories = {};
+        for (const name of new Set(recent.flatMap(r => Object.keys(r.categories || {})))) {
+            categories[name] = median(recent.map(r => (r.categories[name] ? r.categories[name].found : 0)));
+        }
+        return { runs: recent.length, metrics, categories };
+    }
+
+    /**
+     * Appends a finished run with its diagnosis, keeping the last MAX_RUNS runs.
+     */
+    record(report, diagnosis) {
+        this.data.runs.push({ ...report, healthy: diagnosis.healthy, problems: diagnosis.problems });
+        this.data.runs = this.data.runs.slice(-MAX_RUNS);
+        return this;
+    }
+}
+
+// ─── Diagnosis ─────────────────────────────────────────────────────────────────
+
+function formatMetric(name, value) {
+    if (value === null || value === undefined) return 'n/a';
+    return name.endsWith('Rate') ? `${Math.round(value * 100)}%` : String(Math.round(value * 10) / 10);
+}
+
+/**
+ * The most likely reason for a collapse, from the error breakdown.
+ */
+function likelyCause(report) {
+    const errors = report.errors;
+    const count = kind => errors[kind] || 0;
+
+    if (count('challenge')) {
+        return 'The site is serving bot-challenge pages. Try --transport browser or fresh --cookies.';
+    }
+    if (count('http_5xx') || count('network') || count('timeout') || count('http_403') || count('http_429')) {
+        return 'The site is unreachable or refusing requests (5xx, 403/429, timeouts or network errors). Check the error samples and retry later or lower --rate.';
+    }
+    if (count('http_404')) {
+        return 'Pages are missing (HTTP 404): the site\'s URL layout (categories, series or episode paths) may have changed.';
+    }
+    const m = report.metrics;
+    if (m.discovered === 0 || m.seriesParsed === 0) {
+        return 'Pages load but nothing on them matches: the markup probably changed. Run `validate-profile <url>` on a list and a series page to see which selectors fail.';
+    }
+    if (count('no_link')) {
+        return 'Episode pages load but yield no playable mirror: the player markup or the video hosts changed. Run `validate-profile` on an episode page and check `providers`.';
+    }
+    return 'No errors were recorded; the catalog itself may have shrunk. Compare the category counts with the site.';
+}
+
+/**
+ * Judges a finished run against `baseline` (see HealthHistory.baseline()).
+ * Returns { healthy, problems, warnings, cause }: problems make the run fail, warnings
+ * (a category that came back empty) do not.
+ */
+function diagnose(report, baseline = null, { minRatio = DEFAULT_MIN_RATIO } = {}) {
+    const m = report.metrics;
+    const problems = new Map();
+    const warnings = [];
+
+    if (m.discovered === 0) {
+        problems.set('discovered', 'No series discovered in any category.');
+    } else if (m.seriesAttempted > 0 && m.seriesParsed === 0) {
+        problems.set('parseRate', `None of the ${m.seriesAttempted} series pages could be parsed.`);
+    }
+
+    if (baseline) {
+        for (const [name, label] of COMPARED_METRICS) {
+            const current = m[name];
+            const base = baseline.metrics[name];
+            if (problems.has(name) || current === null || !base) continue;
+            if (current < base * minRatio) {
+                problems.set(name, `${label} collapsed: ${formatMetric(name, current)} vs baseline ${formatMetric(name, base)}.`);
+            }
+        }
+        for (const [category, base] of Object.entries(baseline.categories)) {
+            const current = report.categories[category];
+            if (base > 0 && current && current.found === 0) {
+                warnings.push(`Category "${category}" found no series (baseline ${formatMetric('found', base)}).`);
+            }
+        }
+    }
+
+    const healthy = problems.size === 0;
+    return { healthy, problems: [...problems.values()], warnings, cause: healthy ? null : likelyCause(report) };
+}
+
+/**
+ * Human-readable report of a run (for stderr and the workflow log).
+ */
+function formatHealthReport(report, diagnosis, baseline = null) {
+    const m = report.metrics;
+    const base = name => (baseline && baseline.metrics[name] !== null ? ` (baseline ${formatMetric(name, baseline.metrics[name])})` : '');
+    const lines = ['=== SCRAPE HEALTH ==='];
+
+    lines.push('Categories:');
+    for (const [name, c] of Object.entries(report.categories)) {
+        lines.push(`  ${name.padEnd(20)} ${c.pages} page(s), ${c.found} found, ${c.added} new${c.failed ? `, ${c.failed} failed` : ''}`);
+    }
+    lines.push(`Discovered: ${m.discovered} series${base('discovered')}`);
+    lines.push(`Series:     ${m.seriesParsed}/${m.seriesAttempted} parsed, ${m.seriesUnchanged} unchanged${base('parseRate')}`);
+    lines.push(`Episodes:   ${m.episodesFound} found${base('episodesFound')}`);
+    lines.push(`Links:      ${m.linksResolved}/${m.linksAttempted} resolved${m.linkRate !== null ? ` (${formatMetric('linkRate', m.linkRate)})` : ''}${base('linkRate')}`);
+
+    const errors = Object.entries(report.errors);
+    lines.push(`Errors:     ${errors.length ? errors.map(([kind, n]) => `${kind} ${n}`).join(', ') : 'none'}`);
+    for (const [kind, samples] of Object.entries(report.samples)) {
+        samples.forEach(sample => lines.push(`  ${kind}: ${sample}`));
+    }
+
+    lines.push(`Status:     ${diagnosis.healthy ? 'HEALTHY' : 'COLLAPSED'}${baseline ? ` (baseline of ${baseline.runs} run(s))` : ' (no baseline yet)'}`);
+    diagnosis.problems.forEach(p => lines.push(`  ✗ ${p}`));
+    diagnosis.warnings.forEach(w => lines.push(`  ! ${w}`));
+    if (diagnosis.cause) lines.push(`Likely cause: ${diagnosis.cause}`);
+    return lines.join('\n');
+}
+
+/**
+ * Diagnoses a finished run against the history in `history` (a loaded HealthHistory),
+ * prints the report on stderr and records the run. Returns the diagnosis.
+ */
+function reportHealth(health, history, options = {}) {
+    const report = health.finish().toJSON();
+    const baseline = history.baseline(report.source);
+    const diagnosis = diagnose(report, baseline, options);
+
+    console.error(`\n${formatHealthReport(report, diagnosis, baseline)}`);
+    history.record(report, diagnosis).save();
+    return diagnosis;
+}
+
+module.exports = {
+    ScrapeHealth,
+    HealthHistory,
+    DEFAULT_HEALTH_FILE,
+    classifyError,
+    diagnose,
+    formatHealthReport,
+    reportHealth,
+};
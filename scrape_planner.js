@@ -0,0 +1,101 @@
+/**
+ * Scrape planner
+ *
+ * Orders the series of a bulk export so a limited run spends its budget where new
+ * episodes are likely:
+ *
+ *   airing    on the release schedule (see release_schedule.js) with an airing today or
+ *             yesterday (UTC), latest airing first; scheduled series missing from the
+ *             crawled categories are added
+ *   recent    episodes changed within the last PLAN_RECENT_DAYS days (state changedAt),
+ *             latest change first; series only known from the state are added
+ *   new       listed but never scraped (no state entry yet)
+ *   backlog   everything else, least recently checked first (state checkedAt), so
+ *             consecutive runs rotate through the back catalog; series only known from
+ *             the state are added, so the rotation is not limited to what this run
+ *             crawled
+ *
+ * Without a state file there is no history: the back catalog keeps its listing order.
+ */
+
+const { lastAiring } = require('./release_schedule');
+const { titleKey } = require('./anime_identity');
+
+const PLAN_TIERS = ['airing', 'recent', 'new', 'backlog'];
+const PLAN_RECENT_DAYS = parseInt(process.env.PLAN_RECENT_DAYS || '7');
+
+const DAY_MS = 86400000;
+
+function titleFromSlug(slug) {
+    return slug.replace(/-/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+}
+
+/**
+ * The work list for `catalog` (getAllAnime() entries): { items, counts } where `items`
+ * are catalog entries with a `reason` (one of PLAN_TIERS), cut to `limit` (0 = all),
+ * and `counts` tallies the reasons of the kept items.
+ *
+ * `schedule` is a stored or fetched schedule ({ entries }), `state` a loaded StateStore.
+ */
+function planScrape(catalog, { schedule = null, state = null, limit = 0, now = new Date(), recentDays = PLAN_RECENT_DAYS } = {}) {
+    const planned = [];
+    const seen = new Set();
+    const add = (anime, reason) => {
+        if (seen.has(anime.slug)) return;
+        seen.add(anime.slug);
+        planned.push({ ...anime, reason });
+    };
+
+    const bySlug = new Map(catalog.map(a => [a.slug, a]));
+    const byKey = new Map();
+    for (const anime of catalog) {
+        const key = titleKey(anime.title);
+        if (key && !byKey.has(key)) byKey.set(key, anime);
+    }
+
+    // 1. Aired today or yesterday
+    const since = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()) - DAY_MS;
+    const airing = ((schedule && schedule.entries) || [])
+        .map(entry => ({ entry, airedAt: lastAiring(entry, now).getTime() }))
+        .filter(({ airedAt }) => airedAt >= since)
+        .sort((a, b) => b.airedAt - a.airedAt);
+    for (const { entry } of airing) {
+        const anime = (entry.slug && bySlug.get(entry.slug)) || byKey.get(titleKey(entry.series))
+            || (entry.slug ? { title: entry.series, slug: entry.slug, type: 'series' } : null);
+        if (anime) add(anime, 'airing');
+    }
+
+    // 2. Episodes changed recently
+    const series = state ? state.data.series : {};
+    const changedSince = now.getTime() - recentDays * DAY_MS;
+    Object.entries(series)
+        .filter(([, entry]) => entry.changedAt && Date.parse(entry.changedAt) >= changedSince)
+        .sort(([, a], [, b]) => Date.parse(b.changedAt) - Date.parse(a.changedAt))
+        .forEach(([slug, entry]) => add(bySlug.get(slug) || { title: entry.title || titleFromSlug(slug), slug, type: 'series' }, 'recent'));
+
+    // 3. Never scraped, 4. the back catalog by last check
+    if (state) catalog.filter(a => !series[a.slug]).forEach(a => add(a, 'new'));
+    const checkedAt = a => (series[a.slug] && series[a.slug].checkedAt ? Date.parse(series[a.slug].checkedAt) : 0);
+    const stored = Object.entries(series)
+        .filter(([slug]) => !bySlug.has(slug))
+        .map(([slug, entry]) => ({ title: entry.title || titleFromSlug(slug), slug, type: 'series' }));
+    catalog.concat(stored)
+        .map((anime, index) => ({ anime, index }))
+        .sort((a, b) => (checkedAt(a.anime) - checkedAt(b.anime)) || (a.index - b.index))
+        .forEach(({ anime }) => add(anime, 'backlog'));
+
+    const items = limit > 0 ? planned.slice(0, limit) : planned;
+    const counts = Object.fromEntries(PLAN_TIERS.map(tier => [tier, 0]));
+    items.forEach(item => counts[item.reason]++);
+    return { items, counts };
+}
+
+/**
+ * One-line summary of a plan for the run log.
+ */
+function formatPlan({ items, counts }, catalogSize) {
+    return `Plan: ${items.length} anime (${counts.airing} airing, ${counts.recent} recently updated, ` +
+        `${counts.new} new, ${counts.backlog} from the back catalog of ${catalogSize})`;
+}
+
+module.exports = { planScrape, formatPlan, PLAN_TIERS, PLAN_RECENT_DAYS };
@@ -0,0 +1,253 @@
+/**
+ * Declarative selector profiles
+ *
+ * Source adapters no longer regex-match page HTML: pages are parsed with cheerio and
+ * read through a versioned JSON profile (see profiles/animedekho.json) with one
+ * section per page type:
+ *
+ *   list     catalog, category and search pages
+ *   series   a series page with its episode list
+ *   episode  an episode watch page with its video servers
+ *
+ * A section has single-value `fields` and repeated `groups`:
+ *
+ *   {
+ *     "fields": { "<name>": [spec, ...] },
+ *     "groups": { "<name>": { "items": ["<selector>", ...], "fields": { "<name>": [spec, ...] } } }
+ *   }
+ *
+ * Every selector of `items` is applied and the elements are merged (selector order,
+ * then document order, each element once). A field lists fallback specs, tried in
+ * order until one yields a non-empty value:
+ *
+ *   {
+ *     "selector": "meta[property='og:title']",  within the page or item; omitted = the item itself
+ *     "attr": "content",                         attribute to read; omitted = collapsed text
+ *     "regex": "S(\\d+)-E\\d+",                  keep capture group 1 (or the whole match)
+ *     "decode": "base64",                        decode the value
+ *     "exclude": "^Watch Series$"                treat matching values as empty
+ *   }
+ *
+ * A plain string is shorthand for { "selector": "..." }. `{name}` placeholders in
+ * selectors and regexes are filled from the adapter (e.g. {seriesPath}).
+ *
+ * Fields and groups named in a section's "optional" list may come up empty without
+ * failing validate-profile: not every page shows a rating or a status.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+
+const PROFILE_FORMAT_VERSION = 1;
+const PROFILES_DIR = path.join(__dirname, 'profiles');
+const PAGE_TYPES = ['list', 'series', 'episode'];
+
+// ─── Field Specs ───────────────────────────────────────────────────────────────
+
+function fillVars(pattern, vars) {
+    return pattern.replace(/\{(\w+)\}/g, (whole, name) => (name in vars ? vars[name] : whole));
+}
+
+function normalizeSpec(spec) {
+    return typeof spec === 'string' ? { selector: spec } : spec;
+}
+
+function describeSpec(spec) {
+    const parts = [spec.selector || '(item)'];
+    if (spec.attr) parts.push(`@${spec.attr}`);
+    if (spec.regex) parts.push(`/${spec.regex}/`);
+    if (spec.decode) parts.push(spec.decode);
+    return parts.join(' ');
+}
+
+/**
+ * Applies one spec inside `scope` (a cheerio selection, or null for the whole page).
+ * Returns { matches, value } where value is the first non-empty result or null.
+ */
+function evaluateSpec($, scope, spec, vars) {
+    const selector = spec.selector ? fillVars(spec.selector, vars) : null;
+    const nodes = selector ? (scope ? scope.find(selector) : $(selector)) : scope;
+    if (!nodes) return { matches: 0, value: null };
+
+    const regex = spec.regex ? new RegExp(fillVars(spec.regex, vars), 'i') : null;
+    const exclude = spec.exclude ? new RegExp(spec.exclude, 'i') : null;
+
+    for (const node of nodes.toArray()) {
+        const el = $(node);
+        let value = spec.attr ? el.attr(spec.attr) : el.text();
+        value = (value || '').replace(/\s+/g, ' ').trim();
+
+        if (value && regex) {
+            const match = value.match(regex);
+            value = match ? (match[1] !== undefined ? match[1] : match[0]).trim() : '';
+        }
+        if (value && spec.decode === 'base64') {
+            value = /^[A-Za-z0-9+/=]+$/.test(value) ? Buffer.from(value, 'base64').toString('utf8').trim() : '';
+        }
+        if (value && exclude && exclude.test(value)) value = '';
+        if (value) return { matches: nodes.length, value };
+    }
+    return { matches: nodes.length, value: null };
+}
+
+/**
+ * First non-empty value among the fallback `specs`. When `trace` is given, every
+ * spec (including the ones after the winner) is recorded in it as { spec, matches, value }.
+ */
+function extractField($, scope, specs, vars, trace = null) {
+    let value = null;
+    for (const raw of [].concat(specs)) {
+        const spec = normalizeSpec(raw);
+        const result = evaluateSpec($, scope, spec, vars);
+        if (value === null) value = result.value;
+        if (!trace) {
+            if (value !== null) break;
+            continue;
+        }
+        trace.push({ spec: describeSpec(spec), ...result });
+    }
+    return value;
+}
+
+// ─── Profiles ──────────────────────────────────────────────────────────────────
+
+class SelectorProfile {
+
+    constructor(data, source = '<inline>') {
+        if (!data || data.formatVersion !== PROFILE_FORMAT_VERSION) {
+            throw new Error(`Unsupported selector profile format ${data && data.formatVersion} in ${source}`);
+        }
+        for (const page of PAGE_TYPES) {
+            if (!data[page]) throw new Error(`Selector profile ${source} has no "${page}" section`);
+        }
+        this.name = data.name || path.basename(source, '.json');
+        this.version = data.version || null;
+        this.source = source;
+        this.pages = data;
+    }
+
+    /**
+     * Reads a page of type `page`: { fields: { name: value }, groups: { name: [records] } }.
+     * `vars` fills {name} placeholders. With `trace`, the result also carries a `trace`
+     * of every selector tried (see validate-profile).
+     */
+    extract(page, html, { vars = {}, trace = false } = {}) {
+        const section = this.pages[page];
+        if (!section) throw new Error(`Unknown page type "${page}". Available: ${PAGE_TYPES.join(', ')}`);
+
+        const $ = cheerio.load(html);
+        const result = { fields: {}, groups: {} };
+        const log = trace ? { fields: {}, groups: {} } : null;
+
+        for (const [name, specs] of Object.entries(section.fields || {})) {
+            const fieldTrace = log ? (log.fields[name] = []) : null;
+            result.fields[name] = extractField($, null, specs, vars, fieldTrace);
+        }
+
+        for (const [name, group] of Object.entries(section.groups || {})) {
+            const seen = new Set();
+            const elements = [];
+            const itemTrace = [];
+            for (const selector of group.items) {
+                const nodes = $(fillVars(selector, vars)).toArray();
+                itemTrace.push({ selector, matches: nodes.length });
+                for (const node of nodes) {
+                    if (!seen.has(node)) {
+                        seen.add(node);
+                        elements.push(node);
+                    }
+                }
+            }
+
+            const recordTraces = [];
+            result.groups[name] = elements.map(node => {
+                const record = {};
+                const recordTrace = {};
+                for (const [field, specs] of Object.entries(group.fields)) {
+                    const fieldTrace = log ? (recordTrace[field] = []) : null;
+                    record[field] = extractField($, $(node), specs, vars, fieldTrace);
+                }
+                recordTraces.push(recordTrace);
+                return record;
+            });
+            if (log) log.groups[name] = { items: itemTrace, records: recordTraces };
+        }
+
+        if (log) result.trace = log;
+        return result;
+    }
+}
+
+/**
+ * Loads a profile by name (profiles/<name>.json) or from a file path.
+ */
+function loadProfile(nameOrPath) {
+    const file = /[\\/]|\.json$/.test(nameOrPath)
+        ? path.resolve(nameOrPath)
+        : path.join(PROFILES_DIR, `${nameOrPath}.json`);
+    return new SelectorProfile(JSON.parse(fs.readFileSync(file, 'utf8')), file);
+}
+
+// ─── Validation Report ─────────────────────────────────────────────────────────
+
+function quote(value) {
+    if (value === null) return '(none)';
+    return JSON.stringify(value.length > 80 ? `${value.slice(0, 77)}...` : value);
+}
+
+/**
+ * Human-readable report of a traced extract(): for every field, each fallback tried,
+ * how many elements it matched and what it yielded. Returns { text, ok }, where
+ * ok is false when a field or group came up empty.
+ */
+function formatProfileTrace(profile, page, result, { maxRecords = 5 } = {}) {
+    const lines = [`Profile ${profile.name}${profile.version ? ` v${profile.version}` : ''} (${profile.source}), page: ${page}`];
+    const optional = new Set(profile.pages[page].optional || []);
+    let ok = true;
+
+    const fieldLines = (entries, indent) => {
+        const used = entries.findIndex(e => e.value !== null);
+        // ✓ the value used, · a later fallback that would also work, ✗ nothing usable
+        entries.forEach((e, i) => {
+            const mark = i === used ? '✓' : e.value !== null ? '·' : '✗';
+            lines.push(`${indent}${mark} ${e.spec}  [${e.matches} match(es)]${e.value !== null ? ` -> ${quote(e.value)}` : ''}`);
+        });
+        return used !== -1;
+    };
+
+    for (const [name, entries] of Object.entries(result.trace.fields)) {
+        lines.push(`  ${name}`);
+        if (!fieldLines(entries, '    ')) {
+            lines.push(`    (no fallback matched${optional.has(name) ? ', optional' : ''})`);
+            if (!optional.has(name)) ok = false;
+        }
+    }
+
+    for (const [name, group] of Object.entries(result.trace.groups)) {
+        const records = result.groups[name];
+        lines.push(`  ${name}: ${records.length} item(s)${records.length === 0 && optional.has(name) ? ' (optional)' : ''}`);
+        group.items.forEach(item => lines.push(`    items ${item.selector}  [${item.matches} match(es)]`));
+        if (records.length === 0 && !optional.has(name)) ok = false;
+
+        records.slice(0, maxRecords).forEach((record, i) => {
+            lines.push(`    [${i + 1}] ${Object.entries(record).map(([k, v]) => `${k}=${quote(v)}`).join(' ')}`);
+            for (const [field, entries] of Object.entries(group.records[i])) {
+                const used = entries.findIndex(e => e.value !== null);
+                lines.push(`        ${field}: ${used === -1 ? 'no fallback matched' : `fallback ${used + 1} (${entries[used].spec})`}`);
+            }
+        });
+        if (records.length > maxRecords) lines.push(`    ... ${records.length - maxRecords} more`);
+    }
+
+    return { text: lines.join('\n'), ok };
+}
+
+module.exports = {
+    SelectorProfile,
+    PROFILE_FORMAT_VERSION,
+    PROFILES_DIR,
+    PAGE_TYPES,
+    loadProfile,
+    formatProfileTrace,
+};
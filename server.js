@@ -0,0 +1,132 @@
+/**
+ * REST API over AnimeDekhoImporter
+ *
+ * Endpoints (all JSON):
+ *   GET /search?q=<query>
+ *   GET /anime/:slug
+ *   GET /anime/:slug/episodes
+ *   GET /episodes/:episodeId/link       best link plus every mirror (sources) for failover
+ *   GET /schedule                       weekly release schedule, times in UTC
+ *
+ * Errors are returned as { error: { status, message } } with a matching HTTP status:
+ *   400 bad input, 404 unknown on the source site, 502 source site failure
+ *   (including challenge pages the headless browser could not pass),
+ *   504 source site or request timeout.
+ *
+ * Usage:
+ *   node server.js            (PORT defaults to 3000, API_TIMEOUT_MS to 45000)
+ */
+
+const express = require('express');
+const { AnimeDekhoImporter, HttpError } = require('./importer');
+const { ChallengeError } = require('./http_client');
+const { ScheduleError } = require('./release_schedule');
+
+const DEFAULT_TIMEOUT_MS = 45000;
+
+class ApiError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+    }
+}
+
+// ─── Helpers ───────────────────────────────────────────────────────────────────
+
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new ApiError(504, `Request timed out after ${ms}ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Maps importer/network failures onto API errors.
+ */
+function toApiError(e) {
+    if (e instanceof ApiError) return e;
+    if (e instanceof HttpError) {
+        if (e.statusCode === 404) return new ApiError(404, 'Not found on source site');
+        return new ApiError(502, `Source site responded with HTTP ${e.statusCode}`);
+    }
+    if (e instanceof ChallengeError) {
+        return new ApiError(502, 'Source site served a challenge page');
+    }
+    if (e instanceof ScheduleError) {
+        return new ApiError(502, e.message);
+    }
+    // The HTTP transport's timeout carries ETIMEDOUT; the browser transport raises Playwright's TimeoutError
+    if (e && (e.code === 'ETIMEDOUT' || e.name === 'TimeoutError')) {
+        return new ApiError(504, 'Source site timed out');
+    }
+    if (e && ['ENOTFOUND', 'ECONNREFUSED', 'ECONNRESET', 'EAI_AGAIN'].includes(e.code)) {
+        return new ApiError(502, `Source site unreachable (${e.code})`);
+    }
+    return new ApiError(500, 'Internal server error');
+}
+
+// ─── App ───────────────────────────────────────────────────────────────────────
+
+function createApp({ importer = new AnimeDekhoImporter(), timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+    const app = express();
+
+    // Wraps a handler returning the response body in the request timeout
+    const route = handler => async (req, res) => {
+        res.json(await withTimeout(Promise.resolve().then(() => handler(req)), timeoutMs));
+    };
+
+    app.get('/search', route(async (req) => {
+        const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+        if (!q) throw new ApiError(400, 'Query parameter "q" is required');
+        const results = await importer.search(q, { strict: true });
+        return { query: q, results };
+    }));
+
+    app.get('/anime/:slug', route(async (req) => {
+        const details = await importer.getAnimeDetails(req.params.slug);
+        if (!details.title) throw new ApiError(404, 'Anime not found');
+        return details;
+    }));
+
+    app.get('/anime/:slug/episodes', route(async (req) => {
+        const episodes = await importer.getEpisodes(req.params.slug, { strict: true });
+        return { slug: req.params.slug, episodes };
+    }));
+
+    app.get('/episodes/:episodeId/link', route(async (req) => {
+        const { episodeId } = req.params;
+        const sources = await importer.getEpisodeSources(episodeId, { strict: true });
+        if (sources.length === 0) throw new ApiError(404, 'No playable link found');
+        return { episodeId, link: sources[0].url, sources };
+    }));
+
+    app.get('/schedule', route(async () => {
+        const { fetchedAt, entries } = await importer.getSchedule();
+        return { fetchedAt, timezone: 'UTC', schedule: entries };
+    }));
+
+    app.use((req, res) => {
+        res.status(404).json({ error: { status: 404, message: `No route for ${req.method} ${req.path}` } });
+    });
+
+    app.use((err, req, res, next) => {
+        const apiError = toApiError(err);
+        if (apiError.status >= 500) console.error(`API error on ${req.method} ${req.originalUrl}:`, err.message || err);
+        if (res.headersSent) return;
+        res.status(apiError.status).json({ error: { status: apiError.status, message: apiError.message } });
+    });
+
+    return app;
+}
+
+if (require.main === module) {
+    const port = parseInt(process.env.PORT || '3000');
+    const timeoutMs = parseInt(process.env.API_TIMEOUT_MS || String(DEFAULT_TIMEOUT_MS));
+    createApp({ timeoutMs }).listen(port, () => {
+        console.error(`AnimeDekho API listening on http://localhost:${port}`);
+    });
+}
+
+module.exports = { createApp, ApiError };
@@ -0,0 +1,201 @@
+/**
+ * Site catalog: sitemaps and the full inventory
+ *
+ * Category pages only show what the site chooses to list there. The sitemap lists every
+ * published page, so together they give the whole catalog:
+ *
+ *   crawlSitemap()   follows a sitemap index down to its url sets and returns every
+ *                    page URL with its lastmod
+ *   buildCatalog()   merges the category listing (getAllAnime()) with the sitemap
+ *                    entries of a source (getSitemapCatalog()) into one inventory with
+ *                    counts per category; collectCatalog() reads both from a source
+ *
+ * Gzipped sitemaps (.xml.gz) are not read.
+ */
+
+const cheerio = require('cheerio');
+const { fetchHTML } = require('./http_client');
+
+// Child sitemaps followed at most, indexes included
+const MAX_SITEMAPS = parseInt(process.env.SITEMAP_MAX_FILES || '500');
+
+const CATALOG_FORMATS = ['text', 'json'];
+
+// Category name of entries only found in the sitemap
+const SITEMAP_ONLY = '(sitemap only)';
+
+// ─── Sitemaps ──────────────────────────────────────────────────────────────────
+
+/**
+ * ISO timestamp of a W3C datetime ("2024-05-01", "2024-05-01T10:00:00+05:30"), or null.
+ */
+function normalizeLastmod(value) {
+    if (!value) return null;
+    const time = Date.parse(value.trim());
+    return isNaN(time) ? null : new Date(time).toISOString();
+}
+
+/**
+ * Reads a sitemap document: { sitemaps, urls }, both lists of { loc, lastmod }.
+ * A sitemap index only has `sitemaps`, a url set only `urls`; anything else has neither.
+ */
+function parseSitemap(xml) {
+    const $ = cheerio.load(xml, { xml: true });
+    const read = tag => $(tag).toArray()
+        .map(node => ({
+            loc: $(node).children('loc').first().text().trim(),
+            lastmod: normalizeLastmod($(node).children('lastmod').first().text()),
+        }))
+        .filter(entry => entry.loc);
+
+    return { sitemaps: read('sitemapindex > sitemap'), urls: read('urlset > url') };
+}
+
+/**
+ * Every page URL reachable from the sitemap at `url`: [{ loc, lastmod }], once per URL.
+ * Index files are followed breadth first up to `maxSitemaps` files. A failing root
+ * throws; a failing child sitemap is reported through `onSitemap` and skipped.
+ * `onSitemap` hears about every file read: { url, sitemaps, urls, error }.
+ */
+async function crawlSitemap(url, { fetch = fetchHTML, maxSitemaps = MAX_SITEMAPS, onSitemap = () => {} } = {}) {
+    const queue = [url];
+    const visited = new Set(queue);
+    const urls = new Map();
+
+    while (queue.length && visited.size - queue.length < maxSitemaps) {
+        const current = queue.shift();
+        let parsed;
+        try {
+            parsed = parseSitemap(await fetch(current));
+        } catch (e) {
+            if (current === url) throw e;
+            onSitemap({ url: current, sitemaps: 0, urls: 0, error: e });
+            continue;
+        }
+
+        for (const { loc } of parsed.sitemaps) {
+            if (visited.has(loc)) continue;
+            visited.add(loc);
+            queue.push(loc);
+        }
+        for (const entry of parsed.urls) {
+            if (!urls.has(entry.loc)) urls.set(entry.loc, entry);
+        }
+        onSitemap({ url: current, sitemaps: parsed.sitemaps.length, urls: parsed.urls.length, error: null });
+    }
+
+    if (queue.length) console.error(`  Sitemap limit reached, ${queue.length} sitemap(s) not read (SITEMAP_MAX_FILES=${maxSitemaps})`);
+    return [...urls.values()];
+}
+
+// ─── Inventory ─────────────────────────────────────────────────────────────────
+
+/**
+ * One inventory of a source: `listed` are getAllAnime() entries (with their `category`),
+ * `pages` the onPage() reports of that crawl and `sitemap` getSitemapCatalog() entries
+ * (null when the sitemap was not read).
+ *
+ * Returns { source, fetchedAt, categories: [{ name, pages, found, added, failed }],
+ * sitemap: { series, movies, missingFromCategories } | null, anime: [{ title, slug, url,
+ * type, category, lastmod }] }, the anime sorted by slug.
+ */
+function buildCatalog({ source, listed = [], pages = [], sitemap = null, now = new Date() }) {
+    const categories = new Map();
+    for (const { category, found = 0, added = 0, error = null } of pages) {
+        const entry = categories.get(category) || { name: category, pages: 0, found: 0, added: 0, failed: 0 };
+        if (error) {
+            entry.failed++;
+        } else {
+            entry.pages++;
+            entry.found += found;
+            entry.added += added;
+        }
+        categories.set(category, entry);
+    }
+
+    const anime = new Map(listed.map(a => [a.slug, { ...a, category: a.category || null, lastmod: null }]));
+    let missing = 0;
+    for (const entry of sitemap || []) {
+        const known = anime.get(entry.slug);
+        if (known) {
+            known.lastmod = entry.lastmod;
+            continue;
+        }
+        missing++;
+        anime.set(entry.slug, { ...entry, category: SITEMAP_ONLY });
+    }
+
+    return {
+        source,
+        fetchedAt: now.toISOString(),
+        categories: [...categories.values()],
+        sitemap: sitemap && {
+            series: sitemap.filter(e => e.type === 'series').length,
+            movies: sitemap.filter(e => e.type === 'movie').length,
+            missingFromCategories: missing,
+        },
+        anime: [...anime.values()]
+            .map(({ title, slug, url, type, category, lastmod }) => ({ title, slug, url, type, category, lastmod }))
+            .sort((a, b) => a.slug.localeCompare(b.slug)),
+    };
+}
+
+/**
+ * Crawls the categories and (unless `sitemap` is false) the sitemap of `source` into a
+ * buildCatalog() inventory. An unreadable sitemap leaves `sitemap` null.
+ */
+async function collectCatalog(source, { sitemap = true, now = new Date() } = {}) {
+    const pages = [];
+    const listed = await source.getAllAnime({ onPage: page => pages.push(page) });
+
+    let entries = null;
+    if (sitemap) {
+        try {
+            entries = await source.getSitemapCatalog();
+        } catch (e) {
+            console.error(`Sitemap not read: ${e.message}`);
+        }
+    }
+    return buildCatalog({ source: source.id, listed, pages, sitemap: entries, now });
+}
+
+/**
+ * Plain-text inventory: counts per category, the sitemap totals and one line per anime.
+ */
+function formatCatalog(catalog) {
+    // Unique anime per category, in crawl order
+    const perCategory = new Map(catalog.categories.map(c => [c.name, 0]));
+    catalog.anime.forEach(a => perCategory.set(a.category || '-', (perCategory.get(a.category || '-') || 0) + 1));
+    const width = Math.max(8, ...catalog.categories.map(c => c.name.length), ...[...perCategory.keys()].map(name => name.length));
+
+    const lines = [`Catalog of ${catalog.source} (${catalog.fetchedAt})`, '', 'Categories:'];
+    for (const c of catalog.categories) {
+        lines.push(`  ${c.name.padEnd(width)}  ${String(c.found).padStart(6)} listed  ${String(c.added).padStart(6)} new  ` +
+            `${c.pages} page(s)${c.failed ? `, ${c.failed} failed` : ''}`);
+    }
+
+    if (catalog.sitemap) {
+        lines.push('', `Sitemap: ${catalog.sitemap.series} series, ${catalog.sitemap.movies} movie(s), ` +
+            `${catalog.sitemap.missingFromCategories} not listed in any category`);
+    }
+
+    const series = catalog.anime.filter(a => a.type === 'series').length;
+    lines.push('', `Inventory: ${catalog.anime.length} anime (${series} series, ${catalog.anime.length - series} movie(s))`);
+    for (const [category, count] of perCategory) if (count) lines.push(`  ${category.padEnd(width)}  ${String(count).padStart(6)}`);
+
+    lines.push('');
+    for (const a of catalog.anime) {
+        lines.push([a.type.padEnd(6), (a.lastmod ? a.lastmod.slice(0, 10) : '-').padEnd(10), a.slug, a.title, `[${a.category || '-'}]`].join('  '));
+    }
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    parseSitemap,
+    crawlSitemap,
+    buildCatalog,
+    collectCatalog,
+    formatCatalog,
+    CATALOG_FORMATS,
+    SITEMAP_ONLY,
+};
@@ -0,0 +1,581 @@
+/**
+ * AnimeDekho.app source adapter (HTML Scraper version)
+ *
+ * animedekho.app is a server-rendered WordPress site:
+ * - Anime pages at /serie/slug/
+ * - Episodes listed as S1-E1, S2-E33 inline on the page
+ * - Episode watch pages at /epi/slug-seasonxepisode/
+ *
+ * URL layout (base URL, series/episode/movie path segments, crawled categories) is
+ * configurable so sites built on the same theme can reuse this adapter. Pages are
+ * read through a selector profile (profiles/animedekho.json by default, see
+ * selector_profile.js), so markup changes only need a profile update.
+ *
+ * Unless given a fixed list, the crawled categories are the ones linked from the site
+ * navigation (see getCategories()). The sitemap lists every series and movie page,
+ * including those no category shows (see getSitemapCatalog() and site_catalog.js).
+ */
+
+const { SourceAdapter } = require('./base');
+const { fetchHTML, scheduler, HttpError } = require('../http_client');
+const { mapConcurrent } = require('../request_scheduler');
+const { rankMirrors, providerRegistry, absoluteUrl } = require('../providers');
+const { loadProfile } = require('../selector_profile');
+const { cleanTitle } = require('../anime_identity');
+const { parseGenres, parseLanguages, parseYear, parseRating, parseStatus } = require('../anime_metadata');
+const { extractAllMatches, escapeRegExp, readScriptVariable } = require('../html_utils');
+const { ScheduleError, normalizeSchedule } = require('../release_schedule');
+const { crawlSitemap } = require('../site_catalog');
+
+// Overridable so tests (and mirrors) can point the adapter elsewhere
+const SITE_BASE = process.env.SITE_BASE || 'https://animedekho.app';
+
+// Profile name (profiles/<name>.json) or path; same as --profile
+const DEFAULT_PROFILE = process.env.SELECTOR_PROFILE || 'animedekho';
+
+// Zone the site's schedule times are written in
+const SCHEDULE_TIMEZONE = process.env.SCHEDULE_TIMEZONE || 'Asia/Kolkata';
+
+// List pages read per category at most, 0 = until a page adds nothing new
+const CATEGORY_MAX_PAGES = parseInt(process.env.CATEGORY_MAX_PAGES || '0');
+
+// Tried in order, the first one that reads as a sitemap is crawled
+const SITEMAP_PATHS = ['/sitemap.xml', '/sitemap_index.xml', '/wp-sitemap.xml'];
+
+const HOME_CATEGORY = { name: 'Home', path: '/home/', paginated: false };
+
+// Crawled when the navigation has no category links
+const FALLBACK_CATEGORIES = [
+    HOME_CATEGORY,
+    { name: 'Anime', path: '/category/anime/', paginated: true },
+    { name: 'Hindi Dub', path: '/category/hindi-dub/', paginated: true },
+    { name: 'Tamil', path: '/category/tamil/', paginated: true },
+    { name: 'Action', path: '/category/action/', paginated: true },
+];
+
+class AnimeDekhoImporter extends SourceAdapter {
+
+    constructor({
+        id = 'animedekho',
+        name = 'AnimeDekho.app',
+        baseUrl = SITE_BASE,
+        seriesPath = 'serie',
+        episodePath = 'epi',
+        moviePath = 'movies',
+        categories = null,
+        fallbackCategories = FALLBACK_CATEGORIES,
+        maxPages = CATEGORY_MAX_PAGES,
+        sitemapPaths = SITEMAP_PATHS,
+        providers = providerRegistry,
+        profile = DEFAULT_PROFILE,
+        scheduleTimezone = SCHEDULE_TIMEZONE,
+    } = {}) {
+        super({ id, name, baseUrl });
+        this.seriesPath = seriesPath;
+        this.episodePath = episodePath;
+        this.moviePath = moviePath;
+        this.categories = categories;
+        this.fallbackCategories = fallbackCategories;
+        this.maxPages = maxPages;
+        this.sitemapPaths = sitemapPaths;
+        this.host = new URL(this.baseUrl).host;
+        // The site's own player pages wrap the real provider link
+        this.providers = providers.extend([{
+            name: `${id}-embed`,
+            kind: 'embed',
+            match: url => url.includes(`${this.host}/embed`) || url.includes(`${this.host}/redirect`),
+        }]);
+        this._seriesRe = `${escapeRegExp(this.baseUrl)}/${escapeRegExp(seriesPath)}`;
+        this.profile = typeof profile === 'string' ? loadProfile(profile) : profile;
+        this.profileVars = { seriesPath, episodePath, host: this.host, baseUrl: this.baseUrl };
+        this.scheduleTimezone = scheduleTimezone;
+    }
+
+    seriesUrl(slug) {
+        return `${this.baseUrl}/${this.seriesPath}/${slug}/`;
+    }
+
+    episodeUrl(episodeId) {
+        return `${this.baseUrl}/${this.episodePath}/${episodeId}/`;
+    }
+
+    slugFromUrl(url) {
+        return url.replace(new RegExp(`^https?://[^/]+/${escapeRegExp(this.seriesPath)}/`), '').replace(/\/$/, '');
+    }
+
+    /**
+     * Search for anime using the site's search functionality.
+     * With `strict`, fetch errors are thrown instead of falling back to the homepage.
+     */
+    async search(query, { strict = false } = {}) {
+        const results = [];
+
+        try {
+            // Use the official search URL provided by the user
+            const searchUrl = `${this.baseUrl}/?s=${encodeURIComponent(query)}`;
+            const html = await fetchHTML(searchUrl);
+
+            // Results without a title on the page are named after their slug
+            results.push(...this._parseAnimeList(html, { titleFromSlug: true }));
+
+        } catch (e) {
+            if (strict) throw e;
+            console.error(`Search error: ${e.message}`);
+        }
+
+        // If still no results, fallback to homepage scraping (original behavior)
+        if (results.length === 0) {
+            try {
+                const homeHtml = await fetchHTML(`${this.baseUrl}${HOME_CATEGORY.path}`);
+                results.push(...this._parseAnimeList(homeHtml));
+            } catch (e) {
+                console.error(`Home fallback error: ${e.message}`);
+            }
+        }
+
+        // Filter results by query match (partial)
+        const lowerQuery = query.toLowerCase();
+        const filtered = results.filter(r =>
+            (r.title && r.title.toLowerCase().includes(lowerQuery)) ||
+            (r.slug && r.slug.toLowerCase().includes(lowerQuery)) ||
+            (r.title && lowerQuery.split(' ').every(word => r.title.toLowerCase().includes(word)))
+        );
+
+        // Remove duplicates by slug
+        const finalResults = [];
+        const finalSeen = new Set();
+        for (const r of filtered) {
+            if (!finalSeen.has(r.slug)) {
+                finalSeen.add(r.slug);
+                finalResults.push(r);
+            }
+        }
+        return finalResults;
+    }
+
+    /**
+     * Weekly schedule from the scheduleData literal on the home page, normalized to UTC
+     * (see release_schedule.js). Fetch errors are thrown; a page without readable
+     * schedule data throws a ScheduleError.
+     */
+    async getSchedule({ now = new Date() } = {}) {
+        const html = await fetchHTML(`${this.baseUrl}${HOME_CATEGORY.path}`);
+
+        let data;
+        try {
+            data = readScriptVariable(html, 'scheduleData');
+        } catch (e) {
+            throw new ScheduleError(`Schedule data on ${this.name} could not be parsed: ${e.message}`);
+        }
+        if (data === undefined) throw new ScheduleError(`Schedule data script not found on ${this.name}.`);
+
+        const { entries, skipped } = normalizeSchedule(data, { timezone: this.scheduleTimezone, now });
+        if (skipped) console.error(`  Skipped ${skipped} unreadable schedule item(s)`);
+        return { source: this.id, fetchedAt: now.toISOString(), timezone: this.scheduleTimezone, entries };
+    }
+
+    /**
+     * Helper to clean anime titles by removing common SEO suffixes/prefixes (see anime_identity.js).
+     */
+    _cleanTitle(title) {
+        return cleanTitle(title);
+    }
+
+    _isMovie(title, slug) {
+        return title.toLowerCase().includes('movie') || slug.includes('movie') || /\bfilm\b/i.test(title);
+    }
+
+    /**
+     * Reads `html` as a page of type `page` (list, series or episode) through the selector profile.
+     */
+    _extract(page, html, options = {}) {
+        return this.profile.extract(page, html, { vars: this.profileVars, ...options });
+    }
+
+    /**
+     * Series linked from a list page (home, category, search results), once per slug.
+     * Entries without a usable title are skipped unless `titleFromSlug` names them after the slug.
+     */
+    _parseAnimeList(html, { titleFromSlug = false } = {}) {
+        const results = [];
+        const seenSlugs = new Set();
+        const seriesUrlRe = new RegExp(`^${this._seriesRe}/([^/?#]+)`, 'i');
+
+        for (const item of this._extract('list', html).groups.anime) {
+            const url = item.url && absoluteUrl(item.url, `${this.baseUrl}/`);
+            const match = url && url.match(seriesUrlRe);
+            if (!match || seenSlugs.has(match[1])) continue;
+
+            const slug = match[1];
+            let title = this._cleanTitle(item.title);
+            if (!title && titleFromSlug) title = slug.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+            if (!title) continue;
+
+            seenSlugs.add(slug);
+            results.push({
+                title: title,
+                url: this.seriesUrl(slug),
+                slug: slug,
+                type: this._isMovie(title, slug) ? 'movie' : 'series',
+            });
+        }
+
+        return results;
+    }
+
+    /**
+     * Episodes of a series page: the profile's episode list, deduped by S#-E# and sorted.
+     * Falls back to loose S#-E# markers in the page text when the list is missing.
+     */
+    _parseEpisodes(html, slug, page = this._extract('series', html)) {
+        const episodes = [];
+        const seen = new Set();
+        const episodeUrlRe = new RegExp(`/${escapeRegExp(this.episodePath)}/([^/?#]+)`);
+
+        for (const item of page.groups.episodes) {
+            const seasonNum = parseInt(item.season);
+            const episodeNum = parseInt(item.number);
+            const link = item.url && item.url.match(episodeUrlRe);
+            const key = `${seasonNum}x${episodeNum}`;
+            if (!link || isNaN(seasonNum) || isNaN(episodeNum) || seen.has(key)) continue;
+
+            seen.add(key);
+            episodes.push({
+                episodeId: link[1],
+                number: episodeNum,
+                title: item.title || `Episode ${episodeNum}`,
+                season: seasonNum,
+                isFiller: false,
+            });
+        }
+
+        if (episodes.length === 0) {
+            const episodeRegex = /S(\d+)-E(\d+)\s+([^<[\n]+)/gi;
+            const epMatches = extractAllMatches(html, episodeRegex);
+            for (const m of epMatches) {
+                const s = parseInt(m[1]);
+                const e = parseInt(m[2]);
+                const t = m[3].trim().replace(/<[^>]+>/g, '').trim();
+                if (!isNaN(s) && !isNaN(e)) {
+                    episodes.push({
+                        episodeId: `${slug}-${s}x${e}`,
+                        number: e,
+                        title: t,
+                        season: s,
+                        isFiller: false
+                    });
+                }
+            }
+        }
+
+        return episodes.sort((a, b) => {
+            if (a.season !== b.season) return a.season - b.season;
+            return a.number - b.number;
+        });
+    }
+
+    /**
+     * Page type of a site URL for validate-profile: series and episode pages by their
+     * path segment, anything else is a list.
+     */
+    profilePageType(url) {
+        const path = new URL(url, `${this.baseUrl}/`).pathname;
+        if (path.startsWith(`/${this.episodePath}/`)) return 'episode';
+        if (path.startsWith(`/${this.seriesPath}/`)) return 'series';
+        return 'list';
+    }
+
+    /**
+     * Fetches `url` and reads it through the profile with a trace of every selector tried.
+     */
+    async inspectPage(url, page = this.profilePageType(url)) {
+        const html = await fetchHTML(url, 1, 1000, { useCache: false });
+        return { page, result: this._extract(page, html, { trace: true }) };
+    }
+
+    /**
+     * Get anime details by scraping the anime page HTML.
+     */
+    async getAnimeDetails(slugOrUrl) {
+        let slug = slugOrUrl;
+        if (slugOrUrl.startsWith('http')) {
+            slug = this.slugFromUrl(slugOrUrl);
+        }
+
+        const url = this.seriesUrl(slug);
+        const html = await fetchHTML(url);
+
+        const page = this._extract('series', html);
+        const title = this._cleanTitle(page.fields.title);
+        const description = (page.fields.description || '')
+            .replace(/<[^>]+>/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+
+        let poster = page.fields.poster || '';
+        // Prefer high-quality TMDB images
+        if (poster.includes('image.tmdb.org')) {
+            poster = poster.replace(/\/w\d+\//, '/w500/');
+        }
+
+        const type = this._isMovie(title, slug) ? 'movie' : 'series';
+
+        // Dub languages show up as tags, in the SEO title ("in Hindi Dubbed") and in the slug
+        const tags = (page.groups.genres || []).map(g => g.name);
+        const languages = parseLanguages([page.fields.title, ...tags, ...(page.groups.languages || []).map(l => l.name)], { slug });
+
+        // Build season list from the episode list (S1-E1, S2-E33, etc.)
+        const episodes = this._parseEpisodes(html, slug, page);
+        const seasonNumbers = [...new Set(episodes.map(e => e.season))]
+            .filter(n => n > 0)
+            .sort((a, b) => a - b);
+        const seasonList = seasonNumbers.map(n => ({ seasonNumber: n, slug: slug, title: `Season ${n}` }));
+
+        if (seasonList.length === 0) {
+            seasonList.push({ seasonNumber: 1, slug: slug, title: 'Season 1' });
+        }
+
+        return {
+            title: title,
+            description: description,
+            poster: poster,
+            type: type,
+            genres: parseGenres(tags),
+            year: parseYear([page.fields.year]),
+            languages: languages,
+            status: parseStatus(page.fields.status),
+            rating: parseRating(page.fields.rating),
+            totalEpisodes: episodes.length,
+            totalSeasons: seasonList.length,
+            seasons: seasonList,
+            slug: slug,
+        };
+    }
+
+    /**
+     * Get episodes by parsing S#-E# markers from the anime page.
+     * Returns episodes in format: {episodeId, number, title, season}
+     * With `strict`, fetch errors are thrown instead of returning an empty list.
+     */
+    async getEpisodes(slug, { strict = false } = {}) {
+        try {
+            return this._parseEpisodes(await fetchHTML(this.seriesUrl(slug)), slug);
+        } catch (e) {
+            if (strict) throw e;
+            console.error(`Error getting episodes for ${slug}: ${e.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * Get every mirror of an episode by scraping the episode page.
+     * All servers (data-src buttons, dl2.php downloads, raw iframes) are resolved and
+     * ranked with rankMirrors(): direct provider links first, page order within each group.
+     * With `strict`, errors fetching the episode page are thrown instead of returning [].
+     */
+    async getEpisodeSources(episodeId, { strict = false } = {}) {
+        try {
+            const watchUrl = this.episodeUrl(episodeId);
+            const html = await fetchHTML(watchUrl);
+
+            // 1. Every server the profile finds (data-src buttons, dl2.php downloads, raw iframes), with its label
+            const serverSources = [];
+            for (const server of this._extract('episode', html).groups.servers) {
+                if (!server.url || !/^(?:https?:)?\//.test(server.url)) continue;
+                const url = absoluteUrl(server.url, watchUrl);
+                if (url && !serverSources.some(s => s.url === url)) serverSources.push({ url, label: server.label || '' });
+            }
+
+            // 2. Resolve every source; embed pages (e.g. the site's /embed and /redirect links) point at a provider
+            const candidates = await mapConcurrent(serverSources, scheduler.maxConcurrency, async ({ url, label }) => {
+                const kind = this.providers.classify(url);
+                if (kind === 'junk') return null;
+                if (kind === 'direct') return { url, label, direct: true };
+
+                if (kind === 'embed') {
+                    const resolved = await this._resolveSource(url);
+                    if (!resolved || this._isTutorialLink(resolved)) return null;
+                    return { url: resolved, label, direct: this._isDirectVideoLink(resolved) };
+                }
+
+                // Some other external link, only used when nothing better is found
+                return { url, label, direct: false };
+            });
+
+            return rankMirrors(candidates.filter(Boolean), this.providers);
+
+        } catch (e) {
+            if (strict) throw e;
+            console.error(`  Error in getEpisodeSources for ${episodeId}: ${e.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * Get video link for an episode: the best-ranked mirror (see getEpisodeSources()).
+     */
+    async getEpisodeLink(episodeId, options = {}) {
+        const sources = await this.getEpisodeSources(episodeId, options);
+        return sources.length ? sources[0].url : null;
+    }
+
+    /**
+     * Resolves an embed page to its actual video provider link (see ProviderRegistry.extract()).
+     */
+    async _resolveSource(sourceUrl) {
+        try {
+            return this.providers.extract(await fetchHTML(sourceUrl), sourceUrl);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Categories crawled by getAllAnime(): the fixed list given to the constructor, or the
+     * home page followed by every category linked from the site navigation. Falls back to
+     * `fallbackCategories` when the navigation cannot be read or links no category.
+     */
+    async getCategories() {
+        if (this.categories) return this.categories;
+
+        const categories = [HOME_CATEGORY];
+        try {
+            const html = await fetchHTML(`${this.baseUrl}${HOME_CATEGORY.path}`);
+            for (const link of this._extract('list', html).groups.categories || []) {
+                const url = link.url && absoluteUrl(link.url, `${this.baseUrl}/`);
+                if (!url || new URL(url).host !== this.host) continue;
+
+                const path = new URL(url).pathname.replace(/\/page\/\d+\/?$/, '/').replace(/\/?$/, '/');
+                if (categories.some(c => c.path === path)) continue;
+                categories.push({ name: link.name || path, path, paginated: true });
+            }
+        } catch (e) {
+            console.error(`Category discovery failed: ${e.message}`);
+        }
+
+        if (categories.length === 1) {
+            console.error('No categories found in the site navigation, using the built-in list');
+            return this.fallbackCategories;
+        }
+        return categories;
+    }
+
+    /**
+     * Get all anime from the site by scraping the home page and category pages (see
+     * getCategories()). Each entry names the `category` it was first listed in.
+     * A category is read until a page lists nothing it has not shown already, a page
+     * past the last one is not found, or `maxPages` pages were read.
+     * `onPage` hears about every list page read (or failed), for the scrape health report.
+     */
+    async getAllAnime({ onPage = () => {} } = {}) {
+        const allAnime = [];
+        const seenSlugs = new Set();
+
+        for (const cat of await this.getCategories()) {
+            console.error(`--- Scraping Category: ${cat.name} ---`);
+            const catSlugs = new Set();
+            let page = 1;
+            let hasMore = true;
+            let catTotal = 0;
+
+            while (hasMore) {
+                try {
+                    const pagePath = (page === 1) ? cat.path : `${cat.path}page/${page}/`;
+                    const html = await fetchHTML(`${this.baseUrl}${pagePath}`);
+                    const results = this._parseAnimeList(html);
+
+                    if (results.length === 0) {
+                        onPage({ category: cat.name, page, found: 0, added: 0 });
+                        hasMore = false;
+                        continue;
+                    }
+
+                    let newInPage = 0;
+                    let newInCategory = 0;
+                    for (const anime of results) {
+                        if (!catSlugs.has(anime.slug)) {
+                            catSlugs.add(anime.slug);
+                            newInCategory++;
+                        }
+                        if (!seenSlugs.has(anime.slug)) {
+                            seenSlugs.add(anime.slug);
+                            allAnime.push({ ...anime, category: cat.name });
+                            newInPage++;
+                            catTotal++;
+                        }
+                    }
+
+                    console.error(`  Page ${page}: Found ${results.length} anime (${newInPage} new)`);
+                    onPage({ category: cat.name, page, found: results.length, added: newInPage });
+
+                    // Stop when the page only repeats this category (sites serve the last page
+                    // again past the end), the category isn't paginated or the page limit is hit
+                    if (newInCategory === 0 || !cat.paginated || (this.maxPages > 0 && page >= this.maxPages)) {
+                        hasMore = false;
+                    } else {
+                        page++;
+                    }
+                } catch (e) {
+                    // Running past the last page is the normal end of a category
+                    if (page === 1 || !(e instanceof HttpError && e.statusCode === 404)) {
+                        console.error(`  Error on ${cat.name} Page ${page}: ${e.message}`);
+                        onPage({ category: cat.name, page, error: e });
+                    }
+                    hasMore = false;
+                }
+            }
+            console.error(`Scraped ${cat.name} totally: ${catTotal} new anime added`);
+        }
+
+        console.error(`\nTotal unique anime found: ${allAnime.length}`);
+        return allAnime;
+    }
+
+    /**
+     * Every series and movie page in the site's sitemap (see site_catalog.js), same shape
+     * as getAllAnime() entries plus `lastmod`; titles are made from the slugs. The first of
+     * `sitemapPaths` that reads as a sitemap is crawled; throws when none does.
+     */
+    async getSitemapCatalog({ onSitemap } = {}) {
+        let urls = null;
+        const errors = [];
+        for (const path of this.sitemapPaths) {
+            try {
+                urls = await crawlSitemap(`${this.baseUrl}${path}`, { onSitemap });
+                if (urls.length) break;
+                errors.push(`${path}: no URLs`);
+            } catch (e) {
+                errors.push(`${path}: ${e.message}`);
+            }
+        }
+        if (!urls || !urls.length) throw new Error(`No sitemap found on ${this.name} (${errors.join('; ')})`);
+
+        const pageRe = new RegExp(`^/(${escapeRegExp(this.seriesPath)}|${escapeRegExp(this.moviePath)})/([^/?#]+)/?$`);
+        const results = [];
+        const seen = new Set();
+        for (const { loc, lastmod } of urls) {
+            let url;
+            try {
+                url = new URL(loc);
+            } catch (e) {
+                continue;
+            }
+            const match = url.host === this.host && url.pathname.match(pageRe);
+            if (!match || seen.has(match[2])) continue;
+
+            const slug = match[2];
+            const title = slug.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+            seen.add(slug);
+            results.push({
+                title,
+                url: url.href,
+                slug,
+                type: match[1] === this.moviePath || this._isMovie(title, slug) ? 'movie' : 'series',
+                lastmod,
+            });
+        }
+        return results;
+    }
+}
+
+module.exports = { AnimeDekhoImporter, SITE_BASE };
@@ -0,0 +1,107 @@
+/**
+ * Source adapter interface
+ *
+ * Every supported site is a subclass of SourceAdapter. The exporters, the direct DB
+ * import and the CLI only ever talk to a source through these methods:
+ *
+ *   search(query, { strict })          -> [{ title, url, slug, type }]
+ *   getAnimeDetails(slugOrUrl)         -> { title, description, poster, type, seasons, slug,
+ *                                         genres, year, languages, status, rating,
+ *                                         totalEpisodes } (see anime_metadata.js)
+ *   getEpisodes(slug, { strict })      -> [{ episodeId, number, title, season, isFiller }]
+ *   getEpisodeLink(episodeId, { strict }) -> playable URL or null
+ *   getEpisodeSources(episodeId, { strict }) -> [{ url, provider, quality, priority }] (see providers.js)
+ *   getAllAnime({ onPage })            -> catalog listing, same shape as search() plus the
+ *                                         `category` listing it; onPage is called per list page
+ *                                         with { category, page, found, added, error }
+ *                                         (see scrape_health.js)
+ *   getSitemapCatalog({ onSitemap })   -> every series/movie page in the sitemap, same shape
+ *                                         plus `lastmod` (see site_catalog.js)
+ *   getSchedule({ now })               -> { source, fetchedAt, timezone, entries } with
+ *                                         entries in UTC (see release_schedule.js)
+ *   slugFromUrl(url)                   -> slug for a series URL of this site
+ *   _isTutorialLink(url)               -> true for placeholder/tutorial videos
+ *   _isDirectVideoLink(url)            -> true for playable provider links
+ *
+ * Link knowledge comes from `this.providers`, a ProviderRegistry (see providers/) that
+ * defaults to the shared one.
+ *
+ * `strict` makes fetch errors throw instead of degrading to an empty result.
+ */
+
+const { importToDb } = require('../db_import');
+const { rankMirrors, providerRegistry } = require('../providers');
+const { ScheduleError } = require('../release_schedule');
+
+class SourceAdapter {
+
+    constructor({ id, name, baseUrl, providers = providerRegistry }) {
+        this.id = id;
+        this.name = name;
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.providers = providers;
+    }
+
+    async search(query, options = {}) {
+        throw new Error(`${this.name}: search() is not implemented`);
+    }
+
+    async getAnimeDetails(slugOrUrl) {
+        throw new Error(`${this.name}: getAnimeDetails() is not implemented`);
+    }
+
+    async getEpisodes(slug, options = {}) {
+        throw new Error(`${this.name}: getEpisodes() is not implemented`);
+    }
+
+    async getEpisodeLink(episodeId, options = {}) {
+        throw new Error(`${this.name}: getEpisodeLink() is not implemented`);
+    }
+
+    /**
+     * Sources that only know one link per episode report it as the single mirror.
+     */
+    async getEpisodeSources(episodeId, options = {}) {
+        const link = await this.getEpisodeLink(episodeId, options);
+        return link ? rankMirrors([{ url: link, direct: true }], this.providers) : [];
+    }
+
+    async getAllAnime(options = {}) {
+        throw new Error(`${this.name}: getAllAnime() is not implemented`);
+    }
+
+    /**
+     * Optional. Sources without a sitemap throw.
+     */
+    async getSitemapCatalog() {
+        throw new Error(`Sitemap is not supported by ${this.name}.`);
+    }
+
+    /**
+     * Optional. Sources without a schedule throw a ScheduleError.
+     */
+    async getSchedule() {
+        throw new ScheduleError(`Schedule is not supported by ${this.name}.`);
+    }
+
+    slugFromUrl(url) {
+        return url.replace(/^https?:\/\/[^/]+\/[^/]+\//, '').replace(/\/$/, '');
+    }
+
+    _isTutorialLink(url) {
+        return this.providers.classify(url) === 'junk';
+    }
+
+    _isDirectVideoLink(url) {
+        return this.providers.classify(url) === 'direct';
+    }
+
+    /**
+     * Import anime directly to database (see db_import.js).
+     */
+    async importToDb(slugOrUrl) {
+        return importToDb(this, slugOrUrl);
+    }
+}
+
+module.exports = { SourceAdapter };
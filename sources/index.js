@@ -0,0 +1,34 @@
+/**
+ * Source adapter registry
+ *
+ * Maps the `--source <id>` CLI value to an adapter class. To add a site, implement
+ * SourceAdapter (see base.js) in a new file here and register it below.
+ */
+
+const { SourceAdapter } = require('./base');
+const { AnimeDekhoImporter } = require('./animedekho');
+const { ToonStreamAdapter } = require('./toonstream');
+
+const SOURCES = {
+    animedekho: AnimeDekhoImporter,
+    toonstream: ToonStreamAdapter,
+};
+
+const DEFAULT_SOURCE = 'animedekho';
+
+/**
+ * Instantiates the adapter registered under `id`.
+ */
+function createSource(id = DEFAULT_SOURCE, options = {}) {
+    const Adapter = SOURCES[id];
+    if (!Adapter) {
+        throw new Error(`Unknown source "${id}". Available sources: ${listSources().join(', ')}`);
+    }
+    return new Adapter(options);
+}
+
+function listSources() {
+    return Object.keys(SOURCES);
+}
+
+module.exports = { SourceAdapter, AnimeDekhoImporter, ToonStreamAdapter, createSource, listSources, DEFAULT_SOURCE };
@@ -0,0 +1,335 @@
+/**
+ * ToonStream source adapter
+ *
+ * toonstream.one is a WordPress site on the Toroplay theme:
+ * - Series pages at /series/slug/, listing the episodes of the first season inline;
+ *   the other seasons are loaded per post through admin-ajax (action_select_season)
+ * - Episodes marked "1x1" (season x episode), watch pages at /episode/slug-1x1/
+ * - Players in #options-N tabs, mostly iframes of the site's own ?trembed= pages that
+ *   wrap the provider link
+ *
+ * Pages are read through the toonstream selector profile (profiles/toonstream.json, see
+ * selector_profile.js). Movies (/movies/) are not listed: only series are scraped.
+ * The site serves no release schedule or sitemap.
+ */
+
+const { SourceAdapter } = require('./base');
+const { fetchHTML, scheduler, HttpError } = require('../http_client');
+const { mapConcurrent } = require('../request_scheduler');
+const { rankMirrors, providerRegistry, absoluteUrl } = require('../providers');
+const { loadProfile } = require('../selector_profile');
+const { cleanTitle } = require('../anime_identity');
+const { parseGenres, parseLanguages, parseYear, parseRating, parseStatus } = require('../anime_metadata');
+
+const SITE_BASE = process.env.TOONSTREAM_BASE || 'https://toonstream.one';
+
+// List pages read per category at most, 0 = until a page adds nothing new
+const CATEGORY_MAX_PAGES = parseInt(process.env.CATEGORY_MAX_PAGES || '0');
+
+const HOME_CATEGORY = { name: 'Home', path: '/home/', paginated: false };
+
+// Crawled when the navigation has no category links
+const FALLBACK_CATEGORIES = [
+    HOME_CATEGORY,
+    { name: 'Anime', path: '/category/anime/', paginated: true },
+    { name: 'Cartoon', path: '/category/cartoon/', paginated: true },
+    { name: 'Hindi', path: '/category/language/hindi-language/', paginated: true },
+];
+
+function titleFromSlug(slug) {
+    return slug.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+}
+
+class ToonStreamAdapter extends SourceAdapter {
+
+    constructor({
+        id = 'toonstream',
+        name = 'ToonStream',
+        baseUrl = SITE_BASE,
+        categories = null,
+        maxPages = CATEGORY_MAX_PAGES,
+        providers = providerRegistry,
+        profile = 'toonstream',
+    } = {}) {
+        super({ id, name, baseUrl });
+        this.categories = categories;
+        this.maxPages = maxPages;
+        this.host = new URL(this.baseUrl).host;
+        // The site's own ?trembed= player pages wrap the real provider link
+        this.providers = providers.extend([{
+            name: `${id}-embed`,
+            kind: 'embed',
+            match: url => url.includes(this.host) && /[?&]trembed=/.test(url),
+        }]);
+        this.profile = typeof profile === 'string' ? loadProfile(profile) : profile;
+        this.profileVars = { host: this.host, baseUrl: this.baseUrl };
+    }
+
+    seriesUrl(slug) {
+        return `${this.baseUrl}/series/${slug}/`;
+    }
+
+    episodeUrl(episodeId) {
+        return `${this.baseUrl}/episode/${episodeId}/`;
+    }
+
+    /**
+     * Reads `html` as a page of type `page` (list, series or episode) through the selector profile.
+     */
+    _extract(page, html, options = {}) {
+        return this.profile.extract(page, html, { vars: this.profileVars, ...options });
+    }
+
+    /**
+     * Series linked from a list page, once per slug. Cards without a title are named after the slug.
+     */
+    _parseAnimeList(html) {
+        const results = [];
+        const seen = new Set();
+        for (const item of this._extract('list', html).groups.anime) {
+            const url = item.url && absoluteUrl(item.url, `${this.baseUrl}/`);
+            const match = url && new URL(url).host === this.host && new URL(url).pathname.match(/^\/series\/([^/?#]+)/);
+            if (!match || seen.has(match[1])) continue;
+
+            const slug = match[1];
+            seen.add(slug);
+            results.push({ title: cleanTitle(item.title) || titleFromSlug(slug), url: this.seriesUrl(slug), slug, type: 'series' });
+        }
+        return results;
+    }
+
+    /**
+     * Episodes of a profile-read series page or season fragment, keyed by their "SxE" marker.
+     */
+    _parseEpisodes(page) {
+        const episodes = [];
+        for (const item of page.groups.episodes) {
+            const marker = item.marker && item.marker.match(/(\d+)\s*x\s*(\d+)/);
+            const link = item.url && item.url.match(/\/episode\/([^/?#]+)/);
+            if (!marker || !link) continue;
+
+            const number = parseInt(marker[2]);
+            episodes.push({ episodeId: link[1], number, title: item.title || `Episode ${number}`, season: parseInt(marker[1]), isFiller: false });
+        }
+        return episodes;
+    }
+
+    /**
+     * Every episode of a series page: the inline season plus each other season listed in
+     * the season picker, fetched from admin-ajax. Deduped by marker and sorted.
+     */
+    async _seriesEpisodes(page) {
+        const episodes = this._parseEpisodes(page);
+        const inline = new Set(episodes.map(e => e.season));
+        const others = (page.groups.seasons || []).map(s => parseInt(s.number)).filter(n => n > 0 && !inline.has(n));
+
+        if (page.fields.post) {
+            const fragments = await mapConcurrent(others, scheduler.maxConcurrency, season => fetchHTML(
+                `${this.baseUrl}/wp-admin/admin-ajax.php?action=action_select_season&season=${season}&post=${page.fields.post}`
+            ));
+            fragments.forEach(html => episodes.push(...this._parseEpisodes(this._extract('series', html))));
+        }
+
+        const seen = new Set();
+        return episodes
+            .filter(e => !seen.has(`${e.season}x${e.number}`) && seen.add(`${e.season}x${e.number}`))
+            .sort((a, b) => (a.season - b.season) || (a.number - b.number));
+    }
+
+    /**
+     * Search through the site's search page; results must contain every word of the query.
+     * With `strict`, fetch errors are thrown instead of returning [].
+     */
+    async search(query, { strict = false } = {}) {
+        let results;
+        try {
+            results = this._parseAnimeList(await fetchHTML(`${this.baseUrl}/?s=${encodeURIComponent(query)}`));
+        } catch (e) {
+            if (strict) throw e;
+            console.error(`Search error: ${e.message}`);
+            return [];
+        }
+        const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+        return results.filter(r => words.every(w => r.title.toLowerCase().includes(w) || r.slug.includes(w)));
+    }
+
+    /**
+     * Page type of a site URL for validate-profile: series and episode pages by their
+     * path segment, anything else is a list.
+     */
+    profilePageType(url) {
+        const path = new URL(url, `${this.baseUrl}/`).pathname;
+        if (path.startsWith('/episode/')) return 'episode';
+        if (path.startsWith('/series/')) return 'series';
+        return 'list';
+    }
+
+    /**
+     * Fetches `url` and reads it through the profile with a trace of every selector tried.
+     */
+    async inspectPage(url, page = this.profilePageType(url)) {
+        const html = await fetchHTML(url, 1, 1000, { useCache: false });
+        return { page, result: this._extract(page, html, { trace: true }) };
+    }
+
+    async getAnimeDetails(slugOrUrl) {
+        const slug = slugOrUrl.startsWith('http') ? this.slugFromUrl(slugOrUrl) : slugOrUrl;
+        const page = this._extract('series', await fetchHTML(this.seriesUrl(slug)));
+
+        const title = cleanTitle(page.fields.title);
+        const description = (page.fields.description || '').replace(/\s+/g, ' ').trim();
+        // Prefer high-quality TMDB images
+        const poster = (page.fields.poster || '').replace(/(image\.tmdb\.org\/t\/p)\/w\d+\//, '$1/w500/');
+        const tags = (page.groups.genres || []).map(g => g.name);
+
+        const episodes = await this._seriesEpisodes(page);
+        const numbers = [...new Set([...(page.groups.seasons || []).map(s => parseInt(s.number)), ...episodes.map(e => e.season)])]
+            .filter(n => n > 0)
+            .sort((a, b) => a - b);
+        const seasons = (numbers.length ? numbers : [1]).map(n => ({ seasonNumber: n, slug, title: `Season ${n}` }));
+
+        return {
+            title,
+            description,
+            poster,
+            type: 'series',
+            genres: parseGenres(tags),
+            year: parseYear([page.fields.year]),
+            languages: parseLanguages([page.fields.title, ...tags, ...(page.groups.languages || []).map(l => l.name)], { slug }),
+            status: parseStatus(page.fields.status),
+            rating: parseRating(page.fields.rating),
+            totalEpisodes: episodes.length,
+            totalSeasons: seasons.length,
+            seasons,
+            slug,
+        };
+    }
+
+    /**
+     * With `strict`, fetch errors are thrown instead of returning an empty list.
+     */
+    async getEpisodes(slug, { strict = false } = {}) {
+        try {
+            return await this._seriesEpisodes(this._extract('series', await fetchHTML(this.seriesUrl(slug))));
+        } catch (e) {
+            if (strict) throw e;
+            console.error(`Error getting episodes for ${slug}: ${e.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * Every player of the episode page, labelled by its tab and ranked with rankMirrors().
+     * The site's ?trembed= pages are resolved to the provider link they wrap.
+     * With `strict`, errors fetching the episode page are thrown instead of returning [].
+     */
+    async getEpisodeSources(episodeId, { strict = false } = {}) {
+        try {
+            const watchUrl = this.episodeUrl(episodeId);
+            const page = this._extract('episode', await fetchHTML(watchUrl));
+            const labels = new Map((page.groups.tabs || []).map(t => [t.target, t.label || '']));
+
+            const candidates = await mapConcurrent(page.groups.servers, scheduler.maxConcurrency, async (server) => {
+                const url = server.url && absoluteUrl(server.url, watchUrl);
+                const label = labels.get(server.id) || '';
+                const kind = url ? this.providers.classify(url) : 'junk';
+                if (kind === 'junk') return null;
+                if (kind !== 'embed') return { url, label, direct: kind === 'direct' };
+
+                let resolved = null;
+                try {
+                    resolved = this.providers.extract(await fetchHTML(url), url);
+                } catch (e) {
+                    console.error(`  Player ${url} not resolved: ${e.message}`);
+                }
+                if (!resolved || this._isTutorialLink(resolved)) return null;
+                return { url: resolved, label, direct: this._isDirectVideoLink(resolved) };
+            });
+
+            return rankMirrors(candidates.filter(Boolean), this.providers);
+        } catch (e) {
+            if (strict) throw e;
+            console.error(`  Error in getEpisodeSources for ${episodeId}: ${e.message}`);
+            return [];
+        }
+    }
+
+    async getEpisodeLink(episodeId, options = {}) {
+        const sources = await this.getEpisodeSources(episodeId, options);
+        return sources.length ? sources[0].url : null;
+    }
+
+    /**
+     * The fixed list given to the constructor, or the home page and every category in the
+     * site navigation; `FALLBACK_CATEGORIES` when the navigation links none.
+     */
+    async getCategories() {
+        if (this.categories) return this.categories;
+
+        const categories = [HOME_CATEGORY];
+        try {
+            const html = await fetchHTML(`${this.baseUrl}${HOME_CATEGORY.path}`);
+            for (const link of this._extract('list', html).groups.categories || []) {
+                const url = link.url && absoluteUrl(link.url, `${this.baseUrl}/`);
+                if (!url || new URL(url).host !== this.host) continue;
+
+                const path = new URL(url).pathname.replace(/\/page\/\d+\/?$/, '/').replace(/\/?$/, '/');
+                if (!categories.some(c => c.path === path)) categories.push({ name: link.name || path, path, paginated: true });
+            }
+        } catch (e) {
+            console.error(`Category discovery failed: ${e.message}`);
+        }
+
+        if (categories.length === 1) {
+            console.error('No categories found in the site navigation, using the built-in list');
+            return FALLBACK_CATEGORIES;
+        }
+        return categories;
+    }
+
+    /**
+     * Every series listed in the categories (see getCategories()), each with the `category`
+     * it was first listed in. A category is read page by page (/page/N/) until a page shows
+     * nothing new for it, the next page is not found, or `maxPages` pages were read.
+     * `onPage` hears about every list page read (or failed), for the scrape health report.
+     */
+    async getAllAnime({ onPage = () => {} } = {}) {
+        const allAnime = [];
+        const seen = new Set();
+
+        for (const cat of await this.getCategories()) {
+            console.error(`--- Scraping Category: ${cat.name} ---`);
+            const inCategory = new Set();
+            for (let page = 1; ; page++) {
+                let results;
+                try {
+                    results = this._parseAnimeList(await fetchHTML(`${this.baseUrl}${page === 1 ? cat.path : `${cat.path}page/${page}/`}`));
+                } catch (e) {
+                    // Running past the last page is the normal end of a category
+                    if (page === 1 || !(e instanceof HttpError && e.statusCode === 404)) {
+                        console.error(`  Error on ${cat.name} Page ${page}: ${e.message}`);
+                        onPage({ category: cat.name, page, error: e });
+                    }
+                    break;
+                }
+
+                const fresh = results.filter(a => !inCategory.has(a.slug));
+                fresh.forEach(a => inCategory.add(a.slug));
+                const added = fresh.filter(a => !seen.has(a.slug));
+                added.forEach(a => {
+                    seen.add(a.slug);
+                    allAnime.push({ ...a, category: cat.name });
+                });
+
+                console.error(`  Page ${page}: Found ${results.length} anime (${added.length} new)`);
+                onPage({ category: cat.name, page, found: results.length, added: added.length });
+                if (fresh.length === 0 || !cat.paginated || (this.maxPages > 0 && page >= this.maxPages)) break;
+            }
+        }
+
+        console.error(`\nTotal unique anime found: ${allAnime.length}`);
+        return allAnime;
+    }
+}
+
+module.exports = { ToonStreamAdapter, SITE_BASE };
@@ -0,0 +1,201 @@
+/**
+ * SQL statement builder
+ *
+ * Every statement written out as text (SQL exports, link and dedupe patches) is built
+ * here, so values are escaped one way per target database:
+ *
+ *   mysql     '...' with backslash escapes for quotes, backslashes and control characters
+ *             (the server default, as the mysql2 driver escapes)
+ *   postgres  '...' with quotes doubled, control characters spliced in with chr();
+ *             NUL characters cannot be stored and throw
+ *   sqlite    '...' with quotes doubled, control characters spliced in with char()
+ *
+ * Values only enter statements through the sql`` tag: strings, numbers, booleans, dates
+ * and null become literals, arrays comma-separated literals, and raw() fragments
+ * (identifiers, sub-expressions built by the builder) are copied as they are.
+ * Statements that run against a database (importToDb(), --apply) stay prepared
+ * ({ sql, params }); inline() renders one as text.
+ *
+ * Exports carry ids from one statement to the next: MySQL in user variables (@anime_id),
+ * PostgreSQL and SQLite in a temporary export_vars table created by session().
+ */
+
+const SQL_DIALECTS = ['mysql', 'postgres', 'sqlite'];
+const DEFAULT_DIALECT = process.env.SQL_DIALECT || 'mysql';
+
+const MYSQL_ESCAPES = { '\0': '\\0', '\b': '\\b', '\t': '\\t', '\n': '\\n', '\r': '\\r', '\x1a': '\\Z', "'": "\\'", '"': '\\"', '\\': '\\\\' };
+
+class SqlFragment {
+    constructor(text) {
+        this.text = text;
+    }
+
+    toString() {
+        return this.text;
+    }
+}
+
+/**
+ * SQL copied into a statement unescaped. Only for text the program wrote itself.
+ */
+function raw(text) {
+    return new SqlFragment(text);
+}
+
+// ─── String Literals ───────────────────────────────────────────────────────────
+
+function mysqlString(value) {
+    return `'${value.replace(/[\0\b\t\n\r\x1a'"\\]/g, c => MYSQL_ESCAPES[c])}'`;
+}
+
+/**
+ * Standard string literal; control characters are concatenated in as charFn(code), so
+ * every statement stays on its own lines and nothing depends on escape settings.
+ */
+function standardString(value, charFn) {
+    const parts = value.split(/([\x00-\x1f\x7f])/);
+    if (parts.length === 1) return `'${value.replace(/'/g, "''")}'`;
+    const pieces = parts
+        .map((part, i) => (i % 2 ? `${charFn}(${part.charCodeAt(0)})` : part && `'${part.replace(/'/g, "''")}'`))
+        .filter(Boolean);
+    return `(${pieces.join(' || ')})`;
+}
+
+function postgresString(value) {
+    if (value.includes('\0')) throw new Error('PostgreSQL text cannot hold NUL characters');
+    return standardString(value, 'chr');
+}
+
+function sqliteString(value) {
+    return standardString(value, 'char');
+}
+
+const STRING_LITERALS = { mysql: mysqlString, postgres: postgresString, sqlite: sqliteString };
+
+// ─── Builder ───────────────────────────────────────────────────────────────────
+
+class SqlBuilder {
+
+    constructor(dialect = DEFAULT_DIALECT) {
+        if (!SQL_DIALECTS.includes(dialect)) {
+            throw new Error(`Unknown SQL dialect "${dialect}". Available: ${SQL_DIALECTS.join(', ')}`);
+        }
+        this.dialect = dialect;
+        this._string = STRING_LITERALS[dialect];
+    }
+
+    /**
+     * A value as a literal of this dialect.
+     */
+    literal(value) {
+        if (value === null || value === undefined) return 'NULL';
+        if (value instanceof SqlFragment) return value.text;
+        if (typeof value === 'number' || typeof value === 'bigint') {
+            if (typeof value === 'number' && !Number.isFinite(value)) throw new Error(`Cannot write ${value} as SQL`);
+            return String(value);
+        }
+        if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+        if (value instanceof Date) return this._string(value.toISOString().slice(0, 19).replace('T', ' '));
+        return this._string(String(value));
+    }
+
+    /**
+     * Tag for statement text: sql`UPDATE anime SET title = ${title} WHERE id = ${b.ref('anime_id')}`.
+     * Returns a fragment that can be nested in other sql`` calls.
+     */
+    sql(strings, ...values) {
+        let text = strings[0];
+        values.forEach((value, i) => {
+            text += Array.isArray(value) ? value.map(v => this.literal(v)).join(', ') : this.literal(value);
+            text += strings[i + 1];
+        });
+        return raw(text);
+    }
+
+    /**
+     * A prepared statement ({ sql, params } with ? placeholders, as run with conn.execute)
+     * as replayable text. Question marks inside quoted strings are left alone.
+     */
+    inline({ sql, params = [] }) {
+        let i = 0;
+        return sql.replace(/'(?:[^'\\]|''|\\.)*'|\?/g, token => (token === '?' ? this.literal(params[i++]) : token)) + ';\n';
+    }
+
+    /**
+     * Session setup for a script in this dialect: the client encoding and, unless `vars`
+     * is false, the export_vars table of dialects without user variables.
+     */
+    session({ vars = true } = {}) {
+        if (this.dialect === 'mysql') return 'SET NAMES utf8mb4;\nSET CHARACTER SET utf8mb4;\n';
+        const encoding = this.dialect === 'postgres' ? "SET client_encoding = 'UTF8';\n" : '';
+        if (!vars) return encoding;
+        return encoding + `CREATE TEMPORARY TABLE IF NOT EXISTS export_vars (name TEXT PRIMARY KEY, value ${this.dialect === 'postgres' ? 'BIGINT' : 'INTEGER'});\n`;
+    }
+
+    /**
+     * Statement switching foreign key checks on or off for the session ('' where the
+     * dialect cannot: PostgreSQL only allows it to superusers).
+     */
+    foreignKeyChecks(enabled) {
+        if (this.dialect === 'mysql') return `SET FOREIGN_KEY_CHECKS = ${enabled ? 1 : 0};\n`;
+        if (this.dialect === 'sqlite') return `PRAGMA foreign_keys = ${enabled ? 'ON' : 'OFF'};\n`;
+        return '';
+    }
+
+    /**
+     * Statement remembering the value of `expr` (a fragment) under `name`.
+     */
+    setVar(name, expr) {
+        if (this.dialect === 'mysql') return `SET @${name} = ${expr};\n`;
+        return `INSERT INTO export_vars (name, value) VALUES ('${name}', ${expr}) ON CONFLICT (name) DO UPDATE SET value = excluded.value;\n`;
+    }
+
+    /**
+     * Expression reading a value remembered with setVar().
+     */
+    ref(name) {
+        if (this.dialect === 'mysql') return raw(`@${name}`);
+        return raw(`(SELECT value FROM export_vars WHERE name = '${name}')`);
+    }
+
+    /**
+     * INSERT of `rows` (a VALUES or SELECT fragment) that skips rows hitting a unique key.
+     */
+    insertIgnore(table, columns, rows) {
+        const into = `${table} (${columns.join(', ')})${/^\s/.test(rows) ? '' : ' '}${rows}`;
+        if (this.dialect === 'mysql') return `INSERT IGNORE INTO ${into};\n`;
+        if (this.dialect === 'sqlite') return `INSERT OR IGNORE INTO ${into};\n`;
+        return `INSERT INTO ${into} ON CONFLICT DO NOTHING;\n`;
+    }
+
+    /**
+     * INSERT of `rows` that updates the row hitting the unique key `conflict` (its
+     * columns) instead; `update` maps columns to fragments, where inserted(column) is
+     * the value the insert tried to write.
+     */
+    upsert(table, columns, rows, { conflict, update }) {
+        const set = Object.entries(update).map(([column, expr]) => `${column} = ${expr}`).join(', ');
+        const into = `INSERT INTO ${table} (${columns.join(', ')})${/^\s/.test(rows) ? '' : ' '}${rows}`;
+        if (this.dialect === 'mysql') return `${into}\nON DUPLICATE KEY UPDATE ${set};\n`;
+        return `${into}\nON CONFLICT (${conflict.join(', ')}) DO UPDATE SET ${set};\n`;
+    }
+
+    /**
+     * Inside upsert(): the value the insert tried to write to `column`.
+     */
+    inserted(column) {
+        return raw(this.dialect === 'mysql' ? `VALUES(${column})` : `excluded.${column}`);
+    }
+}
+
+const builders = new Map();
+
+/**
+ * The shared builder for `dialect`; throws for unknown dialects.
+ */
+function sqlBuilder(dialect = DEFAULT_DIALECT) {
+    if (!builders.has(dialect)) builders.set(dialect, new SqlBuilder(dialect));
+    return builders.get(dialect);
+}
+
+module.exports = { SqlBuilder, SqlFragment, sqlBuilder, raw, SQL_DIALECTS, DEFAULT_DIALECT };
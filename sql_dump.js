@@ -0,0 +1,193 @@
+/**
+ * SQL dumps into a database (`apply`)
+ *
+ * Replays an SQL file written by this tool (db-export, bulk-export, check-links and
+ * dedupe patches, and the older title-only bulk_export_*.sql files) into the configured
+ * database, in one transaction:
+ *
+ *   MySQL target    MySQL dumps run as they are
+ *   SQLite target   dumps of every dialect in SQL_DIALECTS; MySQL statements are
+ *                   translated first (see translateStatement())
+ *
+ * A dump's dialect is read from its `-- Dialect:` header or its session setup, and
+ * MySQL when neither says otherwise (see detectDumpDialect()). Encoding and transaction
+ * statements are skipped: the client decides those. So are foreign key switches, which
+ * would otherwise outlive the dump on the pooled connection.
+ */
+
+const { sqlBuilder, raw, SQL_DIALECTS } = require('./sql_builder');
+const { withTransaction, dialectOf } = require('./db');
+
+// Statements a replay leaves to the client: the transaction and foreign key checks, and for SQLite the session
+const TRANSACTION_STATEMENT = /^(?:START\s+TRANSACTION|BEGIN|COMMIT|ROLLBACK|(?:UN)?LOCK\s+TABLES)\b/i;
+const FOREIGN_KEY_STATEMENT = /^SET\s+FOREIGN_KEY_CHECKS\b/i;
+const SESSION_STATEMENT = /^SET\s+(?:NAMES|CHARACTER\s+SET|FOREIGN_KEY_CHECKS|UNIQUE_CHECKS|SQL_MODE|TIME_ZONE|AUTOCOMMIT|SESSION|client_encoding)\b/i;
+
+const MYSQL_UNESCAPES = { 0: '\0', b: '\b', t: '\t', n: '\n', r: '\r', Z: '\x1a', '%': '\\%', _: '\\_' };
+
+// ─── Statements ────────────────────────────────────────────────────────────────
+
+/**
+ * Dialect a dump was written for: its `-- Dialect:` header (bulk-export), its session
+ * setup (db-export), or 'mysql'.
+ */
+function detectDumpDialect(text) {
+    const header = /^-- Dialect: (\w+)/m.exec(text);
+    if (header && SQL_DIALECTS.includes(header[1])) return header[1];
+    if (/^SET client_encoding\b/m.test(text)) return 'postgres';
+    if (/^CREATE TEMPORARY TABLE IF NOT EXISTS export_vars\b/m.test(text)) return 'sqlite';
+    return 'mysql';
+}
+
+/**
+ * Splits a script into its statements: [{ sql, line }], without comments or the
+ * closing semicolon. Strings follow `dialect`: MySQL strings take backslash escapes.
+ */
+function splitStatements(text, dialect = 'mysql') {
+    const mysql = dialect === 'mysql';
+    const statements = [];
+    let current = '';
+    let line = 1;
+    let startLine = null;
+    const push = () => {
+        if (current.trim()) statements.push({ sql: current.trim(), line: startLine });
+        current = '';
+        startLine = null;
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (c === "'" || c === '"' || c === '`') {
+            let end = i + 1;
+            while (end < text.length) {
+                if (mysql && text[end] === '\\' && c !== '`') end += 2;
+                else if (text[end] === c && text[end + 1] === c) end += 2;
+                else if (text[end] === c) break;
+                else end++;
+            }
+            const token = text.slice(i, end + 1);
+            if (startLine === null) startLine = line;
+            line += token.split('\n').length - 1;
+            current += token;
+            i = end;
+        } else if ((c === '-' && text[i + 1] === '-' && /\s|^$/.test(text[i + 2] || '')) || (mysql && c === '#')) {
+            const end = text.indexOf('\n', i);
+            i = (end === -1 ? text.length : end) - 1;
+        } else if (c === '/' && text[i + 1] === '*') {
+            const end = text.indexOf('*/', i + 2);
+            const comment = text.slice(i, end === -1 ? text.length : end + 2);
+            line += comment.split('\n').length - 1;
+            current += ' ';
+            i += comment.length - 1;
+        } else if (c === ';') {
+            push();
+        } else {
+            if (c === '\n') line++;
+            else if (startLine === null && !/\s/.test(c)) startLine = line;
+            current += c;
+        }
+    }
+    push();
+    return statements;
+}
+
+/**
+ * Text of a MySQL string literal ('...' or "...", quotes included).
+ */
+function readMysqlString(literal) {
+    const quote = literal[0];
+    return literal.slice(1, -1)
+        .replace(new RegExp(`${quote}${quote}|\\\\([\\s\\S])`, 'g'), (match, escaped) => {
+            if (escaped === undefined) return quote;
+            return MYSQL_UNESCAPES[escaped] ?? escaped;
+        });
+}
+
+/**
+ * One statement of a `dialect` dump as SQLite, or null when it is skipped:
+ *
+ *   mysql     strings re-quoted, backticks as double quotes, @vars as export_vars
+ *             entries, INSERT/UPDATE IGNORE as OR IGNORE, ON DUPLICATE KEY UPDATE as
+ *             ON CONFLICT DO UPDATE (VALUES(col) as excluded.col), LAST_INSERT_ID()
+ *             and NOW() as their SQLite functions
+ *   postgres  chr() as char()
+ *   sqlite    unchanged
+ */
+function translateStatement(sql, dialect = 'mysql') {
+    if (TRANSACTION_STATEMENT.test(sql) || SESSION_STATEMENT.test(sql)) return null;
+    if (dialect === 'sqlite') return sql;
+    if (dialect === 'postgres') {
+        return sql.split(/('(?:[^']|'')*')/).map((part, i) => (i % 2 ? part : part.replace(/\bchr\s*\(/gi, 'char('))).join('');
+    }
+
+    const b = sqlBuilder('sqlite');
+    const assignment = /^SET\s+@(\w+)\s*:?=\s*/i.exec(sql);
+    const body = assignment ? sql.slice(assignment[0].length) : sql;
+    let upsert = false;
+
+    const translated = body.split(/('(?:[^'\\]|''|\\[\s\S])*'|"(?:[^"\\]|""|\\[\s\S])*"|`[^`]*`)/).map((part, i) => {
+        if (i % 2) return part[0] === '`' ? `"${part.slice(1, -1).replace(/"/g, '""')}"` : b.literal(readMysqlString(part));
+        let code = part
+            .replace(/\bINSERT\s+IGNORE\b/gi, 'INSERT OR IGNORE')
+            .replace(/\bUPDATE\s+IGNORE\b/gi, 'UPDATE OR IGNORE')
+            .replace(/\bLAST_INSERT_ID\s*\(\s*\)/gi, 'last_insert_rowid()')
+            .replace(/\bNOW\s*\(\s*\)/gi, 'CURRENT_TIMESTAMP')
+            .replace(/@(\w+)/g, (match, name) => b.ref(name).text);
+        const duplicate = /\bON\s+DUPLICATE\s+KEY\s+UPDATE\b/i.exec(code);
+        if (duplicate) {
+            code = code.slice(0, duplicate.index) + 'ON CONFLICT DO UPDATE SET' + code.slice(duplicate.index + duplicate[0].length);
+            upsert = true;
+        }
+        return upsert ? code.replace(/\bVALUES\s*\(\s*(\w+)\s*\)/gi, 'excluded.$1') : code;
+    }).join('');
+
+    return assignment ? b.setVar(assignment[1], raw(translated)).replace(/;\n$/, '') : translated;
+}
+
+// ─── Apply ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Runs the dump `text` against `db` (a pool, see db.js) in one transaction; any failing
+ * statement rolls the whole dump back and is reported with its line.
+ * Resolves to { dialect, statements, skipped, rows } (rows: affected by the dump).
+ */
+async function applyDump(db, text, { dialect = detectDumpDialect(text) } = {}) {
+    if (!SQL_DIALECTS.includes(dialect)) {
+        throw new Error(`Unknown SQL dialect "${dialect}". Available: ${SQL_DIALECTS.join(', ')}`);
+    }
+    const target = dialectOf(db);
+    if (target === 'mysql' && dialect !== 'mysql') {
+        throw new Error(`A ${dialect} dump cannot be applied to MySQL`);
+    }
+
+    const statements = splitStatements(text, dialect);
+    const result = { dialect, statements: 0, skipped: 0, rows: 0 };
+    await withTransaction(async (conn) => {
+        // User variables of translated MySQL dumps; without rowids, so storing one keeps LAST_INSERT_ID()
+        if (target === 'sqlite') await conn.query('DROP TABLE IF EXISTS temp.export_vars');
+        if (target === 'sqlite' && dialect === 'mysql') {
+            await conn.query('CREATE TEMPORARY TABLE export_vars (name TEXT PRIMARY KEY, value INTEGER) WITHOUT ROWID');
+        }
+
+        for (const { sql, line } of statements) {
+            let statement = sql;
+            if (target === 'sqlite') statement = translateStatement(sql, dialect);
+            else if (TRANSACTION_STATEMENT.test(sql) || FOREIGN_KEY_STATEMENT.test(sql)) statement = null;
+            if (statement === null) {
+                result.skipped++;
+                continue;
+            }
+            try {
+                const [res] = await conn.query(statement);
+                if (!Array.isArray(res)) result.rows += res.affectedRows;
+            } catch (e) {
+                throw new Error(`Line ${line}: ${e.message}`);
+            }
+            result.statements++;
+        }
+        if (target === 'sqlite') await conn.query('DROP TABLE IF EXISTS temp.export_vars');
+    }, db);
+    return result;
+}
+
+module.exports = { applyDump, splitStatements, translateStatement, detectDumpDialect };
@@ -0,0 +1,154 @@
+/**
+ * Persisted per-series scrape state
+ *
+ * Remembers, for every slug, the episode list seen on the last successful run and
+ * the links already resolved for its episodes. Incremental runs use it to skip
+ * series whose S#-E# markers have not changed and to avoid re-resolving links.
+ * `sources` (all mirrors of an episode) is absent from files written before mirrors
+ * were tracked; those episodes are simply resolved again. `checkedAt` and `changedAt`
+ * also drive the scrape plan (see scrape_planner.js).
+ *
+ * File layout (JSON):
+ *   {
+ *     "version": 1,
+ *     "series": {
+ *       "<slug>": {
+ *         "title": "Naruto Shippuden",
+ *         "fingerprint": "1x1,1x2,...",
+ *         "episodes": [{ "episodeId", "season", "number", "title" }],
+ *         "links": { "<episodeId>": "<url>" },
+ *         "sources": { "<episodeId>": [{ "url", "provider", "quality", "priority" }] },
+ *         "checkedAt": "<ISO date>",
+ *         "changedAt": "<ISO date>"
+ *       }
+ *     }
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const STATE_VERSION = 1;
+const DEFAULT_STATE_FILE = process.env.SCRAPE_STATE_FILE || 'scrape_state.json';
+
+/**
+ * Builds a stable fingerprint from episode markers (season x number), ignoring order and titles.
+ */
+function fingerprintEpisodes(episodes) {
+    return [...new Set(episodes.map(e => `${e.season}x${e.number}`))]
+        .sort((a, b) => a.localeCompare(b, 'en', { numeric: true }))
+        .join(',');
+}
+
+class StateStore {
+
+    constructor(filePath = DEFAULT_STATE_FILE) {
+        this.filePath = filePath;
+        this.data = { version: STATE_VERSION, series: {} };
+    }
+
+    /**
+     * Loads the state file if present. A missing file means a full (first) run.
+     */
+    load() {
+        if (!fs.existsSync(this.filePath)) return this;
+        const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        if (parsed.version !== STATE_VERSION) {
+            throw new Error(`Unsupported state file version ${parsed.version} in ${this.filePath}`);
+        }
+        this.data = parsed;
+        return this;
+    }
+
+    /**
+     * Writes the state atomically (temp file + rename) so a crash never leaves it half-written.
+     */
+    save() {
+        const dir = path.dirname(path.resolve(this.filePath));
+        fs.mkdirSync(dir, { recursive: true });
+        const tmp = `${this.filePath}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(this.data, null, 2));
+        fs.renameSync(tmp, this.filePath);
+    }
+
+    getSeries(slug) {
+        return this.data.series[slug] || null;
+    }
+
+    /**
+     * True when the slug has never been seen or its episode markers differ from the stored ones.
+     */
+    hasChanged(slug, episodes) {
+        const entry = this.getSeries(slug);
+        return !entry || entry.fingerprint !== fingerprintEpisodes(episodes);
+    }
+
+    getLink(slug, episodeId) {
+        const entry = this.getSeries(slug);
+        return (entry && entry.links[episodeId]) || null;
+    }
+
+    setLink(slug, episodeId, link) {
+        this._ensure(slug).links[episodeId] = link;
+    }
+
+    getSources(slug, episodeId) {
+        const entry = this.getSeries(slug);
+        return (entry && entry.sources && entry.sources[episodeId]) || null;
+    }
+
+    setSources(slug, episodeId, sources) {
+        const entry = this._ensure(slug);
+        if (!entry.sources) entry.sources = {};
+        entry.sources[episodeId] = sources;
+    }
+
+    /**
+     * Records the episode list of a successfully processed series.
+     * Links and sources for episodes that disappeared from the page are dropped.
+     */
+    commitSeries(slug, episodes, title = null) {
+        const entry = this._ensure(slug);
+        const fingerprint = fingerprintEpisodes(episodes);
+        const now = new Date().toISOString();
+
+        if (title) entry.title = title;
+        if (entry.fingerprint !== fingerprint) entry.changedAt = now;
+        entry.fingerprint = fingerprint;
+        entry.checkedAt = now;
+        entry.episodes = episodes.map(e => ({
+            episodeId: e.episodeId || null,
+            season: e.season,
+            number: e.number,
+            title: e.title || '',
+        }));
+
+        const ids = new Set(entry.episodes.map(e => e.episodeId));
+        for (const id of Object.keys(entry.links)) {
+            if (!ids.has(id)) delete entry.links[id];
+        }
+        for (const id of Object.keys(entry.sources || {})) {
+            if (!ids.has(id)) delete entry.sources[id];
+        }
+    }
+
+    /**
+     * Records that a series was checked without new episodes to commit: unchanged,
+     * skipped or failed. A series seen for the first time gets an entry without episodes,
+     * so the scrape plan rotates it to the back like any other checked series.
+     */
+    markChecked(slug, title = null) {
+        const entry = this._ensure(slug);
+        if (title && !entry.title) entry.title = title;
+        entry.checkedAt = new Date().toISOString();
+    }
+
+    _ensure(slug) {
+        if (!this.data.series[slug]) {
+            this.data.series[slug] = { fingerprint: null, episodes: [], links: {}, sources: {}, checkedAt: null, changedAt: null };
+        }
+        return this.data.series[slug];
+    }
+}
+
+module.exports = { StateStore, fingerprintEpisodes, DEFAULT_STATE_FILE };
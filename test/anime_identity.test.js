@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { cleanTitle, titleKey, titleSimilarity, matchUnclaimedRow, findDuplicates, mergeStatements } = require('../anime_identity');
+const { sqlBuilder } = require('../sql_builder');
+
+/**
+ * A catalog row as loadAnimeCatalog() returns it.
+ */
+function row(id, title, { source = null, slug = null, type = 'series', episodes = 0, aliases = [] } = {}) {
+    return {
+        id, title, source, slug, type, episodes, aliases,
+        identities: source ? [`${source}/${slug}`] : [],
+    };
+}
+
+test('titles lose SEO decorations and reduce to a comparable key', () => {
+    assert.equal(cleanTitle('Watch Online Naruto Shippuden in Hindi Dubbed | All Season Episodes'), 'Naruto Shippuden');
+    assert.equal(titleKey('Pokémon: The Series (Hindi Dub)'), 'pokemon series');
+    assert.equal(titleKey('Tom & Jerry'), 'tom jerry');
+});
+
+test('titles that only differ in a number never match', () => {
+    assert.equal(titleSimilarity('Naruto Shippuden', 'naruto shippuden (Hindi)'), 1);
+    assert.ok(titleSimilarity('Demon Slayer: Kimetsu no Yaiba', 'Demon Slayer Kimetsu no Yaiba TV') >= 0.85);
+    assert.equal(titleSimilarity('Attack on Titan Season 2', 'Attack on Titan Season 3'), 0);
+});
+
+test('an unclaimed row is matched by slug, then title, then fuzzily', () => {
+    const rows = [
+        row(1, 'One Piece', { slug: 'one-piece' }),
+        row(2, 'Jujutsu Kaisen', { aliases: ['Sorcery Fight'] }),
+        row(3, 'Shinchan Spin-off Movie', { type: 'movie' }),
+    ];
+    const identity = (title, slug, type = 'series') => ({ title, slug, type });
+
+    assert.deepEqual(matchUnclaimedRow(rows, identity('One Piece (Hindi)', 'one-piece')), { row: rows[0], matchedBy: 'slug', score: 1 });
+    assert.equal(matchUnclaimedRow(rows, identity('Sorcery Fight', 'sorcery-fight')).matchedBy, 'title');
+
+    const fuzzy = matchUnclaimedRow(rows, identity('Jujutsu Kaisenn', 'jjk'));
+    assert.equal(fuzzy.row.id, 2);
+    assert.equal(fuzzy.matchedBy, 'fuzzy');
+    // Fuzzy matches never cross series and movies
+    assert.equal(matchUnclaimedRow(rows, identity('Shinchan Spin-off Movies', 'x')), null);
+    assert.equal(matchUnclaimedRow(rows, identity('Bleach', 'bleach')), null);
+});
+
+test('duplicates are grouped around the row with the most episodes', () => {
+    const rows = [
+        row(1, 'Naruto Shippuden', { episodes: 2 }),
+        row(2, 'Naruto Shippuden Hindi Dub', { source: 'animedekho', slug: 'naruto-shippuden', episodes: 10 }),
+        row(3, 'Naruto Shipuden', { episodes: 0 }),
+        row(4, 'Naruto', { episodes: 5 }),
+        // Two different slugs of one site are two shows, however close the titles
+        row(5, 'Dragon Ball Super', { source: 'animedekho', slug: 'dragon-ball-super' }),
+        row(6, 'Dragon Ball Super (Hindi)', { source: 'animedekho', slug: 'dragon-ball-super-hindi' }),
+    ];
+
+    const groups = findDuplicates(rows);
+    assert.equal(groups.length, 1);
+    assert.equal(groups[0].keep.id, 2);
+    assert.deepEqual(groups[0].merge.map(r => r.id), [1, 3]);
+    assert.ok(groups[0].score >= 0.9 && groups[0].score <= 1);
+});
+
+test('merging moves seasons, episodes and aliases before deleting the row', () => {
+    const keep = row(7, 'Bleach', { episodes: 3 });
+    const merged = row(9, 'Bleach (Hindi)', { source: 'animedekho', slug: 'bleach-hindi' });
+    const sql = mergeStatements([{ keep, merge: [merged], score: 1 }]).map(s => sqlBuilder('mysql').inline(s)).join('');
+
+    assert.match(sql, /^UPDATE seasons SET anime_id = 7 WHERE anime_id = 9 AND season_number NOT IN/);
+    assert.match(sql, /UPDATE IGNORE anime_aliases SET anime_id = 7 WHERE anime_id = 9;\n/);
+    assert.match(sql, /VALUES \(7, 'Bleach \(Hindi\)', 'bleach', 'animedekho', 'bleach-hindi'\)/);
+    assert.match(sql, /DELETE FROM anime WHERE id = 9;\n/);
+    // The kept row had no identity, so it takes over the merged one's
+    assert.ok(sql.endsWith("UPDATE anime SET source = 'animedekho', source_slug = 'bleach-hindi' WHERE id = 7;\n"));
+    assert.ok(sql.indexOf('DELETE FROM anime') < sql.indexOf('UPDATE anime SET source'));
+});
@@ -0,0 +1,34 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseLanguages, parseGenres, parseYear, parseRating, parseStatus } = require('../anime_metadata');
+
+test('dub languages come from titles and tags, short codes only from slugs', () => {
+    assert.deepEqual(parseLanguages(['Watch Online One Piece in Hindi Dubbed', 'English Language']), ['Hindi', 'English']);
+    assert.deepEqual(parseLanguages([], { slug: 'doraemon-hin-tam-tel' }), ['Hindi', 'Tamil', 'Telugu']);
+    // "tel" inside a title is just a word
+    assert.deepEqual(parseLanguages(['Tel Aviv Stories']), []);
+});
+
+test('genres drop language and catalog tags and are title-cased once', () => {
+    assert.deepEqual(
+        parseGenres(['action', 'Hindi Dub', 'Tamil Language', 'Anime', 'Sci-Fi', 'Action', 'slice of life']),
+        ['Action', 'Sci-Fi', 'Slice Of Life']
+    );
+});
+
+test('year, rating and status are normalized', () => {
+    assert.equal(parseYear(['Aired: Oct 2, 2007 to 2017']), 2007);
+    assert.equal(parseYear(['Episode 1080']), null);
+
+    assert.equal(parseRating('8.56'), 8.6);
+    assert.equal(parseRating('TMDB 7,9/10'), 7.9);
+    assert.equal(parseRating('86%'), 8.6);
+    assert.equal(parseRating('4.5/5'), 9);
+    assert.equal(parseRating('N/A'), null);
+
+    assert.equal(parseStatus('Returning Series'), 'ongoing');
+    assert.equal(parseStatus('Finished Airing'), 'completed');
+    assert.equal(parseStatus('Not yet aired'), 'upcoming');
+    assert.equal(parseStatus('Unknown'), null);
+});
@@ -0,0 +1,141 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { SqlitePool } = require('../db_sqlite');
+const { migrateUp } = require('../migrate');
+const { applyDump } = require('../sql_dump');
+const { sqlBuilder } = require('../sql_builder');
+const { renderAnimeSql } = require('../export_sql');
+const { buildAnimeRecord } = require('../export_model');
+const { readStoredCatalog, readDumpCatalog, skippedSeries, diffCatalogs, formatCatalogDiff } = require('../catalog_diff');
+const { startFixtureServer, captureStdout } = require('./helpers/fixture_server');
+const { AnimeDekhoImporter } = require('../sources/animedekho');
+
+const NARUTO = 'naruto-shippuden-hindi-tamil-telugu';
+
+// A row of the older title-only bulk exports
+const TITLE_ONLY = `INSERT IGNORE INTO anime (title, description, poster_url, type)
+SELECT 'jujutsu-kaisen', 'No description found.', '', 'series'
+FROM (SELECT 1) AS tmp
+WHERE NOT EXISTS (SELECT 1 FROM anime WHERE title = 'jujutsu-kaisen');
+`;
+
+let server;
+let naruto;
+
+before(async () => {
+    server = await startFixtureServer('animedekho');
+    const importer = new AnimeDekhoImporter({ baseUrl: server.base });
+    await captureStdout(async () => { naruto = await buildAnimeRecord(importer, NARUTO); });
+});
+
+after(() => server.close());
+
+function bulkDump(records, dialect = 'mysql') {
+    return sqlBuilder(dialect).session() + records.map(r => renderAnimeSql(r, { dialect })).join('');
+}
+
+/**
+ * Yesterday's Naruto with one more episode, another link for S1E2, a new poster, and a movie.
+ */
+function nextScrape() {
+    const next = JSON.parse(JSON.stringify(naruto));
+    next.poster = 'https://image.tmdb.org/t/p/w500/naruto-poster-2.jpg';
+    next.seasons[0].episodes[1].link = 'https://dood.li/e/naruto1x2';
+    next.seasons[1].episodes.push({
+        ...next.seasons[1].episodes[0], number: 2, order: 4, episodeId: `${NARUTO}-2x2`, title: 'The Jinchuriki', link: 'https://dood.li/e/naruto2x2',
+    });
+    const movie = {
+        ...next, slug: 'suzume', title: 'Suzume', type: 'movie', seasons: [],
+        movie: { title: 'Watch Full Movie', episodeId: 'suzume-1', link: 'https://dood.li/e/suzume', sources: [] },
+    };
+    return [next, movie];
+}
+
+test('the diff lists added and removed anime and every changed field and episode', async () => {
+    const diff = diffCatalogs(
+        await readDumpCatalog(TITLE_ONLY + bulkDump([naruto])),
+        await readDumpCatalog(bulkDump(nextScrape(), 'sqlite'))
+    );
+
+    assert.deepEqual(diff.added, [{ title: 'Suzume', source: 'animedekho', slug: 'suzume', type: 'movie', episodes: 1 }]);
+    assert.deepEqual(diff.removed, [{ title: 'jujutsu-kaisen', source: null, slug: null, type: 'series', episodes: 0 }]);
+    assert.equal(diff.changed.length, 1);
+    const [changed] = diff.changed;
+    assert.deepEqual(changed.fields, [{ field: 'poster', from: naruto.poster, to: 'https://image.tmdb.org/t/p/w500/naruto-poster-2.jpg' }]);
+    assert.deepEqual(changed.episodes, {
+        added: [{ key: `${NARUTO}-2x2`, title: 'The Jinchuriki', link: 'https://dood.li/e/naruto2x2' }],
+        removed: [],
+        relinked: [{ key: `${NARUTO}-1x2`, title: "Sasuke's Return", from: 'https://www.streamwish.to/e/abc123', to: 'https://dood.li/e/naruto1x2' }],
+    });
+    assert.deepEqual(diff.totals, {
+        anime: { before: 2, after: 2, added: 1, removed: 1, changed: 1, unlisted: 0 },
+        episodes: { before: 3, after: 5, added: 2, removed: 0, relinked: 1 },
+    });
+
+    const text = formatCatalogDiff(diff, { before: 'old.sql', after: 'new.sql' });
+    assert.match(text, /^Diff old\.sql -> new\.sql\nAnime: 2 -> 2 \(1 added, 1 removed, 1 changed\)\nEpisodes: 3 -> 5 \(2 new, 0 removed, 1 re-linked\)\n/);
+    assert.match(text, /\n\+ Suzume \[animedekho\/suzume\] movie, 1 episode\(s\)\n- jujutsu-kaisen \[no source\] series, 0 episode\(s\)\n/);
+    assert.match(text, /\n {4}~ naruto-shippuden-hindi-tamil-telugu-1x2 "Sasuke's Return" https:\/\/www\.streamwish\.to\/e\/abc123 -> https:\/\/dood\.li\/e\/naruto1x2\n/);
+});
+
+test('an episode dropped mid-season leaves the episodes after it matched', async () => {
+    const next = JSON.parse(JSON.stringify(naruto));
+    // The first episode lost its playable link; the second moves up to its position and ep_order
+    next.seasons[0].episodes.shift();
+    next.seasons[0].episodes[0].order = 1;
+    const diff = diffCatalogs(await readDumpCatalog(bulkDump([naruto])), await readDumpCatalog(bulkDump([next])));
+    assert.deepEqual(diff.changed[0].episodes, {
+        added: [],
+        removed: [{ key: `${NARUTO}-1x1`, title: 'Homecoming', link: 'https://dood.li/e/naruto1x1' }],
+        relinked: [],
+    });
+
+    // Dumps written before episodes kept their source id are matched by position
+    const withoutIds = text => text.replace(/'naruto-shippuden-hindi-tamil-telugu-\dx\d+' AS source_episode_id/g, 'NULL AS source_episode_id');
+    const old = diffCatalogs(await readDumpCatalog(withoutIds(bulkDump([naruto]))), await readDumpCatalog(bulkDump([naruto])));
+    assert.deepEqual(old.changed, []);
+});
+
+test('with partial, anime an incremental export left out are not reported as removed', async () => {
+    const [next, movie] = nextScrape();
+    // What bulk-export --incremental writes when Suzume did not change
+    const delta = bulkDump([next]) + '-- BULK EXPORT COMPLETE --\n-- Total Anime: 2\n-- Total Episodes: 4\n-- Unchanged (skipped): 1\n';
+    assert.equal(skippedSeries(delta), 1);
+    assert.equal(skippedSeries(bulkDump([next, movie])), 0);
+
+    const before = await readDumpCatalog(bulkDump([naruto, movie]));
+    const full = diffCatalogs(before, await readDumpCatalog(delta));
+    assert.deepEqual(full.removed.map(a => a.slug), ['suzume']);
+
+    const diff = diffCatalogs(before, await readDumpCatalog(delta), { partial: true });
+    assert.deepEqual([diff.added, diff.removed], [[], []]);
+    assert.equal(diff.changed[0].slug, NARUTO);
+    assert.deepEqual(diff.totals.anime, { before: 2, after: 1, added: 0, removed: 0, changed: 1, unlisted: 1 });
+    assert.equal(diff.totals.episodes.removed, 0);
+    assert.match(formatCatalogDiff(diff), /\nAnime: 2 -> 1 \(0 added, 0 removed, 1 changed, 1 not listed\)\n/);
+});
+
+test('a title-only row is matched to the scraped anime by title, and a dump to the database it was applied to', async () => {
+    const titleOnly = TITLE_ONLY.replace(/jujutsu-kaisen/g, 'naruto-shippuden');
+    const diff = diffCatalogs(await readDumpCatalog(titleOnly), await readDumpCatalog(bulkDump([naruto])));
+    assert.deepEqual([diff.added, diff.removed], [[], []]);
+    assert.deepEqual(diff.changed[0].fields.map(f => f.field), ['title', 'description', 'poster']);
+    assert.equal(diff.changed[0].episodes.added.length, 3);
+
+    const db = new SqlitePool(':memory:');
+    await migrateUp(db, null, undefined, { quiet: true });
+    await applyDump(db, bulkDump([naruto]));
+    const same = diffCatalogs(await readStoredCatalog(db), await readDumpCatalog(bulkDump([naruto], 'postgres')));
+    assert.deepEqual(same.changed, []);
+    assert.match(formatCatalogDiff(same), /\n\nNo changes\.\n$/);
+
+    // Applying the next scrape refreshes the poster; one without a poster keeps it
+    const [next] = nextScrape();
+    await applyDump(db, bulkDump([next]));
+    assert.deepEqual(diffCatalogs(await readStoredCatalog(db), await readDumpCatalog(bulkDump([next]))).changed, []);
+    await applyDump(db, bulkDump([{ ...next, poster: '' }]));
+    assert.deepEqual(diffCatalogs(await readStoredCatalog(db), await readDumpCatalog(bulkDump([{ ...next, poster: '' }]))).changed, []);
+    assert.equal((await readStoredCatalog(db))[0].poster, next.poster);
+    await db.end();
+});
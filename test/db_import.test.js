@@ -0,0 +1,92 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { importToDb } = require('../db_import');
+const { startFixtureServer } = require('./helpers/fixture_server');
+const { AnimeDekhoImporter } = require('../sources/animedekho');
+
+const NARUTO = 'naruto-shippuden-hindi-tamil-telugu';
+
+let server;
+let importer;
+
+before(async () => {
+    server = await startFixtureServer('animedekho');
+    importer = new AnimeDekhoImporter({ baseUrl: server.base });
+});
+
+after(() => server.close());
+
+/**
+ * A pool with one scripted mysql2-like connection. `answer(sql)` may return rows for a
+ * SELECT or a result for a write; `failOn` makes the matching statement throw.
+ * `log` lists every statement (whitespace collapsed) and transaction call.
+ */
+function stubPool({ answer = () => null, failOn = null } = {}) {
+    const log = [];
+    let nextId = 100;
+    const conn = {
+        async execute(sql) {
+            const statement = sql.replace(/\s+/g, ' ').trim();
+            log.push(statement);
+            if (failOn && failOn.test(statement)) throw new Error("Duplicate entry for key 'PRIMARY'");
+            const scripted = answer(statement);
+            if (/^SELECT/.test(statement)) return [scripted || [], []];
+            // Nothing is stored yet unless `answer` says otherwise
+            const affectedRows = /^DELETE/.test(statement) ? 0 : 1;
+            return [{ insertId: nextId++, affectedRows, changedRows: affectedRows, ...scripted }];
+        },
+        query(sql, params) { return this.execute(sql, params); },
+        async beginTransaction() { log.push('BEGIN'); },
+        async commit() { log.push('COMMIT'); },
+        async rollback() { log.push('ROLLBACK'); },
+        release() { log.push('RELEASE'); },
+    };
+    return { log, getConnection: async () => conn };
+}
+
+test('a new anime is written in one transaction and every row is counted', async () => {
+    const pool = stubPool();
+    const result = await importToDb(importer, NARUTO, { pool });
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.stats, {
+        anime: { inserted: 1, updated: 0, deleted: 0 },
+        seasons: { inserted: 2, updated: 0, deleted: 0 },
+        episodes: { inserted: 3, updated: 0, deleted: 0 },
+        sources: { inserted: 5, updated: 0, deleted: 0 },
+    });
+    assert.equal(pool.log[0], 'BEGIN');
+    assert.deepEqual(pool.log.slice(-2), ['COMMIT', 'RELEASE']);
+    assert.ok(!pool.log.includes('ROLLBACK'));
+});
+
+test('a stored anime is updated and its old episodes are counted as deleted', async () => {
+    const pool = stubPool({
+        answer: (sql) => {
+            if (sql.startsWith('SELECT id FROM anime WHERE source = ?')) return [{ id: 7 }];
+            if (sql.startsWith('SELECT id, title FROM seasons')) return [{ id: 70, title: 'Season 1' }];
+            if (sql.startsWith('DELETE FROM episodes')) return { affectedRows: 2 };
+            return null;
+        },
+    });
+    const result = await importToDb(importer, NARUTO, { pool });
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.stats.anime, { inserted: 0, updated: 1, deleted: 0 });
+    // Both seasons are found; the second one's title differs from the page
+    assert.deepEqual(result.stats.seasons, { inserted: 0, updated: 1, deleted: 0 });
+    assert.deepEqual(result.stats.episodes, { inserted: 3, updated: 0, deleted: 4 });
+    assert.ok(pool.log.some(sql => sql.startsWith('UPDATE anime SET title = ?')));
+});
+
+test('a failing insert rolls the whole anime back', async () => {
+    const pool = stubPool({ failOn: /^INSERT INTO episode_sources/ });
+    const result = await importToDb(importer, NARUTO, { pool });
+
+    assert.deepEqual(result, { success: false, error: "Duplicate entry for key 'PRIMARY'" });
+    assert.deepEqual(pool.log.slice(-2), ['ROLLBACK', 'RELEASE']);
+    assert.ok(!pool.log.includes('COMMIT'));
+    // Nothing after the failing statement was sent
+    assert.match(pool.log.at(-3), /^INSERT INTO episode_sources/);
+});
@@ -0,0 +1,91 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { configureDb, getPool, closePool } = require('../db');
+const { SqlitePool } = require('../db_sqlite');
+const { migrateUp, migrateDown } = require('../migrate');
+const { applyDump } = require('../sql_dump');
+const { importToDb } = require('../db_import');
+const { startFixtureServer } = require('./helpers/fixture_server');
+const { AnimeDekhoImporter } = require('../sources/animedekho');
+
+const NARUTO = 'naruto-shippuden-hindi-tamil-telugu';
+const DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'sqlite-catalog-'));
+const DB_FILE = path.join(DIR, 'catalog.db');
+
+configureDb(`sqlite:${DB_FILE}`);
+
+let server;
+let importer;
+
+before(async () => {
+    server = await startFixtureServer('animedekho');
+    importer = new AnimeDekhoImporter({ baseUrl: server.base });
+});
+
+after(async () => {
+    await closePool();
+    server.close();
+    fs.rmSync(DIR, { recursive: true, force: true });
+});
+
+async function count(db, table) {
+    const [[row]] = await db.query(`SELECT COUNT(*) AS n FROM ${table}`);
+    return row.n;
+}
+
+test('the migrations build the catalog schema in SQLite and roll it back', async () => {
+    const db = new SqlitePool(':memory:');
+    await migrateUp(db);
+    const tables = async () => (await db.query("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name"))[0].map(r => r.name);
+    assert.deepEqual(await tables(), [
+        'anime', 'anime_aliases', 'anime_genres', 'anime_languages', 'episode_sources', 'episodes', 'schema_migrations', 'seasons',
+    ]);
+
+    // Rows go away with their anime, as in MySQL
+    await db.query("INSERT INTO anime (title, source, source_slug) VALUES ('Bleach', 'animedekho', 'bleach')");
+    await db.query("INSERT INTO seasons (anime_id, title, season_number) VALUES (1, 'Season 1', 1)");
+    await assert.rejects(db.query("INSERT INTO anime (title, source, source_slug) VALUES ('Bleach 2', 'animedekho', 'bleach')"), /UNIQUE/);
+    await db.query('DELETE FROM anime');
+    assert.equal(await count(db, 'seasons'), 0);
+
+    await migrateDown(db, 6);
+    assert.deepEqual(await tables(), ['schema_migrations']);
+    await db.end();
+});
+
+test('importToDb writes to the SQLite catalog, adopting a row from a title-only dump', async () => {
+    const db = getPool();
+    await migrateUp(db);
+    await applyDump(db, `SET NAMES utf8mb4;
+INSERT IGNORE INTO anime (title, description, poster_url, type)
+SELECT 'Naruto Shippuden', 'No description found.', '', 'series'
+FROM (SELECT 1) AS tmp
+WHERE NOT EXISTS (SELECT 1 FROM anime WHERE title = 'Naruto Shippuden');`);
+
+    const first = await importToDb(importer, NARUTO);
+    assert.equal(first.success, true);
+    assert.deepEqual(first.stats.episodes, { inserted: 3, updated: 0, deleted: 0 });
+    assert.equal(first.stats.anime.inserted, 0);
+
+    const second = await importToDb(importer, NARUTO);
+    assert.deepEqual(second.stats.episodes, { inserted: 3, updated: 0, deleted: 3 });
+
+    // Everything is in the file, once
+    const reopened = new SqlitePool(DB_FILE);
+    const [[anime]] = await reopened.query('SELECT id, source, source_slug, release_year, description FROM anime');
+    assert.deepEqual({ ...anime, description: anime.description.slice(0, 14) }, {
+        id: 1, source: 'animedekho', source_slug: NARUTO, release_year: 2007, description: 'Naruto Uzumaki',
+    });
+    assert.equal(await count(reopened, 'anime'), 1);
+    assert.equal(await count(reopened, 'seasons'), 2);
+    assert.equal(await count(reopened, 'episodes'), 3);
+    assert.equal(await count(reopened, 'episode_sources'), 5);
+    assert.equal(await count(reopened, 'anime_genres'), 2);
+    const [aliases] = await reopened.query('SELECT title, source FROM anime_aliases ORDER BY id');
+    assert.deepEqual(aliases.map(a => [a.title, a.source]), [['Naruto Shippuden', 'animedekho']]);
+    await reopened.end();
+});
@@ -0,0 +1,86 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startFixtureServer, captureStdout } = require('./helpers/fixture_server');
+const { AnimeDekhoImporter } = require('../sources/animedekho');
+const { exportAnime } = require('../importer');
+
+const SLUG = 'naruto-shippuden-hindi-tamil-telugu';
+
+let server;
+let sql;
+
+before(async () => {
+    server = await startFixtureServer('animedekho');
+    const importer = new AnimeDekhoImporter({ baseUrl: server.base });
+    sql = await captureStdout(() => exportAnime(importer, SLUG));
+});
+
+after(() => server.close());
+
+test('exportAnime wraps the anime in START/END markers', () => {
+    assert.match(sql, /^-- START Naruto Shippuden --\n/);
+    assert.match(sql, /-- END Naruto Shippuden --\n\n$/);
+});
+
+test('exportAnime finds the anime by source and slug before inserting it', () => {
+    const identity = "source = 'animedekho' AND source_slug = 'naruto-shippuden-hindi-tamil-telugu'";
+    assert.ok(sql.includes(`SET @anime_id = (SELECT id FROM anime WHERE ${identity} LIMIT 1);\n`));
+    assert.ok(sql.includes(`SET @anime_id = COALESCE(@anime_id, (SELECT anime_id FROM anime_aliases WHERE ${identity} LIMIT 1));\n`));
+    assert.ok(sql.includes(
+        "INSERT INTO anime (title, source, source_slug, description, poster_url, type, release_year, status, rating)\n" +
+        "SELECT 'Naruto Shippuden', 'animedekho', 'naruto-shippuden-hindi-tamil-telugu', " +
+        "'Naruto Uzumaki returns after two and a half years of training & faces the Akatsuki.', " +
+        "'https://image.tmdb.org/t/p/w500/naruto-poster.jpg', 'series', 2007, 'completed', 8.6\n" +
+        "FROM (SELECT 1) AS tmp\n" +
+        "WHERE @anime_id IS NULL;\n"
+    ));
+    assert.ok(sql.includes(
+        "INSERT INTO anime_aliases (anime_id, title, title_key, source, source_slug) " +
+        "VALUES (@anime_id, 'Naruto Shippuden', 'naruto shippuden', 'animedekho', 'naruto-shippuden-hindi-tamil-telugu')\n"
+    ));
+    assert.doesNotMatch(sql, /WHERE title = /);
+});
+
+test('exportAnime replaces the genres and dub languages of the anime', () => {
+    assert.ok(sql.includes("release_year = COALESCE(2007, release_year), status = COALESCE('completed', status), rating = COALESCE(8.6, rating) WHERE id = @anime_id;\n"));
+    assert.ok(sql.includes("poster_url = COALESCE(NULLIF('https://image.tmdb.org/t/p/w500/naruto-poster.jpg', ''), poster_url)"));
+    assert.ok(sql.includes(
+        "DELETE FROM anime_genres WHERE anime_id = @anime_id;\n" +
+        "INSERT IGNORE INTO anime_genres (anime_id, genre) VALUES (@anime_id, 'Action'), (@anime_id, 'Adventure');\n"
+    ));
+    assert.ok(sql.includes(
+        "INSERT IGNORE INTO anime_languages (anime_id, language) VALUES " +
+        "(@anime_id, 'Hindi'), (@anime_id, 'Tamil'), (@anime_id, 'Telugu'), (@anime_id, 'English');\n"
+    ));
+});
+
+test('exportAnime emits each season with a purge before its episodes', () => {
+    for (const n of [1, 2]) {
+        assert.ok(sql.includes(`SELECT @anime_id, 'Season ${n}', ${n}\n`));
+        assert.ok(sql.includes(`-- Purge existing episodes for Season ${n} to force update\n` +
+            'DELETE FROM episode_sources WHERE episode_id IN (SELECT id FROM episodes WHERE season_id = @season_id);\n' +
+            'DELETE FROM episodes WHERE season_id = @season_id;\n'));
+    }
+});
+
+test('exportAnime numbers valid episodes globally and skips tutorial-only ones', () => {
+    const episodes = [...sql.matchAll(/'((?:[^'\\]|\\.)*)' AS title,\n  '([^']*)' AS dood_id,\n  '([^']*)' AS source_episode_id,\n  (\d+) AS ep_order/g)]
+        .map(m => [m[1], m[2], m[3], Number(m[4])]);
+
+    assert.deepEqual(episodes, [
+        ['Homecoming', 'https://dood.li/e/naruto1x1', `${SLUG}-1x1`, 1],
+        ["Sasuke\\'s Return", 'https://www.streamwish.to/e/abc123', `${SLUG}-1x2`, 2],
+        ['The Kazekage Stands Tall', 'https://cdn.vidmoly.to/embed-k4z2b.html', `${SLUG}-2x1`, 3],
+    ]);
+});
+
+test('exportAnime stores every mirror of an episode in episode_sources', () => {
+    assert.ok(sql.includes(
+        "SET @episode_id = (SELECT id FROM episodes WHERE season_id = @season_id AND ep_order = 3 LIMIT 1);\n" +
+        "INSERT IGNORE INTO episode_sources (episode_id, url, provider, quality, priority) VALUES\n" +
+        "  (@episode_id, 'https://cdn.vidmoly.to/embed-k4z2b.html', 'vidmoly', NULL, 1),\n" +
+        "  (@episode_id, 'https://pixeldrain.com/u/naru2x1', 'pixeldrain', '720p', 2);\n"
+    ));
+    assert.equal(sql.match(/INSERT IGNORE INTO episode_sources/g).length, 3);
+});
@@ -0,0 +1,92 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startFixtureServer, captureStdout } = require('./helpers/fixture_server');
+const { AnimeDekhoImporter } = require('../sources/animedekho');
+const { buildAnimeRecord } = require('../export_model');
+const { renderAnimeSql } = require('../export_sql');
+const { exportAnime, bulkExportAnime } = require('../importer');
+const schema = require('../anime_record.schema.json');
+
+const NARUTO = 'naruto-shippuden-hindi-tamil-telugu';
+
+class CatalogImporter extends AnimeDekhoImporter {
+    async getAllAnime() {
+        return [{ title: 'Naruto Shippuden', slug: NARUTO, type: 'series' }];
+    }
+}
+
+let server;
+let importer;
+let record;
+
+before(async () => {
+    server = await startFixtureServer('animedekho');
+    importer = new CatalogImporter({ baseUrl: server.base });
+    await captureStdout(async () => { record = await buildAnimeRecord(importer, NARUTO); });
+});
+
+after(() => server.close());
+
+test('buildAnimeRecord produces a record with exactly the documented fields', () => {
+    assert.deepEqual(Object.keys(record).sort(), [...schema.required].sort());
+    const episodeSchema = schema.properties.seasons.items.properties.episodes.items;
+    for (const season of record.seasons) {
+        assert.deepEqual(Object.keys(season).sort(), [...schema.properties.seasons.items.required].sort());
+        for (const ep of season.episodes) assert.deepEqual(Object.keys(ep).sort(), [...episodeSchema.required].sort());
+    }
+});
+
+test('buildAnimeRecord keeps playable episodes with their global order', () => {
+    assert.equal(record.schemaVersion, 3);
+    assert.equal(record.source, 'animedekho');
+    assert.equal(record.title, 'Naruto Shippuden');
+    assert.equal(record.type, 'series');
+    assert.equal(record.movie, null);
+    assert.deepEqual(record.seasons.map(s => [s.number, s.episodes.map(e => [e.order, e.link])]), [
+        [1, [[1, 'https://dood.li/e/naruto1x1'], [2, 'https://www.streamwish.to/e/abc123']]],
+        [2, [[3, 'https://cdn.vidmoly.to/embed-k4z2b.html']]],
+    ]);
+});
+
+test('buildAnimeRecord keeps every mirror with the first one as the link', () => {
+    const [homecoming] = record.seasons[0].episodes;
+    assert.deepEqual(homecoming.sources.map(s => [s.priority, s.provider, s.url]), [
+        [1, 'dood', 'https://dood.li/e/naruto1x1'],
+        [2, 'mirror.example.org', 'https://mirror.example.org/watch/naruto1x1'],
+    ]);
+    for (const ep of record.seasons.flatMap(s => s.episodes)) assert.equal(ep.link, ep.sources[0].url);
+});
+
+test('db-export SQL is rendered from the record', async () => {
+    const sql = await captureStdout(() => exportAnime(importer, NARUTO));
+    assert.ok(sql.includes(renderAnimeSql(record)));
+});
+
+test('db-export --format json and ndjson emit the record', async () => {
+    const json = await captureStdout(() => exportAnime(importer, NARUTO, { format: 'json' }));
+    assert.deepEqual(JSON.parse(json), record);
+
+    const ndjson = await captureStdout(() => exportAnime(importer, NARUTO, { format: 'ndjson' }));
+    assert.equal(ndjson.trim().split('\n').length, 1);
+    assert.deepEqual(JSON.parse(ndjson), record);
+});
+
+test('bulk-export --format json is one document with totals', async () => {
+    const out = await captureStdout(() => bulkExportAnime(importer, 0, { format: 'json' }));
+    const doc = JSON.parse(out);
+
+    assert.equal(doc.schemaVersion, 3);
+    assert.equal(doc.source, 'animedekho');
+    assert.deepEqual(doc.anime, [record]);
+    assert.deepEqual(doc.totals, { anime: 1, episodes: 3 });
+});
+
+test('bulk-export --format ndjson emits only records', async () => {
+    const out = await captureStdout(() => bulkExportAnime(importer, 0, { format: 'ndjson' }));
+    assert.deepEqual(out.trim().split('\n').map(line => JSON.parse(line)), [record]);
+});
+
+test('unknown formats are rejected', async () => {
+    await assert.rejects(exportAnime(importer, NARUTO, { format: 'csv' }), /Unknown format "csv"/);
+});
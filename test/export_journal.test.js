@@ -0,0 +1,109 @@
+const { test, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { startFixtureServer, captureStdout } = require('./helpers/fixture_server');
+const { AnimeDekhoImporter } = require('../sources/animedekho');
+const { ExportJournal } = require('../export_journal');
+const { bulkExportAnime } = require('../importer');
+
+const NARUTO = 'naruto-shippuden-hindi-tamil-telugu';
+
+// Catalog of two: the fixture series and one whose details page can fail on demand
+class CatalogImporter extends AnimeDekhoImporter {
+    constructor(options) {
+        super(options);
+        this.failSlug = null;
+    }
+
+    async getAllAnime() {
+        return [
+            { title: 'Naruto Shippuden', slug: NARUTO, type: 'series' },
+            { title: 'Lost Series', slug: 'lost-series', type: 'series' },
+        ];
+    }
+
+    async getAnimeDetails(slug) {
+        if (slug === this.failSlug) throw new Error('runner timed out');
+        // Recovers as a page without a title, which the export skips
+        if (slug === 'lost-series') return { title: '', seasons: [] };
+        return super.getAnimeDetails(slug);
+    }
+}
+
+let server;
+let dir;
+let journalFile;
+
+before(async () => {
+    server = await startFixtureServer('animedekho');
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'export-journal-'));
+    journalFile = path.join(dir, 'bulk.journal');
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a resumed run replays finished series and completes the rest', async () => {
+    const importer = new CatalogImporter({ baseUrl: server.base });
+    importer.failSlug = 'lost-series';
+
+    const first = await captureStdout(() => bulkExportAnime(importer, 0, { journal: new ExportJournal(journalFile) }));
+    assert.match(first, /-- Total Episodes: 3\n/);
+
+    importer.failSlug = null;
+    server.requests.length = 0;
+    const journal = new ExportJournal(journalFile).load();
+    assert.deepEqual([...journal.series.keys()], [NARUTO]);
+
+    const resumed = await captureStdout(() => bulkExportAnime(importer, 0, { journal }));
+
+    // Naruto comes from the journal, only the missing series is fetched again
+    assert.ok(server.requests.every(url => !url.includes(NARUTO)), server.requests.join(', '));
+    assert.equal(resumed.match(/^-- === Naruto Shippuden ===$/gm).length, 1);
+    assert.ok(resumed.includes("'https://dood.li/e/naruto1x1' AS dood_id"));
+    assert.match(resumed, /-- Total Anime: 2\n-- Total Episodes: 3\n-- Resumed from journal: 1\n$/);
+    assert.deepEqual([...journal.series.keys()], [NARUTO, 'lost-series']);
+});
+
+test('a fresh --journal run replaces an old journal', async () => {
+    const importer = new CatalogImporter({ baseUrl: server.base });
+    fs.writeFileSync(journalFile, JSON.stringify({ type: 'run', source: 'animedekho', anime: [] }) + '\n');
+
+    await captureStdout(() => bulkExportAnime(importer, 1, { journal: new ExportJournal(journalFile) }));
+
+    const journal = new ExportJournal(journalFile).load();
+    assert.deepEqual(journal.run.anime.map(a => a.slug), [NARUTO]);
+    assert.equal(journal.getSeries(NARUTO).episodes, 3);
+});
+
+test('a journal from another source is refused', async () => {
+    const importer = new CatalogImporter({ id: 'toonstream', baseUrl: server.base });
+    fs.writeFileSync(journalFile, JSON.stringify({ type: 'run', source: 'animedekho', anime: [] }) + '\n');
+
+    await assert.rejects(
+        captureStdout(() => bulkExportAnime(importer, 0, { journal: new ExportJournal(journalFile).load() })),
+        /belongs to source "animedekho"/
+    );
+});
+
+test('load() drops a torn last line so new records append cleanly', () => {
+    fs.writeFileSync(journalFile,
+        JSON.stringify({ type: 'run', source: 'animedekho', anime: [] }) + '\n' +
+        JSON.stringify({ type: 'series', slug: 'a', status: 'exported', episodes: 2, anime: null }) + '\n' +
+        '{"type":"series","slug":"b","sta');
+
+    const journal = new ExportJournal(journalFile).load();
+    assert.deepEqual([...journal.series.keys()], ['a']);
+
+    journal.record('c', { status: 'skipped' });
+    assert.deepEqual([...new ExportJournal(journalFile).load().series.keys()], ['a', 'c']);
+});
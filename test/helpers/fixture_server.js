@@ -0,0 +1,107 @@
+/**
+ * Local stand-in for the scraped site.
+ *
+ * Serves recorded HTML from test/fixtures/<site>/ so parsers run with no network:
+ *   /home/             -> home.html
+ *   /?s=<query>        -> search.html
+ *   /serie/<slug>/     -> serie/<slug>.html
+ *   /category/<name>/  -> category/<name>.html (page N: category/<name>/page/N.html)
+ *   /epi/<id>/         -> epi/<id>.html
+ *   /embed/<name>/     -> embed/<name>.html
+ *   /<name>.xml        -> <name>.xml (sitemaps)
+ * Other paths map the same way (toonstream: /series/<slug>/, /episode/<id>/).
+ * Any other query picks a file named after its values, in order:
+ *   /home/?trembed=0&trid=7&trtype=2 -> home/0-7-2.html
+ * A path without a fixture is a 404.
+ *
+ * Fixtures are templates: {{BASE}} becomes the server origin and
+ * {{BASE64:<url>}} the base64 of <url> (a leading "/" is resolved against the origin),
+ * matching how the site encodes its server links.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const { configureFetch, configureCache } = require('../../http_client');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+function render(template, base) {
+    return template
+        .replace(/\{\{BASE64:([^}]+)\}\}/g, (_, url) => Buffer.from(url.startsWith('/') ? base + url : url).toString('base64'))
+        .replace(/\{\{BASE\}\}/g, base);
+}
+
+function fixturePath(dir, reqUrl) {
+    const url = new URL(reqUrl, 'http://localhost');
+    if (url.pathname === '/' && url.searchParams.has('s')) return path.join(dir, 'search.html');
+    let rel = url.pathname.replace(/^\/+|\/+$/g, '') || 'index';
+    if (url.search) rel = path.join(rel, [...url.searchParams.values()].join('-'));
+    const file = path.join(dir, rel.endsWith('.xml') ? rel : `${rel}.html`);
+    // Never serve anything outside the fixture directory
+    return file.startsWith(dir + path.sep) ? file : null;
+}
+
+/**
+ * Starts a fixture server for `site` on a random local port.
+ * Resolves to { base, requests, close } where `requests` lists every requested URL.
+ * The shared fetch scheduler is switched to unlimited rate and the disk cache is
+ * disabled, since nothing remote is hit and fixtures must be read fresh.
+ */
+function startFixtureServer(site = 'animedekho') {
+    configureFetch({ ratePerSecond: 0 });
+    configureCache({ enabled: false });
+
+    const dir = path.join(FIXTURES_DIR, site);
+    const requests = [];
+
+    const server = http.createServer((req, res) => {
+        requests.push(req.url);
+        const file = fixturePath(dir, req.url);
+        if (!file || !fs.existsSync(file)) {
+            res.writeHead(404, { 'Content-Type': 'text/html' });
+            res.end('<html><body>Not Found</body></html>');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': `${file.endsWith('.xml') ? 'application/xml' : 'text/html'}; charset=utf-8` });
+        res.end(render(fs.readFileSync(file, 'utf8'), server.base));
+    });
+
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => {
+            server.base = `http://127.0.0.1:${server.address().port}`;
+            resolve({
+                base: server.base,
+                requests,
+                close: () => new Promise(r => server.close(r)),
+            });
+        });
+    });
+}
+
+/**
+ * Runs `fn` with stdout captured and stderr progress output muted; resolves to the captured text.
+ * Only string writes are captured: the test runner talks to its parent through binary
+ * stdout writes, which are passed through untouched.
+ */
+async function captureStdout(fn) {
+    const chunks = [];
+    const origWrite = process.stdout.write;
+    const origError = console.error;
+    process.stdout.write = function (chunk, ...rest) {
+        if (typeof chunk !== 'string') return origWrite.call(this, chunk, ...rest);
+        chunks.push(chunk);
+        return true;
+    };
+    console.error = () => { };
+    try {
+        await fn();
+    } finally {
+        process.stdout.write = origWrite;
+        console.error = origError;
+    }
+    return chunks.join('');
+}
+
+module.exports = { startFixtureServer, captureStdout, render };
@@ -0,0 +1,108 @@
+const { test, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const { fetchHTML, configureFetch, configureCache } = require('../http_client');
+const { HttpCache } = require('../http_cache');
+
+let server;
+let base;
+let dir;
+const requests = [];
+
+before(async () => {
+    configureFetch({ ratePerSecond: 0 });
+    server = http.createServer((req, res) => {
+        requests.push({ url: req.url, headers: req.headers });
+        if (req.url === '/etag') {
+            if (req.headers['if-none-match'] === '"v1"') { res.writeHead(304); res.end(); return; }
+            res.writeHead(200, { 'Content-Type': 'text/html', 'ETag': '"v1"' });
+            res.end('<p>etag page</p>');
+            return;
+        }
+        if (req.url === '/modified') {
+            const lastModified = 'Mon, 01 Jan 2024 00:00:00 GMT';
+            if (req.headers['if-modified-since'] === lastModified) { res.writeHead(304); res.end(); return; }
+            res.writeHead(200, { 'Content-Type': 'text/html', 'Last-Modified': lastModified });
+            res.end('<p>modified page</p>');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end('<p>same body</p>');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    configureCache({ enabled: false });
+    server.close();
+});
+
+beforeEach(() => {
+    requests.length = 0;
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'http-cache-'));
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('fresh entries are served without a request', async () => {
+    configureCache({ dir, ttlSeconds: 3600 });
+
+    assert.equal(await fetchHTML(`${base}/etag`), '<p>etag page</p>');
+    assert.equal(await fetchHTML(`${base}/etag`), '<p>etag page</p>');
+    assert.equal(requests.length, 1);
+});
+
+test('stale entries are revalidated with If-None-Match and reuse the body on 304', async () => {
+    configureCache({ dir, ttlSeconds: 0 });
+
+    await fetchHTML(`${base}/etag`);
+    assert.equal(await fetchHTML(`${base}/etag`), '<p>etag page</p>');
+
+    assert.equal(requests.length, 2);
+    assert.equal(requests[0].headers['if-none-match'], undefined);
+    assert.equal(requests[1].headers['if-none-match'], '"v1"');
+});
+
+test('Last-Modified is revalidated with If-Modified-Since', async () => {
+    configureCache({ dir, ttlSeconds: 0 });
+
+    await fetchHTML(`${base}/modified`);
+    assert.equal(await fetchHTML(`${base}/modified`), '<p>modified page</p>');
+    assert.equal(requests[1].headers['if-modified-since'], 'Mon, 01 Jan 2024 00:00:00 GMT');
+});
+
+test('identical bodies are stored once', async () => {
+    configureCache({ dir, ttlSeconds: 3600 });
+
+    await fetchHTML(`${base}/a`);
+    await fetchHTML(`${base}/b`);
+
+    assert.equal(fs.readdirSync(path.join(dir, 'entries')).length, 2);
+    assert.equal(fs.readdirSync(path.join(dir, 'bodies')).length, 1);
+});
+
+test('disabled cache always hits the network', async () => {
+    configureCache({ dir, ttlSeconds: 3600 });
+    configureCache({ enabled: false });
+
+    await fetchHTML(`${base}/etag`);
+    await fetchHTML(`${base}/etag`);
+    assert.equal(requests.length, 2);
+    assert.equal(fs.existsSync(path.join(dir, 'entries')), false);
+});
+
+test('clear() removes every entry', async () => {
+    const cache = configureCache({ dir, ttlSeconds: 3600 });
+    await fetchHTML(`${base}/a`);
+    await fetchHTML(`${base}/etag`);
+
+    assert.equal(cache.clear(), 2);
+    assert.equal(new HttpCache({ dir }).get(`${base}/a`), null);
+});
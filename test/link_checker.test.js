@@ -0,0 +1,192 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startFixtureServer, captureStdout } = require('./helpers/fixture_server');
+const { setTransport } = require('../http_client');
+const { HttpTransport, HttpError } = require('../transports');
+const { AnimeDekhoImporter } = require('../sources/animedekho');
+const { classifyLink, checkLinks, linkPatchStatements, renderLinkPatchSql, applyLinkPatch, loadStoredEpisodes } = require('../link_checker');
+const { SqlitePool } = require('../db_sqlite');
+const { migrateUp } = require('../migrate');
+const { applyDump } = require('../sql_dump');
+const { renderAnimeSql } = require('../export_sql');
+const { buildAnimeRecord } = require('../export_model');
+
+const SLUG = 'naruto-shippuden-hindi-tamil-telugu';
+
+// What the providers answer; anything not listed (and not the fixture site) fails the test
+const PROVIDERS = {
+    'https://dood.li/e/naruto1x1': { status: 200, body: '<html><title>Naruto 1x1 - DoodStream</title><video></video></html>' },
+    'https://dood.li/e/gone': { status: 200, body: '<html><title>DoodStream</title><h1>Video not found</h1></html>' },
+    'https://www.streamwish.to/e/abc123': { status: 200, body: '<html><title>abc123</title><video></video></html>' },
+    'https://pixeldrain.com/api/file/abc/info': { status: 404, body: '{"success":false,"value":"not_found"}' },
+    'https://cdn.vidmoly.to/embed-k4z2b.html': { status: 503, body: 'Service Unavailable' },
+    'https://pixeldrain.com/api/file/naru2x1/info': { status: 404, body: '{"success":false,"value":"not_found"}' },
+};
+
+let server;
+let importer;
+let previous;
+const probed = [];
+
+before(async () => {
+    server = await startFixtureServer('animedekho');
+    importer = new AnimeDekhoImporter({ baseUrl: server.base });
+
+    const plain = new HttpTransport();
+    previous = setTransport({
+        request: async (url, options) => {
+            if (url.startsWith(server.base)) return plain.request(url, options);
+            probed.push(url);
+            const page = PROVIDERS[url];
+            if (!page) throw new Error(`unexpected request to ${url}`);
+            if (page.status >= 400) throw new HttpError(page.status, url);
+            return { status: page.status, headers: {}, body: page.body };
+        },
+        close: async () => { },
+    });
+});
+
+after(() => {
+    setTransport(previous);
+    server.close();
+});
+
+const row = (id, seasonNumber, title, link, sourceEpisodeId = null) =>
+    ({ id, animeTitle: 'Naruto Shippuden', sourceSlug: SLUG, seasonNumber, title, link, sourceEpisodeId });
+
+test('classifyLink applies provider rules and only calls proven failures dead', async () => {
+    assert.deepEqual(await classifyLink(importer, 'https://dood.li/e/naruto1x1'), { status: 'alive', reason: null, provider: 'dood' });
+    assert.equal((await classifyLink(importer, 'https://dood.li/e/gone')).status, 'dead');
+    assert.equal((await classifyLink(importer, 'https://cdn.vidmoly.to/embed-k4z2b.html')).status, 'unknown');
+    assert.equal((await classifyLink(importer, 'https://www.youtube.com/embed/53ga7MRcQGg')).status, 'tutorial');
+    assert.equal((await classifyLink(importer, '')).status, 'dead');
+
+    // Pixeldrain is probed through its file info API
+    assert.deepEqual(await classifyLink(importer, 'https://pixeldrain.com/u/abc'), { status: 'dead', reason: 'HTTP 404', provider: 'pixeldrain' });
+    assert.ok(probed.includes('https://pixeldrain.com/api/file/abc/info'));
+});
+
+test('checkLinks re-resolves dead links and the patch touches only affected episodes', async () => {
+    const rows = [
+        row(1, 1, 'Homecoming', 'https://dood.li/e/gone'),
+        row(2, 1, "Sasuke's Return", 'https://www.streamwish.to/e/abc123'),
+        row(3, 1, 'The Results of Training', 'https://www.youtube.com/embed/53ga7MRcQGg', `${SLUG}-1x3`),
+        row(4, 2, 'The Kazekage Stands Tall', 'https://pixeldrain.com/u/abc'),
+        row(5, 2, 'The Kazekage Stands Tall', 'https://cdn.vidmoly.to/embed-k4z2b.html'),
+    ];
+    let results;
+    await captureStdout(async () => { results = await checkLinks(importer, rows); });
+
+    assert.deepEqual(results.map(r => [r.id, r.status, r.replacement]), [
+        [1, 'dead', 'https://dood.li/e/naruto1x1'],
+        [2, 'alive', null],
+        [3, 'tutorial', null],
+        // Re-resolved to the vidmoly and pixeldrain mirrors, neither confirmed alive
+        [4, 'dead', null],
+        [5, 'unknown', null],
+    ]);
+    assert.equal(results[0].sourceEpisodeId, `${SLUG}-1x1`);
+    // The series page is fetched once for both rows that needed a lookup
+    assert.equal(server.requests.filter(url => url === `/serie/${SLUG}/`).length, 1);
+
+    const episodeUpdates = linkPatchStatements(results).filter(s => s.sql.startsWith('UPDATE episodes '));
+    assert.deepEqual(episodeUpdates.map(s => s.params.at(-1)), [1, 3, 4]);
+
+    const patch = renderLinkPatchSql(results);
+    assert.ok(patch.includes(
+        `UPDATE episodes SET dood_id = 'https://dood.li/e/naruto1x1', source_episode_id = '${SLUG}-1x1', ` +
+        "link_status = 'alive', link_checked_at = CURRENT_TIMESTAMP WHERE id = 1;"
+    ));
+    assert.ok(patch.includes("UPDATE episodes SET link_status = 'tutorial', link_checked_at = CURRENT_TIMESTAMP WHERE id = 3;"));
+    assert.ok(patch.includes("UPDATE episodes SET link_status = 'dead', link_checked_at = CURRENT_TIMESTAMP WHERE id = 4;"));
+    assert.ok(!/WHERE id = [25];/.test(patch));
+    assert.match(patch, /\nSTART TRANSACTION;\nUPDATE episodes [^]*\nCOMMIT;\n$/);
+});
+
+test('a dead link the site still lists first is replaced by the next live mirror', async () => {
+    const dead = PROVIDERS['https://dood.li/e/naruto1x1'];
+    PROVIDERS['https://dood.li/e/naruto1x1'] = PROVIDERS['https://dood.li/e/gone'];
+    PROVIDERS['https://mirror.example.org/watch/naruto1x1'] = { status: 200, body: '<html><title>Naruto 1x1</title><video></video></html>' };
+    try {
+        let results;
+        await captureStdout(async () => {
+            results = await checkLinks(importer, [row(1, 1, 'Homecoming', 'https://dood.li/e/naruto1x1', `${SLUG}-1x1`)]);
+        });
+        assert.deepEqual([results[0].status, results[0].replacement], ['dead', 'https://mirror.example.org/watch/naruto1x1']);
+    } finally {
+        PROVIDERS['https://dood.li/e/naruto1x1'] = dead;
+        delete PROVIDERS['https://mirror.example.org/watch/naruto1x1'];
+    }
+});
+
+test('a replaced link takes the dead mirror\'s place in episode_sources', async () => {
+    const db = new SqlitePool(':memory:');
+    await migrateUp(db, null, undefined, { quiet: true });
+    await db.query("INSERT INTO anime (id, title, source, source_slug) VALUES (1, 'Naruto Shippuden', 'animedekho', 'naruto')");
+    await db.query(`INSERT INTO episodes (id, anime_id, season_id, title, dood_id, ep_order) VALUES
+        (1, 1, NULL, 'Homecoming', 'https://dood.li/e/gone', 1), (2, 1, NULL, 'Homecoming', 'https://dood.li/e/gone', 2)`);
+    // Episode 1 already lists the replacement as a lower mirror; episode 2 has no mirrors
+    await db.query(`INSERT INTO episode_sources (episode_id, url, provider, quality, priority) VALUES
+        (1, 'https://dood.li/e/gone', 'dood', '720p', 1), (1, 'https://www.streamwish.to/e/abc123', 'streamwish', NULL, 2),
+        (1, 'https://dood.li/e/naruto1x1', 'dood', NULL, 3)`);
+
+    const replaced = id => ({
+        id, status: 'dead', link: 'https://dood.li/e/gone', sourceEpisodeId: `${SLUG}-1x1`,
+        replacement: 'https://dood.li/e/naruto1x1', replacementProvider: 'dood',
+    });
+    assert.equal(await applyLinkPatch([replaced(1), replaced(2)], db), 2);
+
+    const [mirrors] = await db.query('SELECT episode_id, url, provider, quality, priority FROM episode_sources ORDER BY episode_id, priority');
+    assert.deepEqual(mirrors.map(m => [m.episode_id, m.url, m.provider, m.quality, m.priority]), [
+        [1, 'https://dood.li/e/naruto1x1', 'dood', null, 1],
+        [1, 'https://www.streamwish.to/e/abc123', 'streamwish', null, 2],
+        [2, 'https://dood.li/e/naruto1x1', 'dood', null, 1],
+    ]);
+    const [episodes] = await db.query('SELECT dood_id, link_status FROM episodes ORDER BY id');
+    assert.deepEqual(episodes.map(e => [e.dood_id, e.link_status]), [['https://dood.li/e/naruto1x1', 'alive'], ['https://dood.li/e/naruto1x1', 'alive']]);
+
+    // The rendered patch replays the same statements
+    assert.match(renderLinkPatchSql([replaced(1)], { dialect: 'sqlite' }),
+        /DELETE FROM episode_sources WHERE episode_id = 1 AND url = 'https:\/\/dood\.li\/e\/naruto1x1';\nUPDATE episode_sources SET url = 'https:\/\/dood\.li\/e\/naruto1x1', provider = 'dood', quality = NULL WHERE episode_id = 1 AND url = 'https:\/\/dood\.li\/e\/gone';\nINSERT OR IGNORE INTO episode_sources/);
+    await db.end();
+});
+
+test('episodes loaded from an SQL export are re-resolved by their source episode id', async () => {
+    let record;
+    await captureStdout(async () => { record = await buildAnimeRecord(importer, SLUG); });
+    record.seasons[0].episodes[0] = { ...record.seasons[0].episodes[0], link: 'https://dood.li/e/gone', sources: [] };
+
+    const db = new SqlitePool(':memory:');
+    await migrateUp(db, null, undefined, { quiet: true });
+    await applyDump(db, renderAnimeSql(record, { dialect: 'sqlite' }));
+    const rows = await loadStoredEpisodes(db);
+    assert.deepEqual(rows.map(r => r.sourceEpisodeId), [`${SLUG}-1x1`, `${SLUG}-1x2`, `${SLUG}-2x1`]);
+
+    server.requests.length = 0;
+    let results;
+    await captureStdout(async () => { results = await checkLinks(importer, rows.slice(0, 1)); });
+    assert.equal(results[0].status, 'dead');
+    assert.equal(results[0].replacement, 'https://dood.li/e/naruto1x1');
+    // Straight to the episode page, without matching titles on the series page
+    assert.deepEqual(server.requests.filter(url => url.startsWith('/serie/')), []);
+    assert.ok(server.requests.includes(`/epi/${SLUG}-1x1/`));
+    await db.end();
+});
+
+test('stored episodes are loaded for one source, never another source\'s slugs', async () => {
+    const db = new SqlitePool(':memory:');
+    await migrateUp(db, null, undefined, { quiet: true });
+    await db.query(`INSERT INTO anime (id, title, source, source_slug) VALUES
+        (1, 'Naruto Shippuden', 'animedekho', '${SLUG}'), (2, 'Ben 10 Classic', 'toonstream', 'ben-10-classic-hindi'), (3, 'Bleach', NULL, NULL)`);
+    await db.query(`INSERT INTO episodes (anime_id, season_id, title, dood_id, ep_order) VALUES
+        (1, NULL, 'Homecoming', 'https://dood.li/e/naruto1x1', 1), (2, NULL, 'And Then There Were 10', 'https://dood.li/e/ben10x1', 1),
+        (3, NULL, 'Watch Full Movie', 'https://dood.li/e/bleach', 1)`);
+
+    const titles = async options => (await loadStoredEpisodes(db, options)).map(r => r.animeTitle);
+    assert.deepEqual(await titles({ source: 'animedekho' }), ['Naruto Shippuden', 'Bleach']);
+    assert.deepEqual(await titles({ source: 'toonstream' }), ['Ben 10 Classic', 'Bleach']);
+    assert.deepEqual(await titles({ source: 'toonstream', anime: 'Naruto Shippuden' }), []);
+    assert.deepEqual(await titles({}), ['Naruto Shippuden', 'Ben 10 Classic', 'Bleach']);
+    await db.end();
+});
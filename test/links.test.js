@@ -0,0 +1,68 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startFixtureServer } = require('./helpers/fixture_server');
+const { AnimeDekhoImporter } = require('../sources/animedekho');
+
+const SLUG = 'naruto-shippuden-hindi-tamil-telugu';
+
+let server;
+let importer;
+
+before(async () => {
+    server = await startFixtureServer('animedekho');
+    importer = new AnimeDekhoImporter({ baseUrl: server.base });
+});
+
+after(() => server.close());
+
+test('getEpisodeLink skips tutorial servers and resolves the next embed', async () => {
+    assert.equal(await importer.getEpisodeLink(`${SLUG}-1x1`), 'https://dood.li/e/naruto1x1');
+    assert.ok(server.requests.includes('/embed/player-1/'));
+    assert.ok(server.requests.includes('/embed/player-2/'));
+});
+
+test('getEpisodeLink decodes dl2.php download links', async () => {
+    assert.equal(await importer.getEpisodeLink(`${SLUG}-1x2`), 'https://www.streamwish.to/e/abc123');
+});
+
+test('getEpisodeLink falls back to provider links found in embed scripts', async () => {
+    assert.equal(await importer.getEpisodeLink(`${SLUG}-2x1`), 'https://cdn.vidmoly.to/embed-k4z2b.html');
+});
+
+test('getEpisodeSources returns every mirror, direct providers first', async () => {
+    assert.deepEqual(await importer.getEpisodeSources(`${SLUG}-1x1`), [
+        { url: 'https://dood.li/e/naruto1x1', provider: 'dood', quality: null, priority: 1 },
+        { url: 'https://mirror.example.org/watch/naruto1x1', provider: 'mirror.example.org', quality: 'HD', priority: 2 },
+    ]);
+    assert.deepEqual(await importer.getEpisodeSources(`${SLUG}-2x1`), [
+        { url: 'https://cdn.vidmoly.to/embed-k4z2b.html', provider: 'vidmoly', quality: null, priority: 1 },
+        { url: 'https://pixeldrain.com/u/naru2x1', provider: 'pixeldrain', quality: '720p', priority: 2 },
+    ]);
+    assert.deepEqual(await importer.getEpisodeSources(`${SLUG}-1x3`), []);
+});
+
+test('getEpisodeLink returns null when only tutorials are present', async () => {
+    assert.equal(await importer.getEpisodeLink(`${SLUG}-1x3`), null);
+});
+
+test('getEpisodeLink returns null for a missing page, or throws in strict mode', async () => {
+    assert.equal(await importer.getEpisodeLink(`${SLUG}-9x9`), null);
+    await assert.rejects(importer.getEpisodeLink(`${SLUG}-9x9`, { strict: true }), err => err.statusCode === 404);
+});
+
+test('_resolveSource returns the first direct provider iframe', async () => {
+    assert.equal(await importer._resolveSource(`${server.base}/embed/player-2/`), 'https://dood.li/e/naruto1x1');
+});
+
+test('_resolveSource resolves root-relative iframes against the embed origin', async () => {
+    assert.equal(
+        await importer._resolveSource(`${server.base}/embed/player-4/`),
+        `${server.base}/player/vidstreaming/naruto-2x1`
+    );
+});
+
+test('_resolveSource returns null for tutorial-only and missing embeds', async () => {
+    assert.equal(await importer._resolveSource(`${server.base}/embed/player-1/`), null);
+    assert.equal(await importer._resolveSource(`${server.base}/embed/missing/`), null);
+});
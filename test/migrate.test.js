@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { SqlitePool } = require('../db_sqlite');
+const { loadMigrations, migrateUp, migrateDown, migrationStatus, MIGRATIONS_TABLE } = require('../migrate');
+
+const MIGRATIONS = loadMigrations();
+const LATEST = MIGRATIONS.at(-1).version;
+
+async function recordedVersions(db) {
+    const [rows] = await db.query(`SELECT version FROM ${MIGRATIONS_TABLE} ORDER BY version`);
+    return rows.map(r => Number(r.version));
+}
+
+async function tableExists(db, name) {
+    const [rows] = await db.query("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?", [name]);
+    return rows.length === 1;
+}
+
+const upTo = version => MIGRATIONS.filter(m => m.version <= version).map(m => m.version);
+
+test('every migration has MySQL and SQLite steps both ways', () => {
+    assert.deepEqual(MIGRATIONS.map(m => m.version), upTo(LATEST));
+    for (const m of MIGRATIONS) {
+        assert.equal(typeof m.up, 'function', `${m.version} up`);
+        assert.equal(typeof m.down, 'function', `${m.version} down`);
+        assert.equal(typeof m.sqlite?.up, 'function', `${m.version} sqlite.up`);
+        assert.equal(typeof m.sqlite?.down, 'function', `${m.version} sqlite.down`);
+    }
+});
+
+test('up, status, down and up again keep schema_migrations in step with the schema', async () => {
+    const db = new SqlitePool(':memory:');
+
+    // Nothing applied yet
+    assert.ok((await migrationStatus(db)).every(m => !m.applied && m.appliedAt === null));
+
+    assert.deepEqual((await migrateUp(db, 3, undefined, { quiet: true })).map(m => m.version), [1, 2, 3]);
+    assert.deepEqual(await recordedVersions(db), [1, 2, 3]);
+    assert.equal(await tableExists(db, 'episode_sources'), false);
+
+    const status = await migrationStatus(db);
+    assert.deepEqual(status.map(m => [m.version, m.applied]), MIGRATIONS.map(m => [m.version, m.version <= 3]));
+    assert.ok(status[0].appliedAt);
+    assert.equal(status[0].description, 'Create anime, seasons and episodes tables');
+
+    assert.deepEqual((await migrateUp(db, null, undefined, { quiet: true })).map(m => m.version), upTo(LATEST).slice(3));
+    assert.deepEqual(await recordedVersions(db), upTo(LATEST));
+    // Already up to date
+    assert.deepEqual(await migrateUp(db, null, undefined, { quiet: true }), []);
+
+    // Rows survive a partial rollback
+    await db.query("INSERT INTO anime (title, source_slug) VALUES ('Bleach', 'bleach')");
+    assert.deepEqual((await migrateDown(db, 2)).map(m => m.version), [LATEST, LATEST - 1]);
+    assert.deepEqual(await recordedVersions(db), upTo(LATEST - 2));
+    assert.equal(await tableExists(db, 'anime_genres'), false);
+    assert.equal(await tableExists(db, 'anime_aliases'), false);
+    assert.equal((await migrationStatus(db)).filter(m => m.applied).length, LATEST - 2);
+
+    assert.deepEqual((await migrateUp(db, null, undefined, { quiet: true })).map(m => m.version), [LATEST - 1, LATEST]);
+    assert.deepEqual(await recordedVersions(db), upTo(LATEST));
+    assert.equal(await tableExists(db, 'anime_genres'), true);
+    const [[anime]] = await db.query('SELECT title, source_slug FROM anime');
+    assert.deepEqual(anime, { title: 'Bleach', source_slug: 'bleach' });
+
+    // Down past the first migration stops at an empty schema
+    assert.equal((await migrateDown(db, LATEST + 5)).length, LATEST);
+    assert.deepEqual(await recordedVersions(db), []);
+    assert.equal(await tableExists(db, 'anime'), false);
+    await db.end();
+});
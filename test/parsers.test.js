@@ -0,0 +1,88 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startFixtureServer } = require('./helpers/fixture_server');
+const { AnimeDekhoImporter } = require('../sources/animedekho');
+const { fetchHTML } = require('../http_client');
+
+let server;
+let importer;
+
+before(async () => {
+    server = await startFixtureServer('animedekho');
+    importer = new AnimeDekhoImporter({ baseUrl: server.base });
+});
+
+after(() => server.close());
+
+test('_parseAnimeList finds every series once with cleaned titles', async () => {
+    const html = await fetchHTML(`${server.base}/home/`);
+    const list = importer._parseAnimeList(html);
+    const bySlug = Object.fromEntries(list.map(a => [a.slug, a]));
+
+    assert.deepEqual(Object.keys(bySlug).sort(), [
+        'demon-slayer',
+        'jujutsu-kaisen',
+        'naruto-shippuden-hindi-tamil-telugu',
+        'suzume-movie',
+    ]);
+    assert.equal(list.length, 4);
+    assert.equal(bySlug['naruto-shippuden-hindi-tamil-telugu'].title, 'Naruto Shippuden');
+    assert.equal(bySlug['jujutsu-kaisen'].title, 'Jujutsu Kaisen');
+    assert.equal(bySlug['suzume-movie'].type, 'movie');
+    assert.equal(bySlug['demon-slayer'].type, 'series');
+    assert.equal(bySlug['demon-slayer'].url, `${server.base}/serie/demon-slayer/`);
+});
+
+test('search keeps only results matching the query', async () => {
+    const results = await importer.search('naruto');
+    assert.deepEqual(results.map(r => r.slug), ['naruto-shippuden-hindi-tamil-telugu', 'naruto-the-movie']);
+    assert.equal(results[1].type, 'movie');
+});
+
+test('getAnimeDetails extracts title, description, poster and seasons', async () => {
+    const details = await importer.getAnimeDetails(`${server.base}/serie/naruto-shippuden-hindi-tamil-telugu/`);
+
+    assert.equal(details.slug, 'naruto-shippuden-hindi-tamil-telugu');
+    assert.equal(details.title, 'Naruto Shippuden');
+    assert.equal(details.description, 'Naruto Uzumaki returns after two and a half years of training & faces the Akatsuki.');
+    assert.equal(details.poster, 'https://image.tmdb.org/t/p/w500/naruto-poster.jpg');
+    assert.equal(details.type, 'series');
+    assert.deepEqual(details.seasons.map(s => s.seasonNumber), [1, 2]);
+});
+
+test('getAnimeDetails extracts genres, year, dub languages, status and rating', async () => {
+    const details = await importer.getAnimeDetails('naruto-shippuden-hindi-tamil-telugu');
+
+    // "Anime" and "Hindi Dub" are catalog tags, not genres
+    assert.deepEqual(details.genres, ['Action', 'Adventure']);
+    assert.equal(details.year, 2007);
+    // Tamil and Telugu only appear in the slug
+    assert.deepEqual(details.languages, ['Hindi', 'Tamil', 'Telugu', 'English']);
+    assert.equal(details.status, 'completed');
+    assert.equal(details.rating, 8.6);
+    assert.equal(details.totalEpisodes, 4);
+});
+
+test('getEpisodes parses S#-E# list items, dedupes and sorts them', async () => {
+    const episodes = await importer.getEpisodes('naruto-shippuden-hindi-tamil-telugu');
+
+    assert.deepEqual(
+        episodes.map(e => [e.season, e.number, e.episodeId]),
+        [
+            [1, 1, 'naruto-shippuden-hindi-tamil-telugu-1x1'],
+            [1, 2, 'naruto-shippuden-hindi-tamil-telugu-1x2'],
+            [1, 3, 'naruto-shippuden-hindi-tamil-telugu-1x3'],
+            [2, 1, 'naruto-shippuden-hindi-tamil-telugu-2x1'],
+        ]
+    );
+    assert.equal(episodes[1].title, "Sasuke's Return");
+});
+
+test('getEpisodes returns [] for an unknown series, or throws in strict mode', async () => {
+    assert.deepEqual(await importer.getEpisodes('does-not-exist'), []);
+    await assert.rejects(
+        importer.getEpisodes('does-not-exist', { strict: true }),
+        err => err.statusCode === 404
+    );
+});
@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { ProviderRegistry, BUILTIN_PLUGINS_DIR, providerRegistry, providerOf, qualityHint, rankMirrors } = require('../providers');
+
+test('providerOf names known providers and falls back to the host', () => {
+    assert.equal(providerOf('https://dood.li/e/abc'), 'dood');
+    assert.equal(providerOf('https://www.streamwish.to/e/abc'), 'streamwish');
+    assert.equal(providerOf('https://www.example.com/v/1'), 'example.com');
+    assert.equal(providerOf('not a url'), null);
+});
+
+test('qualityHint reads labels before URLs', () => {
+    assert.equal(qualityHint('Server 2 - 1080P', 'https://x.test/720p/a.mp4'), '1080p');
+    assert.equal(qualityHint('Server 1', 'https://x.test/720p/a.mp4'), '720p');
+    assert.equal(qualityHint('Server 3 HD'), 'HD');
+    assert.equal(qualityHint('Server 1', 'https://x.test/hdtv'), null);
+});
+
+test('rankMirrors drops duplicates and ranks direct links first', () => {
+    const mirrors = rankMirrors([
+        { url: 'https://other.test/watch/1', label: 'Server 1', direct: false },
+        { url: 'https://dood.li/e/1', label: 'Server 2', direct: true },
+        { url: 'https://dood.li/e/1', label: 'Server 3', direct: true },
+        { url: 'https://pixeldrain.com/u/1', label: '480p', direct: true },
+    ]);
+    assert.deepEqual(mirrors.map(m => [m.priority, m.provider, m.quality]), [
+        [1, 'dood', null],
+        [2, 'pixeldrain', '480p'],
+        [3, 'other.test', null],
+    ]);
+});
+
+// ─── Registry ──────────────────────────────────────────────────────────────────
+
+test('built-in plugins classify direct hosts, tutorials and catch-all streams', () => {
+    assert.equal(providerRegistry.classify('https://dood.li/e/abc'), 'direct');
+    assert.equal(providerRegistry.classify('https://pixeldrain.com/u/abc'), 'direct');
+    assert.equal(providerRegistry.classify('https://www.youtube.com/embed/KOWcj7XKnfQ'), 'junk');
+    assert.equal(providerRegistry.providerOf('https://files.somestream.cc/v/1'), 'stream');
+    assert.equal(providerRegistry.providerOf('https://www.streamwish.to/e/1'), 'streamwish');
+    assert.equal(providerRegistry.classify('https://www.example.com/v/1'), null);
+});
+
+test('findPlayable prefers iframes, then provider URLs in scripts', () => {
+    const page = '<iframe src="https://www.youtube.com/embed/x"></iframe>' +
+        '<iframe src="/player/vidstreaming/1"></iframe>' +
+        '<script>var file = "https://pixeldrain.com/u/xyz";</script>';
+    assert.equal(providerRegistry.findPlayable(page, 'https://site.test/embed/1/'), 'https://site.test/player/vidstreaming/1');
+    assert.equal(providerRegistry.findPlayable(page.replace(/<iframe[^>]*vidstreaming[^>]*><\/iframe>/, ''), 'https://site.test/'), 'https://pixeldrain.com/u/xyz');
+});
+
+test('plugins load from a directory and override built-ins by name', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'provider-plugins-'));
+    try {
+        fs.writeFileSync(path.join(dir, 'hosts.js'), `module.exports = [
+            { name: 'dood', kind: 'junk', match: /dood\\.li\\/e\\/trailer/ },
+            {
+                name: 'filehost',
+                kind: 'embed',
+                match: /^https:\\/\\/filehost\\.test\\//,
+                extract: html => (html.match(/data-file="([^"]+)"/) || [])[1],
+            },
+        ];`);
+        const registry = new ProviderRegistry().loadDir(BUILTIN_PLUGINS_DIR);
+        const site = registry.extend([]);
+        registry.loadDir(dir);
+
+        // Extensions see plugins loaded into their parent later on
+        assert.equal(site.classify('https://dood.li/e/trailer'), 'junk');
+        assert.equal(site.classify('https://streamwish.to/e/1'), 'direct');
+        assert.equal(site.classify('https://filehost.test/v/9'), 'embed');
+        assert.equal(site.extract('<div data-file="https://cdn.filehost.test/9.mp4">', 'https://filehost.test/v/9'), 'https://cdn.filehost.test/9.mp4');
+
+        fs.writeFileSync(path.join(dir, 'broken.js'), "module.exports = { name: 'broken', kind: 'video', match: /x/ };");
+        assert.throws(() => new ProviderRegistry().loadDir(dir), /broken\.js: Provider plugin "broken": kind must be one of direct, embed, junk/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,112 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { startFixtureServer } = require('./helpers/fixture_server');
+const { AnimeDekhoImporter } = require('../sources/animedekho');
+const { SourceAdapter } = require('../sources/base');
+const { parseJsLiteral } = require('../html_utils');
+const { ScheduleStore, ScheduleError, normalizeSchedule, nextAiring, renderScheduleIcs } = require('../release_schedule');
+
+// A Monday
+const NOW = new Date('2026-10-19T00:00:00Z');
+
+let server;
+
+before(async () => {
+    server = await startFixtureServer('animedekho');
+});
+
+after(() => server.close());
+
+test('script literals are parsed without being evaluated', () => {
+    assert.deepEqual(
+        parseJsLiteral("[{ day: 'Mon', \"time\": '6:30 PM', /* note */ ep: 12, }, ]"),
+        [{ day: 'Mon', time: '6:30 PM', ep: 12 }]
+    );
+    assert.throws(() => parseJsLiteral('[fetch("https://x.test/")]'), /Unexpected identifier "fetch"/);
+    assert.throws(() => parseJsLiteral('[`${process.exit()}`]'), /Template expressions are not supported/);
+
+    const parsed = parseJsLiteral('{ "__proto__": { "admin": true } }');
+    assert.equal(Object.getPrototypeOf(parsed), Object.prototype);
+    assert.deepEqual(Object.keys(parsed), ['__proto__']);
+});
+
+test('getSchedule returns typed entries normalized from IST to UTC', async () => {
+    const importer = new AnimeDekhoImporter({ baseUrl: server.base });
+    const schedule = await importer.getSchedule({ now: NOW });
+
+    assert.equal(schedule.source, 'animedekho');
+    assert.equal(schedule.fetchedAt, NOW.toISOString());
+    assert.deepEqual(schedule.entries, [
+        {
+            series: 'Jujutsu Kaisen', slug: 'jujutsu-kaisen', weekday: 'Monday', time: '13:00', timezone: 'UTC',
+            local: { weekday: 'Monday', time: '18:30', timezone: 'Asia/Kolkata' },
+        },
+        {
+            series: 'One Piece', slug: 'one-piece', weekday: 'Friday', time: '15:30', timezone: 'UTC',
+            local: { weekday: 'Friday', time: '21:00', timezone: 'Asia/Kolkata' },
+        },
+    ]);
+});
+
+test('sources without a schedule throw a ScheduleError', async () => {
+    const source = new SourceAdapter({ id: 'plain', name: 'Plain', baseUrl: 'https://plain.test' });
+    await assert.rejects(source.getSchedule(), { name: 'ScheduleError', message: 'Schedule is not supported by Plain.' });
+    assert.throws(() => normalizeSchedule({ error: 'x' }), ScheduleError);
+});
+
+test('times cross midnight, follow daylight saving and skip unusable items', () => {
+    const items = [
+        { day: 'Sun', time: '8:00 PM', title: 'Late Show', timezone: 'America/New_York' },
+        { day: 'Tuesday', time: '01:30 JST', title: 'Night Anime' },
+        { day: 'Someday', time: '10:00', title: 'Broken' },
+        { day: 'Friday', time: 'soon', title: 'No Time' },
+    ];
+
+    const summer = normalizeSchedule(items, { now: new Date('2026-07-01T00:00:00Z') });
+    assert.equal(summer.skipped, 2);
+    assert.deepEqual(summer.entries.map(e => [e.series, e.weekday, e.time]), [
+        ['Late Show', 'Monday', '00:00'],
+        ['Night Anime', 'Monday', '16:30'],
+    ]);
+
+    const winter = normalizeSchedule(items, { now: new Date('2026-12-01T00:00:00Z') });
+    assert.deepEqual(winter.entries[0], {
+        series: 'Late Show', slug: null, weekday: 'Monday', time: '01:00', timezone: 'UTC',
+        local: { weekday: 'Sunday', time: '20:00', timezone: 'America/New_York' },
+    });
+});
+
+test('the ICS feed has one weekly event per entry from its next airing', () => {
+    const { entries } = normalizeSchedule([
+        { day: 'Friday', time: '21:00', title: 'One Piece, Hindi; Dub', slug: 'one-piece' },
+    ], { timezone: 'Asia/Kolkata', now: NOW });
+    assert.deepEqual(nextAiring(entries[0], NOW), new Date('2026-10-23T15:30:00Z'));
+
+    const ics = renderScheduleIcs(entries, { source: 'animedekho', now: NOW, seriesUrl: slug => `https://animedekho.app/serie/${slug}/` });
+    assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+    assert.ok(ics.split('\r\n').every(line => Buffer.byteLength(line) <= 75));
+    const unfolded = ics.replace(/\r\n /g, '');
+    assert.match(unfolded, /\r\nUID:animedekho-one-piece-fr-1530@automated-scraper\r\n/);
+    assert.match(unfolded, /\r\nDTSTART:20261023T153000Z\r\n/);
+    assert.match(unfolded, /\r\nRRULE:FREQ=WEEKLY;BYDAY=FR\r\n/);
+    assert.match(unfolded, /\r\nSUMMARY:One Piece\\, Hindi\\; Dub\r\n/);
+    assert.match(unfolded, /\r\nDESCRIPTION:New episode \(Friday 21:00 Asia\/Kolkata\)\r\n/);
+    assert.match(unfolded, /\r\nURL:https:\/\/animedekho.app\/serie\/one-piece\/\r\n/);
+});
+
+test('the last schedule of each source is kept between runs', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'schedule-'));
+    const file = path.join(dir, 'schedule.json');
+    const schedule = { source: 'animedekho', fetchedAt: NOW.toISOString(), timezone: 'Asia/Kolkata', entries: [] };
+
+    new ScheduleStore(file).load().set('animedekho', schedule).save();
+    const store = new ScheduleStore(file).load();
+    assert.deepEqual(store.get('animedekho'), schedule);
+    assert.equal(store.get('toonstream'), null);
+
+    fs.rmSync(dir, { recursive: true, force: true });
+});
@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { RequestScheduler, TokenBucket, mapConcurrent } = require('../request_scheduler');
+
+const sleep = ms => new Promise(res => setTimeout(res, ms));
+
+test('TokenBucket allows a burst, then spaces takers by the rate', async () => {
+    const bucket = new TokenBucket(20, 2);
+    const start = Date.now();
+    const times = [];
+    await Promise.all([0, 1, 2, 3].map(() => bucket.take().then(() => times.push(Date.now() - start))));
+
+    assert.ok(times[1] < 25, `burst should be immediate, got ${times[1]}ms`);
+    // Two more tokens at 20/s need ~100ms
+    assert.ok(times[3] >= 90, `expected throttling, got ${times[3]}ms`);
+});
+
+test('TokenBucket with rate 0 never waits', async () => {
+    const bucket = new TokenBucket(0, 1);
+    const start = Date.now();
+    await Promise.all(Array.from({ length: 50 }, () => bucket.take()));
+    assert.ok(Date.now() - start < 25);
+});
+
+test('RequestScheduler never exceeds maxConcurrency', async () => {
+    const scheduler = new RequestScheduler({ maxConcurrency: 3, ratePerSecond: 0 });
+    let active = 0;
+    let peak = 0;
+
+    await Promise.all(Array.from({ length: 10 }, () => scheduler.run(async () => {
+        active++;
+        peak = Math.max(peak, active);
+        await sleep(5);
+        active--;
+    })));
+
+    assert.equal(peak, 3);
+    assert.equal(scheduler.active, 0);
+});
+
+test('RequestScheduler rate limits per host, not globally', async () => {
+    const scheduler = new RequestScheduler({ maxConcurrency: 10, ratePerSecond: 10, burst: 1 });
+    const start = Date.now();
+    await Promise.all([
+        scheduler.throttle('https://a.example/1'),
+        scheduler.throttle('https://b.example/1'),
+    ]);
+    assert.ok(Date.now() - start < 25, 'different hosts should not wait on each other');
+
+    await scheduler.throttle('https://a.example/2');
+    assert.ok(Date.now() - start >= 90, 'same host should wait for a new token');
+});
+
+test('RequestScheduler releases the slot when a task throws', async () => {
+    const scheduler = new RequestScheduler({ maxConcurrency: 1, ratePerSecond: 0 });
+    await assert.rejects(scheduler.run(async () => { throw new Error('boom'); }), /boom/);
+    assert.equal(await scheduler.run(async () => 'ok'), 'ok');
+});
+
+test('mapConcurrent keeps input order regardless of completion order', async () => {
+    let inFlight = 0;
+    let peak = 0;
+    const result = await mapConcurrent([30, 5, 20, 1, 10], 2, async (ms, i) => {
+        inFlight++;
+        peak = Math.max(peak, inFlight);
+        await sleep(ms);
+        inFlight--;
+        return i;
+    });
+
+    assert.deepEqual(result, [0, 1, 2, 3, 4]);
+    assert.equal(peak, 2);
+    assert.deepEqual(await mapConcurrent([], 4, async x => x), []);
+});
@@ -0,0 +1,112 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { startFixtureServer, captureStdout } = require('./helpers/fixture_server');
+const { AnimeDekhoImporter } = require('../sources/animedekho');
+const { bulkExportAnime } = require('../importer');
+const { HttpError, ChallengeError } = require('../http_client');
+const { ScrapeHealth, HealthHistory, classifyError, diagnose, formatHealthReport } = require('../scrape_health');
+
+let server;
+
+before(async () => {
+    server = await startFixtureServer('animedekho');
+});
+
+after(() => server.close());
+
+/**
+ * A finished run with the given metrics, as HealthHistory stores it.
+ */
+function run(metrics, { healthy = true, categories = {} } = {}) {
+    const health = new ScrapeHealth({ source: 'animedekho' });
+    return {
+        ...health.toJSON(),
+        metrics: { ...health.metrics(), ...metrics },
+        categories,
+        healthy,
+    };
+}
+
+test('failed fetches are classified by kind', () => {
+    assert.equal(classifyError(new HttpError(404, 'https://x.test/')), 'http_404');
+    assert.equal(classifyError(new HttpError(503, 'https://x.test/')), 'http_5xx');
+    assert.equal(classifyError(new ChallengeError('https://x.test/', 'cloudflare')), 'challenge');
+    assert.equal(classifyError(new Error('Request timeout')), 'timeout');
+    assert.equal(classifyError(Object.assign(new Error('getaddrinfo'), { code: 'ENOTFOUND' })), 'network');
+});
+
+test('a bulk export fills the health report', async () => {
+    const importer = new AnimeDekhoImporter({
+        baseUrl: server.base,
+        categories: [
+            { name: 'Home', path: '/home/', paginated: false },
+            { name: 'Gone', path: '/category/gone/', paginated: false },
+        ],
+    });
+    const health = new ScrapeHealth({ source: importer.id });
+    await captureStdout(() => bulkExportAnime(importer, 0, { health }));
+
+    const report = health.finish().toJSON();
+    assert.deepEqual(report.categories, {
+        Home: { pages: 1, found: 4, added: 4, failed: 0 },
+        Gone: { pages: 0, found: 0, added: 0, failed: 1 },
+    });
+    assert.equal(report.metrics.discovered, 4);
+    // Only naruto has a series page in the fixtures
+    assert.equal(report.metrics.seriesAttempted, 4);
+    assert.equal(report.metrics.seriesParsed, 1);
+    assert.equal(report.metrics.episodesFound, 4);
+    assert.equal(report.metrics.linksResolved, 3);
+    assert.equal(report.errors.export_error, 3);
+    assert.equal(report.errors.no_link, 1);
+    assert.ok(report.errors.http_404 >= 4);
+});
+
+test('a run that finds nothing collapses even without a baseline', () => {
+    const report = run({ discovered: 0, seriesAttempted: 0 });
+    report.errors = { http_404: 2 };
+
+    const diagnosis = diagnose(report, null);
+    assert.equal(diagnosis.healthy, false);
+    assert.deepEqual(diagnosis.problems, ['No series discovered in any category.']);
+    assert.match(diagnosis.cause, /HTTP 404/);
+    assert.match(formatHealthReport(report, diagnosis), /Status: +COLLAPSED \(no baseline yet\)/);
+});
+
+test('counts are compared with the median of recent healthy runs', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scrape-health-'));
+    const history = new HealthHistory(path.join(dir, 'health.json'));
+    const healthy = { discovered: 100, seriesAttempted: 50, seriesParsed: 50, episodesFound: 800, linksAttempted: 100, linksResolved: 90, parseRate: 1, linkRate: 0.9 };
+    const ok = { healthy: true, problems: [] };
+
+    history.record(run(healthy, { categories: { Home: { found: 20 } } }), ok);
+    history.record(run({ ...healthy, discovered: 120 }, { categories: { Home: { found: 24 } } }), ok);
+    // A collapsed run never lowers the bar
+    history.record(run({ ...healthy, discovered: 1 }), { healthy: false, problems: ['x'] });
+    history.save();
+
+    const baseline = new HealthHistory(history.filePath).load().baseline('animedekho');
+    assert.equal(baseline.runs, 2);
+    assert.equal(baseline.metrics.discovered, 110);
+    assert.equal(baseline.categories.Home, 22);
+
+    const steady = diagnose(run({ ...healthy, discovered: 90 }, { categories: { Home: { found: 18 } } }), baseline);
+    assert.equal(steady.healthy, true);
+
+    const broken = run({ ...healthy, discovered: 30, linksResolved: 10, linkRate: 0.1 }, { categories: { Home: { found: 0 } } });
+    broken.errors = { no_link: 90 };
+    const diagnosis = diagnose(broken, baseline);
+    assert.equal(diagnosis.healthy, false);
+    assert.deepEqual(diagnosis.problems, [
+        'Series discovered collapsed: 30 vs baseline 110.',
+        'Links resolved collapsed: 10% vs baseline 90%.',
+    ]);
+    assert.deepEqual(diagnosis.warnings, ['Category "Home" found no series (baseline 22).']);
+    assert.match(diagnosis.cause, /no playable mirror/);
+
+    fs.rmSync(dir, { recursive: true, force: true });
+});
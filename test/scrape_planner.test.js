@@ -0,0 +1,112 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { startFixtureServer, captureStdout } = require('./helpers/fixture_server');
+const { AnimeDekhoImporter } = require('../sources/animedekho');
+const { bulkExportAnime } = require('../importer');
+const { StateStore } = require('../state_store');
+const { planScrape } = require('../scrape_planner');
+
+// A Wednesday
+const NOW = new Date('2026-10-21T12:00:00Z');
+const daysAgo = n => new Date(NOW.getTime() - n * 86400000).toISOString();
+
+const anime = slug => ({ title: slug.replace(/-/g, ' '), slug, type: 'series' });
+const entry = (series, slug, weekday, time = '12:00') => ({ series, slug, weekday, time, timezone: 'UTC' });
+
+let server;
+
+before(async () => {
+    server = await startFixtureServer('animedekho');
+});
+
+after(() => server.close());
+
+function stateWith(series) {
+    const state = new StateStore('unused.json');
+    state.data.series = series;
+    return state;
+}
+
+test('airing, recently updated, new and back-catalog series are planned in that order', () => {
+    const catalog = ['bleach', 'one-piece', 'dororo', 'frieren', 'mushishi', 'monster'].map(anime);
+    const schedule = {
+        entries: [
+            // Aired yesterday, today (earlier) and on Monday
+            entry('One Piece', 'one-piece', 'Tuesday'),
+            entry('Frieren', null, 'Wednesday', '09:00'),
+            entry('Dororo', 'dororo', 'Monday'),
+            // Not in the crawled categories, still planned
+            entry('Kaiju No. 8', 'kaiju-no-8', 'Tuesday', '20:00'),
+        ],
+    };
+    const state = stateWith({
+        'bleach': { checkedAt: daysAgo(1), changedAt: daysAgo(30) },
+        'dororo': { checkedAt: daysAgo(2), changedAt: daysAgo(2) },
+        'mushishi': { checkedAt: daysAgo(9), changedAt: daysAgo(40) },
+        'one-piece': { checkedAt: daysAgo(1), changedAt: daysAgo(1) },
+        'vinland-saga': { title: 'Vinland Saga', checkedAt: daysAgo(3), changedAt: daysAgo(3) },
+    });
+
+    const plan = planScrape(catalog, { schedule, state, now: NOW });
+    assert.deepEqual(plan.items.map(a => [a.slug, a.reason]), [
+        ['frieren', 'airing'],
+        ['kaiju-no-8', 'airing'],
+        ['one-piece', 'airing'],
+        ['dororo', 'recent'],
+        ['vinland-saga', 'recent'],
+        ['monster', 'new'],
+        ['mushishi', 'backlog'],
+        ['bleach', 'backlog'],
+    ]);
+    assert.equal(plan.items[1].title, 'Kaiju No. 8');
+    assert.equal(plan.items[4].title, 'Vinland Saga');
+
+    const limited = planScrape(catalog, { schedule, state, now: NOW, limit: 4 });
+    assert.deepEqual(limited.counts, { airing: 3, recent: 1, new: 0, backlog: 0 });
+});
+
+test('the back catalog rotates by last check and keeps listing order without state', () => {
+    const catalog = ['a', 'b', 'c', 'd'].map(anime);
+    assert.deepEqual(planScrape(catalog, { limit: 2 }).items.map(a => a.slug), ['a', 'b']);
+
+    const state = stateWith({
+        a: { checkedAt: daysAgo(1) }, b: { checkedAt: daysAgo(2) }, c: { checkedAt: daysAgo(4) }, d: { checkedAt: daysAgo(3) },
+    });
+    assert.deepEqual(planScrape(catalog, { state, now: NOW, limit: 2 }).items.map(a => a.slug), ['c', 'd']);
+
+    // Series the crawl did not list this time still come up in turn
+    state.data.series.e = { title: 'Echo', checkedAt: daysAgo(5), changedAt: daysAgo(60) };
+    const plan = planScrape(catalog, { state, now: NOW });
+    assert.deepEqual(plan.items.map(a => [a.slug, a.reason]), [['e', 'backlog'], ['c', 'backlog'], ['d', 'backlog'], ['b', 'backlog'], ['a', 'backlog']]);
+    assert.equal(plan.items[0].title, 'Echo');
+});
+
+test('a limited bulk export takes the airing series first', async () => {
+    const importer = new AnimeDekhoImporter({ baseUrl: server.base, categories: [{ name: 'Home', path: '/home/', paginated: false }] });
+    const schedule = {
+        entries: [entry('Naruto Shippuden', 'naruto-shippuden-hindi-tamil-telugu', ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][new Date().getUTCDay()], '00:00')],
+    };
+
+    const out = await captureStdout(() => bulkExportAnime(importer, 1, { schedule }));
+    assert.match(out, /-- Total Anime: 1\n/);
+    assert.match(out, /-- === Naruto Shippuden ===/);
+});
+
+test('with the sitemap, series and movies no crawled category lists are planned too', async () => {
+    const importer = new AnimeDekhoImporter({ baseUrl: server.base, categories: [{ name: 'Home', path: '/home/', paginated: false }] });
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scrape-planner-'));
+    try {
+        const state = new StateStore(path.join(dir, 'scrape_state.json'));
+        await captureStdout(() => bulkExportAnime(importer, 0, { state, sitemap: true }));
+        // Both sitemap-only pages were tried (and, without fixtures, marked as checked)
+        assert.ok(state.getSeries('one-piece').checkedAt);
+        assert.ok(state.getSeries('your-name').checkedAt);
+        assert.ok(server.requests.includes('/sitemap.xml'));
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,110 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { SelectorProfile, loadProfile, formatProfileTrace } = require('../selector_profile');
+const { AnimeDekhoImporter } = require('../sources/animedekho');
+
+const page = section => new SelectorProfile({ formatVersion: 1, name: 'test', list: {}, series: {}, episode: {}, ...section });
+
+test('fields fall back in order and collapse whitespace', () => {
+    const profile = page({
+        series: {
+            fields: {
+                title: [{ selector: "meta[property='og:title']", attr: 'content' }, 'h1'],
+                year: [{ selector: '.meta', regex: '(\\d{4})' }],
+                missing: ['.nowhere'],
+            },
+        },
+    });
+    const { fields } = profile.extract('series', '<h1>  Naruto\n  Shippuden </h1><p class="meta">Aired 2007 &amp; later</p>');
+
+    assert.deepEqual(fields, { title: 'Naruto Shippuden', year: '2007', missing: null });
+});
+
+test('groups merge item selectors, fill placeholders and decode base64', () => {
+    const profile = page({
+        episode: {
+            groups: {
+                servers: {
+                    items: ['[data-src]', "a[href*='{host}/dl']"],
+                    fields: {
+                        url: [{ attr: 'data-src', decode: 'base64' }, { attr: 'href', regex: 'url=([A-Za-z0-9+/=]+)', decode: 'base64' }],
+                        label: [{ exclude: '^Broken$' }],
+                    },
+                },
+            },
+        },
+    });
+    const encoded = Buffer.from('https://dood.li/e/1').toString('base64');
+    const html = `
+        <a data-src="${encoded}">Server 1</a>
+        <a data-src="not base64!">Broken</a>
+        <a href="https://site.test/dl?url=${Buffer.from('https://pixeldrain.com/u/1').toString('base64')}">Download</a>
+        <a href="https://other.test/dl?url=x">Elsewhere</a>`;
+
+    const { groups } = profile.extract('episode', html, { vars: { host: 'site.test' } });
+    assert.deepEqual(groups.servers, [
+        { url: 'https://dood.li/e/1', label: 'Server 1' },
+        { url: null, label: null },
+        { url: 'https://pixeldrain.com/u/1', label: 'Download' },
+    ]);
+});
+
+test('profiles are checked for format version and page sections', () => {
+    assert.throws(() => new SelectorProfile({ formatVersion: 2, list: {}, series: {}, episode: {} }), /Unsupported selector profile format 2/);
+    assert.throws(() => new SelectorProfile({ formatVersion: 1, list: {}, series: {} }), /no "episode" section/);
+    assert.throws(() => page({}).extract('calendar', ''), /Unknown page type "calendar"/);
+
+    const builtin = loadProfile('animedekho');
+    assert.equal(builtin.name, 'animedekho');
+    assert.ok(builtin.version);
+});
+
+test('a traced extract reports every fallback and flags fields that matched nothing', () => {
+    const profile = page({
+        series: {
+            fields: { title: ['h1', 'h2'], poster: [{ selector: 'img', attr: 'src' }] },
+            groups: { episodes: { items: ['li.ep'], fields: { title: ['.t'] } } },
+        },
+    });
+    const result = profile.extract('series', '<h2>Only H2</h2><ul><li>no class</li></ul>', { trace: true });
+
+    assert.deepEqual(result.trace.fields.title, [
+        { spec: 'h1', matches: 0, value: null },
+        { spec: 'h2', matches: 1, value: 'Only H2' },
+    ]);
+    const report = formatProfileTrace(profile, 'series', result);
+    assert.equal(report.ok, false);
+    assert.match(report.text, /✓ h2 +\[1 match\(es\)\] -> "Only H2"/);
+    assert.match(report.text, /episodes: 0 item\(s\)/);
+});
+
+test('optional fields and groups may match nothing without failing validation', () => {
+    const profile = page({
+        series: {
+            optional: ['rating', 'genres'],
+            fields: { title: ['h1'], rating: ['.vote .num'] },
+            groups: { genres: { items: ['.genres a'], fields: { name: [{}] } } },
+        },
+    });
+    const report = formatProfileTrace(profile, 'series', profile.extract('series', '<h1>Bleach</h1>', { trace: true }));
+
+    assert.equal(report.ok, true);
+    assert.match(report.text, /\(no fallback matched, optional\)/);
+    assert.match(report.text, /genres: 0 item\(s\) \(optional\)/);
+});
+
+test('adapters can be given their own profile', () => {
+    const profile = page({
+        list: { groups: { anime: { items: ['.card'], fields: { url: [{ selector: 'a', attr: 'href' }], title: ['.name'] } } } },
+    });
+    const importer = new AnimeDekhoImporter({ baseUrl: 'https://site.test', profile });
+    const list = importer._parseAnimeList(`
+        <div class="card"><a href="/serie/one-piece/"></a><span class="name">One Piece | Watch Online</span></div>
+        <div class="card"><a href="/category/anime/"></a><span class="name">Anime</span></div>`);
+
+    assert.deepEqual(list, [{ title: 'One Piece', url: 'https://site.test/serie/one-piece/', slug: 'one-piece', type: 'series' }]);
+    assert.equal(importer.profilePageType('https://site.test/epi/one-piece-1x1/'), 'episode');
+    assert.equal(importer.profilePageType('/serie/one-piece/'), 'series');
+    assert.equal(importer.profilePageType('https://site.test/category/anime/page/2/'), 'list');
+});
@@ -0,0 +1,104 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createApp } = require('../server');
+const { HttpError, ChallengeError } = require('../transports');
+const { ScheduleError } = require('../release_schedule');
+
+const TIMEOUT_MS = 100;
+
+// What the stub importer does for a slug or episode id; anything else is a found anime
+const FAILURES = {
+    'missing': () => { throw new HttpError(404, 'https://animedekho.app/serie/missing/'); },
+    'down': () => { throw new HttpError(503, 'https://animedekho.app/serie/down/'); },
+    'challenged': () => { throw new ChallengeError('https://animedekho.app/serie/challenged/', 'cf-mitigated'); },
+    'unreachable': () => { throw Object.assign(new Error('getaddrinfo ENOTFOUND animedekho.app'), { code: 'ENOTFOUND' }); },
+    'slow-site': () => { throw Object.assign(new Error('Request timeout'), { code: 'ETIMEDOUT' }); },
+    'slow-browser': () => { throw Object.assign(new Error('page.goto: Timeout 45000ms exceeded'), { name: 'TimeoutError' }); },
+    'hanging': () => new Promise(() => { }),
+    'broken': () => { throw new TypeError("Cannot read properties of undefined (reading 'title')"); },
+};
+
+const stubImporter = {
+    async search(q) {
+        return [{ title: 'Naruto Shippuden', slug: 'naruto-shippuden', query: q }];
+    },
+    async getAnimeDetails(slug) {
+        if (FAILURES[slug]) return FAILURES[slug]();
+        if (slug === 'untitled') return { title: '', seasons: [] };
+        return { title: 'Naruto Shippuden', slug, type: 'series', seasons: [] };
+    },
+    async getEpisodes(slug) {
+        if (FAILURES[slug]) return FAILURES[slug]();
+        return [{ episodeId: `${slug}-1x1`, season: 1, number: 1 }];
+    },
+    async getEpisodeSources(episodeId) {
+        if (FAILURES[episodeId]) return FAILURES[episodeId]();
+        if (episodeId === 'no-links') return [];
+        return [{ url: 'https://dood.li/e/naruto1x1', provider: 'dood', priority: 1 }, { url: 'https://www.streamwish.to/e/abc123', provider: 'streamwish', priority: 2 }];
+    },
+    async getSchedule() {
+        throw new ScheduleError('Schedule page has no day sections');
+    },
+};
+
+let server;
+let base;
+
+before(async () => {
+    server = createApp({ importer: stubImporter, timeoutMs: TIMEOUT_MS }).listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+async function get(path) {
+    const res = await fetch(base + path);
+    return { status: res.status, body: await res.json() };
+}
+
+const apiError = (status, message) => ({ status, body: { error: { status, message } } });
+
+test('successful requests answer the importer results as JSON', async () => {
+    assert.deepEqual(await get('/search?q=%20naruto%20'), {
+        status: 200,
+        body: { query: 'naruto', results: [{ title: 'Naruto Shippuden', slug: 'naruto-shippuden', query: 'naruto' }] },
+    });
+    assert.equal((await get('/anime/naruto-shippuden')).body.title, 'Naruto Shippuden');
+    assert.deepEqual((await get('/anime/naruto-shippuden/episodes')).body, {
+        slug: 'naruto-shippuden', episodes: [{ episodeId: 'naruto-shippuden-1x1', season: 1, number: 1 }],
+    });
+    const link = await get('/episodes/naruto-shippuden-1x1/link');
+    assert.equal(link.status, 200);
+    assert.equal(link.body.link, 'https://dood.li/e/naruto1x1');
+    assert.equal(link.body.sources.length, 2);
+});
+
+test('bad input and anything not found map to 400 and 404', async () => {
+    assert.deepEqual(await get('/search?q=%20'), apiError(400, 'Query parameter "q" is required'));
+    assert.deepEqual(await get('/anime/untitled'), apiError(404, 'Anime not found'));
+    assert.deepEqual(await get('/anime/missing'), apiError(404, 'Not found on source site'));
+    assert.deepEqual(await get('/anime/missing/episodes'), apiError(404, 'Not found on source site'));
+    assert.deepEqual(await get('/episodes/no-links/link'), apiError(404, 'No playable link found'));
+    assert.deepEqual(await get('/nope'), apiError(404, 'No route for GET /nope'));
+});
+
+test('source site failures map to 502 and unexpected errors to 500', async () => {
+    assert.deepEqual(await get('/anime/down'), apiError(502, 'Source site responded with HTTP 503'));
+    assert.deepEqual(await get('/anime/challenged/episodes'), apiError(502, 'Source site served a challenge page'));
+    assert.deepEqual(await get('/episodes/unreachable/link'), apiError(502, 'Source site unreachable (ENOTFOUND)'));
+    assert.deepEqual(await get('/schedule'), apiError(502, 'Schedule page has no day sections'));
+    assert.deepEqual(await get('/anime/broken'), apiError(500, 'Internal server error'));
+});
+
+test('source site timeouts and slow requests map to 504', async () => {
+    assert.deepEqual(await get('/anime/slow-site'), apiError(504, 'Source site timed out'));
+    assert.deepEqual(await get('/episodes/slow-browser/link'), apiError(504, 'Source site timed out'));
+
+    const started = Date.now();
+    assert.deepEqual(await get('/anime/hanging/episodes'), apiError(504, `Request timed out after ${TIMEOUT_MS}ms`));
+    assert.ok(Date.now() - started >= TIMEOUT_MS - 5);
+    // The server keeps answering after a timed-out request
+    assert.equal((await get('/anime/naruto-shippuden')).status, 200);
+});
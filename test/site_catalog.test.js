@@ -0,0 +1,90 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startFixtureServer, captureStdout } = require('./helpers/fixture_server');
+const { AnimeDekhoImporter } = require('../sources/animedekho');
+const { parseSitemap, crawlSitemap, collectCatalog, formatCatalog } = require('../site_catalog');
+
+const NOW = new Date('2026-10-19T00:00:00Z');
+
+let server;
+
+before(async () => {
+    server = await startFixtureServer('animedekho');
+});
+
+after(() => server.close());
+
+test('sitemap indexes are followed and unreadable children skipped', async () => {
+    assert.deepEqual(parseSitemap('<html><body>Not Found</body></html>'), { sitemaps: [], urls: [] });
+
+    const failed = [];
+    const urls = await crawlSitemap(`${server.base}/sitemap.xml`, { onSitemap: s => s.error && failed.push(s.url) });
+    assert.deepEqual(urls.map(u => [u.loc.replace(server.base, ''), u.lastmod]), [
+        ['/serie/naruto-shippuden-hindi-tamil-telugu/', '2026-10-17T13:00:00.000Z'],
+        ['/serie/one-piece/', '2026-10-18T00:00:00.000Z'],
+        ['/category/anime/', null],
+        ['https://elsewhere.test/serie/not-ours/', null],
+        ['/movies/your-name/', '2026-09-01T00:00:00.000Z'],
+    ]);
+    assert.deepEqual(failed, [`${server.base}/episodes-sitemap.xml`]);
+
+    await assert.rejects(crawlSitemap(`${server.base}/missing.xml`), { name: 'HttpError' });
+});
+
+test('categories come from the site navigation and are read to their last page', async () => {
+    const importer = new AnimeDekhoImporter({ baseUrl: server.base });
+    assert.deepEqual((await importer.getCategories()).map(c => [c.name, c.path]), [
+        ['Home', '/home/'],
+        ['Anime', '/category/anime/'],
+        ['Hindi Dub', '/category/hindi-dub/'],
+        ['Action', '/category/genre/action/'],
+    ]);
+
+    const pages = [];
+    let listed;
+    await captureStdout(async () => {
+        listed = await importer.getAllAnime({ onPage: page => pages.push(page) });
+    });
+    assert.deepEqual(pages.map(p => [p.category, p.page, p.found, p.added, p.error ? p.error.statusCode : null]), [
+        ['Home', 1, 4, 4, null],
+        ['Anime', 1, 2, 1, null],
+        // Page 3 is not found: the end of the category, not an error
+        ['Anime', 2, 1, 1, null],
+        // Page 2 repeats page 1
+        ['Hindi Dub', 1, 1, 0, null],
+        ['Hindi Dub', 2, 1, 0, null],
+        ['Action', 1, undefined, undefined, 404],
+    ]);
+    assert.deepEqual(listed.slice(4).map(a => [a.slug, a.category]), [['chainsaw-man', 'Anime'], ['frieren', 'Anime']]);
+
+    const limited = new AnimeDekhoImporter({ baseUrl: server.base, maxPages: 1 });
+    await captureStdout(async () => {
+        listed = await limited.getAllAnime();
+    });
+    assert.equal(listed.length, 5);
+});
+
+test('the catalog adds sitemap-only series and movies with counts per category', async () => {
+    const importer = new AnimeDekhoImporter({ baseUrl: server.base });
+    let catalog;
+    await captureStdout(async () => {
+        catalog = await collectCatalog(importer, { now: NOW });
+    });
+
+    assert.deepEqual(catalog.sitemap, { series: 2, movies: 1, missingFromCategories: 2 });
+    assert.deepEqual(catalog.categories.find(c => c.name === 'Anime'), { name: 'Anime', pages: 2, found: 3, added: 2, failed: 0 });
+    assert.deepEqual(catalog.anime.find(a => a.slug === 'your-name'), {
+        title: 'Your Name', slug: 'your-name', url: `${server.base}/movies/your-name/`, type: 'movie',
+        category: '(sitemap only)', lastmod: '2026-09-01T00:00:00.000Z',
+    });
+    assert.equal(catalog.anime.find(a => a.slug === 'naruto-shippuden-hindi-tamil-telugu').lastmod, '2026-10-17T13:00:00.000Z');
+    assert.equal(catalog.anime.length, 8);
+
+    const text = formatCatalog(catalog);
+    assert.match(text, /\n {2}Anime {16}3 listed {7}2 new {2}2 page\(s\)\n/);
+    assert.match(text, /\n {2}Action {15}0 listed {7}0 new {2}0 page\(s\), 1 failed\n/);
+    assert.match(text, /\nSitemap: 2 series, 1 movie\(s\), 2 not listed in any category\n/);
+    assert.match(text, /\nInventory: 8 anime \(6 series, 2 movie\(s\)\)\n/);
+    assert.match(text, /\nseries {2}2026-10-18 {2}one-piece {2}One Piece {2}\[\(sitemap only\)\]\n/);
+});
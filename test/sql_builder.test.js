@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { sqlBuilder, raw } = require('../sql_builder');
+const { renderAnimeSql } = require('../export_sql');
+const { renderLinkPatchSql } = require('../link_checker');
+
+const record = {
+    title: "Sasuke's Return", source: 'animedekho', slug: 'naruto', description: 'Line 1\r\nC:\\path', poster: '', type: 'series',
+    year: 2007, status: 'completed', rating: null, genres: ['Action'], languages: [],
+    seasons: [{
+        number: 1, title: 'Season 1', episodes: [
+            { title: 'Why?', link: 'https://dood.li/e/1', episodeId: 'naruto-1x1', order: 1, sources: [{ url: 'https://dood.li/e/1', provider: 'dood', quality: null, priority: 1 }] },
+        ],
+    }],
+};
+
+test('values are escaped for each dialect and nothing is dropped', () => {
+    const value = "It's C:\\dir\r\nnext";
+    assert.equal(sqlBuilder('mysql').literal(value), "'It\\'s C:\\\\dir\\r\\nnext'");
+    assert.equal(sqlBuilder('postgres').literal(value), "('It''s C:\\dir' || chr(13) || chr(10) || 'next')");
+    assert.equal(sqlBuilder('sqlite').literal(value), "('It''s C:\\dir' || char(13) || char(10) || 'next')");
+
+    const b = sqlBuilder('postgres');
+    assert.equal(b.literal(null), 'NULL');
+    assert.equal(b.literal(8.5), '8.5');
+    assert.equal(b.literal(new Date('2026-10-19T12:30:00Z')), "'2026-10-19 12:30:00'");
+    assert.throws(() => b.literal('a\0b'), /NUL/);
+    assert.throws(() => b.literal(NaN), /Cannot write NaN/);
+    assert.throws(() => sqlBuilder('oracle'), /Unknown SQL dialect "oracle". Available: mysql, postgres, sqlite/);
+
+    assert.equal(b.sql`SELECT ${"x'"} IN (${[1, 'a']}) AND ${raw('id')}`.text, "SELECT 'x''' IN (1, 'a') AND id");
+    assert.equal(b.inline({ sql: "UPDATE t SET a = ?, b = 'why?' WHERE id = ?", params: ["?'", 3] }), "UPDATE t SET a = '?''', b = 'why?' WHERE id = 3;\n");
+});
+
+test('postgres and sqlite exports keep ids in export_vars and skip duplicates their own way', () => {
+    const pg = renderAnimeSql(record, { dialect: 'postgres' });
+    assert.ok(pg.includes(
+        "INSERT INTO export_vars (name, value) VALUES ('anime_id', (SELECT id FROM anime WHERE source = 'animedekho' AND source_slug = 'naruto' LIMIT 1)) " +
+        'ON CONFLICT (name) DO UPDATE SET value = excluded.value;\n'
+    ));
+    assert.ok(pg.includes("WHERE (SELECT value FROM export_vars WHERE name = 'anime_id') IS NULL;\n"));
+    assert.ok(pg.includes(
+        "ON CONFLICT (anime_id, source, source_slug, title_key) DO UPDATE SET title = excluded.title, last_seen_at = CURRENT_TIMESTAMP;\n"
+    ));
+    assert.ok(pg.includes("  'https://dood.li/e/1' AS dood_id,\n  'naruto-1x1' AS source_episode_id,\n  1 AS ep_order ON CONFLICT DO NOTHING;\n"));
+    assert.ok(pg.includes("'Sasuke''s Return'"));
+    assert.ok(pg.includes("('Line 1' || chr(13) || chr(10) || 'C:\\path')"));
+    assert.doesNotMatch(pg, /@\w+|IGNORE|DUPLICATE KEY|LAST_INSERT_ID|\\'/);
+
+    const sqlite = renderAnimeSql(record, { dialect: 'sqlite' });
+    assert.ok(sqlite.includes("INSERT OR IGNORE INTO anime_genres (anime_id, genre) VALUES ((SELECT value FROM export_vars WHERE name = 'anime_id'), 'Action');\n"));
+    assert.ok(sqlite.includes("('Line 1' || char(13) || char(10) || 'C:\\path')"));
+    assert.equal(sqlBuilder('sqlite').session(), 'CREATE TEMPORARY TABLE IF NOT EXISTS export_vars (name TEXT PRIMARY KEY, value INTEGER);\n');
+
+    const mysql = renderAnimeSql(record, { dialect: 'mysql' });
+    assert.ok(mysql.includes("SET @anime_id = COALESCE(@anime_id, (SELECT id FROM anime WHERE source = 'animedekho' AND source_slug = 'naruto' LIMIT 1));\n"));
+    assert.ok(mysql.includes("'Line 1\\r\\nC:\\\\path'"));
+});
+
+test('link patches are written for the chosen dialect', () => {
+    const patch = renderLinkPatchSql([{ id: 7, status: 'dead', replacement: null }], { dialect: 'postgres' });
+    assert.match(patch, /\nSET client_encoding = 'UTF8';\nSTART TRANSACTION;\nUPDATE episodes SET link_status = 'dead', link_checked_at = CURRENT_TIMESTAMP WHERE id = 7;\nCOMMIT;\n$/);
+    assert.match(renderLinkPatchSql([{ id: 7, status: 'dead', replacement: null }], { dialect: 'sqlite' }), /\nBEGIN;\nUPDATE episodes [^\n]*\nCOMMIT;\n$/);
+});
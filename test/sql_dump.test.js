@@ -0,0 +1,137 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { SqlitePool } = require('../db_sqlite');
+const { migrateUp } = require('../migrate');
+const { applyDump, splitStatements, translateStatement, detectDumpDialect } = require('../sql_dump');
+const { sqlBuilder } = require('../sql_builder');
+const { renderAnimeSql } = require('../export_sql');
+const { buildAnimeRecord } = require('../export_model');
+const { startFixtureServer, captureStdout } = require('./helpers/fixture_server');
+const { AnimeDekhoImporter } = require('../sources/animedekho');
+
+const NARUTO = 'naruto-shippuden-hindi-tamil-telugu';
+
+let server;
+let record;
+
+before(async () => {
+    server = await startFixtureServer('animedekho');
+    const importer = new AnimeDekhoImporter({ baseUrl: server.base });
+    await captureStdout(async () => { record = await buildAnimeRecord(importer, NARUTO); });
+    // Quotes, backslashes and line breaks are escaped differently by every dialect
+    record = { ...record, description: "It's the \"sequel\"\nC:\\Naruto \\% 100%" };
+});
+
+after(() => server.close());
+
+async function catalog() {
+    const db = new SqlitePool(':memory:');
+    await migrateUp(db);
+    return db;
+}
+
+/**
+ * An export of `record` as db-export writes it for `dialect`.
+ */
+function dump(dialect) {
+    return `-- START ${record.title} --\n${sqlBuilder(dialect).session()}${renderAnimeSql(record, { dialect })}-- END ${record.title} --\n`;
+}
+
+async function snapshot(db) {
+    const [anime] = await db.query('SELECT title, source, source_slug, description, type, release_year, status FROM anime');
+    const [episodes] = await db.query(`
+        SELECT s.season_number, e.title, e.dood_id, e.ep_order, (SELECT COUNT(*) FROM episode_sources es WHERE es.episode_id = e.id) AS mirrors
+        FROM episodes e LEFT JOIN seasons s ON s.id = e.season_id ORDER BY e.ep_order`);
+    const [genres] = await db.query('SELECT genre FROM anime_genres ORDER BY genre');
+    return { anime, episodes, genres: genres.map(g => g.genre) };
+}
+
+test('statements are split around strings and comments', () => {
+    const script = "-- header; not a statement\nSET NAMES utf8mb4;\nINSERT INTO t VALUES ('a;b', 'it\\'s -- kept');\n/* block; */ SELECT 1";
+    assert.deepEqual(splitStatements(script), [
+        { sql: 'SET NAMES utf8mb4', line: 2 },
+        { sql: "INSERT INTO t VALUES ('a;b', 'it\\'s -- kept')", line: 3 },
+        { sql: 'SELECT 1', line: 4 },
+    ]);
+    // Standard strings have no backslash escapes
+    assert.deepEqual(splitStatements("SELECT 'C:\\';SELECT 2", 'sqlite').map(s => s.sql), ["SELECT 'C:\\'", 'SELECT 2']);
+
+    assert.equal(detectDumpDialect('-- Dialect: postgres\n'), 'postgres');
+    assert.equal(detectDumpDialect(dump('sqlite')), 'sqlite');
+    assert.equal(detectDumpDialect('SET NAMES utf8mb4;\n'), 'mysql');
+});
+
+test('MySQL statements are translated for SQLite', () => {
+    assert.equal(translateStatement('SET NAMES utf8mb4'), null);
+    assert.equal(translateStatement('SET FOREIGN_KEY_CHECKS = 0'), null);
+    assert.equal(translateStatement("INSERT IGNORE INTO `anime` (title) VALUES ('O\\'Brien\\n')"),
+        'INSERT OR IGNORE INTO "anime" (title) VALUES ((\'O\'\'Brien\' || char(10)))');
+    assert.equal(translateStatement('SET @anime_id = LAST_INSERT_ID()'),
+        "INSERT INTO export_vars (name, value) VALUES ('anime_id', last_insert_rowid()) ON CONFLICT (name) DO UPDATE SET value = excluded.value");
+    assert.equal(translateStatement("INSERT INTO anime_aliases (anime_id, title) VALUES (@anime_id, 'VALUES(x)') ON DUPLICATE KEY UPDATE title = VALUES(title), last_seen_at = NOW()"),
+        "INSERT INTO anime_aliases (anime_id, title) VALUES ((SELECT value FROM export_vars WHERE name = 'anime_id'), 'VALUES(x)') " +
+        'ON CONFLICT DO UPDATE SET title = excluded.title, last_seen_at = CURRENT_TIMESTAMP');
+});
+
+test('historical dumps and exports of every dialect load into a SQLite catalog alike', async () => {
+    const db = await catalog();
+    const historical = fs.readFileSync(path.join(__dirname, '..', 'bulk_export_2026-03-18.sql'), 'utf8');
+    assert.deepEqual(await applyDump(db, historical), { dialect: 'mysql', statements: 53, skipped: 1, rows: 53 });
+    // Replaying only inserts what is missing
+    assert.equal((await applyDump(db, historical)).rows, 0);
+
+    const snapshots = [];
+    for (const dialect of ['mysql', 'postgres', 'sqlite']) {
+        const target = await catalog();
+        await applyDump(target, dump(dialect));
+        await applyDump(target, dump(dialect));
+        snapshots.push(await snapshot(target));
+        await target.end();
+    }
+    assert.equal(snapshots[0].anime.length, 1);
+    assert.equal(snapshots[0].anime[0].description, record.description);
+    assert.deepEqual(snapshots[0].episodes.map(e => [e.season_number, e.ep_order, e.mirrors]), [[1, 1, 2], [1, 2, 1], [2, 3, 2]]);
+    assert.deepEqual(snapshots[0].genres, ['Action', 'Adventure']);
+    assert.deepEqual(snapshots[1], snapshots[0]);
+    assert.deepEqual(snapshots[2], snapshots[0]);
+    await db.end();
+});
+
+test('replaying a bulk export with foreign key checks off leaves no orphaned mirrors', async () => {
+    const db = await catalog();
+    const b = sqlBuilder('sqlite');
+    // A replay outside a transaction, where the PRAGMA takes effect and skips the cascade
+    await db.query('PRAGMA foreign_keys = OFF');
+    for (let run = 0; run < 3; run++) {
+        await applyDump(db, `${b.foreignKeyChecks(false)}${dump('sqlite')}${b.foreignKeyChecks(true)}`);
+    }
+    const [[orphans]] = await db.query('SELECT COUNT(*) AS n FROM episode_sources WHERE episode_id NOT IN (SELECT id FROM episodes)');
+    assert.equal(orphans.n, 0);
+    assert.deepEqual((await snapshot(db)).episodes.map(e => e.mirrors), [2, 1, 2]);
+    await db.end();
+});
+
+test('a MySQL target keeps its foreign key checks and transaction', async () => {
+    const log = [];
+    const conn = {
+        async query(sql) { log.push(sql); return [{ affectedRows: 0 }]; },
+        async beginTransaction() { }, async commit() { }, async rollback() { }, release() { },
+    };
+    const result = await applyDump({ getConnection: async () => conn }, 'SET FOREIGN_KEY_CHECKS = 0;\nSTART TRANSACTION;\nDELETE FROM anime;\nCOMMIT;\nSET FOREIGN_KEY_CHECKS = 1;\n');
+    assert.deepEqual(log, ['DELETE FROM anime']);
+    assert.equal(result.skipped, 4);
+});
+
+test('a failing statement rolls the whole dump back', async () => {
+    const db = await catalog();
+    await assert.rejects(
+        applyDump(db, "INSERT INTO anime (title) VALUES ('Bleach');\n\nINSERT INTO missing VALUES (1);"),
+        /^Error: Line 3: no such table: missing/
+    );
+    const [[row]] = await db.query('SELECT COUNT(*) AS n FROM anime');
+    assert.equal(row.n, 0);
+    await db.end();
+});
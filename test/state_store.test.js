@@ -0,0 +1,119 @@
+const { test, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { startFixtureServer, captureStdout } = require('./helpers/fixture_server');
+const { AnimeDekhoImporter } = require('../sources/animedekho');
+const { StateStore, fingerprintEpisodes } = require('../state_store');
+const { bulkExportAnime } = require('../importer');
+
+const NARUTO = 'naruto-shippuden-hindi-tamil-telugu';
+
+const ep = (season, number, episodeId = `${NARUTO}-${season}x${number}`) => ({ episodeId, season, number, title: `Episode ${number}` });
+
+class CatalogImporter extends AnimeDekhoImporter {
+    async getAllAnime() {
+        return [{ title: 'Naruto Shippuden', slug: NARUTO, type: 'series' }, ...(this.extra || [])];
+    }
+}
+
+let server;
+let dir;
+let stateFile;
+
+before(async () => {
+    server = await startFixtureServer('animedekho');
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'state-store-'));
+    stateFile = path.join(dir, 'nested', 'scrape_state.json');
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('fingerprints ignore order, titles and repeated markers', () => {
+    assert.equal(fingerprintEpisodes([ep(2, 1), ep(1, 10), ep(1, 2), ep(1, 2)]), '1x2,1x10,2x1');
+    assert.equal(fingerprintEpisodes([]), '');
+});
+
+test('a missing file loads as an empty state where every series has changed', () => {
+    const state = new StateStore(stateFile).load();
+    assert.deepEqual(state.data, { version: 1, series: {} });
+    assert.equal(state.getSeries(NARUTO), null);
+    assert.equal(state.hasChanged(NARUTO, []), true);
+    assert.equal(state.getLink(NARUTO, `${NARUTO}-1x1`), null);
+    assert.equal(fs.existsSync(stateFile), false);
+});
+
+test('saved series come back with their links, and only new episode markers count as a change', () => {
+    const state = new StateStore(stateFile).load();
+    state.setLink(NARUTO, `${NARUTO}-1x1`, 'https://dood.li/e/naruto1x1');
+    state.setSources(NARUTO, `${NARUTO}-1x1`, [{ url: 'https://dood.li/e/naruto1x1', provider: 'dood', quality: null, priority: 1 }]);
+    state.setLink(NARUTO, `${NARUTO}-1x9`, 'https://dood.li/e/removed');
+    state.commitSeries(NARUTO, [ep(1, 1), ep(1, 2)], 'Naruto Shippuden');
+    state.save();
+    assert.equal(fs.existsSync(`${stateFile}.tmp`), false);
+
+    const loaded = new StateStore(stateFile).load();
+    const entry = loaded.getSeries(NARUTO);
+    assert.equal(entry.title, 'Naruto Shippuden');
+    assert.equal(entry.fingerprint, '1x1,1x2');
+    assert.equal(entry.changedAt, entry.checkedAt);
+    // Links of episodes no longer on the page are dropped
+    assert.deepEqual(Object.keys(entry.links), [`${NARUTO}-1x1`]);
+    assert.equal(loaded.getSources(NARUTO, `${NARUTO}-1x1`)[0].provider, 'dood');
+
+    assert.equal(loaded.hasChanged(NARUTO, [ep(1, 2), { ...ep(1, 1), title: 'Renamed' }]), false);
+    assert.equal(loaded.hasChanged(NARUTO, [ep(1, 1), ep(1, 2), ep(1, 3)]), true);
+    assert.equal(loaded.hasChanged('bleach', [ep(1, 1)]), true);
+
+    // An unchanged commit keeps changedAt
+    entry.changedAt = '2026-01-01T00:00:00.000Z';
+    loaded.commitSeries(NARUTO, [ep(1, 2), ep(1, 1)]);
+    assert.equal(entry.changedAt, '2026-01-01T00:00:00.000Z');
+    // A series checked without a commit (skipped or failed) is remembered without episodes
+    loaded.markChecked('bleach', 'Bleach');
+    assert.deepEqual(Object.keys(loaded.getSeries('bleach')), ['fingerprint', 'episodes', 'links', 'sources', 'checkedAt', 'changedAt', 'title']);
+    assert.equal(loaded.getSeries('bleach').title, 'Bleach');
+    assert.ok(loaded.getSeries('bleach').checkedAt);
+    assert.equal(loaded.hasChanged('bleach', []), true);
+});
+
+test('a state file of another version is refused', () => {
+    fs.mkdirSync(path.dirname(stateFile), { recursive: true });
+    fs.writeFileSync(stateFile, JSON.stringify({ version: 2, series: {} }));
+    assert.throws(() => new StateStore(stateFile).load(), /Unsupported state file version 2 in .*scrape_state\.json/);
+});
+
+test('an incremental bulk export skips a series whose episodes are unchanged', async () => {
+    const importer = new CatalogImporter({ baseUrl: server.base });
+    const first = await captureStdout(() => bulkExportAnime(importer, 0, { state: new StateStore(stateFile).load() }));
+    assert.match(first, /-- Total Episodes: 3\n-- Unchanged \(skipped\): 0\n$/);
+    // Every episode on the page is remembered, the one without a playable link too
+    assert.equal(new StateStore(stateFile).load().getSeries(NARUTO).episodes.length, 4);
+
+    server.requests.length = 0;
+    const second = await captureStdout(() => bulkExportAnime(importer, 0, { state: new StateStore(stateFile).load() }));
+    assert.ok(!second.includes('=== Naruto Shippuden ==='));
+    assert.match(second, /-- Total Episodes: 0\n-- Unchanged \(skipped\): 1\n$/);
+    // Only the series page was read; no episode links were resolved again
+    assert.deepEqual(server.requests, [`/serie/${NARUTO}/`]);
+});
+
+test('series that fail are marked as checked so the back catalog rotates past them', async () => {
+    const importer = new CatalogImporter({ baseUrl: server.base });
+    importer.extra = [{ title: 'Gone Series', slug: 'gone-series', type: 'series' }];
+    await captureStdout(() => bulkExportAnime(importer, 0, { state: new StateStore(stateFile).load() }));
+
+    const entry = new StateStore(stateFile).load().getSeries('gone-series');
+    assert.equal(entry.title, 'Gone Series');
+    assert.ok(entry.checkedAt);
+    assert.equal(entry.fingerprint, null);
+});
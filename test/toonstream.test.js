@@ -0,0 +1,75 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startFixtureServer } = require('./helpers/fixture_server');
+const { SourceAdapter, createSource } = require('../sources');
+const { ToonStreamAdapter } = require('../sources/toonstream');
+
+const BEN_10 = 'ben-10-classic-hindi';
+
+let server;
+let source;
+
+before(async () => {
+    server = await startFixtureServer('toonstream');
+    source = new ToonStreamAdapter({ baseUrl: server.base });
+});
+
+after(() => server.close());
+
+test('the adapter is registered as a SourceAdapter with the /series/ and /episode/ layout', () => {
+    assert.ok(createSource('toonstream') instanceof SourceAdapter);
+    assert.equal(source.id, 'toonstream');
+    assert.equal(source.seriesUrl(BEN_10), `${server.base}/series/${BEN_10}/`);
+    assert.equal(source.episodeUrl(`${BEN_10}-1x1`), `${server.base}/episode/${BEN_10}-1x1/`);
+    assert.equal(source.slugFromUrl(`${server.base}/series/${BEN_10}/`), BEN_10);
+    // The site's own player pages are embeds to resolve
+    assert.equal(source.providers.classify(`${server.base}/home/?trembed=0&trid=4301&trtype=2`), 'embed');
+});
+
+test('the catalog is crawled from the navigation categories, reading only /series/ cards', async () => {
+    assert.deepEqual((await source.getCategories()).map(c => c.path), ['/home/', '/category/cartoon/', '/category/language/hindi-language/']);
+
+    const catalog = await source.getAllAnime();
+    assert.deepEqual(catalog.map(a => [a.slug, a.category]), [
+        [BEN_10, 'Home'],
+        ['doraemon', 'Home'],
+        ['shinchan', 'Cartoon'],
+    ]);
+    assert.equal(catalog[2].url, `${server.base}/series/shinchan/`);
+});
+
+test('getAnimeDetails reads a ToonStream series page', async () => {
+    const details = await source.getAnimeDetails(`${server.base}/series/${BEN_10}/`);
+
+    assert.equal(details.slug, BEN_10);
+    assert.equal(details.title, 'Ben 10 Classic');
+    assert.equal(details.description, 'Ten-year-old Ben Tennyson finds the Omnitrix & turns into ten different aliens.');
+    assert.equal(details.poster, 'https://image.tmdb.org/t/p/w500/ben10-poster.jpg');
+    assert.equal(details.type, 'series');
+    // "Cartoon" is a catalog tag, not a genre
+    assert.deepEqual(details.genres, ['Action', 'Sci-Fi']);
+    assert.deepEqual([details.year, details.status, details.rating], [2005, 'completed', 7.4]);
+    assert.deepEqual(details.languages, ['Hindi']);
+    assert.deepEqual(details.seasons.map(s => [s.seasonNumber, s.slug]), [[1, BEN_10], [2, BEN_10]]);
+});
+
+test('getEpisodes loads the other seasons through admin-ajax and getEpisodeSources reads the player tabs', async () => {
+    const episodes = await source.getEpisodes(BEN_10);
+    assert.deepEqual(episodes.map(e => [e.season, e.number, e.episodeId, e.title]), [
+        [1, 1, `${BEN_10}-1x1`, 'And Then There Were 10'],
+        [1, 2, `${BEN_10}-1x2`, 'Washington B.C.'],
+        [2, 1, `${BEN_10}-2x1`, 'Everybody Talks About the Weather'],
+    ]);
+    assert.ok(server.requests.includes('/wp-admin/admin-ajax.php?action=action_select_season&season=2&post=4217'));
+
+    // The ?trembed= player resolves to dood, which ranks above streamwish; the tutorial tab is dropped
+    assert.deepEqual((await source.getEpisodeSources(`${BEN_10}-1x1`)).map(s => [s.provider, s.url, s.priority]), [
+        ['dood', 'https://dood.li/e/ben10x1', 1],
+        ['streamwish', 'https://www.streamwish.to/e/ben10x1', 2],
+    ]);
+    // Only a tutorial video
+    assert.deepEqual(await source.getEpisodeSources(`${BEN_10}-1x2`), []);
+    // A player iframe straight to the provider
+    assert.deepEqual((await source.getEpisodeSources(`${BEN_10}-2x1`)).map(s => s.url), ['https://cdn.vidmoly.to/embed-ben10x21.html']);
+});
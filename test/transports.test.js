@@ -0,0 +1,236 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const { startFixtureServer, captureStdout } = require('./helpers/fixture_server');
+const { setTransport } = require('../http_client');
+const {
+    FetchTransport, HttpTransport, BrowserTransport, CookieJar, detectChallenge, ChallengeError,
+} = require('../transports');
+const { AnimeDekhoImporter } = require('../sources/animedekho');
+const { bulkExportAnime } = require('../importer');
+
+const NARUTO = 'naruto-shippuden-hindi-tamil-telugu';
+const CHALLENGE_PAGE = '<html><head><title>Just a moment...</title></head><body>Checking</body></html>';
+
+let fixtures;
+let site;
+let siteBase;
+const siteRequests = [];
+
+before(async () => {
+    fixtures = await startFixtureServer('animedekho');
+
+    // /challenge always answers with a Cloudflare-style interstitial, /page with real HTML
+    site = http.createServer((req, res) => {
+        siteRequests.push({ url: req.url, cookie: req.headers.cookie || '' });
+        if (req.url === '/challenge') {
+            res.writeHead(503, { 'Content-Type': 'text/html', 'Server': 'cloudflare', 'Set-Cookie': '__cf_bm=abc; Path=/; Max-Age=1800' });
+            res.end(CHALLENGE_PAGE);
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end('<html><body>real page</body></html>');
+    });
+    await new Promise(resolve => site.listen(0, '127.0.0.1', resolve));
+    siteBase = `http://127.0.0.1:${site.address().port}`;
+});
+
+after(async () => {
+    await fixtures.close();
+    site.close();
+});
+
+function fakeBrowser() {
+    const urls = [];
+    return {
+        urls,
+        request: async (url) => {
+            urls.push(url);
+            return { status: 200, headers: {}, body: '<html><body>browser page</body></html>' };
+        },
+        close: async () => { },
+    };
+}
+
+// ─── Challenge Detection ───────────────────────────────────────────────────────
+
+test('detectChallenge recognises interstitials and leaves real pages alone', () => {
+    assert.equal(detectChallenge({ body: CHALLENGE_PAGE }), 'cloudflare challenge');
+    assert.equal(detectChallenge({ status: 403, headers: { 'cf-mitigated': 'challenge' }, body: '' }), 'cloudflare challenge');
+    assert.equal(detectChallenge({ body: '<noscript>Please enable JavaScript and cookies to continue</noscript>' }), 'javascript interstitial');
+    assert.equal(detectChallenge({ status: 503, headers: { server: 'cloudflare' }, body: 'busy' }), 'cloudflare 503');
+
+    assert.equal(detectChallenge({ body: '<html><title>Naruto</title><body>Episodes</body></html>' }), null);
+    assert.equal(detectChallenge({ status: 503, headers: { server: 'nginx' }, body: 'busy' }), null);
+});
+
+// ─── Cookie Jar ────────────────────────────────────────────────────────────────
+
+test('CookieJar matches domain and path and honours deletion', () => {
+    const jar = new CookieJar();
+    jar.setFromResponse('https://animedekho.app/home/', [
+        'session=1; Path=/',
+        'cf_clearance=xyz; Domain=.animedekho.app; Path=/; Max-Age=3600',
+        'scoped=2; Path=/serie',
+    ]);
+
+    assert.equal(jar.cookieHeader('https://animedekho.app/epi/x/'), 'session=1; cf_clearance=xyz');
+    assert.equal(jar.cookieHeader('https://cdn.animedekho.app/serie/x/'), 'cf_clearance=xyz');
+    assert.equal(jar.cookieHeader('https://animedekho.app/serie/x/'), 'session=1; cf_clearance=xyz; scoped=2');
+    assert.equal(jar.cookieHeader('https://example.com/'), '');
+
+    jar.setFromResponse('https://animedekho.app/', 'session=; Path=/; Max-Age=0');
+    assert.equal(jar.cookieHeader('https://animedekho.app/'), 'cf_clearance=xyz');
+});
+
+test('CookieJar persists only non-session cookies', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cookie-jar-'));
+    try {
+        const file = path.join(dir, 'cookies.json');
+        const jar = new CookieJar(file);
+        jar.setFromBrowser([
+            { name: 'cf_clearance', value: 'xyz', domain: '.animedekho.app', path: '/', expires: Date.now() / 1000 + 3600 },
+            { name: 'tmp', value: '1', domain: 'animedekho.app', path: '/', expires: -1 },
+        ]);
+        jar.save();
+
+        const reloaded = new CookieJar(file).load();
+        assert.equal(reloaded.cookieHeader('https://animedekho.app/'), 'cf_clearance=xyz');
+        assert.deepEqual(reloaded.toBrowser().map(c => c.domain), ['.animedekho.app']);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+// ─── Escalation ────────────────────────────────────────────────────────────────
+
+test('auto mode escalates a challenged host to the browser and stays there', async () => {
+    const browser = fakeBrowser();
+    const transport = new FetchTransport({ mode: 'auto', http: new HttpTransport(), browser });
+
+    const first = await captureStdout(async () => {
+        assert.match((await transport.request(`${siteBase}/challenge`, { retries: 0 })).body, /browser page/);
+    });
+    assert.equal(first, '');
+    await transport.request(`${siteBase}/page`);
+
+    assert.deepEqual(browser.urls, [`${siteBase}/challenge`, `${siteBase}/page`]);
+    assert.equal(siteRequests.filter(r => r.url === '/page').length, 0);
+});
+
+test('http mode fails on a challenge page instead of returning it', async () => {
+    const transport = new FetchTransport({ mode: 'http', http: new HttpTransport(), browser: fakeBrowser() });
+    await assert.rejects(transport.request(`${siteBase}/challenge`, { retries: 0 }), ChallengeError);
+});
+
+test('HttpTransport sends cookies collected in the shared jar', async () => {
+    const jar = new CookieJar();
+    const transport = new HttpTransport({ cookieJar: jar });
+
+    await transport.request(`${siteBase}/challenge`, { retries: 0 });
+    siteRequests.length = 0;
+    await transport.request(`${siteBase}/page`);
+
+    assert.match(siteRequests[0].cookie, /__cf_bm=abc/);
+});
+
+// ─── Browser Transport ─────────────────────────────────────────────────────────
+
+/**
+ * Minimal stand-in for Playwright's chromium: pages render `pages[url]` (a list of
+ * successive snapshots, so a challenge can solve itself) and track how many are open.
+ */
+function fakeBrowserType(pages) {
+    const stats = { open: 0, peak: 0, added: [] };
+    const context = {
+        addCookies: async (cookies) => { stats.added.push(...cookies); },
+        cookies: async () => [{ name: 'cf_clearance', value: 'solved', domain: '.127.0.0.1', path: '/', expires: Date.now() / 1000 + 600 }],
+        newPage: async () => {
+            stats.open++;
+            stats.peak = Math.max(stats.peak, stats.open);
+            const mainFrame = {};
+            const handlers = [];
+            let snapshots = [];
+            return {
+                on: (event, handler) => handlers.push(handler),
+                mainFrame: () => mainFrame,
+                goto: async (url) => {
+                    snapshots = [...pages[url]];
+                    await new Promise(resolve => setTimeout(resolve, 10));
+                    const response = { request: () => ({ isNavigationRequest: () => true }), frame: () => mainFrame, status: () => 200, headers: () => ({}) };
+                    handlers.forEach(handler => handler(response));
+                },
+                waitForTimeout: async () => { },
+                content: async () => (snapshots.length > 1 ? snapshots.shift() : snapshots[0]),
+                close: async () => { stats.open--; },
+            };
+        },
+    };
+    return {
+        stats,
+        launch: async () => ({ newContext: async () => context, close: async () => { } }),
+    };
+}
+
+test('BrowserTransport shares one context, limits open pages and syncs cookies', async () => {
+    const urls = Array.from({ length: 5 }, (_, i) => `${siteBase}/p${i}`);
+    const browserType = fakeBrowserType(Object.fromEntries(urls.map(u => [u, ['<p>ok</p>']])));
+    const jar = new CookieJar();
+    jar.setFromResponse(siteBase, 'pref=1; Max-Age=600');
+
+    const transport = new BrowserTransport({ maxPages: 2, browserType, cookieJar: jar });
+    const bodies = await captureStdout(() => Promise.all(urls.map(u => transport.request(u))));
+    await transport.close();
+
+    assert.equal(bodies, '');
+    assert.equal(browserType.stats.peak, 2);
+    assert.deepEqual(browserType.stats.added.map(c => c.name), ['pref']);
+    assert.match(jar.cookieHeader(`${siteBase}/`), /cf_clearance=solved/);
+});
+
+test('BrowserTransport waits for a challenge to solve itself, then gives up', async () => {
+    const solved = `${siteBase}/solves`;
+    const stuck = `${siteBase}/stuck`;
+    const browserType = fakeBrowserType({ [solved]: [CHALLENGE_PAGE, '<p>real</p>'], [stuck]: [CHALLENGE_PAGE] });
+    const transport = new BrowserTransport({ browserType, challengeTimeoutMs: 50 });
+
+    await captureStdout(async () => {
+        assert.equal((await transport.request(solved)).body, '<p>real</p>');
+        await assert.rejects(transport.request(stuck), ChallengeError);
+    });
+    await transport.close();
+});
+
+// ─── fetchHTML ─────────────────────────────────────────────────────────────────
+
+class CatalogImporter extends AnimeDekhoImporter {
+    async getAllAnime() {
+        return [{ title: 'Naruto Shippuden', slug: NARUTO, type: 'series' }];
+    }
+}
+
+const withoutDate = sql => sql.replace(/^-- Generated: .*$/m, '');
+
+test('every importer fetch goes through the installed transport', async () => {
+    const importer = new CatalogImporter({ baseUrl: fixtures.base });
+    const viaHttp = await captureStdout(() => bulkExportAnime(importer, 0));
+
+    const plain = new HttpTransport();
+    const urls = [];
+    const previous = setTransport({
+        request: (url, options) => { urls.push(url); return plain.request(url, options); },
+        close: async () => { },
+    });
+    try {
+        const viaTransport = await captureStdout(() => bulkExportAnime(importer, 0));
+        assert.ok(urls.some(url => url.includes(`/serie/${NARUTO}/`)));
+        assert.ok(urls.some(url => url.includes('/epi/')));
+        assert.equal(withoutDate(viaTransport), withoutDate(viaHttp));
+    } finally {
+        setTransport(previous);
+    }
+});
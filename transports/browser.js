@@ -0,0 +1,137 @@
+/**
+ * Headless browser transport (Playwright Chromium)
+ *
+ * One browser and one context are launched on first use and shared by every request,
+ * so cookies earned by passing a challenge apply to all later pages. At most `maxPages`
+ * pages are open at a time. Cookies are exchanged with the shared CookieJar in both
+ * directions, which lets the HTTP transport reuse a clearance cookie.
+ */
+
+const { HttpError, ChallengeError } = require('./errors');
+const { detectChallenge } = require('./challenge');
+const { DEFAULT_USER_AGENT } = require('./http');
+const { RequestScheduler } = require('../request_scheduler');
+
+const DEFAULT_MAX_PAGES = parseInt(process.env.BROWSER_MAX_PAGES || '2');
+const DEFAULT_SETTLE_MS = parseInt(process.env.BROWSER_SETTLE_MS || '0');
+const DEFAULT_CHALLENGE_TIMEOUT_MS = parseInt(process.env.BROWSER_CHALLENGE_TIMEOUT_MS || '20000');
+
+/**
+ * Why a page snapshot is not the final page yet, or null when it is.
+ */
+function pendingReason(result) {
+    return result.body ? detectChallenge(result) : 'page still loading';
+}
+
+class BrowserTransport {
+
+    /**
+     * Options:
+     *   maxPages            pages open at once (env BROWSER_MAX_PAGES, default 2)
+     *   settleMs            extra wait after DOMContentLoaded (env BROWSER_SETTLE_MS)
+     *   challengeTimeoutMs  how long a challenge may take to solve itself (env BROWSER_CHALLENGE_TIMEOUT_MS)
+     *   throttle, cookieJar, userAgent  as for HttpTransport
+     *   browserType         Playwright browser type, default require('playwright').chromium
+     */
+    constructor({
+        maxPages = DEFAULT_MAX_PAGES,
+        settleMs = DEFAULT_SETTLE_MS,
+        challengeTimeoutMs = DEFAULT_CHALLENGE_TIMEOUT_MS,
+        throttle = null,
+        cookieJar = null,
+        userAgent = DEFAULT_USER_AGENT,
+        browserType = null,
+    } = {}) {
+        this.settleMs = settleMs;
+        this.challengeTimeoutMs = challengeTimeoutMs;
+        this.throttle = throttle;
+        this.cookieJar = cookieJar;
+        this.userAgent = userAgent;
+        this.browserType = browserType;
+        this.pages = new RequestScheduler({ maxConcurrency: maxPages, ratePerSecond: 0 });
+        this.browser = null;
+        this.contextPromise = null;
+    }
+
+    /**
+     * The shared context, launching the browser on first use.
+     */
+    context() {
+        if (!this.contextPromise) {
+            this.contextPromise = (async () => {
+                // Loaded lazily: plain HTTP runs must not need Playwright or Chromium
+                const browserType = this.browserType || require('playwright').chromium;
+                console.error('  Launching headless browser...');
+                this.browser = await browserType.launch({ headless: true });
+                const context = await this.browser.newContext({ userAgent: this.userAgent });
+                if (this.cookieJar) await context.addCookies(this.cookieJar.toBrowser());
+                return context;
+            })();
+            this.contextPromise.catch(() => { this.contextPromise = null; });
+        }
+        return this.contextPromise;
+    }
+
+    /**
+     * Loads `url` in a page and resolves to { status, headers, body } once any challenge
+     * has solved itself. Rejects with ChallengeError if it does not within
+     * challengeTimeoutMs, and with HttpError for error statuses.
+     */
+    request(url, { timeout = 45000 } = {}) {
+        return this.pages.run(async () => {
+            if (this.throttle) await this.throttle(url);
+            const context = await this.context();
+            const page = await context.newPage();
+
+            // Challenges navigate to the real page once solved; keep the latest main-frame response
+            let response = null;
+            page.on('response', (res) => {
+                if (res.request().isNavigationRequest() && res.frame() === page.mainFrame()) response = res;
+            });
+
+            try {
+                await page.goto(url, { waitUntil: 'domcontentloaded', timeout });
+                if (this.settleMs) await page.waitForTimeout(this.settleMs);
+
+                const deadline = Date.now() + this.challengeTimeoutMs;
+                let result = await this._snapshot(page, response);
+                let challenge = pendingReason(result);
+                while (challenge && Date.now() < deadline) {
+                    await page.waitForTimeout(1000);
+                    result = await this._snapshot(page, response);
+                    challenge = pendingReason(result);
+                }
+                if (challenge) throw new ChallengeError(url, challenge);
+
+                if (this.cookieJar) this.cookieJar.setFromBrowser(await context.cookies());
+                if (result.status >= 400) throw new HttpError(result.status, url);
+                return result;
+            } finally {
+                await page.close();
+            }
+        });
+    }
+
+    async _snapshot(page, response) {
+        let body = '';
+        try {
+            body = await page.content();
+        } catch (e) {
+            // The page is navigating away from the challenge; check again on the next tick
+        }
+        return {
+            status: response ? response.status() : 200,
+            headers: response ? response.headers() : {},
+            body,
+        };
+    }
+
+    async close() {
+        const browser = this.browser;
+        this.browser = null;
+        this.contextPromise = null;
+        if (browser) await browser.close();
+    }
+}
+
+module.exports = { BrowserTransport };
@@ -0,0 +1,44 @@
+/**
+ * Challenge / interstitial page detection
+ *
+ * Anti-bot layers (Cloudflare, DDoS-Guard, Sucuri, ...) answer with a placeholder page
+ * instead of the requested HTML. Parsing it yields nothing useful, so the transports
+ * check every response with detectChallenge() and escalate or fail instead.
+ */
+
+// [reason, pattern] tested against the response body
+const BODY_MARKERS = [
+    ['cloudflare challenge', /<title>\s*Just a moment\.\.\.\s*<\/title>/i],
+    ['cloudflare challenge', /cf-browser-verification|\/cdn-cgi\/challenge-platform\/|window\._cf_chl_opt/i],
+    ['cloudflare block', /<title>\s*Attention Required! \| Cloudflare\s*<\/title>/i],
+    ['ddos-guard', /<title>\s*DDoS-Guard\s*<\/title>|ddos-guard\.net\/js\/check/i],
+    ['sucuri firewall', /sucuri_cloudproxy_js|<title>\s*Sucuri WebSite Firewall/i],
+    ['browser check', /Checking (?:if the site connection is secure|your browser before accessing)/i],
+];
+
+// Interstitials that only ask for JavaScript are short; real pages never are
+const JS_INTERSTITIAL = /enable JavaScript and cookies to continue|Please (?:turn|enable) JavaScript on/i;
+const INTERSTITIAL_MAX_LENGTH = 4096;
+
+/**
+ * Returns a short reason when `response` ({ status, headers, body }) is a challenge
+ * or interstitial page, otherwise null.
+ */
+function detectChallenge({ status = 200, headers = {}, body = '' }) {
+    if (headers['cf-mitigated'] === 'challenge') return 'cloudflare challenge';
+
+    for (const [reason, pattern] of BODY_MARKERS) {
+        if (pattern.test(body)) return reason;
+    }
+
+    if (body.length < INTERSTITIAL_MAX_LENGTH && JS_INTERSTITIAL.test(body)) return 'javascript interstitial';
+
+    // Bare 403/503 from a CDN edge with nothing but a stub page
+    if ((status === 403 || status === 503) && /cloudflare|ddos-guard/i.test(headers.server || '') && body.length < INTERSTITIAL_MAX_LENGTH) {
+        return `${headers.server.toLowerCase()} ${status}`;
+    }
+
+    return null;
+}
+
+module.exports = { detectChallenge };
@@ -0,0 +1,136 @@
+/**
+ * Cookie jar shared by the HTTP and browser transports
+ *
+ * Cookies set by either transport (e.g. the clearance cookie a browser earns by passing a
+ * challenge) are sent by both. With a file path the jar survives between runs.
+ * Cookies are kept in Playwright's shape: { name, value, domain, path, expires }, where
+ * expires is seconds since the epoch and -1 marks a session cookie. A domain with a
+ * leading dot also matches subdomains; without one the cookie is host-only.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class CookieJar {
+
+    constructor(filePath = null) {
+        this.filePath = filePath;
+        this.cookies = new Map();
+    }
+
+    /**
+     * Loads the cookie file if one is configured and present.
+     */
+    load() {
+        if (!this.filePath || !fs.existsSync(this.filePath)) return this;
+        for (const cookie of JSON.parse(fs.readFileSync(this.filePath, 'utf8'))) this._put(cookie);
+        return this;
+    }
+
+    /**
+     * Writes the persistent (non-session, unexpired) cookies atomically. No-op without a file path.
+     */
+    save() {
+        if (!this.filePath) return;
+        const persistent = this.all().filter(c => c.expires > 0);
+        fs.mkdirSync(path.dirname(path.resolve(this.filePath)), { recursive: true });
+        const tmp = `${this.filePath}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(persistent, null, 2));
+        fs.renameSync(tmp, this.filePath);
+    }
+
+    /**
+     * All unexpired cookies.
+     */
+    all() {
+        const now = Date.now() / 1000;
+        return [...this.cookies.values()].filter(c => c.expires < 0 || c.expires > now);
+    }
+
+    /**
+     * Value for a Cookie request header to `url`, or '' when nothing matches.
+     */
+    cookieHeader(url) {
+        const { hostname, pathname } = new URL(url);
+        return this.all()
+            .filter(c => domainMatches(hostname, c.domain) && pathname.startsWith(c.path))
+            .map(c => `${c.name}=${c.value}`)
+            .join('; ');
+    }
+
+    /**
+     * Stores the Set-Cookie header(s) of a response to `url`.
+     */
+    setFromResponse(url, setCookie) {
+        if (!setCookie) return;
+        const { hostname } = new URL(url);
+        for (const header of [].concat(setCookie)) {
+            const cookie = parseSetCookie(header, hostname);
+            if (cookie) this._put(cookie);
+        }
+    }
+
+    /**
+     * Stores cookies as returned by Playwright's context.cookies().
+     */
+    setFromBrowser(cookies) {
+        for (const { name, value, domain, path: cookiePath, expires } of cookies) {
+            this._put({ name, value, domain, path: cookiePath, expires });
+        }
+    }
+
+    /**
+     * Cookies in the shape expected by Playwright's context.addCookies().
+     */
+    toBrowser() {
+        return this.all().map(c => ({ ...c }));
+    }
+
+    _put(cookie) {
+        const domain = cookie.domain.toLowerCase();
+        const key = `${domain}|${cookie.path}|${cookie.name}`;
+        // An already-expired cookie is how servers delete one
+        if (cookie.expires >= 0 && cookie.expires <= Date.now() / 1000) this.cookies.delete(key);
+        else this.cookies.set(key, { ...cookie, domain });
+    }
+}
+
+function domainMatches(hostname, domain) {
+    if (!domain.startsWith('.')) return hostname === domain;
+    return hostname === domain.slice(1) || hostname.endsWith(domain);
+}
+
+/**
+ * Parses one Set-Cookie header value into the jar's cookie shape.
+ */
+function parseSetCookie(header, hostname) {
+    const [pair, ...attributes] = header.split(';').map(part => part.trim());
+    const eq = pair.indexOf('=');
+    if (eq <= 0) return null;
+
+    const cookie = { name: pair.slice(0, eq), value: pair.slice(eq + 1), domain: hostname, path: '/', expires: -1 };
+    let maxAge = null;
+    for (const attribute of attributes) {
+        const [key, ...rest] = attribute.split('=');
+        const value = rest.join('=');
+        switch (key.toLowerCase()) {
+            case 'domain': if (value) cookie.domain = `.${value.replace(/^\./, '')}`; break;
+            case 'path': if (value.startsWith('/')) cookie.path = value; break;
+            case 'expires': {
+                const time = Date.parse(value);
+                if (!isNaN(time)) cookie.expires = Math.floor(time / 1000);
+                break;
+            }
+            case 'max-age': {
+                const seconds = parseInt(value);
+                if (!isNaN(seconds)) maxAge = seconds;
+                break;
+            }
+        }
+    }
+    // Max-Age wins over Expires
+    if (maxAge !== null) cookie.expires = Math.floor(Date.now() / 1000) + maxAge;
+    return cookie;
+}
+
+module.exports = { CookieJar, parseSetCookie };
@@ -0,0 +1,29 @@
+/**
+ * Errors raised by the fetch transports.
+ */
+
+/**
+ * Raised by fetchHTML for HTTP error responses; carries the status code.
+ */
+class HttpError extends Error {
+    constructor(statusCode, url) {
+        super(`HTTP ${statusCode}`);
+        this.name = 'HttpError';
+        this.statusCode = statusCode;
+        this.url = url;
+    }
+}
+
+/**
+ * Raised when a page is still a bot challenge / interstitial after every allowed transport.
+ */
+class ChallengeError extends Error {
+    constructor(url, reason) {
+        super(`Challenge page not passed (${reason})`);
+        this.name = 'ChallengeError';
+        this.url = url;
+        this.reason = reason;
+    }
+}
+
+module.exports = { HttpError, ChallengeError };
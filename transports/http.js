@@ -0,0 +1,103 @@
+/**
+ * Plain HTTP(S) transport (Node's http/https modules)
+ *
+ * Follows redirects and retries on 429/5xx/network errors. Challenge pages are returned
+ * as ordinary responses, whatever their status, so the caller can escalate to a browser.
+ */
+
+const https = require('https');
+const http = require('http');
+const { HttpError } = require('./errors');
+const { detectChallenge } = require('./challenge');
+
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+class HttpTransport {
+
+    /**
+     * `throttle(url)` is awaited before every attempt (rate limiting);
+     * `cookieJar` (a CookieJar) supplies and collects cookies.
+     */
+    constructor({ throttle = null, cookieJar = null, userAgent = DEFAULT_USER_AGENT } = {}) {
+        this.throttle = throttle;
+        this.cookieJar = cookieJar;
+        this.userAgent = userAgent;
+    }
+
+    /**
+     * Resolves to { status, headers, body }; HTTP errors reject with HttpError.
+     */
+    request(url, { headers: extraHeaders = {}, retries = 3, delay = 1000 } = {}) {
+        return new Promise((resolve, reject) => {
+            const attemptFetch = async (n) => {
+                if (this.throttle) await this.throttle(url);
+                const mod = url.startsWith('https') ? https : http;
+                const jarCookies = this.cookieJar ? this.cookieJar.cookieHeader(url) : '';
+                const req = mod.get(url, {
+                    headers: {
+                        'User-Agent': this.userAgent,
+                        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+                        'Accept-Language': 'en-US,en;q=0.5',
+                        'Cookie': ['toronites_server=vidstream', jarCookies].filter(Boolean).join('; '),
+                        ...extraHeaders,
+                    },
+                    timeout: 30000,
+                }, (res) => {
+                    if (this.cookieJar) this.cookieJar.setFromResponse(url, res.headers['set-cookie']);
+
+                    // Follow redirects
+                    if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+                        res.resume();
+                        const redirectUrl = res.headers.location.startsWith('http')
+                            ? res.headers.location
+                            : new URL(res.headers.location, url).toString();
+                        this.request(redirectUrl, { headers: extraHeaders, retries, delay }).then(resolve).catch(reject);
+                        return;
+                    }
+
+                    let data = '';
+                    res.setEncoding('utf8');
+                    res.on('data', chunk => data += chunk);
+                    res.on('end', () => {
+                        const response = { status: res.statusCode, headers: res.headers, body: data };
+                        if (res.statusCode < 400 || detectChallenge(response)) {
+                            resolve(response);
+                            return;
+                        }
+                        if (n > 0 && (res.statusCode === 429 || res.statusCode >= 500)) {
+                            console.error(`  HTTP ${res.statusCode} for ${url}. Retrying in ${delay}ms... (${n} left)`);
+                            setTimeout(() => attemptFetch(n - 1).catch(reject), delay);
+                            return;
+                        }
+                        reject(new HttpError(res.statusCode, url));
+                    });
+                });
+
+                req.on('error', (err) => {
+                    if (n > 0) {
+                        console.error(`  Error fetching ${url}: ${err.message}. Retrying in ${delay}ms... (${n} left)`);
+                        setTimeout(() => attemptFetch(n - 1).catch(reject), delay * 1.5); // Exponential backoff
+                    } else {
+                        reject(err);
+                    }
+                });
+
+                req.on('timeout', () => {
+                    req.destroy();
+                    if (n > 0) {
+                        console.error(`  Timeout fetching ${url}. Retrying in ${delay}ms... (${n} left)`);
+                        setTimeout(() => attemptFetch(n - 1).catch(reject), delay * 1.5);
+                    } else {
+                        reject(Object.assign(new Error('Request timeout'), { code: 'ETIMEDOUT' }));
+                    }
+                });
+            };
+
+            attemptFetch(retries).catch(reject);
+        });
+    }
+
+    async close() { }
+}
+
+module.exports = { HttpTransport, DEFAULT_USER_AGENT };
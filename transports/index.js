@@ -0,0 +1,80 @@
+/**
+ * Fetch transports
+ *
+ * fetchHTML (http_client.js) sends every request through one FetchTransport, which
+ * picks between the plain HTTP and the headless browser transport:
+ *
+ *   http     plain HTTP only; a challenge page fails with ChallengeError
+ *   browser  every page is loaded in the shared browser context
+ *   auto     plain HTTP first; a host that answers with a challenge page is retried,
+ *            and from then on fetched, through the browser (default)
+ *
+ * A transport is any object with request(url, options) -> { status, headers, body }
+ * and close().
+ */
+
+const { HttpTransport, DEFAULT_USER_AGENT } = require('./http');
+const { BrowserTransport } = require('./browser');
+const { CookieJar } = require('./cookie_jar');
+const { detectChallenge } = require('./challenge');
+const { HttpError, ChallengeError } = require('./errors');
+
+const TRANSPORT_MODES = ['auto', 'http', 'browser'];
+
+class FetchTransport {
+
+    constructor({ mode = 'auto', http, browser }) {
+        if (!TRANSPORT_MODES.includes(mode)) {
+            throw new Error(`Unknown transport "${mode}". Available: ${TRANSPORT_MODES.join(', ')}`);
+        }
+        this.mode = mode;
+        this.http = http;
+        this.browser = browser;
+        this.browserHosts = new Set();
+    }
+
+    async request(url, options = {}) {
+        const host = new URL(url).host;
+
+        if (this.mode !== 'browser' && !this.browserHosts.has(host)) {
+            const response = await this.http.request(url, options);
+            const challenge = detectChallenge(response);
+            if (!challenge) return response;
+            if (this.mode === 'http') throw new ChallengeError(url, challenge);
+
+            console.error(`  ${host} served a challenge page (${challenge}), switching to the headless browser`);
+            this.browserHosts.add(host);
+        }
+
+        return this.browser.request(url, options);
+    }
+
+    async close() {
+        await Promise.all([this.http.close(), this.browser.close()]);
+    }
+}
+
+/**
+ * Builds a FetchTransport whose HTTP and browser transports share `cookieJar` and `throttle`.
+ * `browser` holds extra BrowserTransport options (maxPages, settleMs, ...).
+ */
+function createTransport({ mode = 'auto', cookieJar = new CookieJar(), throttle = null, browser = {} } = {}) {
+    return new FetchTransport({
+        mode,
+        http: new HttpTransport({ cookieJar, throttle }),
+        browser: new BrowserTransport({ cookieJar, throttle, ...browser }),
+    });
+}
+
+module.exports = {
+    FetchTransport,
+    HttpTransport,
+    BrowserTransport,
+    CookieJar,
+    createTransport,
+    detectChallenge,
+    HttpError,
+    ChallengeError,
+    TRANSPORT_MODES,
+    DEFAULT_USER_AGENT,
+};